@@ -7,6 +7,10 @@
 const APOLLO_CONFIG = {
   DEFAULT_BASE_URL: 'https://api.apollo.io/v1',
   MAX_PER_PAGE: 100,
+  // Apollo accepts at most 10 people per /people/bulk_match call
+  MAX_BULK_MATCH_DETAILS: 10,
+  // Apollo stops paginating people search after 500 pages (50,000 records)
+  MAX_PEOPLE_SEARCH_PAGE: 500,
   ENDPOINTS: {
     ORGANIZATIONS_SEARCH: '/mixed_companies/api_search',
     ORGANIZATION_BY_ID: '/organizations',
@@ -42,6 +46,492 @@ const CACHE_CONFIG = {
   ]
 };
 
+// People search pagination
+const PEOPLE_SEARCH_CONFIG = {
+  // Upper bound on Apollo pages walked by a single callApolloApi call
+  MAX_PAGES_PER_CALL: parseInt(process.env.APOLLO_PEOPLE_SEARCH_MAX_PAGES || '5', 10),
+  // Cursors not advanced for this long start again from page 1, so exhausted
+  // filter sets pick up people Apollo has added since
+  CURSOR_TTL_HOURS: parseInt(process.env.APOLLO_SEARCH_CURSOR_TTL_HOURS || '24', 10)
+};
+
+// Company search filters accepted by /search
+const COMPANY_FILTERS = {
+  // Annual revenue buckets, translated to Apollo's revenue_range { min, max }
+  REVENUE_RANGES: ['0-1M', '1M-10M', '10M-50M', '50M-100M', '100M-500M', '500M-1B', '1B+'],
+  // Apollo technology uids for currently_using_any_of_technology_uids are
+  // lowercase words joined by underscores (salesforce, google_analytics)
+  TECHNOLOGY_UID_PATTERN: /^[a-z0-9]+(_[a-z0-9]+)*$/,
+  TECHNOLOGY_UID_MAX_LENGTH: 100
+};
+
+// Background batch enrichment jobs
+const ENRICHMENT_JOB_CONFIG = {
+  MAX_LEADS_PER_JOB: parseInt(process.env.APOLLO_ENRICHMENT_MAX_LEADS || '500', 10),
+  // Pause between leads to stay under Apollo's rate limits
+  ITEM_DELAY_MS: parseInt(process.env.APOLLO_ENRICHMENT_DELAY_MS || '200', 10),
+  // A running job whose heartbeat is older than this is treated as abandoned and resumed
+  STALE_AFTER_SECONDS: 120,
+  // Workers touch the heartbeat this often, so a slow lead doesn't make the job look abandoned
+  HEARTBEAT_INTERVAL_SECONDS: 30
+};
+
+// Bulk company search (POST /bulk-search)
+const BULK_SEARCH_CONFIG = {
+  MAX_SEARCHES: 25,
+  CONCURRENCY: parseInt(process.env.APOLLO_BULK_SEARCH_CONCURRENCY || '3', 10)
+};
+
+// Bulk email reveals (POST /reveal-emails)
+const EMAIL_REVEAL_CONFIG = {
+  MAX_PERSONS_PER_REQUEST: 100
+};
+
+// Deliverability verdict stored with every revealed email (utils/emailDeliverability.js)
+const EMAIL_DELIVERABILITY_CONFIG = {
+  VERDICTS: {
+    VERIFIED: 'verified',
+    LIKELY_VALID: 'likely_valid',
+    RISKY: 'risky',
+    INVALID: 'invalid',
+    UNKNOWN: 'unknown'
+  },
+  // Apollo email_status values mapped to a verdict before our own checks run
+  APOLLO_STATUS_VERDICTS: {
+    verified: 'verified',
+    likely_to_engage: 'likely_valid',
+    guessed: 'risky',
+    extrapolated: 'risky',
+    unverified: 'risky',
+    unavailable: 'invalid',
+    bounced: 'invalid',
+    invalid: 'invalid'
+  },
+  // Shared inboxes - deliverable but rarely reach the person and bounce-prone
+  ROLE_ACCOUNTS: [
+    'admin', 'billing', 'careers', 'contact', 'enquiries', 'hello', 'help', 'hr',
+    'info', 'jobs', 'marketing', 'noreply', 'no-reply', 'office', 'press',
+    'sales', 'support', 'team'
+  ],
+  DISPOSABLE_DOMAINS: [
+    '10minutemail.com', 'discard.email', 'dispostable.com', 'getnada.com',
+    'guerrillamail.com', 'maildrop.cc', 'mailinator.com', 'mintemail.com',
+    'sharklasers.com', 'temp-mail.org', 'tempmail.com', 'throwawaymail.com',
+    'trashmail.com', 'yopmail.com'
+  ]
+};
+
+// Tenant-owned Apollo API keys (services/ApolloCredentialService.js)
+const TENANT_CREDENTIALS_CONFIG = {
+  // 32-byte AES-256-GCM key (64 hex chars or base64) that encrypts stored keys
+  ENCRYPTION_KEY_ENV: 'APOLLO_CREDENTIALS_ENCRYPTION_KEY',
+  // Resolved keys are reused per tenant for this long; set/rotate/remove clear it
+  CACHE_TTL_MS: 60000,
+  // req.user.role values allowed to manage the tenant key
+  ADMIN_ROLES: ['owner', 'admin'],
+  MIN_KEY_LENGTH: 16,
+  MAX_KEY_LENGTH: 200,
+  KEY_SOURCES: {
+    TENANT: 'tenant',
+    PLATFORM: 'platform'
+  },
+  TEST_STATUS: {
+    VALID: 'valid',
+    INVALID: 'invalid',
+    ERROR: 'error'
+  }
+};
+
+// LinkedIn accounts connected through Unipile (linkedin_accounts)
+// Search and outreach endpoints only accept account ids registered to the caller's tenant
+// On the platform Unipile workspace accounts are only registered through a hosted auth
+// link issued to the tenant; account ids are registered directly in the tenant's own workspace
+const LINKEDIN_ACCOUNT_CONFIG = {
+  ACCOUNT_TYPES: {
+    CLASSIC: 'classic',
+    SALES_NAVIGATOR: 'sales_navigator',
+    RECRUITER: 'recruiter'
+  },
+  STATUSES: {
+    ACTIVE: 'active',
+    PAUSED: 'paused',
+    DISCONNECTED: 'disconnected'
+  },
+  MAX_DISPLAY_NAME_LENGTH: 200,
+  // Unipile hosted auth (POST /unipile/accounts/connect); Unipile calls NOTIFY_URL_ENV
+  // (POST /webhook/unipile-accounts) with the signed token given as the link's name
+  HOSTED_AUTH: {
+    NOTIFY_URL_ENV: 'UNIPILE_HOSTED_AUTH_NOTIFY_URL',
+    LINK_TTL_SECONDS: 60 * 60,
+    PROVIDER: 'LINKEDIN',
+    // Notify statuses that mean an account was connected
+    SUCCESS_STATUSES: ['CREATION_SUCCESS', 'RECONNECTED']
+  }
+};
+
+// Unipile people/company search pagination (UnipileLeadSearchService)
+const UNIPILE_SEARCH_CONFIG = {
+  // Unipile returns at most this many results per page
+  MAX_PAGE_SIZE: 100,
+  // "collect" mode follows cursors server-side until this many results at most
+  MAX_COLLECT_RESULTS: parseInt(process.env.UNIPILE_SEARCH_MAX_COLLECT_RESULTS || '500', 10),
+  MAX_COLLECT_PAGES: 10,
+  // Random pause between page fetches in collect mode, to keep LinkedIn activity human-paced
+  PAGE_DELAY_MIN_MS: 2000,
+  PAGE_DELAY_MAX_MS: 5000,
+  APIS: {
+    CLASSIC: 'classic',
+    SALES_NAVIGATOR: 'sales_navigator',
+    RECRUITER: 'recruiter'
+  },
+  // Search APIs each LinkedIn account type may use; the first is the default
+  ACCOUNT_TYPE_APIS: {
+    classic: ['classic'],
+    sales_navigator: ['sales_navigator', 'classic'],
+    recruiter: ['recruiter', 'classic']
+  },
+  // Filters each API accepts, per search category (recruiter has no company search)
+  FILTER_SCHEMAS: {
+    classic: {
+      people: ['keywords', 'industry', 'location', 'designation', 'company', 'skills'],
+      companies: ['keywords', 'industry', 'location']
+    },
+    sales_navigator: {
+      people: [
+        'keywords', 'industry', 'location', 'designation', 'company',
+        'seniority', 'function', 'company_headcount', 'years_in_role',
+        'changed_jobs', 'posted_on_linkedin'
+      ],
+      companies: ['keywords', 'industry', 'location', 'company_headcount']
+    },
+    recruiter: {
+      people: ['keywords', 'industry', 'location', 'designation', 'company', 'skills', 'years_of_experience']
+    }
+  }
+};
+
+// Sales Navigator filter values (LinkedIn ids), accepted by name or id
+const UNIPILE_SEARCH_FILTERS = {
+  SENIORITY: {
+    in_training: '100',
+    entry_level: '110',
+    senior: '120',
+    strategic: '130',
+    entry_level_manager: '200',
+    experienced_manager: '210',
+    director: '220',
+    vice_president: '300',
+    cxo: '310',
+    owner_partner: '320'
+  },
+  FUNCTION: {
+    accounting: '1',
+    administrative: '2',
+    arts_and_design: '3',
+    business_development: '4',
+    community_and_social_services: '5',
+    consulting: '6',
+    education: '7',
+    engineering: '8',
+    entrepreneurship: '9',
+    finance: '10',
+    healthcare_services: '11',
+    human_resources: '12',
+    information_technology: '13',
+    legal: '14',
+    marketing: '15',
+    media_and_communication: '16',
+    military_and_protective_services: '17',
+    operations: '18',
+    product_management: '19',
+    program_and_project_management: '20',
+    purchasing: '21',
+    quality_assurance: '22',
+    real_estate: '23',
+    research: '24',
+    sales: '25',
+    customer_success_and_support: '26'
+  },
+  // LinkedIn company size buckets
+  COMPANY_HEADCOUNT: {
+    '1-10': { min: 1, max: 10 },
+    '11-50': { min: 11, max: 50 },
+    '51-200': { min: 51, max: 200 },
+    '201-500': { min: 201, max: 500 },
+    '501-1000': { min: 501, max: 1000 },
+    '1001-5000': { min: 1001, max: 5000 },
+    '5001-10000': { min: 5001, max: 10000 },
+    '10001+': { min: 10001 }
+  },
+  // years_in_role / years_of_experience { min, max } bounds
+  MAX_YEARS: 50
+};
+
+// LinkedIn search parameter resolution (linkedin_search_parameters)
+// Names of locations, industries, skills, companies and schools are resolved
+// to LinkedIn ids through Unipile's /linkedin/search/parameters; candidates are
+// cached per (type, query) for CACHE_TTL_HOURS
+const LINKEDIN_PARAMETER_CONFIG = {
+  TYPES: {
+    LOCATION: 'LOCATION',
+    INDUSTRY: 'INDUSTRY',
+    SKILL: 'SKILL',
+    COMPANY: 'COMPANY',
+    SCHOOL: 'SCHOOL'
+  },
+  ENDPOINT: '/linkedin/search/parameters',
+  CACHE_TTL_HOURS: parseInt(process.env.LINKEDIN_PARAMETER_CACHE_TTL_HOURS || '720', 10),
+  // Candidates fetched from Unipile and stored per query
+  FETCH_LIMIT: 25,
+  DEFAULT_CANDIDATES: 10,
+  MAX_CANDIDATES: 25,
+  MIN_QUERY_LENGTH: 2,
+  MAX_QUERY_LENGTH: 100,
+  REQUEST_TIMEOUT_MS: 15000
+};
+
+// Multi-step outreach sequences (outreach_sequences.steps, outreach_prospects)
+// Each prospect moves through the steps in order; the slot for a step is
+// created when the previous one is done (sent or skipped), delay_days later,
+// and its condition is checked against the relationship when it is due
+const OUTREACH_SEQUENCE_CONFIG = {
+  STEP_TYPES: {
+    INVITE: 'invite',
+    MESSAGE: 'message',
+    VISIT_PROFILE: 'visit_profile',
+    INMAIL: 'inmail',
+    // Single-message sequences without steps: invite, message or accept-and-message by relationship
+    AUTO: 'auto'
+  },
+  CONDITIONS: {
+    ALWAYS: 'always',
+    // "if accepted" - the invitation was accepted / they are a 1st-degree connection
+    CONNECTED: 'connected',
+    NOT_CONNECTED: 'not_connected'
+  },
+  PROSPECT_STATUSES: {
+    ACTIVE: 'active',
+    COMPLETED: 'completed',
+    STOPPED: 'stopped',
+    FAILED: 'failed'
+  },
+  MAX_STEPS: 10,
+  MAX_DELAY_DAYS: 60,
+  MAX_TEMPLATE_LENGTH: 8000,
+  // LinkedIn caps the note sent with an invitation
+  MAX_INVITE_NOTE_LENGTH: 300
+};
+
+// Account-wide LinkedIn quotas (linkedin_account_actions ledger)
+// Every invitation and message sent from an account, whatever the sequence,
+// is recorded; sends are refused past these rolling 24-hour / 7-day counts
+// and the slot is deferred to when the window frees up
+const LINKEDIN_ACCOUNT_QUOTAS = {
+  ACTION_TYPES: {
+    INVITATION: 'invitation',
+    // Messages and InMails
+    MESSAGE: 'message'
+  },
+  LIMITS: {
+    invitation: {
+      PER_DAY: parseInt(process.env.LINKEDIN_INVITATIONS_PER_DAY || '80', 10),
+      PER_WEEK: parseInt(process.env.LINKEDIN_INVITATIONS_PER_WEEK || '200', 10)
+    },
+    message: {
+      PER_DAY: parseInt(process.env.LINKEDIN_MESSAGES_PER_DAY || '150', 10),
+      PER_WEEK: parseInt(process.env.LINKEDIN_MESSAGES_PER_WEEK || '700', 10)
+    }
+  },
+  DAY_WINDOW_HOURS: 24,
+  WEEK_WINDOW_HOURS: 168,
+  // Deferred slots are spread over this many minutes after the window frees up
+  DEFER_SPREAD_MINUTES: 30
+};
+
+// When outreach is sent (linkedin_accounts.sending_schedule, overridden field
+// by field by outreach_sequences.sending_schedule) - see utils/sendingSchedule.js
+// Slots are generated in working hours of working days in the schedule's
+// timezone, and "today" for processing is the schedule's local date
+const SENDING_SCHEDULE_CONFIG = {
+  // Index = Date#getUTCDay()
+  WEEKDAYS: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+  DEFAULT_SCHEDULE: {
+    timezone: process.env.OUTREACH_DEFAULT_TIMEZONE || 'UTC',
+    working_days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+    working_hours: { start: '09:00', end: '18:00' },
+    holidays: [],
+    blackout_dates: []
+  },
+  // Holidays and blackout entries per schedule
+  MAX_DATES: 366,
+  MIN_WORKING_MINUTES: 60,
+  // How far ahead a working day is looked for before giving up
+  MAX_LOOKAHEAD_DAYS: 366
+};
+
+// Outreach message templates ({{first_name}}, {{company_name|your team}}...)
+// Values come from the lead in employees_cache and the Unipile profile
+// fetched before sending (the Unipile profile wins when both have a value)
+const MESSAGE_TEMPLATE_CONFIG = {
+  VARIABLES: [
+    'first_name',
+    'last_name',
+    'full_name',
+    'company_name',
+    'title',
+    'headline',
+    'location'
+  ],
+  // Prospects listed when invitation notes render too long at creation
+  MAX_REPORTED_PROFILES: 20
+};
+
+// Unipile event intake (POST /webhook/unipile-events)
+// Unipile webhooks are created with a custom header carrying the shared secret;
+// events are routed to the tenant that registered the account_id
+const UNIPILE_EVENT_CONFIG = {
+  SECRET_ENV: 'UNIPILE_WEBHOOK_SECRET',
+  AUTH_HEADER: 'unipile-auth',
+  // Unipile webhook event names handled
+  WEBHOOK_EVENTS: {
+    MESSAGE_RECEIVED: 'message_received',
+    NEW_RELATION: 'new_relation'
+  },
+  // outreach_events.event_type
+  EVENT_TYPES: {
+    REPLY: 'reply',
+    INVITATION_ACCEPTED: 'invitation_accepted'
+  },
+  SLOT_STATUSES: {
+    PENDING: 'pending',
+    SENT: 'sent',
+    FAILED: 'failed',
+    // Step condition not met, or nothing to do for the relationship
+    SKIPPED: 'skipped',
+    STOPPED: 'stopped'
+  },
+  STOP_REASONS: {
+    REPLIED: 'replied'
+  }
+};
+
+// Tenant Unipile credentials (unipile_tenant_credentials)
+// Tokens are encrypted with TENANT_CREDENTIALS_CONFIG.ENCRYPTION_KEY_ENV; without
+// tenant credentials the platform UNIPILE_DSN / UNIPILE_TOKEN are used
+const UNIPILE_CREDENTIALS_CONFIG = {
+  // Resolved credentials are reused per tenant for this long; set/remove clear it
+  CACHE_TTL_MS: 60000,
+  MIN_TOKEN_LENGTH: 16,
+  MAX_TOKEN_LENGTH: 500,
+  MAX_DSN_LENGTH: 255,
+  ENDPOINTS: {
+    ACCOUNTS: '/accounts',
+    HOSTED_AUTH_LINK: '/hosted/accounts/link'
+  }
+};
+
+// Shared Apollo HTTP client (services/ApolloHttpClient.js)
+const APOLLO_RATE_LIMIT_CONFIG = {
+  // Requests in flight per API key; the rest wait in a FIFO queue
+  MAX_CONCURRENT: parseInt(process.env.APOLLO_MAX_CONCURRENT_REQUESTS || '5', 10),
+  // Hold requests back when this few remain in the current minute
+  MINUTE_RESERVE: 2,
+  // Apollo sends no reset time - a minute reading is trusted for this long
+  MINUTE_WINDOW_MS: 60000,
+  // An exhausted daily quota fails fast until the reading is this old, then one request re-checks it
+  DAILY_RECHECK_MS: 5 * 60 * 1000,
+  // Longest a queued request waits for quota before going out anyway
+  MAX_QUEUE_WAIT_MS: 60000,
+  MAX_RETRIES: 3,
+  BACKOFF_BASE_MS: 1000,
+  BACKOFF_MAX_MS: 30000,
+  RETRY_STATUSES: [429, 500, 502, 503, 504],
+  // Connection failures where the request never reached Apollo - safe to retry any request
+  RETRY_ERROR_CODES: ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'],
+  // Quota reported as 'low' below this fraction of the limit
+  LOW_QUOTA_RATIO: 0.1,
+  HEADERS: {
+    minute: { limit: 'x-rate-limit-minute', used: 'x-minute-usage', remaining: 'x-minute-requests-left' },
+    hourly: { limit: 'x-rate-limit-hourly', used: 'x-hourly-usage', remaining: 'x-hourly-requests-left' },
+    daily: { limit: 'x-rate-limit-24-hour', used: 'x-24-hour-usage', remaining: 'x-24-hour-requests-left' }
+  }
+};
+
+// Apollo phone-reveal webhook (POST /webhook/phone-reveal)
+const WEBHOOK_CONFIG = {
+  // Apollo can take a while to find a number - tokens stay valid this long
+  TOKEN_TTL_SECONDS: parseInt(process.env.APOLLO_WEBHOOK_TOKEN_TTL_SECONDS || String(24 * 60 * 60), 10),
+  TOKEN_PARAM: 'token',
+  // Schema names come back from the token and are interpolated into SQL
+  SCHEMA_PATTERN: /^[a-z_][a-z0-9_]*$/i
+};
+
+// Decision maker phone reveals (POST /get-decision-maker-phones)
+const PHONE_REVEAL_CONFIG = {
+  MAX_CONTACTS_PER_REQUEST: 25,
+  // Reveal status stream (GET /phone-reveals/:id/events)
+  STREAM: {
+    HEARTBEAT_MS: 15000,
+    // Webhooks can land on another instance - re-read the reveal this often
+    POLL_MS: 5000,
+    // Streams close after this long; EventSource reconnects on its own
+    MAX_DURATION_MS: 5 * 60 * 1000
+  },
+  // Refund sweeper for reveals that never delivered a number
+  REFUND: {
+    // Pending reveals older than this are given up on and refunded. Never before
+    // the webhook token expires - Apollo can still deliver until then
+    DEADLINE_SECONDS: Math.max(
+      parseInt(process.env.APOLLO_PHONE_REVEAL_DEADLINE_SECONDS || String(WEBHOOK_CONFIG.TOKEN_TTL_SECONDS), 10),
+      WEBHOOK_CONFIG.TOKEN_TTL_SECONDS
+    ),
+    SWEEP_INTERVAL_MS: parseInt(process.env.APOLLO_PHONE_REVEAL_SWEEP_MS || String(5 * 60 * 1000), 10),
+    BATCH_SIZE: 100
+  }
+};
+
+// Saved company listing (GET /companies)
+const COMPANY_LIST_CONFIG = {
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 200
+};
+
+// Tables this feature reads or writes (checked by the health check)
+const DATABASE_TABLES = [
+  'employees_cache',
+  'apollo_search_history',
+  'apollo_search_cache',
+  'apollo_people_search_cursors',
+  'apollo_companies',
+  'apollo_enrichment_jobs',
+  'apollo_enrichment_job_items',
+  'apollo_webhook_nonces',
+  'phone_reveals',
+  'apollo_credit_refunds',
+  'apollo_tenant_credentials',
+  'linkedin_accounts',
+  'unipile_tenant_credentials',
+  'linkedin_search_parameters',
+  'outreach_sequences',
+  'outreach_sending_slots',
+  'outreach_prospects',
+  'outreach_events',
+  'linkedin_account_actions'
+];
+
+// Health check
+const HEALTH_CONFIG = {
+  // Results are reused for this long so monitoring can poll cheaply
+  CACHE_TTL_MS: parseInt(process.env.APOLLO_HEALTH_CACHE_MS || '30000', 10),
+  PROBE_TIMEOUT_MS: 5000,
+  // Apollo responses slower than this mark the check as degraded
+  SLOW_RESPONSE_MS: 2000,
+  ENDPOINTS: {
+    APOLLO: '/auth/health',
+    UNIPILE: '/accounts'
+  }
+};
+
 // Credit Costs for billable operations
 const CREDIT_COSTS = {
   EMAIL_REVEAL: 1,
@@ -59,6 +549,29 @@ const TIMEOUT_CONFIG = {
 module.exports = {
   APOLLO_CONFIG,
   CACHE_CONFIG,
+  PEOPLE_SEARCH_CONFIG,
+  COMPANY_FILTERS,
+  COMPANY_LIST_CONFIG,
+  ENRICHMENT_JOB_CONFIG,
+  BULK_SEARCH_CONFIG,
+  EMAIL_REVEAL_CONFIG,
+  EMAIL_DELIVERABILITY_CONFIG,
+  TENANT_CREDENTIALS_CONFIG,
+  LINKEDIN_ACCOUNT_CONFIG,
+  UNIPILE_SEARCH_CONFIG,
+  UNIPILE_SEARCH_FILTERS,
+  LINKEDIN_PARAMETER_CONFIG,
+  OUTREACH_SEQUENCE_CONFIG,
+  LINKEDIN_ACCOUNT_QUOTAS,
+  SENDING_SCHEDULE_CONFIG,
+  MESSAGE_TEMPLATE_CONFIG,
+  UNIPILE_EVENT_CONFIG,
+  UNIPILE_CREDENTIALS_CONFIG,
+  APOLLO_RATE_LIMIT_CONFIG,
+  WEBHOOK_CONFIG,
+  PHONE_REVEAL_CONFIG,
+  DATABASE_TABLES,
+  HEALTH_CONFIG,
   CREDIT_COSTS,
   TIMEOUT_CONFIG
 };
@@ -0,0 +1,113 @@
+/**
+ * Apollo Credentials Controller
+ * LAD Architecture: Tenant admins manage the tenant's own Apollo API key
+ *
+ * The key is never returned - responses carry its last 4 characters and test status.
+ */
+
+const logger = require('../../../core/utils/logger');
+const ApolloCredentialService = require('../services/ApolloCredentialService');
+
+/**
+ * Answer with the service error's status, or 500
+ */
+function sendError(res, error, message) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+
+  logger.error(`[Apollo Credentials Controller] ${message}`, {
+    error: error.message,
+    stack: error.stack
+  });
+
+  return res.status(500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+class ApolloCredentialsController {
+  /**
+   * Key status and which key the tenant's Apollo calls use
+   *
+   * GET /api/apollo-leads/credentials
+   */
+  async getCredentials(req, res) {
+    try {
+      const credential = await ApolloCredentialService.getStatus(req);
+      return res.json({ success: true, data: credential });
+    } catch (error) {
+      return sendError(res, error, 'Failed to get Apollo credentials');
+    }
+  }
+
+  /**
+   * Store the tenant's key (replaces an existing one)
+   *
+   * PUT /api/apollo-leads/credentials
+   * Body: { api_key }
+   */
+  async setCredentials(req, res) {
+    try {
+      const credential = await ApolloCredentialService.setKey(req.body?.api_key, req);
+      return res.json({ success: true, data: credential });
+    } catch (error) {
+      return sendError(res, error, 'Failed to save Apollo credentials');
+    }
+  }
+
+  /**
+   * Replace the stored key with a new one
+   *
+   * POST /api/apollo-leads/credentials/rotate
+   * Body: { api_key }
+   */
+  async rotateCredentials(req, res) {
+    try {
+      const credential = await ApolloCredentialService.rotateKey(req.body?.api_key, req);
+      return res.json({ success: true, data: credential });
+    } catch (error) {
+      return sendError(res, error, 'Failed to rotate Apollo credentials');
+    }
+  }
+
+  /**
+   * Test the stored key, or a candidate key without storing it
+   *
+   * POST /api/apollo-leads/credentials/test
+   * Body: { api_key? }
+   */
+  async testCredentials(req, res) {
+    try {
+      const result = await ApolloCredentialService.testKey(req, req.body?.api_key || null);
+      return res.json({
+        success: true,
+        data: {
+          status: result.test.status,
+          error: result.test.error,
+          credential: result.credential
+        }
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to test Apollo credentials');
+    }
+  }
+
+  /**
+   * Remove the tenant's key - Apollo calls go back to the platform key and platform credits
+   *
+   * DELETE /api/apollo-leads/credentials
+   */
+  async removeCredentials(req, res) {
+    try {
+      const credential = await ApolloCredentialService.removeKey(req);
+      return res.json({ success: true, data: credential });
+    } catch (error) {
+      return sendError(res, error, 'Failed to remove Apollo credentials');
+    }
+  }
+}
+
+module.exports = new ApolloCredentialsController();
@@ -1,4 +1,13 @@
 const ApolloLeadsService = require('../services/ApolloLeadsService');
+const ApolloCompanyService = require('../services/ApolloCompanyService');
+const ApolloBulkSearchService = require('../services/ApolloBulkSearchService');
+const ApolloDecisionMakerPhoneService = require('../services/ApolloDecisionMakerPhoneService');
+const ApolloHttpClient = require('../services/ApolloHttpClient');
+const ApolloCredentialService = require('../services/ApolloCredentialService');
+const PhoneRevealService = require('../services/PhoneRevealService');
+const { PHONE_REVEAL_CONFIG } = require('../constants/constants');
+const { isTerminal: isRevealTerminal } = require('../models/PhoneReveal');
+const { normalizeCompanySearchParams } = require('../utils/apolloUtils');
 const logger = require('../../../core/utils/logger');
 
 /**
@@ -23,38 +32,22 @@ class ApolloLeadsController {
       // Support both POST (body) and GET (query) parameters
       // POST requests use req.body, GET requests use req.query
       const params = req.method === 'POST' ? req.body : req.query;
-      
-      const {
-        keywords,
-        industry,
-        location,
-        company_size,
-        revenue_range,
-        technology,
-        limit = 50,
-        page = 1
-      } = params;
-
-      const searchParams = {
-        keywords: keywords ? (Array.isArray(keywords) ? keywords : keywords.split(',')) : [],
-        industry,
-        location,
-        company_size,
-        revenue_range,
-        technology,
-        limit: parseInt(limit),
-        page: parseInt(page)
-      };
+      const searchParams = normalizeCompanySearchParams(params);
 
-      const results = await ApolloLeadsService.searchCompanies(searchParams, req);
+      // Cache lookup already ran in middleware (before billing) when mounted on /search
+      const result = await ApolloLeadsService.searchCompanies(searchParams, req, {
+        cachedSearch: req.apolloSearchCache
+      });
       
       res.json({
         success: true,
-        data: results,
+        data: result.companies,
+        from_cache: result.from_cache,
+        cache_age: result.cache_age,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: results.length
+          page: searchParams.page,
+          limit: searchParams.limit,
+          total: result.companies.length
         }
       });
     } catch (error) {
@@ -74,23 +67,21 @@ class ApolloLeadsController {
       // LAD Architecture: Validate tenant context
       validateTenant(req);
       
+      // Searches validated by validateBulkSearchMiddleware
       const { searches } = req.body;
-      
-      if (!Array.isArray(searches)) {
-        return res.status(400).json({
-          error: 'Invalid request',
-          message: 'searches must be an array'
-        });
-      }
 
-      const results = await Promise.all(
-        searches.map(search => ApolloLeadsService.searchCompanies(search))
-      );
+      const result = await ApolloBulkSearchService.runSearches(searches, req, {
+        creditsReserved: req.apolloCreditsReserved || 0
+      });
 
       res.json({
         success: true,
-        data: results,
-        total_searches: searches.length
+        data: result.results,
+        total_searches: searches.length,
+        succeeded: result.succeeded,
+        failed: result.failed,
+        credits_used: result.credits_used,
+        credits_refunded: result.credits_refunded
       });
     } catch (error) {
       logger.error('[Apollo Leads Controller] Apollo bulk search error', {
@@ -110,7 +101,7 @@ class ApolloLeadsController {
       validateTenant(req);
       
       const { id } = req.params;
-      const company = await ApolloLeadsService.getCompanyById(id);
+      const company = await ApolloLeadsService.getCompanyById(id, req);
       
       if (!company) {
         return res.status(404).json({
@@ -135,6 +126,38 @@ class ApolloLeadsController {
     }
   }
 
+  async listSavedCompanies(req, res) {
+    try {
+      // LAD Architecture: Validate tenant context
+      validateTenant(req);
+
+      const { industry, location, domain, company_size, limit, page } = req.query;
+      const result = await ApolloCompanyService.listCompanies({
+        industry,
+        location,
+        domain,
+        company_size,
+        limit,
+        page
+      }, req);
+
+      res.json({
+        success: true,
+        data: result.companies,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('[Apollo Leads Controller] List saved companies error', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({
+        error: 'Failed to list saved companies',
+        message: error.message
+      });
+    }
+  }
+
   async getCompanyLeads(req, res) {
     try {
       // LAD Architecture: Validate tenant context
@@ -147,7 +170,7 @@ class ApolloLeadsController {
         limit: parseInt(limit),
         page: parseInt(page),
         title_filter
-      });
+      }, req);
 
       res.json({
         success: true,
@@ -194,6 +217,9 @@ class ApolloLeadsController {
       res.json({
         success: true,
         email: result.email,
+        email_status: result.email_status,
+        email_deliverability: result.email_deliverability,
+        email_checks: result.email_checks,
         from_cache: result.from_cache,
         credits_used: result.credits_used
       });
@@ -210,6 +236,37 @@ class ApolloLeadsController {
     }
   }
 
+  async revealEmails(req, res) {
+    try {
+      // LAD Architecture: Validate tenant context
+      validateTenant(req);
+      
+      // person_ids validated by validateRevealEmailsMiddleware
+      const { person_ids } = req.body;
+      
+      const result = await ApolloLeadsService.revealEmails(person_ids, req, {
+        creditsReserved: req.apolloCreditsReserved || 0
+      });
+      
+      res.json({
+        success: true,
+        results: result.results,
+        total_credits_used: result.total_credits_used,
+        credits_refunded: result.credits_refunded
+      });
+    } catch (error) {
+      logger.error('[Apollo Leads Controller] Bulk email reveal error', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Bulk email reveal failed',
+        message: error.message
+      });
+    }
+  }
+
   async revealPhone(req, res) {
     try {
       // LAD Architecture: Validate tenant context
@@ -232,12 +289,17 @@ class ApolloLeadsController {
         return res.json({
           success: false,
           error: result.error,
+          reveal_id: result.reveal_id,
+          status: result.status,
           credits_used: result.credits_used
         });
       }
       
+      // status 'pending': follow reveal_id via /phone-reveals/:id or its event stream
       res.json({
         success: true,
+        reveal_id: result.reveal_id,
+        status: result.status || (result.phone ? 'delivered' : 'pending'),
         phone: result.phone,
         from_cache: result.from_cache,
         credits_used: result.credits_used
@@ -255,6 +317,176 @@ class ApolloLeadsController {
     }
   }
 
+  /**
+   * Current state of a phone reveal
+   */
+  async getPhoneReveal(req, res) {
+    try {
+      // LAD Architecture: Validate tenant context
+      validateTenant(req);
+
+      const reveal = await PhoneRevealService.getReveal(req.params.revealId, req);
+      if (!reveal) {
+        return res.status(404).json({
+          success: false,
+          error: 'Phone reveal not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: reveal
+      });
+    } catch (error) {
+      logger.error('[Apollo Leads Controller] Get phone reveal error', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get phone reveal',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Server-sent events for a phone reveal
+   * Sends a 'reveal' event with the current state, then one per status change,
+   * and closes once the reveal is delivered/unavailable/expired (or after
+   * PHONE_REVEAL_CONFIG.STREAM.MAX_DURATION_MS - EventSource reconnects).
+   */
+  async streamPhoneReveal(req, res) {
+    let unsubscribe = null;
+    let heartbeat = null;
+    let deadline = null;
+
+    const close = () => {
+      if (unsubscribe) unsubscribe();
+      clearInterval(heartbeat);
+      clearTimeout(deadline);
+      if (!res.writableEnded) res.end();
+    };
+
+    try {
+      // LAD Architecture: Validate tenant context
+      validateTenant(req);
+
+      const send = (reveal) => {
+        if (res.writableEnded) return;
+        res.write(`event: reveal\ndata: ${JSON.stringify(reveal)}\n\n`);
+        if (isRevealTerminal(reveal)) {
+          // Let subscribe() return before tearing the stream down
+          setImmediate(close);
+        }
+      };
+
+      unsubscribe = await PhoneRevealService.subscribe(req.params.revealId, req, (reveal) => {
+        if (!res.headersSent) {
+          res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+          });
+        }
+        send(reveal);
+      }, { pollMs: PHONE_REVEAL_CONFIG.STREAM.POLL_MS });
+
+      if (!unsubscribe) {
+        return res.status(404).json({
+          success: false,
+          error: 'Phone reveal not found'
+        });
+      }
+
+      if (res.writableEnded) {
+        unsubscribe();
+        return;
+      }
+
+      heartbeat = setInterval(() => res.write(': keep-alive\n\n'), PHONE_REVEAL_CONFIG.STREAM.HEARTBEAT_MS);
+      deadline = setTimeout(close, PHONE_REVEAL_CONFIG.STREAM.MAX_DURATION_MS);
+      req.on('close', close);
+    } catch (error) {
+      logger.error('[Apollo Leads Controller] Phone reveal stream error', {
+        error: error.message,
+        stack: error.stack
+      });
+      if (res.headersSent) {
+        close();
+        return;
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to stream phone reveal',
+        message: error.message
+      });
+    }
+  }
+
+  async getDecisionMakerPhones(req, res) {
+    try {
+      // LAD Architecture: Validate tenant context
+      validateTenant(req);
+      
+      // Contacts validated by validateDecisionMakerPhonesMiddleware
+      const { contacts } = req.body;
+      
+      const result = await ApolloDecisionMakerPhoneService.revealPhones(contacts, req, {
+        creditsReserved: req.apolloCreditsReserved || 0
+      });
+      
+      res.json({
+        success: true,
+        results: result.results,
+        total_credits_used: result.total_credits_used,
+        credits_refunded: result.credits_refunded
+      });
+    } catch (error) {
+      logger.error('[Apollo Leads Controller] Decision maker phones error', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Decision maker phone reveal failed',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Current Apollo rate-limit quota, as last reported by Apollo
+   * Lets the UI warn before searches start failing
+   */
+  async getQuota(req, res) {
+    try {
+      // LAD Architecture: Validate tenant context
+      validateTenant(req);
+
+      // Quota of the key this tenant's calls use (its own key, or the platform key)
+      const credentials = await ApolloCredentialService.getCredentials(req);
+
+      res.json({
+        success: true,
+        data: {
+          ...ApolloHttpClient.getQuotaState(credentials.apiKey),
+          key_source: credentials.source
+        }
+      });
+    } catch (error) {
+      logger.error('[Apollo Leads Controller] Get quota error', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({
+        error: 'Failed to get Apollo quota',
+        message: error.message
+      });
+    }
+  }
+
   async getSearchHistory(req, res) {
     try {
       // LAD Architecture: Validate tenant context
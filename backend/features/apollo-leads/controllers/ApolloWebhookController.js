@@ -6,12 +6,17 @@
 
 const logger = require('../../../core/utils/logger');
 const ApolloWebhookService = require('../services/ApolloWebhookService');
+const { WEBHOOK_CONFIG } = require('../constants/constants');
 
 class ApolloWebhookController {
   /**
-   * POST /api/apollo-leads/webhook/phone-reveal
+   * POST /api/apollo-leads/webhook/phone-reveal?token=...
    * Receives phone number from Apollo webhook
    * 
+   * The token was put in the webhook URL when the reveal was requested
+   * (ApolloWebhookService.buildPhoneRevealWebhookUrl) and decides which
+   * tenant and schema the phone is written to.
+   * 
    * Apollo sends:
    * {
    *   "person": {
@@ -30,16 +35,17 @@ class ApolloWebhookController {
         hasPerson: !!req.body?.person
       });
 
-      // Validate webhook signature (if needed in future)
-      if (!ApolloWebhookService.validateWebhookSignature(req)) {
+      const verification = ApolloWebhookService.verifyWebhookToken(req.query[WEBHOOK_CONFIG.TOKEN_PARAM]);
+      if (!verification.valid) {
+        logger.warn('[Apollo Webhook Controller] Webhook token rejected', { reason: verification.error });
         return res.status(401).json({
           success: false,
-          error: 'Invalid webhook signature'
+          error: verification.error
         });
       }
 
       // Process webhook via service layer
-      const result = await ApolloWebhookService.processPhoneReveal(req.body);
+      const result = await ApolloWebhookService.processPhoneReveal(req.body, verification.claims);
 
       // Return success to Apollo
       return res.json(result);
@@ -50,17 +56,9 @@ class ApolloWebhookController {
         stack: error.stack
       });
 
-      // Always return 200 to Apollo to prevent retries on our app errors
-      // If it's a validation error (4xx), we can return the appropriate code
-      if (error.message.includes('Invalid') || error.message.includes('Missing')) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
-
-      if (error.message.includes('not found')) {
-        return res.status(404).json({
+      // 4xx tells Apollo not to retry: bad payload, unknown person or replay
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
           success: false,
           error: error.message
         });
@@ -20,9 +20,15 @@ class CampaignUnipileSearchController {
    *   designation?: string (job title),
    *   company?: string,
    *   skills?: string,
+   *   api?: 'classic' | 'sales_navigator' | 'recruiter' (default: from the account type),
+   *   url?: string (LinkedIn people search or Sales Navigator list URL, instead of filters),
+   *   seniority?, function?, company_headcount?, years_in_role?, changed_jobs?,
+   *   posted_on_linkedin?, years_of_experience? (Sales Navigator / Recruiter filters),
    *   limit?: number,
-   *   accountId: string (Unipile account ID),
-   *   prefer_source?: 'unipile' | 'apollo'
+   *   accountId: string (tenant's registered Unipile account ID),
+   *   prefer_source?: 'unipile' | 'apollo',
+   *   cursor?: string (next_cursor of the previous Unipile page),
+   *   collect?: boolean (follow Unipile pages server-side up to limit results)
    * }
    */
   static async searchLeadsForCampaign(req, res) {
@@ -36,25 +42,38 @@ class CampaignUnipileSearchController {
       }
 
       const {
+        api,
+        url,
         keywords,
         industry,
         location,
         designation,
         company,
         skills,
+        seniority,
+        company_headcount,
+        years_in_role,
+        changed_jobs,
+        posted_on_linkedin,
+        years_of_experience,
         limit = 50,
         accountId,
-        prefer_source = 'unipile'
+        prefer_source = 'unipile',
+        cursor,
+        collect = false
       } = req.body;
 
       logger.info('[Campaign Unipile Search] Searching leads for campaign', {
         tenantId,
         filters: { industry, location, designation },
+        api,
+        url,
         prefer_source
       });
 
-      // Validate at least one filter
-      if (!keywords && !industry && !location && !designation && !company && !skills) {
+      // Validate at least one filter (filters of Sales Navigator / Recruiter
+      // searches are checked by validateUnipileSearchMiddleware)
+      if (!url && !keywords && !industry && !location && !designation && !company && !skills && !api) {
         return res.status(400).json({
           success: false,
           error: 'At least one search filter is required',
@@ -62,15 +81,43 @@ class CampaignUnipileSearchController {
         });
       }
 
+      // Cursors only continue Unipile searches
+      if (cursor && (prefer_source !== 'unipile' || !accountId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'cursor requires prefer_source "unipile" and the accountId of the first page'
+        });
+      }
+
+      // LinkedIn urls are Unipile-only
+      if (url && (prefer_source !== 'unipile' || !accountId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'url requires prefer_source "unipile" and an accountId'
+        });
+      }
+
       const campaignParams = {
+        api,
+        url,
         keywords,
         industry,
         location,
         designation,
         company,
         skills,
+        seniority,
+        function: req.body.function,
+        company_headcount,
+        years_in_role,
+        changed_jobs,
+        posted_on_linkedin,
+        years_of_experience,
         limit,
-        accountId
+        accountId,
+        cursor,
+        collect,
+        credentials: req.unipileCredentials
       };
 
       // Search with fallback
@@ -87,12 +134,16 @@ class CampaignUnipileSearchController {
         sources_tried: result.sources_tried,
         errors: result.errors.length > 0 ? result.errors : undefined,
         pagination: {
-          page: 1,
           limit,
-          total: result.count
+          total: result.count,
+          next_cursor: result.next_cursor || null
         }
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+      }
+
       logger.error('[Campaign Unipile Search] Error searching leads', {
         error: error.message,
         stack: error.stack
@@ -169,7 +220,8 @@ class CampaignUnipileSearchController {
         industry,
         location,
         limit: 5,
-        accountId
+        accountId,
+        credentials: req.unipileCredentials
       };
 
       // Test Unipile
@@ -255,7 +307,8 @@ class CampaignUnipileSearchController {
         location,
         designation,
         limit: 25,
-        accountId
+        accountId,
+        credentials: req.unipileCredentials
       };
 
       logger.info('[Campaign Unipile Search] Comparing source results', {
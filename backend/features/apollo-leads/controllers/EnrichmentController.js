@@ -8,62 +8,26 @@
 const logger = require('../../../core/utils/logger');
 const { getSchema } = require('../../../core/utils/schemaHelper');
 const { requireTenantId } = require('../../../core/utils/tenantHelper');
-const ApolloRevealService = require('../services/ApolloRevealService');
+const ApolloLeadsService = require('../services/ApolloLeadsService');
+const EnrichmentJobService = require('../services/EnrichmentJobService');
 const CampaignLeadRepository = require('../../campaigns/repositories/CampaignLeadRepository');
-const { pool } = require('../../../shared/database/connection');
 
 class EnrichmentController {
   /**
    * Enrich a single lead with email and LinkedIn URL
    * Called when user clicks on email unlock or LinkedIn URL
    * 
-   * POST /api/apollo/enrichment/lead/:leadId
-   * Body: { personId, name }
+   * POST /api/apollo-leads/enrichment/lead/:leadId
+   * Body: { personId, name } - personId is resolved from the campaign lead
+   * by resolveEnrichmentLeadMiddleware when missing
    */
   async enrichLead(req, res) {
     try {
       const { leadId } = req.params;
-      let { personId, name } = req.body;
+      const { personId, name } = req.body;
       const tenantId = requireTenantId(null, req, 'enrichLead');
       const schema = getSchema(req);
 
-      // If personId not provided, fetch from campaign_lead's lead_data JSONB
-      if (!personId) {
-        logger.info('[Enrichment] Fetching apollo_person_id from campaign_lead', { leadId });
-        
-        const query = `
-          SELECT 
-            lead_data->>'apollo_person_id' as apollo_person_id,
-            lead_data->>'name' as name,
-            email,
-            company_name
-          FROM ${schema}.campaign_leads
-          WHERE id = $1 AND tenant_id = $2
-        `;
-        
-        const result = await pool.query(query, [leadId, tenantId]);
-        
-        if (result.rows.length === 0) {
-          logger.warn('[Enrichment] Campaign lead not found', { leadId, tenantId: tenantId.substring(0, 8) + '...' });
-          return res.status(404).json({ error: 'Lead not found' });
-        }
-
-        const leadData = result.rows[0];
-        personId = leadData.apollo_person_id;
-        name = name || leadData.name;
-
-        if (!personId) {
-          logger.warn('[Enrichment] Lead has no apollo_person_id', { leadId, name });
-          return res.status(400).json({ error: 'Lead does not have apollo_person_id for enrichment' });
-        }
-
-        logger.info('[Enrichment] Retrieved apollo_person_id from lead', {
-          leadId,
-          personId,
-          name: name ? name.substring(0, 20) : 'Unknown'
-        });
-      }
-
       logger.info('[Enrichment] Lead enrichment requested', {
         leadId,
         personId,
@@ -71,17 +35,8 @@ class EnrichmentController {
         tenantId: tenantId.substring(0, 8) + '...'
       });
 
-      // Create reveal service
-      const apiKey = process.env.APOLLO_API_KEY;
-      if (!apiKey) {
-        logger.error('[Enrichment] Apollo API key not configured');
-        return res.status(500).json({ error: 'Apollo API not configured' });
-      }
-
-      const revealService = new ApolloRevealService(apiKey, 'https://api.apollo.io/v1');
-
-      // Call enrichment API
-      const enrichResult = await revealService.revealEmail(personId, name, req, tenantId);
+      // Call enrichment API (uses the tenant's own Apollo key when it has one)
+      const enrichResult = await ApolloLeadsService.revealEmail(personId, name, req);
 
       if (enrichResult.email) {
         logger.info('[Enrichment] Lead enriched successfully', {
@@ -150,154 +105,129 @@ class EnrichmentController {
   }
 
   /**
-   * Enrich multiple leads in batch
-   * Called for batch enrichment of visible leads
+   * Start a batch enrichment job
+   * Leads are enriched in the background; poll the job for progress and results
    * 
-   * POST /api/apollo/enrichment/batch
+   * POST /api/apollo-leads/enrichment/batch
    * Body: { leads: [{ leadId, personId, name }, ...] }
+   * Returns: 202 { job }
    */
   async enrichLeadsBatch(req, res) {
     try {
       const { leads } = req.body;
-      const tenantId = requireTenantId(null, req, 'enrichLeadsBatch');
-      const schema = getSchema(req);
 
-      if (!leads || !Array.isArray(leads) || leads.length === 0) {
-        return res.status(400).json({ error: 'leads array is required' });
-      }
-
-      logger.info('[Enrichment] Batch enrichment requested', {
-        leadsCount: leads.length,
-        tenantId: tenantId.substring(0, 8) + '...'
+      const job = await EnrichmentJobService.createJob(leads, req, {
+        creditsReserved: req.apolloCreditsReserved || 0
       });
 
-      // Create reveal service
-      const apiKey = process.env.APOLLO_API_KEY;
-      if (!apiKey) {
-        logger.error('[Enrichment] Apollo API key not configured');
-        return res.status(500).json({ error: 'Apollo API not configured' });
+      return res.status(202).json({
+        success: true,
+        data: {
+          job_id: job.id,
+          job
+        }
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
       }
 
-      const revealService = new ApolloRevealService(apiKey, 'https://api.apollo.io/v1');
-
-      const results = [];
-      const enrichmentDelayMs = parseInt(process.env.APOLLO_ENRICHMENT_DELAY_MS || '200', 10);
+      logger.error('[Enrichment] Error creating batch enrichment job', {
+        error: error.message,
+        stack: error.stack
+      });
 
-      for (const lead of leads) {
-        try {
-          let { leadId, personId, name } = lead;
+      return res.status(500).json({
+        error: 'Failed to start batch enrichment',
+        message: error.message
+      });
+    }
+  }
 
-          // If personId not provided, fetch from campaign_lead's lead_data JSONB
-          if (!personId) {
-            const query = `
-              SELECT 
-                lead_data->>'apollo_person_id' as apollo_person_id,
-                lead_data->>'name' as name
-              FROM ${schema}.campaign_leads
-              WHERE id = $1 AND tenant_id = $2
-            `;
-            
-            const result = await pool.query(query, [leadId, tenantId]);
-            
-            if (result.rows.length === 0) {
-              results.push({
-                leadId,
-                success: false,
-                error: 'Lead not found'
-              });
-              continue;
-            }
+  /**
+   * Get batch enrichment job progress
+   * 
+   * GET /api/apollo-leads/enrichment/jobs/:jobId
+   */
+  async getBatchJob(req, res) {
+    try {
+      const job = await EnrichmentJobService.getJob(req.params.jobId, req);
 
-            const leadData = result.rows[0];
-            personId = leadData.apollo_person_id;
-            name = name || leadData.name;
+      if (!job) {
+        return res.status(404).json({ error: 'Enrichment job not found' });
+      }
 
-            if (!personId) {
-              results.push({
-                leadId,
-                success: false,
-                error: 'Lead does not have apollo_person_id'
-              });
-              continue;
-            }
-          }
+      return res.json({ success: true, data: job });
+    } catch (error) {
+      logger.error('[Enrichment] Error getting enrichment job', {
+        error: error.message,
+        stack: error.stack
+      });
 
-          // Call enrichment API
-          const enrichResult = await revealService.revealEmail(personId, name, req, tenantId);
+      return res.status(500).json({
+        error: 'Failed to get enrichment job',
+        message: error.message
+      });
+    }
+  }
 
-          if (enrichResult.email) {
-            // Save enriched data to database
-            try {
-              await CampaignLeadRepository.updateEnrichedData(
-                leadId,
-                enrichResult.email,
-                enrichResult.linkedin_url,
-                tenantId,
-                schema
-              );
-            } catch (saveError) {
-              logger.error('[Enrichment] Failed to save enriched data for lead in batch', {
-                leadId,
-                error: saveError.message
-              });
-              // Continue processing - don't fail entire batch
-            }
+  /**
+   * Get per-lead results of a batch enrichment job
+   * 
+   * GET /api/apollo-leads/enrichment/jobs/:jobId/results
+   * Query: { status?, limit?, offset? }
+   */
+  async getBatchJobResults(req, res) {
+    try {
+      const { status, limit = 100, offset = 0 } = req.query;
 
-            results.push({
-              leadId,
-              success: true,
-              email: enrichResult.email,
-              linkedin_url: enrichResult.linkedin_url,
-              from_cache: enrichResult.from_cache,
-              credits_used: enrichResult.credits_used
-            });
-          } else {
-            results.push({
-              leadId,
-              success: false,
-              error: enrichResult.error || 'No email available'
-            });
-          }
+      const results = await EnrichmentJobService.getJobResults(req.params.jobId, {
+        status: status || null,
+        limit: Math.min(parseInt(limit, 10) || 100, 500),
+        offset: parseInt(offset, 10) || 0
+      }, req);
 
-          // Rate limiting
-          if (results.length < leads.length) {
-            await new Promise(resolve => setTimeout(resolve, enrichmentDelayMs));
-          }
-        } catch (leadError) {
-          results.push({
-            leadId: lead.leadId,
-            success: false,
-            error: leadError.message
-          });
-        }
+      if (!results) {
+        return res.status(404).json({ error: 'Enrichment job not found' });
       }
 
-      const successCount = results.filter(r => r.success).length;
-      const failureCount = results.filter(r => !r.success).length;
-
-      logger.info('[Enrichment] Batch enrichment completed', {
-        totalRequested: leads.length,
-        successCount,
-        failureCount
+      return res.json({ success: true, data: results });
+    } catch (error) {
+      logger.error('[Enrichment] Error getting enrichment job results', {
+        error: error.message,
+        stack: error.stack
       });
 
-      return res.json({
-        success: true,
-        data: {
-          total: results.length,
-          succeeded: successCount,
-          failed: failureCount,
-          results
-        }
+      return res.status(500).json({
+        error: 'Failed to get enrichment job results',
+        message: error.message
       });
+    }
+  }
+
+  /**
+   * Cancel a batch enrichment job
+   * Unprocessed leads are skipped and their credits refunded
+   * 
+   * POST /api/apollo-leads/enrichment/jobs/:jobId/cancel
+   */
+  async cancelBatchJob(req, res) {
+    try {
+      const job = await EnrichmentJobService.cancelJob(req.params.jobId, req);
+
+      if (!job) {
+        return res.status(404).json({ error: 'Enrichment job not found' });
+      }
+
+      return res.json({ success: true, data: job });
     } catch (error) {
-      logger.error('[Enrichment] Error in batch enrichment', {
+      logger.error('[Enrichment] Error cancelling enrichment job', {
         error: error.message,
         stack: error.stack
       });
 
       return res.status(500).json({
-        error: 'Failed to perform batch enrichment',
+        error: 'Failed to cancel enrichment job',
         message: error.message
       });
     }
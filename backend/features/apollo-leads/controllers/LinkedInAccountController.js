@@ -0,0 +1,158 @@
+/**
+ * LinkedIn Account Controller
+ *
+ * Registry of the tenant's Unipile-connected LinkedIn accounts, and the
+ * tenant's own Unipile credentials (token never returned)
+ */
+
+const LinkedInAccountService = require('../services/LinkedInAccountService');
+const UnipileCredentialService = require('../services/UnipileCredentialService');
+const logger = require('../../../core/utils/logger');
+
+/**
+ * Answer with the service error's status, or 500
+ */
+function sendError(res, error, message) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+
+  logger.error(`[LinkedIn Account Controller] ${message}`, {
+    error: error.message,
+    stack: error.stack
+  });
+
+  return res.status(500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+class LinkedInAccountController {
+  /**
+   * List the tenant's LinkedIn accounts
+   * GET /api/apollo-leads/unipile/accounts
+   */
+  static async listAccounts(req, res) {
+    try {
+      const accounts = await LinkedInAccountService.listAccounts(req, { status: req.query.status });
+      return res.json({ success: true, data: accounts, count: accounts.length });
+    } catch (error) {
+      return sendError(res, error, 'Failed to list LinkedIn accounts');
+    }
+  }
+
+  /**
+   * Register a Unipile LinkedIn account for the tenant
+   * POST /api/apollo-leads/unipile/accounts
+   */
+  static async registerAccount(req, res) {
+    try {
+      const account = await LinkedInAccountService.registerAccount(req.body || {}, req);
+      return res.status(201).json({ success: true, data: account });
+    } catch (error) {
+      return sendError(res, error, 'Failed to register LinkedIn account');
+    }
+  }
+
+  /**
+   * Unipile hosted auth link connecting a LinkedIn account on the platform workspace
+   * POST /api/apollo-leads/unipile/accounts/connect
+   */
+  static async createConnectLink(req, res) {
+    try {
+      const link = await LinkedInAccountService.createConnectLink(req);
+      return res.status(201).json({ success: true, data: link });
+    } catch (error) {
+      return sendError(res, error, 'Failed to create LinkedIn connect link');
+    }
+  }
+
+  /**
+   * Unipile hosted auth notification - registers the connected account
+   * POST /api/apollo-leads/webhook/unipile-accounts
+   * Authenticated by the signed token Unipile echoes back as `name`
+   */
+  static async handleHostedConnection(req, res) {
+    try {
+      const result = await LinkedInAccountService.completeHostedConnection(req.body || {});
+      return res.json(result);
+    } catch (error) {
+      if (error.statusCode === 401) {
+        logger.warn('[LinkedIn Account Controller] Hosted auth notification rejected', { reason: error.message });
+      }
+      return sendError(res, error, 'Failed to register connected LinkedIn account');
+    }
+  }
+
+  /**
+   * Update an account's owner, display name, type or status
+   * PATCH /api/apollo-leads/unipile/accounts/:id
+   */
+  static async updateAccount(req, res) {
+    try {
+      const account = await LinkedInAccountService.updateAccount(req.params.id, req.body || {}, req);
+      return res.json({ success: true, data: account });
+    } catch (error) {
+      return sendError(res, error, 'Failed to update LinkedIn account');
+    }
+  }
+
+  /**
+   * Remove an account from the registry
+   * DELETE /api/apollo-leads/unipile/accounts/:id
+   */
+  static async removeAccount(req, res) {
+    try {
+      const result = await LinkedInAccountService.removeAccount(req.params.id, req);
+      return res.json({ success: true, data: result });
+    } catch (error) {
+      return sendError(res, error, 'Failed to remove LinkedIn account');
+    }
+  }
+
+  /**
+   * Unipile credential status and which workspace the tenant uses
+   * GET /api/apollo-leads/unipile/credentials
+   */
+  static async getCredentials(req, res) {
+    try {
+      const credential = await UnipileCredentialService.getStatus(req);
+      return res.json({ success: true, data: credential });
+    } catch (error) {
+      return sendError(res, error, 'Failed to get Unipile credentials');
+    }
+  }
+
+  /**
+   * Store the tenant's Unipile DSN and token (replaces existing ones)
+   * PUT /api/apollo-leads/unipile/credentials
+   */
+  static async setCredentials(req, res) {
+    try {
+      const credential = await UnipileCredentialService.setCredentials({
+        dsn: req.body?.dsn,
+        token: req.body?.token
+      }, req);
+      return res.json({ success: true, data: credential });
+    } catch (error) {
+      return sendError(res, error, 'Failed to save Unipile credentials');
+    }
+  }
+
+  /**
+   * Remove the tenant's credentials - Unipile calls go back to the platform workspace
+   * DELETE /api/apollo-leads/unipile/credentials
+   */
+  static async removeCredentials(req, res) {
+    try {
+      const credential = await UnipileCredentialService.removeCredentials(req);
+      return res.json({ success: true, data: credential });
+    } catch (error) {
+      return sendError(res, error, 'Failed to remove Unipile credentials');
+    }
+  }
+}
+
+module.exports = LinkedInAccountController;
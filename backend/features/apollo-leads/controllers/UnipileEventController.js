@@ -0,0 +1,62 @@
+/**
+ * Unipile Event Controller
+ * Receives Unipile webhooks (new messages, new relations) for outreach sequences
+ * LAD Architecture Compliant
+ */
+
+const logger = require('../../../core/utils/logger');
+const UnipileEventService = require('../services/UnipileEventService');
+const { UNIPILE_EVENT_CONFIG } = require('../constants/constants');
+
+class UnipileEventController {
+  /**
+   * POST /api/apollo-leads/webhook/unipile-events
+   * Unipile sends the Unipile-Auth header the webhook was created with
+   *
+   * Unipile sends (message_received):
+   * {
+   *   "event": "message_received",
+   *   "account_id": "...",
+   *   "message_id": "...",
+   *   "sender": { "attendee_provider_id": "...", "attendee_profile_url": "..." },
+   *   ...
+   * }
+   * or (new_relation):
+   * { "event": "new_relation", "account_id": "...", "user_provider_id": "...", "user_profile_url": "...", ... }
+   */
+  static async handleEvent(req, res) {
+    try {
+      const verification = UnipileEventService.verifyWebhookSecret(req.headers[UNIPILE_EVENT_CONFIG.AUTH_HEADER]);
+      if (!verification.valid) {
+        logger.warn('[Unipile Event Controller] Webhook rejected', { reason: verification.error });
+        return res.status(verification.statusCode).json({
+          success: false,
+          error: verification.error
+        });
+      }
+
+      const result = await UnipileEventService.processEvent(req.body);
+      return res.json(result);
+    } catch (error) {
+      // 4xx tells Unipile not to retry: malformed event
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('[Unipile Event Controller] Error handling webhook', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = UnipileEventController;
@@ -5,7 +5,11 @@
  */
 
 const UnipileOutreachSequenceService = require('../services/UnipileOutreachSequenceService');
+const LinkedInAccountQuotaService = require('../services/LinkedInAccountQuotaService');
+const { getSchema } = require('../../../core/utils/schemaHelper');
 const logger = require('../../../core/utils/logger');
+const { findUnknownVariables } = require('../utils/messageTemplate');
+const { OUTREACH_SEQUENCE_CONFIG } = require('../constants/constants');
 
 class UnipileOutreachSequenceController {
   /**
@@ -21,6 +25,8 @@ class UnipileOutreachSequenceController {
         profileIds,
         accountId,
         message,
+        steps,
+        schedule,
         dailyLimit = 40,
         startDate
       } = req.body;
@@ -43,19 +49,32 @@ class UnipileOutreachSequenceController {
         tenantId,
         campaignId,
         profileCount: profileIds.length,
+        stepCount: Array.isArray(steps) ? steps.length : 1,
         accountId
       });
 
       const result = await UnipileOutreachSequenceService.createOutreachSequence({
         campaignId,
         tenantId,
+        schema: getSchema(req),
         profileIds,
         accountId,
         message,
+        steps,
+        schedule,
         dailyLimit,
         startDate
       });
 
+      // Invalid start date, account not the tenant's, or invitation notes too long once rendered for some prospects
+      if (!result.success && result.statusCode) {
+        return res.status(result.statusCode).json({
+          success: false,
+          error: result.error,
+          details: result.details
+        });
+      }
+
       res.json(result);
     } catch (error) {
       logger.error('[Outreach Controller] Create sequence error', {
@@ -70,6 +89,69 @@ class UnipileOutreachSequenceController {
     }
   }
 
+  /**
+   * Render a message template for a profile
+   * POST /api/apollo-leads/unipile/outreach/preview
+   */
+  static async previewTemplate(req, res) {
+    try {
+      const tenantId = req.user?.tenantId || req.user?.tenant_id || req.headers['x-tenant-id'];
+      const { template, profileId, accountId, stepType = 'message' } = req.body;
+      const stepTypes = Object.values(OUTREACH_SEQUENCE_CONFIG.STEP_TYPES);
+
+      if (typeof template !== 'string' || !template.trim() || !profileId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: template, profileId'
+        });
+      }
+
+      if (template.length > OUTREACH_SEQUENCE_CONFIG.MAX_TEMPLATE_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `template must be at most ${OUTREACH_SEQUENCE_CONFIG.MAX_TEMPLATE_LENGTH} characters`
+        });
+      }
+
+      if (!stepTypes.includes(stepType)) {
+        return res.status(400).json({
+          success: false,
+          error: `stepType must be one of: ${stepTypes.join(', ')}`
+        });
+      }
+
+      const unknownVariables = findUnknownVariables(template);
+      if (unknownVariables.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `template uses unknown variables: ${unknownVariables.join(', ')}`
+        });
+      }
+
+      const result = await UnipileOutreachSequenceService.previewTemplate({
+        template,
+        profileId: String(profileId),
+        stepType,
+        accountId,
+        tenantId,
+        schema: getSchema(req),
+        credentials: req.unipileCredentials
+      });
+
+      res.json(result);
+    } catch (error) {
+      logger.error('[Outreach Controller] Preview template error', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get pending slots for today
    * GET /api/apollo-leads/unipile/outreach/pending
@@ -93,7 +175,8 @@ class UnipileOutreachSequenceController {
 
       const result = await UnipileOutreachSequenceService.getPendingSlotsForToday(
         accountId,
-        tenantId
+        tenantId,
+        getSchema(req)
       );
 
       res.json({
@@ -115,6 +198,41 @@ class UnipileOutreachSequenceController {
     }
   }
 
+  /**
+   * Get the account's invitation and message quota usage (all sequences)
+   * GET /api/apollo-leads/unipile/outreach/usage
+   */
+  static async getAccountUsage(req, res) {
+    try {
+      const tenantId = req.user?.tenantId || req.user?.tenant_id || req.headers['x-tenant-id'];
+      const { accountId } = req.query;
+
+      if (!accountId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required query parameter: accountId'
+        });
+      }
+
+      const usage = await LinkedInAccountQuotaService.getUsage(accountId, tenantId, getSchema(req));
+
+      res.json({
+        success: true,
+        usage
+      });
+    } catch (error) {
+      logger.error('[Outreach Controller] Get account usage error', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Send a connection request manually
    * POST /api/apollo-leads/unipile/outreach/send
@@ -150,8 +268,10 @@ class UnipileOutreachSequenceController {
         profileId,
         accountId,
         tenantId,
+        schema: getSchema(req),
         message,
-        sequenceId
+        sequenceId,
+        credentials: req.unipileCredentials
       });
 
       res.json(result);
@@ -191,12 +311,17 @@ class UnipileOutreachSequenceController {
 
       const result = await UnipileOutreachSequenceService.processPendingSlots(
         accountId,
-        tenantId
+        tenantId,
+        getSchema(req),
+        req.unipileCredentials
       );
 
       res.json({
         success: !result.error,
         processed: result.processed,
+        skipped: result.skipped,
+        rescheduled: result.rescheduled,
+        deferred: result.deferred,
         failed: result.failed,
         error: result.error || undefined
       });
@@ -236,7 +361,8 @@ class UnipileOutreachSequenceController {
 
       const result = await UnipileOutreachSequenceService.getSequenceStatus(
         sequenceId,
-        tenantId
+        tenantId,
+        getSchema(req)
       );
 
       res.json(result);
@@ -5,18 +5,38 @@
  */
 
 const UnipileLeadSearchService = require('../services/UnipileLeadSearchService');
+const LinkedInParameterService = require('../services/LinkedInParameterService');
+const { getSchema } = require('../../../core/utils/schemaHelper');
 const logger = require('../../../core/utils/logger');
+const { UNIPILE_SEARCH_CONFIG } = require('../constants/constants');
+
+/**
+ * Filters of the search API's schema present in the body
+ * (already checked by validateUnipileSearchMiddleware)
+ */
+function pickSearchFilters(body, category) {
+  const schema = UNIPILE_SEARCH_CONFIG.FILTER_SCHEMAS[body.api]?.[category] || [];
+  const filters = {};
+  for (const filter of schema) {
+    if (body[filter] !== undefined) filters[filter] = body[filter];
+  }
+  return filters;
+}
 
 class UnipileSearchController {
   /**
    * Search companies on LinkedIn via Unipile
    * POST /api/unipile/search/companies
+   *
+   * One page per call; send next_cursor back as cursor for the next page.
+   * With collect: true, pages are followed server-side up to limit results.
    */
   static async searchCompanies(req, res) {
     try {
       const tenantId = req.user?.tenantId || req.user?.tenant_id || req.headers['x-tenant-id'];
       
-      const { industry, location, accountId, limit = 50 } = req.body;
+      const { api, url, accountId, cursor, collect = false, limit = 50 } = req.body;
+      const filters = pickSearchFilters(req.body, 'companies');
 
       if (!accountId) {
         return res.status(400).json({
@@ -25,35 +45,46 @@ class UnipileSearchController {
         });
       }
 
-      if (!industry && !location) {
-        return res.status(400).json({
-          success: false,
-          error: 'At least industry or location is required'
-        });
-      }
-
       logger.info('[Unipile Search Controller] Company search', {
         tenantId,
-        industry,
-        location,
-        accountId
+        api,
+        url,
+        ...filters,
+        accountId,
+        cursor: !!cursor,
+        collect
       });
 
-      const result = await UnipileLeadSearchService.searchCompanies({
-        industry,
-        location,
+      const searchParams = {
+        ...filters,
+        api,
+        url,
         accountId,
+        cursor,
+        credentials: req.unipileCredentials,
         limit
-      });
+      };
+      const result = collect
+        ? await UnipileLeadSearchService.collectCompanies(searchParams)
+        : await UnipileLeadSearchService.searchCompanies(searchParams);
 
       res.json({
         success: result.success,
         data: result.companies,
         count: result.count,
+        total: result.total,
+        next_cursor: result.next_cursor || null,
+        pages_fetched: result.pages_fetched,
+        partial: result.partial,
+        unresolved: result.unresolved,
         source: 'unipile',
         error: result.error || undefined
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+      }
+
       logger.error('[Unipile Search Controller] Company search error', {
         error: error.message,
         stack: error.stack
@@ -69,12 +100,16 @@ class UnipileSearchController {
   /**
    * Search people (leads) on LinkedIn via Unipile
    * POST /api/unipile/search/people
+   *
+   * One page per call; send next_cursor back as cursor for the next page.
+   * With collect: true, pages are followed server-side up to limit results.
    */
   static async searchPeople(req, res) {
     try {
       const tenantId = req.user?.tenantId || req.user?.tenant_id || req.headers['x-tenant-id'];
       
-      const { industry, location, designation, company, accountId, limit = 50 } = req.body;
+      const { api, url, accountId, cursor, collect = false, limit = 50 } = req.body;
+      const filters = pickSearchFilters(req.body, 'people');
 
       if (!accountId) {
         return res.status(400).json({
@@ -83,39 +118,46 @@ class UnipileSearchController {
         });
       }
 
-      if (!industry && !location && !designation && !company) {
-        return res.status(400).json({
-          success: false,
-          error: 'At least one filter required: industry, location, designation, or company'
-        });
-      }
-
       logger.info('[Unipile Search Controller] People search', {
         tenantId,
-        industry,
-        location,
-        designation,
-        company,
-        accountId
+        api,
+        url,
+        ...filters,
+        accountId,
+        cursor: !!cursor,
+        collect
       });
 
-      const result = await UnipileLeadSearchService.searchPeople({
-        industry,
-        location,
-        designation,
-        company,
+      const searchParams = {
+        ...filters,
+        api,
+        url,
         accountId,
+        cursor,
+        credentials: req.unipileCredentials,
         limit
-      });
+      };
+      const result = collect
+        ? await UnipileLeadSearchService.collectPeople(searchParams)
+        : await UnipileLeadSearchService.searchPeople(searchParams);
 
       res.json({
         success: result.success,
         data: result.people,
         count: result.count,
+        total: result.total,
+        next_cursor: result.next_cursor || null,
+        pages_fetched: result.pages_fetched,
+        partial: result.partial,
+        unresolved: result.unresolved,
         source: 'unipile',
         error: result.error || undefined
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+      }
+
       logger.error('[Unipile Search Controller] People search error', {
         error: error.message,
         stack: error.stack
@@ -158,6 +200,7 @@ class UnipileSearchController {
         location,
         designation,
         accountId,
+        credentials: req.unipileCredentials,
         limit
       });
 
@@ -183,6 +226,47 @@ class UnipileSearchController {
     }
   }
 
+  /**
+   * Typeahead for search filters - ranked LinkedIn ids for a name
+   * GET /api/unipile/search/parameters?type=LOCATION&q=bang&accountId=...
+   */
+  static async getSearchParameters(req, res) {
+    try {
+      const { type, q, accountId, limit } = req.query;
+
+      const result = await LinkedInParameterService.getCandidates(type, q, {
+        accountId,
+        credentials: req.unipileCredentials,
+        limit,
+        schema: getSchema(req)
+      });
+
+      res.json({
+        success: true,
+        data: result.candidates,
+        count: result.candidates.length,
+        type: result.type,
+        query: result.query,
+        ambiguous: result.ambiguous,
+        cached: result.cached
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+      }
+
+      logger.error('[Unipile Search Controller] Search parameter lookup error', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get detailed profile information
    * GET /api/unipile/profile/:linkedinId
@@ -213,7 +297,11 @@ class UnipileSearchController {
         accountId
       });
 
-      const result = await UnipileLeadSearchService.getProfileDetails(linkedinId, accountId);
+      const result = await UnipileLeadSearchService.getProfileDetails(
+        linkedinId,
+        accountId,
+        req.unipileCredentials
+      );
 
       res.json({
         success: result.success,
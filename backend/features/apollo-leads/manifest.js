@@ -28,7 +28,10 @@
  * - Automatic limit enforcement
  * 
  * EXTERNAL DEPENDENCIES:
- * - Apollo.io API (requires APOLLO_API_KEY)
+ * - Apollo.io API (requires APOLLO_API_KEY; tenants may store their own key,
+ *   whose calls are not charged platform credits)
+ * - Unipile (platform UNIPILE_DSN / UNIPILE_TOKEN, or the tenant's own
+ *   workspace) for LinkedIn search and outreach with registered accounts
  * - Database tables for caching and tracking
  * - Webhook endpoints for phone reveals
  * 
@@ -73,6 +76,7 @@ const FEATURE = {
     'companies/:id/leads', 
     'leads/:id/email',
     'leads/:id/phone',
+    'webhook/phone-reveal',
     'health'
   ],
   
@@ -85,13 +89,37 @@ const FEATURE = {
   // Environment requirements
   environment: {
     required: ['APOLLO_API_KEY'],
-    optional: ['APOLLO_WEBHOOK_URL', 'APOLLO_API_BASE_URL']
+    // APOLLO_WEBHOOK_SECRET signs the phone-reveal webhook URL and is needed with APOLLO_WEBHOOK_URL
+    // APOLLO_CREDENTIALS_ENCRYPTION_KEY is needed for tenants to store their own Apollo key or Unipile token
+    // UNIPILE_DSN / UNIPILE_TOKEN are the platform Unipile workspace, used by tenants without their own
+    // UNIPILE_WEBHOOK_SECRET is the Unipile-Auth header value Unipile webhooks are created with
+    // UNIPILE_HOSTED_AUTH_NOTIFY_URL (public URL of /webhook/unipile-accounts) and UNIPILE_WEBHOOK_SECRET
+    // are needed to connect LinkedIn accounts on the platform Unipile workspace
+    optional: ['APOLLO_WEBHOOK_URL', 'APOLLO_WEBHOOK_SECRET', 'APOLLO_API_BASE_URL', 'APOLLO_CREDENTIALS_ENCRYPTION_KEY', 'UNIPILE_DSN', 'UNIPILE_TOKEN', 'UNIPILE_WEBHOOK_SECRET', 'UNIPILE_HOSTED_AUTH_NOTIFY_URL', 'OUTREACH_DEFAULT_TIMEZONE', 'LINKEDIN_INVITATIONS_PER_DAY', 'LINKEDIN_INVITATIONS_PER_WEEK', 'LINKEDIN_MESSAGES_PER_DAY', 'LINKEDIN_MESSAGES_PER_WEEK']
   },
   
   // Database tables this feature uses
   database: {
-    tables: ['apollo_searches', 'apollo_leads', 'phone_reveals'],
-    migrations: ['001_create_apollo_tables.sql']
+    tables: ['apollo_searches', 'apollo_leads', ...require('./constants/constants').DATABASE_TABLES],
+    migrations: [
+      '001_create_apollo_tables.sql',
+      '002_create_apollo_people_search_cursors.sql',
+      '003_create_apollo_search_cache.sql',
+      '004_create_apollo_companies.sql',
+      '005_create_apollo_enrichment_jobs.sql',
+      '006_create_apollo_webhook_nonces.sql',
+      '007_create_phone_reveals.sql',
+      '008_add_phone_reveal_refunds.sql',
+      '009_add_employee_email_deliverability.sql',
+      '010_create_apollo_tenant_credentials.sql',
+      '011_create_linkedin_accounts.sql',
+      '012_create_unipile_tenant_credentials.sql',
+      '013_create_linkedin_search_parameters.sql',
+      '014_create_outreach_events.sql',
+      '015_create_outreach_prospects.sql',
+      '016_add_outreach_sending_schedules.sql',
+      '017_create_linkedin_account_actions.sql'
+    ]
   },
   
   // Feature flags configuration
@@ -113,7 +141,7 @@ const FEATURE = {
   // Health check configuration
   health_check: {
     endpoint: '/health',
-    dependencies: ['apollo_api', 'database']
+    dependencies: ['apollo_api', 'database', 'unipile', 'python_script']
   }
 };
 
@@ -135,21 +163,13 @@ const deactivate = (app) => {
 };
 
 // Health check function
+// Delegates to ApolloHealthService (Apollo, database, Unipile, Python script; cached briefly)
 const healthCheck = async () => {
   try {
-    // Check Apollo API connection
-    const apolloHealth = await checkApolloAPI();
+    const { getSchema } = require('../../core/utils/schemaHelper');
+    const ApolloHealthService = require('./services/ApolloHealthService');
     
-    // Check database connectivity
-    const dbHealth = await checkDatabase();
-    
-    return {
-      status: 'healthy',
-      checks: {
-        apollo_api: apolloHealth,
-        database: dbHealth
-      }
-    };
+    return await ApolloHealthService.getHealth(getSchema(null));
   } catch (error) {
     return {
       status: 'unhealthy',
@@ -158,15 +178,7 @@ const healthCheck = async () => {
   }
 };
 
-// Helper functions
-const checkApolloAPI = async () => {
-  // Implementation here
-  return { status: 'ok', response_time: '45ms' };
-};
-
-const checkDatabase = async () => {
-  // Implementation here  
-  return { status: 'ok', connection_pool: '5/10' };
-};
-
-module.exports = FEATURE;
\ No newline at end of file
+module.exports = {
+  ...FEATURE,
+  healthCheck
+};
\ No newline at end of file
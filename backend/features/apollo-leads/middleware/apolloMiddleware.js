@@ -5,8 +5,28 @@
  * Middleware specific to Apollo leads feature operations.
  */
 
-const { validateCompanySearchParams, validateEmployeeSearchParams, validateRevealParams } = require('../validators/apolloValidators');
-const logger = require('../../../../core/utils/logger');
+const {
+  validateCompanySearchParams,
+  validateBulkSearchParams,
+  validateEmployeeSearchParams,
+  validateRevealParams,
+  validateDecisionMakerPhonesParams,
+  validateRevealEmailsParams,
+  validateUnipileSearchParams,
+  validateOutreachSteps,
+  validateOutreachMessage,
+  validateSendingSchedule
+} = require('../validators/apolloValidators');
+const { requireCredits } = require('../../../shared/middleware/credit_guard');
+const { normalizeCompanySearchParams } = require('../utils/apolloUtils');
+const ApolloSearchCacheService = require('../services/ApolloSearchCacheService');
+const ApolloCredentialService = require('../services/ApolloCredentialService');
+const LinkedInAccountService = require('../services/LinkedInAccountService');
+const UnipileCredentialService = require('../services/UnipileCredentialService');
+const EnrichmentJobService = require('../services/EnrichmentJobService');
+const { validateJobLeads } = require('../models/ApolloEnrichmentJob');
+const { TENANT_CREDENTIALS_CONFIG, ENRICHMENT_JOB_CONFIG } = require('../constants/constants');
+const logger = require('../../../core/utils/logger');
 
 /**
  * Middleware to validate company search parameters
@@ -26,6 +46,24 @@ function validateCompanySearchMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * Middleware to validate bulk company search parameters
+ * Runs before the credit guard so malformed requests are never charged
+ */
+function validateBulkSearchMiddleware(req, res, next) {
+  const validation = validateBulkSearchParams(req.body || {});
+  
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid search parameters',
+      details: validation.errors
+    });
+  }
+  
+  next();
+}
+
 /**
  * Middleware to validate employee search parameters
  */
@@ -62,11 +100,66 @@ function validateRevealMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * Middleware to validate decision maker phone reveal parameters
+ * Runs before the credit guard so malformed requests are never charged
+ */
+function validateDecisionMakerPhonesMiddleware(req, res, next) {
+  const validation = validateDecisionMakerPhonesParams(req.body || {});
+  
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid phone reveal parameters',
+      details: validation.errors
+    });
+  }
+  
+  next();
+}
+
+/**
+ * Middleware to validate bulk email reveal parameters
+ * Runs before the credit guard so malformed requests are never charged
+ */
+function validateRevealEmailsMiddleware(req, res, next) {
+  const validation = validateRevealEmailsParams(req.body || {});
+  
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid email reveal parameters',
+      details: validation.errors
+    });
+  }
+  
+  next();
+}
+
+/**
+ * Middleware to validate the leads of a batch enrichment job
+ * Runs before the credit guard so malformed batches are never charged
+ */
+function validateEnrichmentBatchMiddleware(req, res, next) {
+  const validation = validateJobLeads(req.body?.leads, ENRICHMENT_JOB_CONFIG.MAX_LEADS_PER_JOB);
+  
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid enrichment batch',
+      details: validation.errors
+    });
+  }
+  
+  next();
+}
+
 /**
  * Middleware to check Apollo API configuration
+ * (the tenant's own key or the platform key - run after resolveApolloCredentialsMiddleware)
  */
 function checkApolloConfigMiddleware(req, res, next) {
-  const apiKey = process.env.APOLLO_API_KEY;
+  const apiKey = req.apolloCredentials?.apiKey || ApolloCredentialService.getPlatformApiKey();
   
   if (!apiKey) {
     logger.error('[Apollo Middleware] Apollo API key not configured');
@@ -79,6 +172,232 @@ function checkApolloConfigMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * Middleware to resolve the Apollo key for the request
+ * Sets req.apolloCredentials = { apiKey, source } - the tenant's own key when
+ * stored, otherwise the platform key. Must run before the credit guards.
+ */
+async function resolveApolloCredentialsMiddleware(req, res, next) {
+  try {
+    await ApolloCredentialService.getCredentials(req);
+  } catch (error) {
+    logger.warn('[Apollo Middleware] Credential lookup failed, using platform key', { error: error.message });
+    req.apolloCredentials = {
+      apiKey: ApolloCredentialService.getPlatformApiKey(),
+      source: TENANT_CREDENTIALS_CONFIG.KEY_SOURCES.PLATFORM
+    };
+  }
+  
+  next();
+}
+
+/**
+ * Middleware to restrict an endpoint to tenant admins (TENANT_CREDENTIALS_CONFIG.ADMIN_ROLES)
+ */
+function requireTenantAdminMiddleware(req, res, next) {
+  if (!TENANT_CREDENTIALS_CONFIG.ADMIN_ROLES.includes(req.user?.role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Tenant admin access required'
+    });
+  }
+  
+  next();
+}
+
+/**
+ * Middleware to refuse Unipile account ids the tenant hasn't registered
+ * Reads accountId from the body (or query), requires an active linkedin_accounts
+ * entry for the caller's tenant, then sets req.linkedInAccount and
+ * req.unipileCredentials (tenant's own Unipile workspace or the platform one).
+ *
+ * @param {Object} options - { optional } - let requests without an accountId through
+ */
+function requireOwnedLinkedInAccountMiddleware(options = {}) {
+  return async (req, res, next) => {
+    const accountId = req.body?.accountId || req.query?.accountId;
+    
+    if (!accountId) {
+      if (options.optional) return next();
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: accountId'
+      });
+    }
+    
+    try {
+      req.linkedInAccount = await LinkedInAccountService.requireOwnedAccount(accountId, req);
+      await UnipileCredentialService.getCredentials(req);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+      }
+      
+      logger.error('[Apollo Middleware] LinkedIn account check failed', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to verify LinkedIn account',
+        message: error.message
+      });
+    }
+    
+    next();
+  };
+}
+
+/**
+ * Middleware to resolve the Apollo person id of the campaign lead being enriched
+ * Runs before the credit guard, so a missing lead or one without an
+ * apollo_person_id is refused without being billed. Requests with a personId
+ * in the body are passed through.
+ */
+async function resolveEnrichmentLeadMiddleware(req, res, next) {
+  if (req.body?.personId) return next();
+  
+  try {
+    const { personId, name } = await EnrichmentJobService.resolveLeadPersonRef(req.params.leadId, req);
+    req.body = { ...req.body, personId, name: req.body?.name || name };
+  } catch (error) {
+    if (error.statusCode) {
+      logger.warn('[Apollo Middleware] Lead cannot be enriched', { leadId: req.params.leadId, error: error.message });
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    
+    logger.error('[Apollo Middleware] Lead lookup failed', { error: error.message });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to look up lead',
+      message: error.message
+    });
+  }
+  
+  next();
+}
+
+/**
+ * Middleware to validate Unipile search parameters against the filter schema
+ * of the search API (classic, Sales Navigator, Recruiter)
+ * Runs after requireOwnedLinkedInAccountMiddleware - the API defaults to the
+ * account type's and is written back to req.body.api. Requests without an
+ * account (Apollo-only campaign searches) are passed through.
+ *
+ * @param {string} category - 'people' | 'companies'
+ */
+function validateUnipileSearchMiddleware(category) {
+  return (req, res, next) => {
+    if (!req.linkedInAccount) return next();
+    
+    const validation = validateUnipileSearchParams(req.body || {}, {
+      category,
+      accountType: req.linkedInAccount.account_type
+    });
+    
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search parameters',
+        details: validation.errors
+      });
+    }
+    
+    req.body.api = validation.api;
+    next();
+  };
+}
+
+/**
+ * Middleware to validate the steps of a new outreach sequence, or its
+ * message template when it has no steps (single message sequences),
+ * and its sending schedule when given
+ */
+function validateOutreachSequenceMiddleware(req, res, next) {
+  if (req.body?.schedule !== undefined && req.body.schedule !== null) {
+    const scheduleValidation = validateSendingSchedule(req.body.schedule);
+    if (!scheduleValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sending schedule',
+        details: scheduleValidation.errors
+      });
+    }
+  }
+  
+  const withSteps = req.body?.steps !== undefined;
+  const validation = withSteps
+    ? validateOutreachSteps(req.body.steps)
+    : validateOutreachMessage(req.body?.message);
+  
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: withSteps ? 'Invalid sequence steps' : 'Invalid message template',
+      details: validation.errors
+    });
+  }
+  
+  next();
+}
+
+/**
+ * Whether the request uses the tenant's own Apollo key (no platform credits charged)
+ */
+function usesTenantApolloKey(req) {
+  return req.apolloCredentials?.source === TENANT_CREDENTIALS_CONFIG.KEY_SOURCES.TENANT;
+}
+
+/**
+ * Middleware to look up cached company search results before billing
+ * Sets req.apolloSearchCache to the cache hit, or null on a miss
+ */
+async function lookupCompanySearchCacheMiddleware(req, res, next) {
+  try {
+    const params = req.method === 'POST' ? req.body : req.query;
+    req.apolloSearchCache = await ApolloSearchCacheService.getCachedSearch(
+      normalizeCompanySearchParams(params),
+      req
+    );
+  } catch (error) {
+    logger.warn('[Apollo Middleware] Search cache lookup failed', { error: error.message });
+    req.apolloSearchCache = null;
+  }
+  
+  next();
+}
+
+/**
+ * Credit guard for Apollo operations
+ * Skips billing when the request is served from the search cache or uses the
+ * tenant's own Apollo key
+ */
+function requireApolloCredits(usageType, amount) {
+  return (req, res, next) => {
+    if (req.apolloSearchCache || usesTenantApolloKey(req)) {
+      return next();
+    }
+    
+    return requireCredits(usageType, amount)(req, res, next);
+  };
+}
+
+/**
+ * Credit guard for batch operations - charges unitCost per item in req.body[itemsField]
+ * The amount charged is stored on req.apolloCreditsReserved so unused credits can be refunded.
+ * Malformed bodies, and requests using the tenant's own Apollo key, are passed through uncharged.
+ */
+function requireBatchCredits(usageType, unitCost, itemsField) {
+  return (req, res, next) => {
+    const items = req.body?.[itemsField];
+    
+    if (!Array.isArray(items) || items.length === 0 || usesTenantApolloKey(req)) {
+      req.apolloCreditsReserved = 0;
+      return next();
+    }
+    
+    req.apolloCreditsReserved = items.length * unitCost;
+    return requireCredits(usageType, req.apolloCreditsReserved)(req, res, next);
+  };
+}
+
 /**
  * Middleware to add request timing
  */
@@ -101,8 +420,21 @@ function timingMiddleware(req, res, next) {
 
 module.exports = {
   validateCompanySearchMiddleware,
+  validateBulkSearchMiddleware,
   validateEmployeeSearchMiddleware,
   validateRevealMiddleware,
+  validateDecisionMakerPhonesMiddleware,
+  validateRevealEmailsMiddleware,
+  validateEnrichmentBatchMiddleware,
   checkApolloConfigMiddleware,
+  resolveApolloCredentialsMiddleware,
+  requireTenantAdminMiddleware,
+  requireOwnedLinkedInAccountMiddleware,
+  resolveEnrichmentLeadMiddleware,
+  validateUnipileSearchMiddleware,
+  validateOutreachSequenceMiddleware,
+  lookupCompanySearchCacheMiddleware,
+  requireApolloCredits,
+  requireBatchCredits,
   timingMiddleware
 };
\ No newline at end of file
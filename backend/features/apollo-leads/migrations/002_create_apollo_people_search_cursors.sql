@@ -0,0 +1,20 @@
+-- Apollo people search cursors
+-- Remembers the last Apollo page fetched for each normalized people-search
+-- filter set, so cache top-ups continue from there instead of re-buying page 1.
+
+CREATE TABLE IF NOT EXISTS apollo_people_search_cursors (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  search_key TEXT NOT NULL,
+  search_params JSONB NOT NULL DEFAULT '{}'::jsonb,
+  last_page INTEGER NOT NULL DEFAULT 0,
+  total_pages INTEGER,
+  total_entries INTEGER,
+  exhausted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT apollo_people_search_cursors_tenant_key UNIQUE (tenant_id, search_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_apollo_people_search_cursors_tenant
+  ON apollo_people_search_cursors (tenant_id, updated_at DESC);
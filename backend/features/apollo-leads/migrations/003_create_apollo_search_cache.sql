@@ -0,0 +1,21 @@
+-- Apollo search cache
+-- Company search results keyed on the normalized search parameters, scoped
+-- per tenant. Rows older than the configured TTL are treated as misses.
+
+CREATE TABLE IF NOT EXISTS apollo_search_cache (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  user_id TEXT,
+  search_key TEXT NOT NULL,
+  results JSONB NOT NULL DEFAULT '[]'::jsonb,
+  hit_count INTEGER NOT NULL DEFAULT 1,
+  last_accessed_at TIMESTAMPTZ,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT apollo_search_cache_key_tenant UNIQUE (search_key, tenant_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_apollo_search_cache_tenant_created
+  ON apollo_search_cache (tenant_id, created_at DESC);
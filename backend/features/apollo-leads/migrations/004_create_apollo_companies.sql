@@ -0,0 +1,30 @@
+-- Apollo companies
+-- Companies returned by company search and company lookups, saved per tenant
+-- so they can be listed again without spending Apollo credits.
+
+CREATE TABLE IF NOT EXISTS apollo_companies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  user_id TEXT,
+  apollo_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  domain TEXT,
+  industry TEXT,
+  employee_count INTEGER,
+  revenue TEXT,
+  location JSONB NOT NULL DEFAULT '{}'::jsonb,
+  phone TEXT,
+  website TEXT,
+  enriched_data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT apollo_companies_apollo_id_tenant UNIQUE (apollo_id, tenant_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_apollo_companies_tenant_updated
+  ON apollo_companies (tenant_id, updated_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_apollo_companies_tenant_domain
+  ON apollo_companies (tenant_id, domain);
@@ -0,0 +1,57 @@
+-- Apollo enrichment jobs
+-- Batch lead enrichment runs in the background. The job row tracks progress
+-- and billing; one item row per lead holds that lead's result so a job can be
+-- polled, cancelled and resumed after a restart.
+
+CREATE TABLE IF NOT EXISTS apollo_enrichment_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  user_id TEXT,
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'completed', 'cancelled', 'failed')),
+  total_items INTEGER NOT NULL DEFAULT 0,
+  processed_items INTEGER NOT NULL DEFAULT 0,
+  succeeded_items INTEGER NOT NULL DEFAULT 0,
+  failed_items INTEGER NOT NULL DEFAULT 0,
+  credits_reserved INTEGER NOT NULL DEFAULT 0,
+  credits_used INTEGER NOT NULL DEFAULT 0,
+  credits_refunded INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  heartbeat_at TIMESTAMPTZ,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_apollo_enrichment_jobs_tenant
+  ON apollo_enrichment_jobs (tenant_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_apollo_enrichment_jobs_active
+  ON apollo_enrichment_jobs (status)
+  WHERE status IN ('queued', 'running');
+
+CREATE TABLE IF NOT EXISTS apollo_enrichment_job_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES apollo_enrichment_jobs(id) ON DELETE CASCADE,
+  tenant_id UUID NOT NULL,
+  position INTEGER NOT NULL,
+  lead_id TEXT,
+  person_id TEXT,
+  name TEXT,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'succeeded', 'failed', 'cancelled')),
+  email TEXT,
+  linkedin_url TEXT,
+  from_cache BOOLEAN NOT NULL DEFAULT false,
+  credits_used INTEGER NOT NULL DEFAULT 0,
+  refunded BOOLEAN NOT NULL DEFAULT false,
+  error TEXT,
+  processed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT apollo_enrichment_job_items_position UNIQUE (job_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_apollo_enrichment_job_items_job_status
+  ON apollo_enrichment_job_items (job_id, status, position);
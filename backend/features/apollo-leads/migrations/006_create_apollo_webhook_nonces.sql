@@ -0,0 +1,15 @@
+-- Apollo webhook nonces
+-- One row per phone-reveal webhook token that has been delivered. The nonce
+-- is the primary key, so a replayed token fails to insert. Rows can be
+-- deleted once expires_at has passed - the token is rejected as expired then.
+
+CREATE TABLE IF NOT EXISTS apollo_webhook_nonces (
+  nonce TEXT PRIMARY KEY,
+  tenant_id UUID NOT NULL,
+  apollo_person_id TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  consumed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_apollo_webhook_nonces_expires
+  ON apollo_webhook_nonces (expires_at);
@@ -0,0 +1,33 @@
+-- Phone reveals
+-- One row per phone reveal request. Apollo delivers numbers asynchronously
+-- through the webhook, so the row tracks the request until the number
+-- arrives (delivered), Apollo says there is none (unavailable) or the
+-- webhook never comes (expired).
+--   requested -> pending -> delivered | unavailable | expired
+--   requested -> unavailable (Apollo rejected the request)
+
+CREATE TABLE IF NOT EXISTS phone_reveals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  user_id TEXT,
+  apollo_person_id TEXT NOT NULL,
+  employee_name TEXT,
+  status TEXT NOT NULL DEFAULT 'requested',
+  phone TEXT,
+  from_cache BOOLEAN NOT NULL DEFAULT false,
+  credits_charged INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  expires_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT phone_reveals_status_check
+    CHECK (status IN ('requested', 'pending', 'delivered', 'unavailable', 'expired'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_phone_reveals_tenant_person
+  ON phone_reveals (tenant_id, apollo_person_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_phone_reveals_pending_expiry
+  ON phone_reveals (expires_at)
+  WHERE status = 'pending';
@@ -0,0 +1,32 @@
+-- Phone reveal refunds
+-- Credits for reveals that never delivered a number are returned by the
+-- reveal sweeper. phone_reveals records what was refunded (so a reveal is
+-- refunded once) and apollo_credit_refunds keeps an audit entry per refund.
+
+ALTER TABLE phone_reveals ADD COLUMN IF NOT EXISTS credits_refunded INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE phone_reveals ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_phone_reveals_refund_due
+  ON phone_reveals (updated_at)
+  WHERE status IN ('unavailable', 'expired') AND credits_charged > 0 AND credits_refunded = 0;
+
+CREATE INDEX IF NOT EXISTS idx_phone_reveals_pending_created
+  ON phone_reveals (created_at)
+  WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS apollo_credit_refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  usage_type TEXT NOT NULL,
+  credits INTEGER NOT NULL,
+  reason TEXT,
+  reference_type TEXT,
+  reference_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_apollo_credit_refunds_tenant_created
+  ON apollo_credit_refunds (tenant_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_apollo_credit_refunds_reference
+  ON apollo_credit_refunds (reference_type, reference_id);
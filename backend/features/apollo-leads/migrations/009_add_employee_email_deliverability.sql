@@ -0,0 +1,13 @@
+-- Email deliverability
+-- Every revealed email is stored with Apollo's email_status (when Apollo sent
+-- one) and our verdict: verified, likely_valid, risky, invalid or unknown.
+-- email_checks keeps the offline checks behind the verdict.
+
+ALTER TABLE employees_cache ADD COLUMN IF NOT EXISTS email_status TEXT;
+ALTER TABLE employees_cache ADD COLUMN IF NOT EXISTS email_deliverability TEXT;
+ALTER TABLE employees_cache ADD COLUMN IF NOT EXISTS email_checks JSONB;
+ALTER TABLE employees_cache ADD COLUMN IF NOT EXISTS email_checked_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_employees_cache_email_deliverability
+  ON employees_cache (tenant_id, email_deliverability)
+  WHERE email_deliverability IS NOT NULL;
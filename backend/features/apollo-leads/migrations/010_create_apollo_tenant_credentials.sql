@@ -0,0 +1,20 @@
+-- Tenant Apollo API keys
+-- Tenants on their own Apollo account store their key here instead of using
+-- the platform APOLLO_API_KEY. The key is AES-256-GCM encrypted by the
+-- application (APOLLO_CREDENTIALS_ENCRYPTION_KEY); only the last 4 characters
+-- are kept in clear for display.
+
+CREATE TABLE IF NOT EXISTS apollo_tenant_credentials (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL UNIQUE,
+  api_key_encrypted TEXT NOT NULL,
+  key_last4 TEXT NOT NULL,
+  last_test_status TEXT CHECK (last_test_status IN ('valid', 'invalid', 'error')),
+  last_test_error TEXT,
+  last_tested_at TIMESTAMPTZ,
+  created_by TEXT,
+  updated_by TEXT,
+  rotated_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
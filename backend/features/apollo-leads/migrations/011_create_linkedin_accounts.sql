@@ -0,0 +1,25 @@
+-- LinkedIn accounts connected through Unipile
+-- Registry of the LinkedIn accounts each tenant may search and send outreach
+-- with. Unipile search and outreach endpoints refuse account ids that are not
+-- registered here for the caller's tenant.
+
+CREATE TABLE IF NOT EXISTS linkedin_accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  unipile_account_id TEXT NOT NULL,
+  owner_user_id TEXT,
+  display_name TEXT,
+  account_type TEXT NOT NULL DEFAULT 'classic'
+    CHECK (account_type IN ('classic', 'sales_navigator', 'recruiter')),
+  status TEXT NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'paused', 'disconnected')),
+  created_by TEXT,
+  updated_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (tenant_id, unipile_account_id)
+);
+
+-- Registering an account already held by another tenant is refused
+CREATE INDEX IF NOT EXISTS idx_linkedin_accounts_unipile_account
+  ON linkedin_accounts (unipile_account_id);
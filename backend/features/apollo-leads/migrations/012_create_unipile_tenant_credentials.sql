@@ -0,0 +1,20 @@
+-- Tenant Unipile credentials
+-- Tenants with their own Unipile workspace store its DSN and access token here
+-- instead of using the platform UNIPILE_DSN / UNIPILE_TOKEN. The token is
+-- AES-256-GCM encrypted by the application (APOLLO_CREDENTIALS_ENCRYPTION_KEY);
+-- only the last 4 characters are kept in clear for display.
+
+CREATE TABLE IF NOT EXISTS unipile_tenant_credentials (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL UNIQUE,
+  dsn TEXT NOT NULL,
+  token_encrypted TEXT NOT NULL,
+  token_last4 TEXT NOT NULL,
+  last_test_status TEXT CHECK (last_test_status IN ('valid', 'invalid', 'error')),
+  last_test_error TEXT,
+  last_tested_at TIMESTAMPTZ,
+  created_by TEXT,
+  updated_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,21 @@
+-- LinkedIn search parameters
+-- Candidate LinkedIn ids for a location, industry, skill, company or school
+-- name, as returned by Unipile's /linkedin/search/parameters. LinkedIn ids are
+-- the same for every account, so rows are shared by all tenants; rows past
+-- expires_at are treated as misses and fetched again.
+
+CREATE TABLE IF NOT EXISTS linkedin_search_parameters (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  param_type TEXT NOT NULL CHECK (param_type IN ('LOCATION', 'INDUSTRY', 'SKILL', 'COMPANY', 'SCHOOL')),
+  query TEXT NOT NULL,
+  candidates JSONB NOT NULL DEFAULT '[]'::jsonb,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT linkedin_search_parameters_type_query UNIQUE (param_type, query)
+);
+
+CREATE INDEX IF NOT EXISTS idx_linkedin_search_parameters_expires
+  ON linkedin_search_parameters (expires_at);
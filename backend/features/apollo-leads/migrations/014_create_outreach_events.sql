@@ -0,0 +1,37 @@
+-- Outreach events
+-- Replies and accepted invitations reported by Unipile webhooks, recorded
+-- against the outreach_sending_slots row of the prospect. A reply stops the
+-- prospect's pending slots (status 'stopped', stop_reason 'replied').
+-- external_id is Unipile's message id (or account + relation for accepted
+-- invitations), so redelivered webhooks are recorded once.
+
+ALTER TABLE outreach_sending_slots ADD COLUMN IF NOT EXISTS provider_id TEXT;
+ALTER TABLE outreach_sending_slots ADD COLUMN IF NOT EXISTS public_identifier TEXT;
+ALTER TABLE outreach_sending_slots ADD COLUMN IF NOT EXISTS replied_at TIMESTAMPTZ;
+ALTER TABLE outreach_sending_slots ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMPTZ;
+ALTER TABLE outreach_sending_slots ADD COLUMN IF NOT EXISTS stop_reason TEXT;
+
+ALTER TABLE outreach_sequences ADD COLUMN IF NOT EXISTS reply_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE outreach_sequences ADD COLUMN IF NOT EXISTS acceptance_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_outreach_sending_slots_provider
+  ON outreach_sending_slots (tenant_id, provider_id)
+  WHERE provider_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS outreach_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  sequence_id UUID NOT NULL,
+  slot_id UUID NOT NULL,
+  account_id TEXT NOT NULL,
+  event_type TEXT NOT NULL CHECK (event_type IN ('reply', 'invitation_accepted')),
+  external_id TEXT NOT NULL,
+  provider_id TEXT,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT outreach_events_unique UNIQUE (tenant_id, sequence_id, event_type, external_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_outreach_events_slot
+  ON outreach_events (slot_id);
@@ -0,0 +1,34 @@
+-- Multi-step outreach sequences
+-- outreach_sequences.steps holds the ordered steps (type, template, delay_days,
+-- condition). Sequences created with a single message have one 'auto' step.
+-- outreach_prospects carries each prospect's position: current_step is the
+-- step whose slot is scheduled; the next step's slot is created when it is
+-- sent or skipped.
+
+ALTER TABLE outreach_sequences ADD COLUMN IF NOT EXISTS steps JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE TABLE IF NOT EXISTS outreach_prospects (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  sequence_id UUID NOT NULL,
+  profile_id TEXT NOT NULL,
+  current_step INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'completed', 'stopped', 'failed')),
+  last_step_at TIMESTAMPTZ,
+  accepted_at TIMESTAMPTZ,
+  replied_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT outreach_prospects_sequence_profile UNIQUE (sequence_id, profile_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_outreach_prospects_tenant_sequence
+  ON outreach_prospects (tenant_id, sequence_id, status);
+
+ALTER TABLE outreach_sending_slots ADD COLUMN IF NOT EXISTS prospect_id UUID;
+ALTER TABLE outreach_sending_slots ADD COLUMN IF NOT EXISTS step_index INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_outreach_sending_slots_prospect
+  ON outreach_sending_slots (prospect_id)
+  WHERE prospect_id IS NOT NULL;
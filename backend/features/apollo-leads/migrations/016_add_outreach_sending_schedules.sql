@@ -0,0 +1,8 @@
+-- Sending schedules for outreach
+-- linkedin_accounts.sending_schedule is the account's schedule; a sequence's
+-- sending_schedule overrides it field by field. NULL uses the defaults
+-- (OUTREACH_DEFAULT_TIMEZONE, Monday-Friday, 09:00-18:00).
+-- outreach_sending_slots.day is the slot's local date in the schedule's timezone.
+
+ALTER TABLE linkedin_accounts ADD COLUMN IF NOT EXISTS sending_schedule JSONB;
+ALTER TABLE outreach_sequences ADD COLUMN IF NOT EXISTS sending_schedule JSONB;
@@ -0,0 +1,18 @@
+-- Account-wide LinkedIn action ledger
+-- One row per invitation or message sent from a LinkedIn account, across all
+-- of the tenant's sequences. Rolling 24-hour and 7-day counts per account
+-- and action type are checked against LINKEDIN_ACCOUNT_QUOTAS before sending.
+
+CREATE TABLE IF NOT EXISTS linkedin_account_actions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  account_id TEXT NOT NULL,
+  action_type TEXT NOT NULL
+    CHECK (action_type IN ('invitation', 'message')),
+  sequence_id UUID,
+  slot_id UUID,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_linkedin_account_actions_window
+  ON linkedin_account_actions (tenant_id, account_id, action_type, occurred_at DESC);
@@ -0,0 +1,146 @@
+/**
+ * Apollo Enrichment Job Model
+ * LAD Architecture: SQL-free - data shapes, validation, helpers only
+ *
+ * This file contains:
+ * - Data shape definitions
+ * - Validation schemas
+ * - Mapping helpers
+ * - Constants/enums
+ * NO database queries - SQL belongs in repositories
+ */
+
+/**
+ * Enrichment Job Item Input
+ * @typedef {Object} EnrichmentJobLead
+ * @property {string} [leadId] - Campaign lead ID (used to look up personId when missing)
+ * @property {string} [personId] - Apollo person ID
+ * @property {string} [name] - Person name
+ */
+
+/**
+ * Job statuses
+ */
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+/**
+ * Item statuses
+ */
+const ITEM_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const TERMINAL_JOB_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.CANCELLED, JOB_STATUS.FAILED];
+
+/**
+ * Check whether a job has finished (no more work will be done)
+ * @param {Object} job - Job row
+ * @returns {boolean}
+ */
+function isTerminal(job) {
+  return !!job && TERMINAL_JOB_STATUSES.includes(job.status);
+}
+
+/**
+ * Validate the leads submitted for a batch enrichment job
+ * @param {Array} leads - Leads from the request body
+ * @param {number} maxLeads - Maximum leads per job
+ * @returns {Object} Validation result { valid: boolean, errors: string[] }
+ */
+function validateJobLeads(leads, maxLeads) {
+  const errors = [];
+
+  if (!Array.isArray(leads) || leads.length === 0) {
+    errors.push('leads array is required');
+  } else {
+    if (leads.length > maxLeads) {
+      errors.push(`A job can enrich at most ${maxLeads} leads`);
+    }
+
+    const missingIds = leads
+      .map((lead, index) => ((lead && (lead.leadId || lead.personId)) ? null : index))
+      .filter(index => index !== null);
+
+    if (missingIds.length > 0) {
+      errors.push(`Each lead needs a leadId or personId (invalid positions: ${missingIds.join(', ')})`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Format job for API response
+ * @param {Object} dbRow - Database row
+ * @returns {Object} Formatted job with progress
+ */
+function formatJobForResponse(dbRow) {
+  const total = dbRow.total_items || 0;
+  const processed = dbRow.processed_items || 0;
+
+  return {
+    id: dbRow.id,
+    status: dbRow.status,
+    progress: {
+      total,
+      processed,
+      succeeded: dbRow.succeeded_items,
+      failed: dbRow.failed_items,
+      percent: total > 0 ? Math.round((processed / total) * 100) : 100
+    },
+    credits: {
+      reserved: dbRow.credits_reserved,
+      used: dbRow.credits_used,
+      refunded: dbRow.credits_refunded
+    },
+    error: dbRow.error,
+    started_at: dbRow.started_at,
+    completed_at: dbRow.completed_at,
+    created_at: dbRow.created_at,
+    updated_at: dbRow.updated_at
+  };
+}
+
+/**
+ * Format job item for API response
+ * @param {Object} dbRow - Database row
+ * @returns {Object} Formatted per-lead result
+ */
+function formatJobItemForResponse(dbRow) {
+  return {
+    position: dbRow.position,
+    leadId: dbRow.lead_id,
+    personId: dbRow.person_id,
+    status: dbRow.status,
+    success: dbRow.status === ITEM_STATUS.SUCCEEDED,
+    email: dbRow.email,
+    linkedin_url: dbRow.linkedin_url,
+    from_cache: dbRow.from_cache,
+    credits_used: dbRow.credits_used,
+    error: dbRow.error,
+    processed_at: dbRow.processed_at
+  };
+}
+
+module.exports = {
+  JOB_STATUS,
+  ITEM_STATUS,
+  TERMINAL_JOB_STATUSES,
+  isTerminal,
+  validateJobLeads,
+  formatJobForResponse,
+  formatJobItemForResponse
+};
@@ -10,10 +10,12 @@
  * NO database queries - SQL belongs in repositories
  */
 
+const { SEARCH_SCOPES, generateSearchFingerprint } = require('../utils/searchFingerprint');
+
 /**
  * Apollo Search Cache Data Shape
  * @typedef {Object} ApolloSearchCacheData
- * @property {string} searchKey - Unique search key (hash of search params)
+ * @property {string} searchKey - Unique search key (fingerprint of search params)
  * @property {Object} results - Cached search results
  * @property {string} tenantId - Tenant ID (required)
  * @property {string} userId - User ID (required)
@@ -42,34 +44,12 @@ const DEFAULT_VALUES = {
 
 /**
  * Generate cache key from search parameters
+ * Delegates to the shared search fingerprint (versioned SHA-256 of the canonical params)
  * @param {Object} searchParams - Search parameters
  * @returns {string} Cache key
  */
 function generateCacheKey(searchParams) {
-  const normalized = {
-    keywords: Array.isArray(searchParams.keywords) 
-      ? searchParams.keywords.sort().join(',') 
-      : searchParams.keywords || '',
-    location: searchParams.location || '',
-    industry: searchParams.industry || '',
-    company_size: searchParams.company_size || '',
-    revenue_range: searchParams.revenue_range || '',
-    technology: searchParams.technology || '',
-    limit: searchParams.limit || 50,
-    page: searchParams.page || 1
-  };
-
-  // Create a deterministic hash-like key
-  const keyString = JSON.stringify(normalized);
-  // Simple hash (for production, use crypto.createHash)
-  let hash = 0;
-  for (let i = 0; i < keyString.length; i++) {
-    const char = keyString.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
-  }
-  
-  return `apollo_search_${Math.abs(hash)}`;
+  return generateSearchFingerprint(SEARCH_SCOPES.COMPANY, searchParams);
 }
 
 /**
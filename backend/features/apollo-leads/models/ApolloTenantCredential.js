@@ -0,0 +1,39 @@
+/**
+ * Apollo Tenant Credential Model
+ * LAD Architecture: SQL-free - data shapes, validation, helpers only
+ *
+ * This file contains:
+ * - Data shape definitions
+ * - Mapping helpers
+ * NO database queries - SQL belongs in repositories
+ */
+
+/**
+ * Format the tenant's key status for API response
+ * The key itself (encrypted or not) is never returned
+ *
+ * @param {Object|null} dbRow - Database row, null when the tenant has no key
+ * @param {string} source - Key the tenant's Apollo calls use: 'tenant' | 'platform'
+ * @returns {Object} Formatted status
+ */
+function formatCredentialForResponse(dbRow, source) {
+  if (!dbRow) {
+    return { configured: false, source };
+  }
+
+  return {
+    configured: true,
+    source,
+    key_last4: dbRow.key_last4,
+    last_test_status: dbRow.last_test_status,
+    last_test_error: dbRow.last_test_error,
+    last_tested_at: dbRow.last_tested_at,
+    rotated_at: dbRow.rotated_at,
+    created_at: dbRow.created_at,
+    updated_at: dbRow.updated_at
+  };
+}
+
+module.exports = {
+  formatCredentialForResponse
+};
@@ -0,0 +1,61 @@
+/**
+ * LinkedIn Account Model
+ * LAD Architecture: SQL-free - data shapes, validation, helpers only
+ *
+ * This file contains:
+ * - Data shape definitions
+ * - Mapping helpers
+ * NO database queries - SQL belongs in repositories
+ */
+
+/**
+ * Format a registered LinkedIn account for API response
+ *
+ * @param {Object} dbRow - Database row
+ * @returns {Object} Formatted account
+ */
+function formatLinkedInAccountForResponse(dbRow) {
+  return {
+    id: dbRow.id,
+    account_id: dbRow.unipile_account_id,
+    owner_user_id: dbRow.owner_user_id,
+    display_name: dbRow.display_name,
+    account_type: dbRow.account_type,
+    status: dbRow.status,
+    // null: default schedule (see SENDING_SCHEDULE_CONFIG)
+    sending_schedule: dbRow.sending_schedule || null,
+    created_at: dbRow.created_at,
+    updated_at: dbRow.updated_at
+  };
+}
+
+/**
+ * Format the tenant's Unipile credential status for API response
+ * The token itself (encrypted or not) is never returned
+ *
+ * @param {Object|null} dbRow - Database row, null when the tenant has no credentials
+ * @param {string} source - Credentials the tenant's Unipile calls use: 'tenant' | 'platform'
+ * @returns {Object} Formatted status
+ */
+function formatUnipileCredentialForResponse(dbRow, source) {
+  if (!dbRow) {
+    return { configured: false, source };
+  }
+
+  return {
+    configured: true,
+    source,
+    dsn: dbRow.dsn,
+    token_last4: dbRow.token_last4,
+    last_test_status: dbRow.last_test_status,
+    last_test_error: dbRow.last_test_error,
+    last_tested_at: dbRow.last_tested_at,
+    created_at: dbRow.created_at,
+    updated_at: dbRow.updated_at
+  };
+}
+
+module.exports = {
+  formatLinkedInAccountForResponse,
+  formatUnipileCredentialForResponse
+};
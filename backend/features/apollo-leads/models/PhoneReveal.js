@@ -0,0 +1,62 @@
+/**
+ * Phone Reveal Model
+ * LAD Architecture: SQL-free - data shapes, validation, helpers only
+ *
+ * This file contains:
+ * - Data shape definitions
+ * - Mapping helpers
+ * - Constants/enums
+ * NO database queries - SQL belongs in repositories
+ */
+
+/**
+ * Reveal statuses
+ * requested -> pending -> delivered | unavailable | expired
+ */
+const REVEAL_STATUS = {
+  REQUESTED: 'requested',
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  UNAVAILABLE: 'unavailable',
+  EXPIRED: 'expired'
+};
+
+const TERMINAL_REVEAL_STATUSES = [REVEAL_STATUS.DELIVERED, REVEAL_STATUS.UNAVAILABLE, REVEAL_STATUS.EXPIRED];
+
+/**
+ * Check whether a reveal has finished (its status will not change again)
+ * @param {Object} reveal - Reveal row
+ * @returns {boolean}
+ */
+function isTerminal(reveal) {
+  return !!reveal && TERMINAL_REVEAL_STATUSES.includes(reveal.status);
+}
+
+/**
+ * Format reveal for API response
+ * @param {Object} dbRow - Database row
+ * @returns {Object} Formatted reveal
+ */
+function formatRevealForResponse(dbRow) {
+  return {
+    id: dbRow.id,
+    person_id: dbRow.apollo_person_id,
+    status: dbRow.status,
+    phone: dbRow.phone,
+    from_cache: dbRow.from_cache,
+    credits_charged: dbRow.credits_charged,
+    credits_refunded: dbRow.credits_refunded || 0,
+    error: dbRow.error,
+    expires_at: dbRow.expires_at,
+    delivered_at: dbRow.delivered_at,
+    created_at: dbRow.created_at,
+    updated_at: dbRow.updated_at
+  };
+}
+
+module.exports = {
+  REVEAL_STATUS,
+  TERMINAL_REVEAL_STATUSES,
+  isTerminal,
+  formatRevealForResponse
+};
@@ -98,19 +98,83 @@ class ApolloCompanyRepository {
   /**
    * Find companies by tenant
    * LAD Architecture: Tenant-scoped query with dynamic schema
+   *
+   * Supported filters: industry, location, domain (ILIKE patterns),
+   * minEmployees, maxEmployees
    */
   async findByTenant(tenantId, schema, options = {}) {
-    const { limit = 50, offset = 0 } = options;
+    const { limit = 50, offset = 0, filters = {} } = options;
+    const { clause, values } = this._buildFilterClause(filters, 2);
 
     const result = await pool.query(`
       SELECT * FROM ${schema}.apollo_companies
-      WHERE tenant_id = $1 AND is_deleted = false
+      WHERE tenant_id = $1 AND is_deleted = false${clause}
       ORDER BY updated_at DESC
-      LIMIT $2 OFFSET $3
-    `, [tenantId, limit, offset]);
+      LIMIT $${values.length + 2} OFFSET $${values.length + 3}
+    `, [tenantId, ...values, limit, offset]);
 
     return result.rows;
   }
+
+  /**
+   * Count companies by tenant (same filters as findByTenant)
+   * LAD Architecture: Tenant-scoped query with dynamic schema
+   */
+  async countByTenant(tenantId, schema, filters = {}) {
+    const { clause, values } = this._buildFilterClause(filters, 2);
+
+    const result = await pool.query(`
+      SELECT COUNT(*)::int AS total FROM ${schema}.apollo_companies
+      WHERE tenant_id = $1 AND is_deleted = false${clause}
+    `, [tenantId, ...values]);
+
+    return result.rows[0]?.total || 0;
+  }
+
+  /**
+   * Build WHERE conditions for company filters
+   * @private
+   */
+  _buildFilterClause(filters, startIndex) {
+    const conditions = [];
+    const values = [];
+    let index = startIndex;
+
+    if (filters.industry) {
+      conditions.push(`industry ILIKE $${index++}`);
+      values.push(filters.industry);
+    }
+
+    if (filters.location) {
+      conditions.push(`(
+        location->>'city' ILIKE $${index}
+        OR location->>'state' ILIKE $${index}
+        OR location->>'country' ILIKE $${index}
+      )`);
+      index++;
+      values.push(filters.location);
+    }
+
+    if (filters.domain) {
+      conditions.push(`domain ILIKE $${index++}`);
+      values.push(filters.domain);
+    }
+
+    if (filters.minEmployees !== undefined && filters.minEmployees !== null) {
+      conditions.push(`employee_count >= $${index++}`);
+      values.push(filters.minEmployees);
+    }
+
+    if (filters.maxEmployees !== undefined && filters.maxEmployees !== null) {
+      conditions.push(`employee_count <= $${index++}`);
+      values.push(filters.maxEmployees);
+    }
+
+    return {
+      clause: conditions.map(condition => ` AND ${condition}`).join(''),
+      values
+    };
+  }
 }
 
 module.exports = new ApolloCompanyRepository();
@@ -0,0 +1,43 @@
+/**
+ * Apollo Credit Refund Repository
+ * LAD Architecture: SQL queries only - no business logic
+ *
+ * Audit log of credits refunded by the feature.
+ * This repository contains ONLY SQL queries.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+class ApolloCreditRefundRepository {
+  /**
+   * Record a refund
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   *
+   * @param {Object} entry - { usageType, credits, reason, referenceType, referenceId }
+   */
+  async create(entry, schema, tenantId) {
+    const {
+      usageType,
+      credits,
+      reason = null,
+      referenceType = null,
+      referenceId = null
+    } = entry;
+
+    const result = await pool.query(`
+      INSERT INTO ${schema}.apollo_credit_refunds (
+        tenant_id,
+        usage_type,
+        credits,
+        reason,
+        reference_type,
+        reference_id
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [tenantId, usageType, credits, reason, referenceType, referenceId ? String(referenceId) : null]);
+
+    return result.rows[0];
+  }
+}
+
+module.exports = new ApolloCreditRefundRepository();
@@ -86,6 +86,9 @@ class ApolloEmployeesCacheRepository {
         ec.employee_name as name,
         ec.employee_title as title,
         ec.employee_email as email,
+        ec.email_status,
+        ec.email_deliverability,
+        ec.email_checks,
         ec.employee_phone as phone,
         ec.employee_linkedin_url as linkedin_url,
         ec.employee_photo_url as photo_url,
@@ -184,6 +187,11 @@ class ApolloEmployeesCacheRepository {
       dbQuery += ` AND ec.apollo_person_id NOT IN (SELECT UNNEST($${paramIndex++}::text[]))`;
     }
     
+    // Only contacts whose revealed email was verified
+    if (searchParams.verified_only) {
+      dbQuery += ` AND ec.email_deliverability = 'verified'`;
+    }
+    
     // Add pagination
     const offset = (page - 1) * per_page;
     dbQuery += ` ORDER BY ec.created_at DESC LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
@@ -235,7 +243,8 @@ class ApolloEmployeesCacheRepository {
    */
   async findByName(employeeName, tenantId, schema) {
     const query = `
-      SELECT employee_email, employee_name, employee_phone
+      SELECT employee_email, employee_name, employee_phone, company_domain,
+        email_status, email_deliverability, email_checks, employee_data
       FROM ${schema}.employees_cache
       WHERE employee_name = $1 AND tenant_id = $2
         AND (employee_email IS NOT NULL AND employee_email != '' AND employee_phone IS NOT NULL AND employee_phone != '')
@@ -247,17 +256,125 @@ class ApolloEmployeesCacheRepository {
   }
 
   /**
-   * Update employee email
+   * Find employee by name and (optionally) company, case-insensitive
+   * LAD Architecture: SQL only, tenant-scoped query
+   */
+  async findByNameAndCompany(employeeName, companyName, tenantId, schema) {
+    const query = `
+      SELECT apollo_person_id, employee_name, employee_title, employee_phone, company_name
+      FROM ${schema}.employees_cache
+      WHERE LOWER(employee_name) = LOWER($1) AND tenant_id = $2
+        AND ($3::text IS NULL OR LOWER(company_name) = LOWER($3))
+        AND apollo_person_id IS NOT NULL AND apollo_person_id != ''
+      ORDER BY updated_at DESC NULLS LAST
+      LIMIT 1
+    `;
+    
+    const result = await pool.query(query, [employeeName, tenantId, companyName || null]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find cached employees for many Apollo person IDs
+   * LAD Architecture: SQL only, tenant-scoped query
+   */
+  async findByPersonIds(personIds, tenantId, schema) {
+    const query = `
+      SELECT DISTINCT ON (apollo_person_id) *
+      FROM ${schema}.employees_cache
+      WHERE apollo_person_id = ANY($1::text[]) AND tenant_id = $2
+      ORDER BY apollo_person_id, updated_at DESC NULLS LAST
+    `;
+    
+    const result = await pool.query(query, [personIds.map(String), tenantId]);
+    return result.rows;
+  }
+
+  /**
+   * Cached employees for outreach profile ids - Apollo person ids or
+   * LinkedIn profile URLs (matched lowercased, without trailing slash)
+   * LAD Architecture: SQL only, tenant-scoped query
+   */
+  async findByOutreachProfileIds(profileIds, tenantId, schema) {
+    const query = `
+      SELECT apollo_person_id, employee_linkedin_url, employee_name, employee_title,
+        employee_headline, employee_city, employee_state, employee_country, company_name
+      FROM ${schema}.employees_cache
+      WHERE tenant_id = $3
+        AND (
+          apollo_person_id = ANY($1::text[])
+          OR LOWER(RTRIM(employee_linkedin_url, '/')) = ANY($2::text[])
+        )
+      ORDER BY updated_at DESC NULLS LAST
+    `;
+    
+    const result = await pool.query(query, [
+      profileIds.map(String),
+      profileIds.map(id => String(id).toLowerCase().replace(/\/+$/, '')),
+      tenantId
+    ]);
+    return result.rows;
+  }
+
+  /**
+   * Update emails for many employees in one statement (all or nothing)
+   * LAD Architecture: SQL only, tenant-scoped update
+   * 
+   * @param {Array<Object>} updates - [{ personId, email, deliverability }]
+   *   deliverability is the assessEmailDeliverability() result
+   * @returns {Promise<number>} Rows updated
+   */
+  async updateEmails(updates, tenantId, schema) {
+    if (updates.length === 0) return 0;
+    
+    const query = `
+      UPDATE ${schema}.employees_cache AS cache
+      SET employee_email = updates.email,
+          email_status = updates.email_status,
+          email_deliverability = updates.verdict,
+          email_checks = updates.checks,
+          email_checked_at = NOW(),
+          updated_at = NOW()
+      FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::jsonb[])
+        AS updates(person_id, email, email_status, verdict, checks)
+      WHERE cache.apollo_person_id = updates.person_id AND cache.tenant_id = $6
+    `;
+    
+    const result = await pool.query(query, [
+      updates.map(update => String(update.personId)),
+      updates.map(update => update.email),
+      updates.map(update => update.deliverability?.email_status || null),
+      updates.map(update => update.deliverability?.verdict || null),
+      updates.map(update => (update.deliverability ? JSON.stringify(update.deliverability.checks) : null)),
+      tenantId
+    ]);
+    return result.rowCount;
+  }
+
+  /**
+   * Update employee email and its deliverability verdict
    * LAD Architecture: SQL only, tenant-scoped update
    */
-  async updateEmail(personId, email, tenantId, schema) {
+  async updateEmail(personId, email, tenantId, schema, deliverability = null) {
     const query = `
       UPDATE ${schema}.employees_cache
-      SET employee_email = $1, updated_at = NOW()
-      WHERE apollo_person_id = $2 AND tenant_id = $3
+      SET employee_email = $1,
+          email_status = $2,
+          email_deliverability = $3,
+          email_checks = $4,
+          email_checked_at = NOW(),
+          updated_at = NOW()
+      WHERE apollo_person_id = $5 AND tenant_id = $6
     `;
     
-    const result = await pool.query(query, [email, String(personId), tenantId]);
+    const result = await pool.query(query, [
+      email,
+      deliverability?.email_status || null,
+      deliverability?.verdict || null,
+      deliverability ? JSON.stringify(deliverability.checks) : null,
+      String(personId),
+      tenantId
+    ]);
     return result.rowCount > 0;
   }
 
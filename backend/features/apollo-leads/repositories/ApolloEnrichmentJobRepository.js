@@ -0,0 +1,337 @@
+/**
+ * Apollo Enrichment Job Repository
+ * LAD Architecture: SQL queries only - no business logic
+ *
+ * Handles database operations for background batch enrichment jobs and their items.
+ * This repository contains ONLY SQL queries.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+class ApolloEnrichmentJobRepository {
+  /**
+   * Create a job together with its items (single statement, so both or neither)
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   *
+   * @param {Object} jobData - { userId, creditsReserved, items: [{ leadId, personId, name }] }
+   */
+  async createWithItems(jobData, schema, tenantId) {
+    const { userId, creditsReserved = 0, items = [] } = jobData;
+
+    const itemRows = items.map((item, index) => ({
+      position: index,
+      lead_id: item.leadId || null,
+      person_id: item.personId || null,
+      name: item.name || null
+    }));
+
+    const result = await pool.query(`
+      WITH job AS (
+        INSERT INTO ${schema}.apollo_enrichment_jobs (
+          tenant_id,
+          user_id,
+          status,
+          total_items,
+          credits_reserved
+        ) VALUES ($1, $2, 'queued', $3, $4)
+        RETURNING *
+      ), inserted_items AS (
+        INSERT INTO ${schema}.apollo_enrichment_job_items (
+          job_id,
+          tenant_id,
+          position,
+          lead_id,
+          person_id,
+          name
+        )
+        SELECT job.id, $1, item.position, item.lead_id, item.person_id, item.name
+        FROM job, jsonb_to_recordset($5::jsonb) AS item(position INTEGER, lead_id TEXT, person_id TEXT, name TEXT)
+      )
+      SELECT * FROM job
+    `, [tenantId, userId, itemRows.length, creditsReserved, JSON.stringify(itemRows)]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Find job by ID and tenant
+   * LAD Architecture: Tenant-scoped query with dynamic schema
+   */
+  async findById(jobId, tenantId, schema) {
+    const result = await pool.query(`
+      SELECT * FROM ${schema}.apollo_enrichment_jobs
+      WHERE id = $1 AND tenant_id = $2
+    `, [jobId, tenantId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find job items, optionally filtered by status
+   * LAD Architecture: Tenant-scoped query with dynamic schema
+   */
+  async findItems(jobId, tenantId, schema, options = {}) {
+    const { status = null, limit = 100, offset = 0 } = options;
+
+    const result = await pool.query(`
+      SELECT * FROM ${schema}.apollo_enrichment_job_items
+      WHERE job_id = $1 AND tenant_id = $2
+        AND ($3::text IS NULL OR status = $3)
+      ORDER BY position ASC
+      LIMIT $4 OFFSET $5
+    `, [jobId, tenantId, status, limit, offset]);
+
+    return result.rows;
+  }
+
+  /**
+   * Find the next pending item of a job
+   * LAD Architecture: Tenant-scoped query with dynamic schema
+   */
+  async findNextPendingItem(jobId, tenantId, schema) {
+    const result = await pool.query(`
+      SELECT * FROM ${schema}.apollo_enrichment_job_items
+      WHERE job_id = $1 AND tenant_id = $2 AND status = 'pending'
+      ORDER BY position ASC
+      LIMIT 1
+    `, [jobId, tenantId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Claim a job for processing
+   * Only succeeds for queued jobs, or running jobs whose worker stopped heartbeating
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   */
+  async claim(jobId, tenantId, schema, staleAfterSeconds) {
+    const result = await pool.query(`
+      UPDATE ${schema}.apollo_enrichment_jobs
+      SET status = 'running',
+          started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+          heartbeat_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2
+        AND (
+          status = 'queued'
+          OR (status = 'running' AND (heartbeat_at IS NULL OR heartbeat_at < NOW() - make_interval(secs => $3)))
+        )
+      RETURNING *
+    `, [jobId, tenantId, staleAfterSeconds]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find jobs that need a worker: queued, or running with a stale heartbeat
+   * LAD Architecture: Cross-tenant query used only for resume on startup
+   */
+  async findResumable(schema, staleAfterSeconds) {
+    const result = await pool.query(`
+      SELECT id, tenant_id, user_id FROM ${schema}.apollo_enrichment_jobs
+      WHERE status = 'queued'
+         OR (status = 'running' AND (heartbeat_at IS NULL OR heartbeat_at < NOW() - make_interval(secs => $1)))
+      ORDER BY created_at ASC
+    `, [staleAfterSeconds]);
+
+    return result.rows;
+  }
+
+  /**
+   * Put items left mid-flight by a crashed worker back in the queue
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   */
+  async resetProcessingItems(jobId, tenantId, schema) {
+    const result = await pool.query(`
+      UPDATE ${schema}.apollo_enrichment_job_items
+      SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+      WHERE job_id = $1 AND tenant_id = $2 AND status = 'processing'
+    `, [jobId, tenantId]);
+
+    return result.rowCount;
+  }
+
+  /**
+   * Mark an item as being processed
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   */
+  async markItemProcessing(itemId, tenantId, schema, personId, name) {
+    await pool.query(`
+      UPDATE ${schema}.apollo_enrichment_job_items
+      SET status = 'processing',
+          person_id = COALESCE($3, person_id),
+          name = COALESCE($4, name),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2
+    `, [itemId, tenantId, personId, name]);
+  }
+
+  /**
+   * Record the outcome of an item and roll it into the job counters
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   */
+  async completeItem(itemId, jobId, tenantId, schema, outcome) {
+    const {
+      success,
+      email = null,
+      linkedinUrl = null,
+      fromCache = false,
+      creditsUsed = 0,
+      refunded = false,
+      error = null
+    } = outcome;
+
+    await pool.query(`
+      WITH item AS (
+        UPDATE ${schema}.apollo_enrichment_job_items
+        SET status = $4,
+            email = $5,
+            linkedin_url = $6,
+            from_cache = $7,
+            credits_used = $8,
+            refunded = $9,
+            error = $10,
+            processed_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND tenant_id = $3 AND status IN ('pending', 'processing')
+        RETURNING id
+      )
+      UPDATE ${schema}.apollo_enrichment_jobs
+      SET processed_items = processed_items + 1,
+          succeeded_items = succeeded_items + CASE WHEN $11 THEN 1 ELSE 0 END,
+          failed_items = failed_items + CASE WHEN $11 THEN 0 ELSE 1 END,
+          credits_used = credits_used + $8,
+          heartbeat_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND tenant_id = $3 AND EXISTS (SELECT 1 FROM item)
+    `, [
+      itemId,
+      jobId,
+      tenantId,
+      success ? 'succeeded' : 'failed',
+      email,
+      linkedinUrl,
+      fromCache,
+      creditsUsed,
+      refunded,
+      error,
+      success
+    ]);
+  }
+
+  /**
+   * Number of items whose credit the reveal service already refunded itself
+   * LAD Architecture: Tenant-scoped query with dynamic schema
+   */
+  async countRefundedItems(jobId, tenantId, schema) {
+    const result = await pool.query(`
+      SELECT COUNT(*)::int AS refunded FROM ${schema}.apollo_enrichment_job_items
+      WHERE job_id = $1 AND tenant_id = $2 AND refunded = true
+    `, [jobId, tenantId]);
+
+    return result.rows[0]?.refunded || 0;
+  }
+
+  /**
+   * Update job status
+   * Terminal statuses are never overwritten (a cancelled job stays cancelled)
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   */
+  async updateStatus(jobId, tenantId, schema, status, error = null) {
+    const result = await pool.query(`
+      UPDATE ${schema}.apollo_enrichment_jobs
+      SET status = $3,
+          error = COALESCE($4, error),
+          completed_at = CASE WHEN $3 IN ('completed', 'cancelled', 'failed') THEN CURRENT_TIMESTAMP ELSE completed_at END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2
+        AND status NOT IN ('completed', 'cancelled', 'failed')
+      RETURNING *
+    `, [jobId, tenantId, status, error]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark remaining pending items of a cancelled job
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   */
+  async cancelPendingItems(jobId, tenantId, schema) {
+    const result = await pool.query(`
+      UPDATE ${schema}.apollo_enrichment_job_items
+      SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+      WHERE job_id = $1 AND tenant_id = $2 AND status = 'pending'
+    `, [jobId, tenantId]);
+
+    return result.rowCount;
+  }
+
+  /**
+   * Claim the unused credits of a finished job for refund
+   * Row lock + only-upwards update make this safe to call more than once:
+   * returns the amount not yet refunded and records it as refunded
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   */
+  async claimUnusedCredits(jobId, tenantId, schema, alreadyRefundedCredits) {
+    const result = await pool.query(`
+      WITH prev AS (
+        SELECT id, credits_refunded FROM ${schema}.apollo_enrichment_jobs
+        WHERE id = $1 AND tenant_id = $2
+        FOR UPDATE
+      )
+      UPDATE ${schema}.apollo_enrichment_jobs AS job
+      SET credits_refunded = GREATEST(job.credits_reserved - job.credits_used - $3, 0),
+          updated_at = CURRENT_TIMESTAMP
+      FROM prev
+      WHERE job.id = prev.id
+        AND job.status IN ('completed', 'cancelled', 'failed')
+        AND GREATEST(job.credits_reserved - job.credits_used - $3, 0) > prev.credits_refunded
+      RETURNING job.credits_refunded - prev.credits_refunded AS amount
+    `, [jobId, tenantId, alreadyRefundedCredits]);
+
+    return result.rows[0]?.amount || 0;
+  }
+
+  /**
+   * Adjust the refunded credit total (used to roll back a failed refund)
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   */
+  async addRefundedCredits(jobId, tenantId, schema, credits) {
+    await pool.query(`
+      UPDATE ${schema}.apollo_enrichment_jobs
+      SET credits_refunded = credits_refunded + $3,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2
+    `, [jobId, tenantId, credits]);
+  }
+
+  /**
+   * Touch the job heartbeat so other instances don't treat it as abandoned
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   */
+  async heartbeat(jobId, tenantId, schema) {
+    await pool.query(`
+      UPDATE ${schema}.apollo_enrichment_jobs
+      SET heartbeat_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2
+    `, [jobId, tenantId]);
+  }
+
+  /**
+   * Resolve the Apollo person reference stored on a campaign lead
+   * LAD Architecture: Tenant-scoped query with dynamic schema
+   */
+  async findCampaignLeadPersonRef(leadId, tenantId, schema) {
+    const result = await pool.query(`
+      SELECT
+        lead_data->>'apollo_person_id' as apollo_person_id,
+        lead_data->>'name' as name
+      FROM ${schema}.campaign_leads
+      WHERE id = $1 AND tenant_id = $2
+    `, [leadId, tenantId]);
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new ApolloEnrichmentJobRepository();
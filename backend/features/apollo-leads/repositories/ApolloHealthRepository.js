@@ -0,0 +1,45 @@
+/**
+ * Apollo Health Repository
+ * LAD Architecture: SQL queries only - no business logic
+ *
+ * Database probes used by the feature health check.
+ * This repository contains ONLY SQL queries.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+class ApolloHealthRepository {
+  /**
+   * Round-trip a trivial query
+   */
+  async ping() {
+    await pool.query('SELECT 1');
+  }
+
+  /**
+   * Current connection pool usage
+   */
+  getPoolStats() {
+    return {
+      total: pool.totalCount,
+      idle: pool.idleCount,
+      waiting: pool.waitingCount
+    };
+  }
+
+  /**
+   * Return the tables from the list that do not exist in the schema
+   * LAD Architecture: Uses dynamic schema
+   */
+  async findMissingTables(tables, schema) {
+    const result = await pool.query(`
+      SELECT table_name
+      FROM unnest($1::text[]) AS table_name
+      WHERE to_regclass(quote_ident($2) || '.' || quote_ident(table_name)) IS NULL
+    `, [tables, schema]);
+
+    return result.rows.map(row => row.table_name);
+  }
+}
+
+module.exports = new ApolloHealthRepository();
@@ -37,6 +37,7 @@ class ApolloSearchCacheRepository {
       DO UPDATE SET
         results = EXCLUDED.results,
         hit_count = ${schema}.apollo_search_cache.hit_count + 1,
+        created_at = CURRENT_TIMESTAMP,
         last_accessed_at = CURRENT_TIMESTAMP,
         metadata = EXCLUDED.metadata,
         is_deleted = EXCLUDED.is_deleted,
@@ -58,14 +59,14 @@ class ApolloSearchCacheRepository {
    * Find cached search by key and tenant
    * LAD Architecture: Tenant-scoped query with dynamic schema
    */
-  async findByKey(searchKey, tenantId, schema) {
+  async findByKey(searchKey, tenantId, schema, ttlHours = 24) {
     const result = await pool.query(`
       SELECT * FROM ${schema}.apollo_search_cache
       WHERE search_key = $1 
         AND tenant_id = $2
         AND is_deleted = false
-        AND created_at > CURRENT_TIMESTAMP - INTERVAL '24 hours'
-    `, [searchKey, tenantId]);
+        AND created_at > CURRENT_TIMESTAMP - make_interval(hours => $3)
+    `, [searchKey, tenantId, ttlHours]);
 
     return result.rows[0] || null;
   }
@@ -0,0 +1,81 @@
+/**
+ * Apollo Search Cursor Repository
+ * LAD Architecture: SQL queries only - no business logic
+ *
+ * Tracks how far into Apollo's people search results each filter set has been read.
+ * This repository contains ONLY SQL queries.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+class ApolloSearchCursorRepository {
+  /**
+   * Find cursor by search key and tenant
+   * Cursors not updated within ttlHours are expired and not returned.
+   * LAD Architecture: Tenant-scoped query with dynamic schema
+   */
+  async findByKey(searchKey, tenantId, schema, ttlHours) {
+    const result = await pool.query(`
+      SELECT * FROM ${schema}.apollo_people_search_cursors
+      WHERE search_key = $1 AND tenant_id = $2
+        AND updated_at > NOW() - make_interval(hours => $3)
+    `, [searchKey, tenantId, ttlHours]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Upsert cursor (insert or advance)
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   *
+   * last_page only moves forward so concurrent searches can't rewind it,
+   * except over an expired cursor (not updated within ttlHours), which starts over.
+   */
+  async upsert(cursorData, schema, tenantId, ttlHours) {
+    const {
+      searchKey,
+      searchParams = {},
+      lastPage,
+      totalPages = null,
+      totalEntries = null,
+      exhausted = false
+    } = cursorData;
+
+    const result = await pool.query(`
+      INSERT INTO ${schema}.apollo_people_search_cursors (
+        tenant_id,
+        search_key,
+        search_params,
+        last_page,
+        total_pages,
+        total_entries,
+        exhausted
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (tenant_id, search_key)
+      DO UPDATE SET
+        last_page = CASE
+          WHEN ${schema}.apollo_people_search_cursors.updated_at <= NOW() - make_interval(hours => $8)
+            THEN EXCLUDED.last_page
+          ELSE GREATEST(${schema}.apollo_people_search_cursors.last_page, EXCLUDED.last_page)
+        END,
+        total_pages = COALESCE(EXCLUDED.total_pages, ${schema}.apollo_people_search_cursors.total_pages),
+        total_entries = COALESCE(EXCLUDED.total_entries, ${schema}.apollo_people_search_cursors.total_entries),
+        exhausted = EXCLUDED.exhausted,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      tenantId,
+      searchKey,
+      JSON.stringify(searchParams),
+      lastPage,
+      totalPages,
+      totalEntries,
+      exhausted,
+      ttlHours
+    ]);
+
+    return result.rows[0];
+  }
+}
+
+module.exports = new ApolloSearchCursorRepository();
@@ -0,0 +1,90 @@
+/**
+ * Apollo Tenant Credential Repository
+ * LAD Architecture: SQL queries only - no business logic
+ *
+ * Stores tenant-owned Apollo API keys (already encrypted by the service).
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+class ApolloTenantCredentialRepository {
+  /**
+   * Find the tenant's stored key
+   * LAD Architecture: SQL only, tenant-scoped query
+   */
+  async findByTenant(tenantId, schema) {
+    const result = await pool.query(`
+      SELECT *
+      FROM ${schema}.apollo_tenant_credentials
+      WHERE tenant_id = $1
+    `, [tenantId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store the tenant's key, replacing any existing one
+   * rotated_at is set when a key is replaced
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   *
+   * @param {Object} credential - { apiKeyEncrypted, keyLast4, testStatus, testError, userId }
+   */
+  async upsert(credential, schema, tenantId) {
+    const result = await pool.query(`
+      INSERT INTO ${schema}.apollo_tenant_credentials (
+        tenant_id, api_key_encrypted, key_last4,
+        last_test_status, last_test_error, last_tested_at, created_by, updated_by
+      ) VALUES ($1, $2, $3, $4, $5, NOW(), $6, $6)
+      ON CONFLICT (tenant_id) DO UPDATE SET
+        api_key_encrypted = EXCLUDED.api_key_encrypted,
+        key_last4 = EXCLUDED.key_last4,
+        last_test_status = EXCLUDED.last_test_status,
+        last_test_error = EXCLUDED.last_test_error,
+        last_tested_at = EXCLUDED.last_tested_at,
+        updated_by = EXCLUDED.updated_by,
+        rotated_at = NOW(),
+        updated_at = NOW()
+      RETURNING *
+    `, [
+      tenantId,
+      credential.apiKeyEncrypted,
+      credential.keyLast4,
+      credential.testStatus || null,
+      credential.testError || null,
+      credential.userId || null
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Record the outcome of testing the stored key
+   * LAD Architecture: SQL only, tenant-scoped update
+   */
+  async recordTest(tenantId, schema, testStatus, testError = null) {
+    const result = await pool.query(`
+      UPDATE ${schema}.apollo_tenant_credentials
+      SET last_test_status = $2, last_test_error = $3, last_tested_at = NOW(), updated_at = NOW()
+      WHERE tenant_id = $1
+      RETURNING *
+    `, [tenantId, testStatus, testError]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete the tenant's key
+   * LAD Architecture: SQL only, tenant-scoped delete
+   * @returns {Promise<boolean>} Whether a key was deleted
+   */
+  async delete(tenantId, schema) {
+    const result = await pool.query(`
+      DELETE FROM ${schema}.apollo_tenant_credentials
+      WHERE tenant_id = $1
+    `, [tenantId]);
+
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = new ApolloTenantCredentialRepository();
@@ -0,0 +1,52 @@
+/**
+ * Apollo Webhook Nonce Repository
+ * LAD Architecture: SQL queries only - no business logic
+ *
+ * Records webhook tokens that have been used so they cannot be replayed.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+class ApolloWebhookNonceRepository {
+  /**
+   * Mark a nonce as used
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   * @returns {Promise<boolean>} false when the nonce was already used
+   */
+  async consume(nonce, tenantId, personId, expiresAt, schema) {
+    const result = await pool.query(`
+      INSERT INTO ${schema}.apollo_webhook_nonces (nonce, tenant_id, apollo_person_id, expires_at)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (nonce) DO NOTHING
+      RETURNING nonce
+    `, [nonce, tenantId, String(personId), expiresAt]);
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Forget a nonce so the same webhook can be delivered again
+   * Used when processing failed after the nonce was consumed
+   */
+  async release(nonce, tenantId, schema) {
+    await pool.query(`
+      DELETE FROM ${schema}.apollo_webhook_nonces
+      WHERE nonce = $1 AND tenant_id = $2
+    `, [nonce, tenantId]);
+  }
+
+  /**
+   * Delete nonces whose tokens have expired
+   * @returns {Promise<number>} Rows deleted
+   */
+  async deleteExpired(schema) {
+    const result = await pool.query(`
+      DELETE FROM ${schema}.apollo_webhook_nonces
+      WHERE expires_at < NOW()
+    `);
+
+    return result.rowCount;
+  }
+}
+
+module.exports = new ApolloWebhookNonceRepository();
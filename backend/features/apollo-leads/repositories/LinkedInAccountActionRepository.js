@@ -0,0 +1,122 @@
+/**
+ * LinkedIn Account Action Repository
+ * LAD Architecture: SQL queries only - no business logic
+ *
+ * Ledger of the invitations and messages sent from each LinkedIn account,
+ * counted over rolling windows for the account-wide quotas.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+class LinkedInAccountActionRepository {
+  /**
+   * Record an action if the account is under both limits
+   * Runs in a transaction holding an advisory lock on the account, so
+   * concurrent sends from several sequences can't overshoot the limits.
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   *
+   * @param {Object} action - { accountId, actionType, sequenceId, slotId }
+   * @param {Object} limits - { perDay, perWeek, dayHours, weekHours }
+   * @returns {Promise<Object|null>} Created row, null when a limit is reached
+   */
+  async reserve(action, limits, tenantId, schema) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `SELECT pg_advisory_xact_lock(hashtext($1 || ':' || $2))`,
+        [tenantId, action.accountId]
+      );
+
+      const result = await client.query(`
+        INSERT INTO ${schema}.linkedin_account_actions
+          (tenant_id, account_id, action_type, sequence_id, slot_id)
+        SELECT $1, $2, $3, $4, $5
+        WHERE (
+          SELECT COUNT(*)
+          FROM ${schema}.linkedin_account_actions
+          WHERE tenant_id = $1 AND account_id = $2 AND action_type = $3
+            AND occurred_at > NOW() - make_interval(hours => $8)
+        ) < $6
+        AND (
+          SELECT COUNT(*)
+          FROM ${schema}.linkedin_account_actions
+          WHERE tenant_id = $1 AND account_id = $2 AND action_type = $3
+            AND occurred_at > NOW() - make_interval(hours => $9)
+        ) < $7
+        RETURNING *
+      `, [
+        tenantId,
+        action.accountId,
+        action.actionType,
+        action.sequenceId || null,
+        action.slotId || null,
+        limits.perDay,
+        limits.perWeek,
+        limits.dayHours,
+        limits.weekHours
+      ]);
+
+      await client.query('COMMIT');
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Remove an action (the send it was reserved for failed)
+   * LAD Architecture: SQL only, tenant-scoped delete
+   */
+  async delete(id, tenantId, schema) {
+    await pool.query(`
+      DELETE FROM ${schema}.linkedin_account_actions
+      WHERE id = $1 AND tenant_id = $2
+    `, [id, tenantId]);
+  }
+
+  /**
+   * Actions per type in the day and week windows
+   * LAD Architecture: SQL only, tenant-scoped query
+   * @returns {Promise<Array>} [{ action_type, day_count, week_count }]
+   */
+  async countByType(accountId, dayHours, weekHours, tenantId, schema) {
+    const result = await pool.query(`
+      SELECT action_type,
+        COUNT(*) FILTER (WHERE occurred_at > NOW() - make_interval(hours => $3))::int AS day_count,
+        COUNT(*)::int AS week_count
+      FROM ${schema}.linkedin_account_actions
+      WHERE tenant_id = $1 AND account_id = $2
+        AND occurred_at > NOW() - make_interval(hours => $4)
+      GROUP BY action_type
+    `, [tenantId, accountId, dayHours, weekHours]);
+
+    return result.rows;
+  }
+
+  /**
+   * When a window at its limit has room again: the limit-th newest action
+   * in the window leaving it
+   * LAD Architecture: SQL only, tenant-scoped query
+   * @returns {Promise<Date|null>} null when the window is under the limit
+   */
+  async findWindowReleaseTime(accountId, actionType, windowHours, limit, tenantId, schema) {
+    const result = await pool.query(`
+      SELECT occurred_at + make_interval(hours => $4) AS released_at
+      FROM ${schema}.linkedin_account_actions
+      WHERE tenant_id = $1 AND account_id = $2 AND action_type = $3
+        AND occurred_at > NOW() - make_interval(hours => $4)
+      ORDER BY occurred_at DESC
+      OFFSET $5
+      LIMIT 1
+    `, [tenantId, accountId, actionType, windowHours, Math.max(limit - 1, 0)]);
+
+    return result.rows[0]?.released_at || null;
+  }
+}
+
+module.exports = new LinkedInAccountActionRepository();
@@ -0,0 +1,207 @@
+/**
+ * LinkedIn Account Repository
+ * LAD Architecture: SQL queries only - no business logic
+ *
+ * Registry of the LinkedIn accounts (Unipile account ids) each tenant has connected.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+class LinkedInAccountRepository {
+  /**
+   * List the tenant's accounts
+   * LAD Architecture: SQL only, tenant-scoped query
+   *
+   * @param {Object} filters - { status }
+   */
+  async findByTenant(tenantId, schema, filters = {}) {
+    const params = [tenantId];
+    let statusClause = '';
+
+    if (filters.status) {
+      params.push(filters.status);
+      statusClause = `AND status = $${params.length}`;
+    }
+
+    const result = await pool.query(`
+      SELECT *
+      FROM ${schema}.linkedin_accounts
+      WHERE tenant_id = $1 ${statusClause}
+      ORDER BY created_at ASC
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Find an account by registry id
+   * LAD Architecture: SQL only, tenant-scoped query
+   */
+  async findById(id, tenantId, schema) {
+    const result = await pool.query(`
+      SELECT *
+      FROM ${schema}.linkedin_accounts
+      WHERE id = $1 AND tenant_id = $2
+    `, [id, tenantId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the tenant's registration of a Unipile account id
+   * LAD Architecture: SQL only, tenant-scoped query
+   */
+  async findByUnipileAccountId(unipileAccountId, tenantId, schema) {
+    const result = await pool.query(`
+      SELECT *
+      FROM ${schema}.linkedin_accounts
+      WHERE unipile_account_id = $1 AND tenant_id = $2
+    `, [unipileAccountId, tenantId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Registration of a Unipile account id in any tenant - an account id is
+   * only ever registered to one tenant. Used to route Unipile webhooks.
+   * LAD Architecture: SQL only, dynamic schema
+   */
+  async findAnyTenantByUnipileAccountId(unipileAccountId, schema) {
+    const result = await pool.query(`
+      SELECT *
+      FROM ${schema}.linkedin_accounts
+      WHERE unipile_account_id = $1
+      LIMIT 1
+    `, [unipileAccountId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Whether another tenant has registered the Unipile account id
+   * LAD Architecture: SQL only, dynamic schema
+   */
+  async isRegisteredToOtherTenant(unipileAccountId, tenantId, schema) {
+    const result = await pool.query(`
+      SELECT 1
+      FROM ${schema}.linkedin_accounts
+      WHERE unipile_account_id = $1 AND tenant_id <> $2
+      LIMIT 1
+    `, [unipileAccountId, tenantId]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Register an account unless another tenant has it in any of the schemas
+   * Runs in a transaction holding an advisory lock on the Unipile account id,
+   * so two tenants registering the same account at once can't both pass the check.
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   *
+   * @param {Object} account - { unipileAccountId, ownerUserId, displayName, accountType, status, sendingSchedule, userId }
+   * @param {Array<string>} tenantSchemas - Schemas to check for other tenants' registrations
+   * @returns {Promise<Object>} { row, registeredToOtherTenant } - row is null when the
+   *   tenant already registered the account or another tenant has it
+   */
+  async create(account, schema, tenantId, tenantSchemas) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `SELECT pg_advisory_xact_lock(hashtext('linkedin_account:' || $1))`,
+        [account.unipileAccountId]
+      );
+
+      for (const tenantSchema of tenantSchemas) {
+        const taken = await client.query(`
+          SELECT 1
+          FROM ${tenantSchema}.linkedin_accounts
+          WHERE unipile_account_id = $1 AND tenant_id <> $2
+          LIMIT 1
+        `, [account.unipileAccountId, tenantId]);
+
+        if (taken.rows.length > 0) {
+          await client.query('ROLLBACK');
+          return { row: null, registeredToOtherTenant: true };
+        }
+      }
+
+      const result = await client.query(`
+        INSERT INTO ${schema}.linkedin_accounts (
+          tenant_id, unipile_account_id, owner_user_id, display_name,
+          account_type, status, sending_schedule, created_by, updated_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $8, $7, $7)
+        ON CONFLICT (tenant_id, unipile_account_id) DO NOTHING
+        RETURNING *
+      `, [
+        tenantId,
+        account.unipileAccountId,
+        account.ownerUserId || null,
+        account.displayName || null,
+        account.accountType,
+        account.status,
+        account.userId || null,
+        account.sendingSchedule ? JSON.stringify(account.sendingSchedule) : null
+      ]);
+
+      await client.query('COMMIT');
+      return { row: result.rows[0] || null, registeredToOtherTenant: false };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update an account's details
+   * Only the given fields change (sendingSchedule: null clears it)
+   * LAD Architecture: SQL only, tenant-scoped update
+   *
+   * @param {Object} updates - { ownerUserId, displayName, accountType, status, sendingSchedule, userId }
+   */
+  async update(id, updates, schema, tenantId) {
+    const result = await pool.query(`
+      UPDATE ${schema}.linkedin_accounts
+      SET owner_user_id = COALESCE($3, owner_user_id),
+          display_name = COALESCE($4, display_name),
+          account_type = COALESCE($5, account_type),
+          status = COALESCE($6, status),
+          sending_schedule = CASE WHEN $9 THEN $8::jsonb ELSE sending_schedule END,
+          updated_by = $7,
+          updated_at = NOW()
+      WHERE id = $1 AND tenant_id = $2
+      RETURNING *
+    `, [
+      id,
+      tenantId,
+      updates.ownerUserId ?? null,
+      updates.displayName ?? null,
+      updates.accountType ?? null,
+      updates.status ?? null,
+      updates.userId || null,
+      updates.sendingSchedule ? JSON.stringify(updates.sendingSchedule) : null,
+      updates.sendingSchedule !== undefined
+    ]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Remove an account from the registry
+   * LAD Architecture: SQL only, tenant-scoped delete
+   * @returns {Promise<boolean>} Whether an account was removed
+   */
+  async delete(id, tenantId, schema) {
+    const result = await pool.query(`
+      DELETE FROM ${schema}.linkedin_accounts
+      WHERE id = $1 AND tenant_id = $2
+    `, [id, tenantId]);
+
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = new LinkedInAccountRepository();
@@ -0,0 +1,55 @@
+/**
+ * LinkedIn Search Parameter Repository
+ * LAD Architecture: SQL queries only - no business logic
+ *
+ * Cached LinkedIn id candidates per (param_type, query). Shared by all
+ * tenants of a schema - LinkedIn ids don't depend on the account.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+class LinkedInSearchParameterRepository {
+  /**
+   * Unexpired cache entry for a type and normalized query, counting the hit
+   * LAD Architecture: SQL only, uses dynamic schema
+   */
+  async findFresh(paramType, query, schema) {
+    const result = await pool.query(`
+      UPDATE ${schema}.linkedin_search_parameters
+      SET hit_count = hit_count + 1
+      WHERE param_type = $1
+        AND query = $2
+        AND expires_at > CURRENT_TIMESTAMP
+      RETURNING *
+    `, [paramType, query]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store the candidates fetched for a query, replacing an expired entry
+   * LAD Architecture: SQL only, uses dynamic schema
+   */
+  async upsert(paramType, query, candidates, ttlHours, schema) {
+    const result = await pool.query(`
+      INSERT INTO ${schema}.linkedin_search_parameters (
+        param_type,
+        query,
+        candidates,
+        fetched_at,
+        expires_at
+      ) VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP + make_interval(hours => $4))
+      ON CONFLICT (param_type, query)
+      DO UPDATE SET
+        candidates = EXCLUDED.candidates,
+        fetched_at = EXCLUDED.fetched_at,
+        expires_at = EXCLUDED.expires_at,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [paramType, query, JSON.stringify(candidates), ttlHours]);
+
+    return result.rows[0];
+  }
+}
+
+module.exports = new LinkedInSearchParameterRepository();
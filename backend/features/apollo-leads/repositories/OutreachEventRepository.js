@@ -0,0 +1,122 @@
+/**
+ * Outreach Event Repository
+ * LAD Architecture: SQL queries only - no business logic
+ *
+ * Replies and accepted invitations recorded against outreach sending slots,
+ * and the slot/sequence bookkeeping they trigger.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+class OutreachEventRepository {
+  /**
+   * Slots of a prospect in the tenant's sequences sent from a LinkedIn account
+   * Matched on provider id, public identifier or the profile id the slot was
+   * created with (lowercased identifiers)
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   */
+  async findProspectSlots(accountId, identifiers, tenantId, schema) {
+    const result = await pool.query(`
+      SELECT oss.*, seq.account_id
+      FROM ${schema}.outreach_sending_slots oss
+      JOIN ${schema}.outreach_sequences seq ON seq.id = oss.sequence_id
+      WHERE seq.tenant_id = $1
+        AND oss.tenant_id = $1
+        AND seq.account_id = $2
+        AND (
+          LOWER(oss.provider_id) = ANY($3)
+          OR LOWER(oss.public_identifier) = ANY($3)
+          OR LOWER(RTRIM(oss.profile_id, '/')) = ANY($3)
+        )
+      ORDER BY oss.sequence_id, oss.scheduled_time ASC
+    `, [tenantId, accountId, identifiers]);
+
+    return result.rows;
+  }
+
+  /**
+   * Record an event against a slot
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   * @returns {Promise<Object|null>} Created row, null when the event was already recorded
+   */
+  async create(event, schema, tenantId) {
+    const result = await pool.query(`
+      INSERT INTO ${schema}.outreach_events (
+        tenant_id,
+        sequence_id,
+        slot_id,
+        account_id,
+        event_type,
+        external_id,
+        provider_id,
+        payload,
+        occurred_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, NOW()))
+      ON CONFLICT (tenant_id, sequence_id, event_type, external_id) DO NOTHING
+      RETURNING *
+    `, [
+      tenantId,
+      event.sequenceId,
+      event.slotId,
+      event.accountId,
+      event.eventType,
+      event.externalId,
+      event.providerId || null,
+      JSON.stringify(event.payload || {}),
+      event.occurredAt || null
+    ]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Set replied_at / accepted_at on a slot the first time
+   * LAD Architecture: SQL only, tenant-scoped update
+   * @param {string} column - 'replied_at' | 'accepted_at'
+   * @returns {Promise<boolean>} true when this call set it
+   */
+  async markSlotOnce(slotId, column, tenantId, schema) {
+    const result = await pool.query(`
+      UPDATE ${schema}.outreach_sending_slots
+      SET ${column} = NOW(),
+          updated_at = NOW()
+      WHERE id = $1 AND tenant_id = $2 AND ${column} IS NULL
+      RETURNING id
+    `, [slotId, tenantId]);
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Add to a sequence's reply or acceptance counter
+   * LAD Architecture: SQL only, tenant-scoped update
+   * @param {string} column - 'reply_count' | 'acceptance_count'
+   */
+  async incrementSequenceCounter(sequenceId, column, tenantId, schema) {
+    await pool.query(`
+      UPDATE ${schema}.outreach_sequences
+      SET ${column} = ${column} + 1,
+          updated_at = NOW()
+      WHERE id = $1 AND tenant_id = $2
+    `, [sequenceId, tenantId]);
+  }
+
+  /**
+   * Stop pending slots
+   * LAD Architecture: SQL only, tenant-scoped update
+   * @returns {Promise<number>} Slots stopped
+   */
+  async stopPendingSlots(slotIds, stopReason, tenantId, schema) {
+    const result = await pool.query(`
+      UPDATE ${schema}.outreach_sending_slots
+      SET status = 'stopped',
+          stop_reason = $3,
+          updated_at = NOW()
+      WHERE id = ANY($1) AND tenant_id = $2 AND status = 'pending'
+    `, [slotIds, tenantId, stopReason]);
+
+    return result.rowCount;
+  }
+}
+
+module.exports = new OutreachEventRepository();
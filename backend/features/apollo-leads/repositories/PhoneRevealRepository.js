@@ -0,0 +1,193 @@
+/**
+ * Phone Reveal Repository
+ * LAD Architecture: SQL queries only - no business logic
+ *
+ * Handles database operations for phone reveal tracking records.
+ * This repository contains ONLY SQL queries.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+class PhoneRevealRepository {
+  /**
+   * Create a reveal record
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   *
+   * @param {Object} revealData - { userId, personId, employeeName, status, phone, fromCache }
+   */
+  async create(revealData, schema, tenantId) {
+    const {
+      userId = null,
+      personId,
+      employeeName = null,
+      status,
+      phone = null,
+      fromCache = false
+    } = revealData;
+
+    const result = await pool.query(`
+      INSERT INTO ${schema}.phone_reveals (
+        tenant_id,
+        user_id,
+        apollo_person_id,
+        employee_name,
+        status,
+        phone,
+        from_cache,
+        delivered_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $5 = 'delivered' THEN NOW() END)
+      RETURNING *
+    `, [tenantId, userId, String(personId), employeeName, status, phone, fromCache]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Find reveal by ID and tenant
+   * LAD Architecture: Tenant-scoped query with dynamic schema
+   */
+  async findById(revealId, tenantId, schema) {
+    const result = await pool.query(`
+      SELECT * FROM ${schema}.phone_reveals
+      WHERE id = $1 AND tenant_id = $2
+    `, [revealId, tenantId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Apollo accepted the request - wait for the webhook until expiresAt
+   */
+  async markPending(revealId, tenantId, schema, creditsCharged, expiresAt) {
+    const result = await pool.query(`
+      UPDATE ${schema}.phone_reveals
+      SET status = 'pending',
+          credits_charged = $3,
+          expires_at = $4,
+          updated_at = NOW()
+      WHERE id = $1 AND tenant_id = $2 AND status = 'requested'
+      RETURNING *
+    `, [revealId, tenantId, creditsCharged, expiresAt]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record the delivered number
+   * Only open reveals move - a late webhook cannot revive an expired or refunded one.
+   * The same number delivered again (webhook retried) matches too.
+   */
+  async markDelivered(revealId, tenantId, schema, phone) {
+    const result = await pool.query(`
+      UPDATE ${schema}.phone_reveals
+      SET status = 'delivered',
+          phone = $3,
+          error = NULL,
+          delivered_at = COALESCE(delivered_at, NOW()),
+          updated_at = NOW()
+      WHERE id = $1 AND tenant_id = $2
+        AND (status IN ('requested', 'pending') OR (status = 'delivered' AND phone = $3))
+      RETURNING *
+    `, [revealId, tenantId, phone]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * No number: Apollo rejected the request or the webhook came back empty
+   */
+  async markUnavailable(revealId, tenantId, schema, error) {
+    const result = await pool.query(`
+      UPDATE ${schema}.phone_reveals
+      SET status = 'unavailable',
+          error = $3,
+          updated_at = NOW()
+      WHERE id = $1 AND tenant_id = $2 AND status IN ('requested', 'pending')
+      RETURNING *
+    `, [revealId, tenantId, error]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Expire a pending reveal whose webhook deadline has passed
+   */
+  async expireIfOverdue(revealId, tenantId, schema) {
+    const result = await pool.query(`
+      UPDATE ${schema}.phone_reveals
+      SET status = 'expired',
+          error = 'Phone number was not delivered before the deadline',
+          updated_at = NOW()
+      WHERE id = $1 AND tenant_id = $2 AND status = 'pending' AND expires_at < NOW()
+      RETURNING *
+    `, [revealId, tenantId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Give up on pending reveals older than the deadline (all tenants - sweeper)
+   * LAD Architecture: SQL only, uses dynamic schema
+   * @returns {Promise<Array>} Reveals marked unavailable
+   */
+  async markOverdueUnavailable(schema, deadlineSeconds, limit) {
+    const result = await pool.query(`
+      UPDATE ${schema}.phone_reveals
+      SET status = 'unavailable',
+          error = 'Phone number was not delivered before the deadline',
+          updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM ${schema}.phone_reveals
+        WHERE status = 'pending'
+          AND created_at < NOW() - ($1 * INTERVAL '1 second')
+        ORDER BY created_at ASC
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [deadlineSeconds, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Claim charged reveals that ended without a number for refunding (all tenants - sweeper)
+   * Marks them refunded in the same statement so no other sweeper refunds them again.
+   * @returns {Promise<Array>} Claimed reveals (credits_refunded = amount to refund)
+   */
+  async claimRefundable(schema, limit) {
+    const result = await pool.query(`
+      UPDATE ${schema}.phone_reveals
+      SET credits_refunded = credits_charged,
+          refunded_at = NOW(),
+          updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM ${schema}.phone_reveals
+        WHERE status IN ('unavailable', 'expired')
+          AND credits_charged > 0
+          AND credits_refunded = 0
+        ORDER BY updated_at ASC
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Undo a claim whose refund failed, so the next sweep retries it
+   */
+  async releaseRefundClaim(revealId, tenantId, schema) {
+    await pool.query(`
+      UPDATE ${schema}.phone_reveals
+      SET credits_refunded = 0,
+          refunded_at = NULL,
+          updated_at = NOW()
+      WHERE id = $1 AND tenant_id = $2
+    `, [revealId, tenantId]);
+  }
+}
+
+module.exports = new PhoneRevealRepository();
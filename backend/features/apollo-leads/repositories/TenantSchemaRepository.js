@@ -0,0 +1,31 @@
+/**
+ * Tenant Schema Repository
+ * LAD Architecture: SQL queries only - no business logic
+ *
+ * Tenant data lives in the schema getSchema(req) resolves for the request.
+ * Work done outside a request (restart recovery, sweepers, webhooks) finds
+ * the schemas holding a feature table here.
+ * This repository contains ONLY SQL queries.
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+class TenantSchemaRepository {
+  /**
+   * Schemas that have the table
+   * @returns {Promise<Array<string>>}
+   */
+  async findSchemasWithTable(tableName) {
+    const result = await pool.query(`
+      SELECT DISTINCT table_schema
+      FROM information_schema.tables
+      WHERE table_name = $1
+        AND table_schema NOT IN ('pg_catalog', 'information_schema')
+      ORDER BY table_schema
+    `, [tableName]);
+
+    return result.rows.map(row => row.table_schema);
+  }
+}
+
+module.exports = new TenantSchemaRepository();
@@ -0,0 +1,75 @@
+/**
+ * Unipile Tenant Credential Repository
+ * LAD Architecture: SQL queries only - no business logic
+ *
+ * Stores tenant-owned Unipile DSNs and access tokens (token already encrypted by the service).
+ */
+
+const { pool } = require('../../../shared/database/connection');
+
+class UnipileTenantCredentialRepository {
+  /**
+   * Find the tenant's stored credentials
+   * LAD Architecture: SQL only, tenant-scoped query
+   */
+  async findByTenant(tenantId, schema) {
+    const result = await pool.query(`
+      SELECT *
+      FROM ${schema}.unipile_tenant_credentials
+      WHERE tenant_id = $1
+    `, [tenantId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store the tenant's credentials, replacing any existing ones
+   * LAD Architecture: SQL only, uses dynamic schema and tenant_id
+   *
+   * @param {Object} credential - { dsn, tokenEncrypted, tokenLast4, testStatus, testError, userId }
+   */
+  async upsert(credential, schema, tenantId) {
+    const result = await pool.query(`
+      INSERT INTO ${schema}.unipile_tenant_credentials (
+        tenant_id, dsn, token_encrypted, token_last4,
+        last_test_status, last_test_error, last_tested_at, created_by, updated_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7, $7)
+      ON CONFLICT (tenant_id) DO UPDATE SET
+        dsn = EXCLUDED.dsn,
+        token_encrypted = EXCLUDED.token_encrypted,
+        token_last4 = EXCLUDED.token_last4,
+        last_test_status = EXCLUDED.last_test_status,
+        last_test_error = EXCLUDED.last_test_error,
+        last_tested_at = EXCLUDED.last_tested_at,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = NOW()
+      RETURNING *
+    `, [
+      tenantId,
+      credential.dsn,
+      credential.tokenEncrypted,
+      credential.tokenLast4,
+      credential.testStatus || null,
+      credential.testError || null,
+      credential.userId || null
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Delete the tenant's credentials
+   * LAD Architecture: SQL only, tenant-scoped delete
+   * @returns {Promise<boolean>} Whether credentials were deleted
+   */
+  async delete(tenantId, schema) {
+    const result = await pool.query(`
+      DELETE FROM ${schema}.unipile_tenant_credentials
+      WHERE tenant_id = $1
+    `, [tenantId]);
+
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = new UnipileTenantCredentialRepository();
@@ -0,0 +1,57 @@
+/**
+ * Apollo Credentials Routes
+ * Mounted at /api/apollo-leads/credentials
+ *
+ * Tenants on their own Apollo account store their API key here. Their Apollo
+ * calls then use that key and are not charged platform credits.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ApolloCredentialsController = require('../controllers/ApolloCredentialsController');
+const { requireTenantAdminMiddleware } = require('../middleware/apolloMiddleware');
+
+router.use(requireTenantAdminMiddleware);
+
+/**
+ * @route GET /api/apollo-leads/credentials
+ * @desc Key status (last 4 characters, last test) and the key source in use ('tenant' | 'platform')
+ * @access Tenant admin
+ */
+router.get('/', ApolloCredentialsController.getCredentials);
+
+/**
+ * @route PUT /api/apollo-leads/credentials
+ * @desc Store the tenant's Apollo key, replacing any existing one
+ * @access Tenant admin
+ * @body {string} api_key - Apollo API key (tested against Apollo before it is stored)
+ * @returns 400 when Apollo rejects the key, 502 when Apollo can't be reached
+ */
+router.put('/', ApolloCredentialsController.setCredentials);
+
+/**
+ * @route POST /api/apollo-leads/credentials/rotate
+ * @desc Replace the stored key with a new one
+ * @access Tenant admin
+ * @body {string} api_key - New Apollo API key
+ * @returns 404 when no key is stored
+ */
+router.post('/rotate', ApolloCredentialsController.rotateCredentials);
+
+/**
+ * @route POST /api/apollo-leads/credentials/test
+ * @desc Test the stored key (result recorded), or a candidate key without storing it
+ * @access Tenant admin
+ * @body {string} api_key - Candidate key (optional)
+ * @returns { status: 'valid' | 'invalid' | 'error', error, credential }
+ */
+router.post('/test', ApolloCredentialsController.testCredentials);
+
+/**
+ * @route DELETE /api/apollo-leads/credentials
+ * @desc Remove the tenant's key; Apollo calls go back to the platform key
+ * @access Tenant admin
+ */
+router.delete('/', ApolloCredentialsController.removeCredentials);
+
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * Apollo Enrichment Routes
+ * Mounted at /api/apollo-leads/enrichment
+ */
+
+const express = require('express');
+const router = express.Router();
+const EnrichmentController = require('../controllers/EnrichmentController');
+const {
+  requireApolloCredits,
+  requireBatchCredits,
+  resolveEnrichmentLeadMiddleware,
+  validateEnrichmentBatchMiddleware
+} = require('../middleware/apolloMiddleware');
+const { CREDIT_COSTS } = require('../constants/constants');
+
+/**
+ * @route POST /api/apollo-leads/enrichment/lead/:leadId
+ * @desc Enrich a single campaign lead with email and LinkedIn URL
+ * @access Private
+ * @credits 1 (email reveal)
+ * @body {string} personId - Apollo person ID (optional, read from the campaign lead when missing)
+ * @body {string} name - Person name (optional)
+ * Leads that don't exist (404) or have no Apollo person ID (400) are refused before billing.
+ */
+router.post('/lead/:leadId',
+  resolveEnrichmentLeadMiddleware,
+  requireApolloCredits('apollo_email', CREDIT_COSTS.EMAIL_REVEAL),
+  EnrichmentController.enrichLead
+);
+
+/**
+ * @route POST /api/apollo-leads/enrichment/batch
+ * @desc Start a background enrichment job for many leads
+ * @access Private
+ * @credits 1 per lead, reserved up front; unused credits are refunded when the job ends
+ * @body {Array} leads - [{ leadId, personId, name }] (each needs a leadId or personId)
+ * @returns 202 { job_id, job }; 400 before billing when the leads are invalid
+ */
+router.post('/batch',
+  validateEnrichmentBatchMiddleware,
+  requireBatchCredits('apollo_email', CREDIT_COSTS.EMAIL_REVEAL, 'leads'),
+  EnrichmentController.enrichLeadsBatch
+);
+
+/**
+ * @route GET /api/apollo-leads/enrichment/jobs/:jobId
+ * @desc Get job status and progress
+ * @access Private
+ */
+router.get('/jobs/:jobId', EnrichmentController.getBatchJob);
+
+/**
+ * @route GET /api/apollo-leads/enrichment/jobs/:jobId/results
+ * @desc Get per-lead results of a job
+ * @access Private
+ * @query {string} status - Filter by item status (pending, succeeded, failed, cancelled)
+ * @query {number} limit - Max results (default: 100, max: 500)
+ * @query {number} offset - Offset (default: 0)
+ */
+router.get('/jobs/:jobId/results', EnrichmentController.getBatchJobResults);
+
+/**
+ * @route POST /api/apollo-leads/enrichment/jobs/:jobId/cancel
+ * @desc Cancel a job; leads not yet processed are skipped and refunded
+ * @access Private
+ */
+router.post('/jobs/:jobId/cancel', EnrichmentController.cancelBatchJob);
+
+module.exports = router;
@@ -13,23 +13,42 @@
  * 4. HEALTH CHECKS: Feature-specific health monitoring
  * 
  * API ENDPOINTS:
- * - POST /search: Search companies (1 credit)
+ * - POST /search: Search companies (1 credit, free when served from cache)
+ * - POST /bulk-search: Many company searches (1 credit per search that hits Apollo)
+ * - GET /companies: List saved companies (free)
  * - GET /companies/:id: Get company details (free)
  * - POST /companies/:id/leads: Get company employees (free)
  * - GET /leads/:id/email: Reveal email address (1 credit)
- * - GET /leads/:id/phone: Reveal phone number (8 credits)
+ * - POST /reveal-emails: Reveal many emails via bulk_match (1 credit per real email returned)
+ * - GET /leads/:id/phone: Reveal phone number (8 credits, delivered asynchronously - returns reveal_id)
+ * - GET /phone-reveals/:revealId[/events]: Phone reveal status, or SSE stream of it (free)
+ * - POST /get-decision-maker-phones: Reveal phones for many contacts (8 credits per contact revealed)
+ * - POST /enrichment/lead/:leadId: Enrich a campaign lead (1 credit)
+ * - POST /enrichment/batch: Background enrichment job (1 credit per lead, unused refunded)
+ * - GET /quota: Apollo rate-limit quota for the key the tenant uses (free)
+ * - GET|PUT|DELETE /credentials, POST /credentials/rotate|test: Tenant's own Apollo key (tenant admins)
+ * - /unipile/*: LinkedIn search and outreach via Unipile, only with accountIds in the tenant's registry
+ * - GET|POST /unipile/accounts, PATCH|DELETE /unipile/accounts/:id: Tenant's LinkedIn accounts (changes: tenant admins)
+ * - POST /unipile/accounts/connect: Hosted auth link connecting an account on the platform Unipile workspace (tenant admins)
+ * - GET|PUT|DELETE /unipile/credentials: Tenant's own Unipile workspace (tenant admins)
+ * - GET /unipile/search/parameters: Typeahead of LinkedIn ids for search filters (cached)
+ * - POST /webhook/phone-reveal: Apollo phone callback (no session, signed token in URL)
+ * - POST /webhook/unipile-events: Unipile message/relation events for outreach (no session, Unipile-Auth header)
+ * - POST /webhook/unipile-accounts: Unipile hosted auth notification (no session, signed token as the link name)
  * - GET /health: Feature health status (free)
  * 
  * BILLING ENFORCEMENT:
  * Credit costs are enforced at middleware level:
- * - Search operations: 1 credit per search
+ * - Search operations: 1 credit per search (cache hits are free)
  * - Email reveals: 1 credit per email
  * - Phone reveals: 8 credits per phone (Apollo.io pricing)
+ * - Nothing is charged when the tenant uses its own Apollo key
  * 
  * MIDDLEWARE STACK:
  * 1. requireFeature('apollo-leads'): Check feature access
- * 2. requireCredits(type, amount): Check and deduct credits
- * 3. Controller function: Business logic
+ * 2. resolveApolloCredentialsMiddleware: Tenant's own Apollo key, or the platform key
+ * 3. requireApolloCredits/requireBatchCredits: Check and deduct credits (platform key only)
+ * 4. Controller function: Business logic
  * 
  * INTEGRATION:
  * - Uses Apollo service script via LAD_SCRIPTS_PATH environment variable
@@ -41,39 +60,81 @@
  * SECURITY:
  * - Feature access controlled by subscription plan
  * - Credit limits prevent abuse
- * - User authentication required for all endpoints
+ * - User authentication required for all endpoints except /webhook (signed token or Unipile-Auth header)
  * - API rate limiting (implement as needed)
  * 
  * HEALTH MONITORING:
- * /health endpoint checks:
- * - Apollo.io API connectivity
- * - Database connectivity
- * - Feature-specific metrics
+ * /health endpoint checks (cached for HEALTH_CONFIG.CACHE_TTL_MS):
+ * - Apollo.io API connectivity and response time
+ * - Database connectivity, pool usage and required tables
+ * - Unipile configuration and reachability
+ * - Python Apollo script availability
  */
 
 const express = require('express');
 const router = express.Router();
 const path = require('path');
 const { requireFeature } = require('../../../shared/middleware/feature_guard');
-const { requireCredits } = require('../../../shared/middleware/credit_guard');
+const {
+  validateCompanySearchMiddleware,
+  validateBulkSearchMiddleware,
+  validateDecisionMakerPhonesMiddleware,
+  validateRevealEmailsMiddleware,
+  resolveApolloCredentialsMiddleware,
+  lookupCompanySearchCacheMiddleware,
+  requireApolloCredits,
+  requireBatchCredits
+} = require('../middleware/apolloMiddleware');
+const { CREDIT_COSTS } = require('../constants/constants');
+const { getSchema } = require('../../../core/utils/schemaHelper');
 const ApolloLeadsController = require(path.join(__dirname, '../controllers/ApolloLeadsController'));
+const ApolloHealthService = require('../services/ApolloHealthService');
+const EnrichmentJobService = require('../services/EnrichmentJobService');
+const PhoneRevealService = require('../services/PhoneRevealService');
+const logger = require('../../../core/utils/logger');
 const unipileRoutes = require('./unipile');
+const enrichmentRoutes = require('./enrichment');
+const webhookRoutes = require('./webhook');
+const credentialRoutes = require('./credentials');
+
+// Apollo and Unipile webhooks carry no user session - mounted before the feature
+// guard, authenticated by the signed token in the URL / the Unipile-Auth header
+router.use('/webhook', webhookRoutes);
 
 // Feature guard middleware - all routes require apollo-leads feature
 router.use(requireFeature('apollo-leads'));
 
+// Tenant's own Apollo key when stored, otherwise the platform key (decides billing below)
+router.use(resolveApolloCredentialsMiddleware);
+
 /**
  * @swagger
  * /api/apollo-leads/search:
  *   post:
  *     summary: Search companies using Apollo.io
+ *     description: |
+ *       Cached results (same normalized params, within TTL) are returned with from_cache=true and are not charged.
+ *       revenue_range takes one bucket (e.g. "1M-10M", "1B+"); technology takes a list or comma-separated names.
+ *       Unknown values are rejected with 400 and the list of accepted values.
  *     tags: [Apollo Leads]
  */
 router.post('/search', 
-  requireCredits('apollo_search', 1), 
+  validateCompanySearchMiddleware,
+  lookupCompanySearchCacheMiddleware,
+  requireApolloCredits('apollo_search', CREDIT_COSTS.SEARCH),
   ApolloLeadsController.searchCompanies
 );
 
+/**
+ * @swagger
+ * /api/apollo-leads/companies:
+ *   get:
+ *     summary: List companies saved from previous searches
+ *     description: Filters - industry, location, domain, company_size ("11,50"); paginated with limit/page. No Apollo credits are used.
+ *     tags: [Apollo Leads]
+ */
+router.get('/companies', ApolloLeadsController.listSavedCompanies);
+
 /**
  * @swagger
  * /api/apollo-leads/companies/{id}:
@@ -100,7 +161,7 @@ router.post('/companies/:id/leads', ApolloLeadsController.getCompanyLeads);
  *     tags: [Apollo Leads]
  */
 router.get('/leads/:id/email', 
-  requireCredits('apollo_email', 1),
+  requireApolloCredits('apollo_email', CREDIT_COSTS.EMAIL_REVEAL),
   ApolloLeadsController.revealEmail
 );
 
@@ -112,12 +173,24 @@ router.get('/leads/:id/email',
  *     tags: [Apollo Leads]
  */
 router.get('/leads/:id/phone',
-  requireCredits('apollo_phone', 8),
+  requireApolloCredits('apollo_phone', CREDIT_COSTS.PHONE_REVEAL),
   ApolloLeadsController.revealPhone
 );
 
+/**
+ * POST /api/apollo-leads/bulk-search
+ * Run up to BULK_SEARCH_CONFIG.MAX_SEARCHES company searches with bounded concurrency
+ * Request body: { searches: [{ keywords?, industry?, location?, company_size?, revenue_range?, technology?, limit?, page? }] }
+ * Billing: 1 credit per search reserved up front; cached or failed searches are refunded
+ * Returns per-search results ({ index, success, companies, from_cache, error }) - one failure doesn't fail the batch
+ */
+router.post('/bulk-search',
+  validateBulkSearchMiddleware,
+  requireBatchCredits('apollo_search', CREDIT_COSTS.SEARCH, 'searches'),
+  ApolloLeadsController.bulkSearchCompanies
+);
+
 // Additional routes for compatibility
-router.post('/bulk-search', ApolloLeadsController.bulkSearchCompanies);
 router.get('/search-history', ApolloLeadsController.getSearchHistory);
 router.delete('/search-history/:id', ApolloLeadsController.deleteSearchHistory);
 
@@ -127,47 +200,93 @@ router.delete('/search-history/:id', ApolloLeadsController.deleteSearchHistory);
  * Request body: { person_id: string, employee_name?: string }
  */
 router.post('/reveal-email', 
-  requireCredits('apollo_email', 1),
+  requireApolloCredits('apollo_email', CREDIT_COSTS.EMAIL_REVEAL),
   ApolloLeadsController.revealEmail
 );
 
+/**
+ * POST /api/apollo-leads/reveal-emails
+ * Reveal many emails: employees_cache first, then Apollo bulk_match for the misses
+ * (batches of APOLLO_CONFIG.MAX_BULK_MATCH_DETAILS)
+ * Request body: { person_ids: string[] } (at most EMAIL_REVEAL_CONFIG.MAX_PERSONS_PER_REQUEST)
+ * Billing: 1 credit per id reserved up front; only real emails returned by Apollo are kept
+ */
+router.post('/reveal-emails',
+  validateRevealEmailsMiddleware,
+  requireBatchCredits('apollo_email', CREDIT_COSTS.EMAIL_REVEAL, 'person_ids'),
+  ApolloLeadsController.revealEmails
+);
+
 /**
  * POST /api/apollo-leads/reveal-phone
  * Reveal phone - checks database cache first, then calls Apollo API
  * Request body: { person_id: string, employee_name?: string }
  */
 router.post('/reveal-phone',
-  requireCredits('apollo_phone', 8),
+  requireApolloCredits('apollo_phone', CREDIT_COSTS.PHONE_REVEAL),
   ApolloLeadsController.revealPhone
 );
 
+/**
+ * GET /api/apollo-leads/phone-reveals/:revealId
+ * State of a phone reveal: requested | pending | delivered | unavailable | expired
+ * Phone reveals return reveal_id; Apollo delivers the number later through the webhook
+ */
+router.get('/phone-reveals/:revealId', ApolloLeadsController.getPhoneReveal);
+
+/**
+ * GET /api/apollo-leads/phone-reveals/:revealId/events
+ * Server-sent events: 'reveal' with the current state, then on every change;
+ * the stream closes once the reveal is delivered, unavailable or expired
+ */
+router.get('/phone-reveals/:revealId/events', ApolloLeadsController.streamPhoneReveal);
+
+/**
+ * POST /api/apollo-leads/get-decision-maker-phones
+ * Reveal phones for a list of contacts (resolved via employees_cache or Apollo people match)
+ * Request body: { contacts: [{ id?: string, name?: string, company?: string, title?: string }] }
+ * Billing: 8 credits per contact reserved up front; contacts served from cache
+ * or not revealed are refunded before the response is sent
+ */
+router.post('/get-decision-maker-phones',
+  validateDecisionMakerPhonesMiddleware,
+  requireBatchCredits('apollo_phone', CREDIT_COSTS.PHONE_REVEAL, 'contacts'),
+  ApolloLeadsController.getDecisionMakerPhones
+);
+
 /**
  * POST /api/apollo-leads/search-employees-from-db
  * Search employees from database cache (employees_cache table)
  * Falls back to Apollo API if no results found in database
+ * Results carry email_status (Apollo) and email_deliverability (our verdict);
+ * verified_only: true returns only cached contacts with a verified email
  */
 router.post('/search-employees-from-db', ApolloLeadsController.searchEmployeesFromDb);
 
+/**
+ * GET /api/apollo-leads/quota
+ * Apollo minute/hourly/daily request quota from the latest response headers
+ * (for the tenant's own key when it has one, otherwise the platform key)
+ * status: 'ok' | 'low' | 'exhausted' | 'unknown' (no Apollo call made yet)
+ */
+router.get('/quota', ApolloLeadsController.getQuota);
+
 /**
  * Feature health check
+ * GET /api/apollo-leads/health
+ * Probes Apollo, the database (connection + tables), Unipile and the Python script.
+ * Results are cached briefly; pass ?refresh=true to force a new check.
+ * Responds 503 when the feature is unhealthy.
  */
 router.get('/health', async (req, res) => {
   try {
-    // Simple health check - no need for manifest
-    res.json({
+    const health = await ApolloHealthService.getHealth(getSchema(req), {
+      refresh: req.query.refresh === 'true'
+    });
+
+    res.status(health.status === 'unhealthy' ? 503 : 200).json({
       feature: 'apollo-leads',
-      status: 'ok',
-      timestamp: new Date().toISOString(),
-      endpoints: [
-        'POST /search',
-        'GET /companies/:id',
-        'POST /companies/:id/leads',
-        'GET /leads/:id/email',
-        'POST /reveal-email',
-        'GET /leads/:id/phone',
-        'POST /reveal-phone',
-        'POST /search-employees-from-db'
-      ]
+      ...health
     });
   } catch (error) {
     res.status(500).json({
@@ -178,7 +297,21 @@ router.get('/health', async (req, res) => {
   }
 });
 
+// Mount tenant Apollo key management routes
+router.use('/credentials', credentialRoutes);
+
+// Mount enrichment routes
+router.use('/enrichment', enrichmentRoutes);
+
 // Mount Unipile search routes
 router.use('/unipile', unipileRoutes);
 
+// Background work starts once, when the feature registry loads these routes:
+// batch enrichment jobs interrupted by a restart are picked up, and phone
+// reveals Apollo never answered (or answered without a number) are refunded
+EnrichmentJobService.resumePendingJobs().catch(error => {
+  logger.error('[Apollo Routes] Failed to resume enrichment jobs', { error: error.message });
+});
+PhoneRevealService.startSweeper();
+
 module.exports = router;
\ No newline at end of file
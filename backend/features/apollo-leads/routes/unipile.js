@@ -1,5 +1,10 @@
 /**
  * Unipile Search Routes
+ *
+ * Search and outreach endpoints only accept an accountId registered (and
+ * active) for the caller's tenant in the LinkedIn account registry - others
+ * are refused with 403. Unipile calls use the tenant's own Unipile workspace
+ * when its credentials are stored, otherwise the platform one.
  */
 
 const express = require('express');
@@ -7,51 +12,182 @@ const router = express.Router();
 const UnipileSearchController = require('../controllers/UnipileSearchController');
 const UnipileOutreachSequenceController = require('../controllers/UnipileOutreachSequenceController');
 const CampaignUnipileSearchController = require('../controllers/CampaignUnipileSearchController');
+const LinkedInAccountController = require('../controllers/LinkedInAccountController');
 const { authenticateToken } = require('../../../core/middleware/auth');
+const {
+  requireTenantAdminMiddleware,
+  requireOwnedLinkedInAccountMiddleware,
+  validateUnipileSearchMiddleware,
+  validateOutreachSequenceMiddleware
+} = require('../middleware/apolloMiddleware');
+
+const requireOwnedAccount = requireOwnedLinkedInAccountMiddleware();
+const allowOwnedAccount = requireOwnedLinkedInAccountMiddleware({ optional: true });
+
+/**
+ * ============================================
+ * LINKEDIN ACCOUNT REGISTRY & UNIPILE CREDENTIALS
+ * ============================================
+ */
+
+/**
+ * @route GET /api/unipile/accounts
+ * @desc List the tenant's connected LinkedIn accounts
+ * @access Private
+ * @query {string} status - 'active' | 'paused' | 'disconnected' (optional)
+ */
+router.get('/accounts', authenticateToken, LinkedInAccountController.listAccounts);
+
+/**
+ * @route POST /api/unipile/accounts/connect
+ * @desc Unipile hosted auth link connecting a LinkedIn account on the platform Unipile workspace;
+ *       the account is registered to the tenant when Unipile reports it connected
+ * @access Tenant admin
+ * @returns { url, expires_at }; 400 when the tenant has its own Unipile workspace,
+ *          503 when UNIPILE_HOSTED_AUTH_NOTIFY_URL / UNIPILE_WEBHOOK_SECRET are not set
+ */
+router.post('/accounts/connect', authenticateToken, requireTenantAdminMiddleware, LinkedInAccountController.createConnectLink);
+
+/**
+ * @route POST /api/unipile/accounts
+ * @desc Register a LinkedIn account of the tenant's own Unipile workspace (checked against Unipile)
+ * @access Tenant admin
+ * @body {string} account_id - Unipile account ID (required)
+ * @body {string} owner_user_id - User the account belongs to (default: caller)
+ * @body {string} display_name - Display name (default: Unipile account name)
+ * @body {string} account_type - 'classic' | 'sales_navigator' | 'recruiter' (default: 'classic')
+ * @body {string} status - 'active' | 'paused' | 'disconnected' (default: 'active')
+ * @body {Object} sending_schedule - { timezone, working_days, working_hours: { start, end }, holidays, blackout_dates } (default: UTC, mon-fri, 09:00-18:00)
+ * @returns 403 on the platform Unipile workspace (use /accounts/connect),
+ *          409 when the account is already registered (to this or another tenant)
+ */
+router.post('/accounts', authenticateToken, requireTenantAdminMiddleware, LinkedInAccountController.registerAccount);
+
+/**
+ * @route PATCH /api/unipile/accounts/:id
+ * @desc Update an account's owner, display name, type, status or sending schedule (null: default schedule)
+ * @access Tenant admin
+ * @param {string} id - Registry ID (required)
+ */
+router.patch('/accounts/:id', authenticateToken, requireTenantAdminMiddleware, LinkedInAccountController.updateAccount);
+
+/**
+ * @route DELETE /api/unipile/accounts/:id
+ * @desc Remove an account from the registry; search and outreach refuse it afterwards
+ * @access Tenant admin
+ * @param {string} id - Registry ID (required)
+ */
+router.delete('/accounts/:id', authenticateToken, requireTenantAdminMiddleware, LinkedInAccountController.removeAccount);
+
+/**
+ * @route GET /api/unipile/credentials
+ * @desc Tenant Unipile credential status (DSN, token last 4) and the source in use ('tenant' | 'platform')
+ * @access Tenant admin
+ */
+router.get('/credentials', authenticateToken, requireTenantAdminMiddleware, LinkedInAccountController.getCredentials);
+
+/**
+ * @route PUT /api/unipile/credentials
+ * @desc Store the tenant's own Unipile workspace credentials (tested against Unipile first)
+ * @access Tenant admin
+ * @body {string} dsn - Unipile DSN, e.g. api8.unipile.com:13811 (required)
+ * @body {string} token - Unipile access token (required)
+ * @returns 400 when Unipile rejects the token, 502 when Unipile can't be reached
+ */
+router.put('/credentials', authenticateToken, requireTenantAdminMiddleware, LinkedInAccountController.setCredentials);
+
+/**
+ * @route DELETE /api/unipile/credentials
+ * @desc Remove the tenant's credentials; Unipile calls go back to the platform workspace
+ * @access Tenant admin
+ */
+router.delete('/credentials', authenticateToken, requireTenantAdminMiddleware, LinkedInAccountController.removeCredentials);
 
 /**
  * @route POST /api/unipile/search
  * @desc Combined search for companies and leads on LinkedIn via Unipile
  * @access Private
- * @body {string} accountId - Unipile LinkedIn account ID (required)
+ * @body {string} accountId - Tenant's registered Unipile LinkedIn account ID (required)
  * @body {string} industry - Industry filter (optional)
  * @body {string} location - Location filter (optional)
  * @body {string} designation - Job title/designation filter (optional)
  * @body {number} limit - Max results (default: 50)
  */
-router.post('/search', authenticateToken, UnipileSearchController.search);
+router.post('/search', authenticateToken, requireOwnedAccount, UnipileSearchController.search);
 
 /**
  * @route POST /api/unipile/search/companies
  * @desc Search companies on LinkedIn via Unipile
  * @access Private
- * @body {string} accountId - Unipile LinkedIn account ID (required)
+ * @body {string} accountId - Tenant's registered Unipile LinkedIn account ID (required)
+ * @body {string} api - 'classic' | 'sales_navigator' (default: from the account type)
+ * @body {string} url - Company search or Sales Navigator account list URL, instead of filters (optional)
  * @body {string} industry - Industry filter (optional)
  * @body {string} location - Location filter (optional)
- * @body {number} limit - Max results (default: 50)
+ * @body {string|Array} company_headcount - Size buckets, e.g. '51-200', or { min, max } (optional, Sales Navigator)
+ * @body {number} limit - Max results (default: 50; per page max 100, with collect max 500)
+ * @body {string} cursor - next_cursor from the previous page (optional)
+ * @body {boolean} collect - Follow pages server-side, paced, up to limit results (optional)
+ * @returns {Object} data, count, total, next_cursor (null on the last page)
  */
-router.post('/search/companies', authenticateToken, UnipileSearchController.searchCompanies);
+router.post(
+  '/search/companies',
+  authenticateToken,
+  requireOwnedAccount,
+  validateUnipileSearchMiddleware('companies'),
+  UnipileSearchController.searchCompanies
+);
 
 /**
  * @route POST /api/unipile/search/people
  * @desc Search people (leads) on LinkedIn via Unipile
  * @access Private
- * @body {string} accountId - Unipile LinkedIn account ID (required)
+ * @body {string} accountId - Tenant's registered Unipile LinkedIn account ID (required)
  * @body {string} industry - Industry filter (optional)
  * @body {string} location - Location filter (optional)
  * @body {string} designation - Job title/designation filter (optional)
  * @body {string} company - Company filter (optional)
- * @body {number} limit - Max results (default: 50)
+ * @body {string} api - 'classic' | 'sales_navigator' | 'recruiter' (default: from the account type)
+ * @body {string} url - People search, Sales Navigator lead list or account list URL, instead of filters (optional)
+ * @body {string|Array} seniority - Seniority names or IDs (optional, Sales Navigator)
+ * @body {string|Array} function - Job function names or IDs (optional, Sales Navigator)
+ * @body {string|Array} company_headcount - Employer size buckets or { min, max } (optional, Sales Navigator)
+ * @body {Object} years_in_role - { min, max } (optional, Sales Navigator)
+ * @body {boolean} changed_jobs - Changed jobs in the last 90 days (optional, Sales Navigator)
+ * @body {boolean} posted_on_linkedin - Posted in the last 30 days (optional, Sales Navigator)
+ * @body {string} skills - Skills (optional, classic and Recruiter)
+ * @body {Object} years_of_experience - { min, max } (optional, Recruiter)
+ * @body {number} limit - Max results (default: 50; per page max 100, with collect max 500)
+ * @body {string} cursor - next_cursor from the previous page (optional)
+ * @body {boolean} collect - Follow pages server-side, paced, up to limit results (optional)
+ * @returns {Object} data, count, total, next_cursor (null on the last page)
+ */
+router.post(
+  '/search/people',
+  authenticateToken,
+  requireOwnedAccount,
+  validateUnipileSearchMiddleware('people'),
+  UnipileSearchController.searchPeople
+);
+
+/**
+ * @route GET /api/unipile/search/parameters
+ * @desc Typeahead for search filters: ranked LinkedIn ids for a location, industry, skill, company or school name
+ * @access Private
+ * @query {string} type - 'LOCATION' | 'INDUSTRY' | 'SKILL' | 'COMPANY' | 'SCHOOL' (required)
+ * @query {string} q - Name typed so far, at least 2 characters (required)
+ * @query {string} accountId - Tenant's registered Unipile LinkedIn account ID (required)
+ * @query {number} limit - Max candidates (default: 10, max: 25)
  */
-router.post('/search/people', authenticateToken, UnipileSearchController.searchPeople);
+router.get('/search/parameters', authenticateToken, requireOwnedAccount, UnipileSearchController.getSearchParameters);
 
 /**
  * @route GET /api/unipile/profile/:linkedinId
  * @desc Get detailed profile information for a LinkedIn profile
  * @access Private
- * @query {string} accountId - Unipile LinkedIn account ID (required)
+ * @query {string} accountId - Tenant's registered Unipile LinkedIn account ID (required)
  */
-router.get('/profile/:linkedinId', authenticateToken, UnipileSearchController.getProfile);
+router.get('/profile/:linkedinId', authenticateToken, requireOwnedAccount, UnipileSearchController.getProfile);
 
 /**
  * ============================================
@@ -69,11 +205,23 @@ router.get('/profile/:linkedinId', authenticateToken, UnipileSearchController.ge
  * @body {string} designation - Job title/designation (optional)
  * @body {string} company - Company name/ID (optional)
  * @body {string} skills - Skills keywords (optional)
+ * @body {string} api - 'classic' | 'sales_navigator' | 'recruiter' (default: from the account type)
+ * @body {string} url - LinkedIn people search or list URL, instead of filters (optional, needs accountId)
+ * @body {*} seniority, function, company_headcount, years_in_role, changed_jobs, posted_on_linkedin,
+ *           years_of_experience - Sales Navigator / Recruiter filters, as for /search/people (optional)
  * @body {number} limit - Max results (default: 50)
- * @body {string} accountId - Unipile account ID (optional, for Unipile primary)
+ * @body {string} accountId - Tenant's registered Unipile account ID (optional, for Unipile primary)
  * @body {string} prefer_source - 'unipile' or 'apollo' (default: 'unipile')
+ * @body {string} cursor - pagination.next_cursor of the previous Unipile page (optional; no Apollo fallback)
+ * @body {boolean} collect - Follow Unipile pages server-side, paced, up to limit results (optional)
  */
-router.post('/campaign/search', authenticateToken, CampaignUnipileSearchController.searchLeadsForCampaign);
+router.post(
+  '/campaign/search',
+  authenticateToken,
+  allowOwnedAccount,
+  validateUnipileSearchMiddleware('people'),
+  CampaignUnipileSearchController.searchLeadsForCampaign
+);
 
 /**
  * @route GET /api/unipile/campaign/sources
@@ -89,9 +237,9 @@ router.get('/campaign/sources', authenticateToken, CampaignUnipileSearchControll
  * @body {string} keywords - Test keywords (default: 'Director')
  * @body {string} industry - Test industry (default: 'Technology')
  * @body {string} location - Test location (default: 'Dubai')
- * @body {string} accountId - Unipile account ID (optional)
+ * @body {string} accountId - Tenant's registered Unipile account ID (optional)
  */
-router.post('/campaign/test-sources', authenticateToken, CampaignUnipileSearchController.testSources);
+router.post('/campaign/test-sources', authenticateToken, allowOwnedAccount, CampaignUnipileSearchController.testSources);
 
 /**
  * @route POST /api/unipile/campaign/compare
@@ -101,9 +249,9 @@ router.post('/campaign/test-sources', authenticateToken, CampaignUnipileSearchCo
  * @body {string} industry - Industry to filter
  * @body {string} location - Location to filter
  * @body {string} designation - Job title to filter
- * @body {string} accountId - Unipile account ID (optional)
+ * @body {string} accountId - Tenant's registered Unipile account ID (optional)
  */
-router.post('/campaign/compare', authenticateToken, CampaignUnipileSearchController.compareSourceResults);
+router.post('/campaign/compare', authenticateToken, allowOwnedAccount, CampaignUnipileSearchController.compareSourceResults);
 
 /**
  * ============================================
@@ -114,23 +262,56 @@ router.post('/campaign/compare', authenticateToken, CampaignUnipileSearchControl
 /**
  * @route POST /api/unipile/outreach/create
  * @desc Create an outreach sequence with scheduled sending slots
+ * Each prospect runs through the steps in order; a step's slot is created
+ * delay_days after the previous step was sent or skipped, and the step is
+ * skipped when its condition doesn't hold at send time.
  * @access Private
  * @body {string} campaignId - Campaign ID (required)
  * @body {Array<string>} profileIds - LinkedIn profile IDs to contact (required)
- * @body {string} accountId - Unipile LinkedIn account ID (required)
- * @body {string} message - Connection request message template (optional)
- * @body {number} dailyLimit - Daily invitation limit (default: 40, max: 80)
- * @body {string} startDate - Sequence start date ISO format (default: today)
+ * @body {string} accountId - Tenant's registered Unipile LinkedIn account ID (required)
+ * @body {string} message - Single-step sequence: invitation or message by relationship (optional, ignored with steps)
+ * Templates can use {{first_name}}, {{last_name}}, {{full_name}}, {{company_name}}, {{title}},
+ * {{headline}} and {{location}}, with a fallback: {{first_name|there}}. Invitation notes are
+ * rendered for each prospect and refused (400) when longer than LinkedIn's 300 characters.
+ * @body {Array<Object>} steps - [{ type: 'invite'|'message'|'visit_profile'|'inmail', template, subject, delay_days, condition: 'always'|'connected'|'not_connected' }] (optional)
+ * @body {number} dailyLimit - Daily limit for the first step (default: 40, max: 80)
+ * @body {string} startDate - Sequence start date YYYY-MM-DD (default: today in the schedule's timezone)
+ * @body {Object} schedule - Sending schedule fields overriding the account's: { timezone, working_days, working_hours, holidays, blackout_dates } (optional)
  */
-router.post('/outreach/create', authenticateToken, UnipileOutreachSequenceController.createSequence);
+router.post(
+  '/outreach/create',
+  authenticateToken,
+  requireOwnedAccount,
+  validateOutreachSequenceMiddleware,
+  UnipileOutreachSequenceController.createSequence
+);
+
+/**
+ * @route POST /api/unipile/outreach/preview
+ * @desc Render a message template for a profile (values from the lead cache, and the Unipile profile when accountId is given)
+ * @access Private
+ * @body {string} template - Message template (required)
+ * @body {string} profileId - LinkedIn profile URL or Apollo person ID (required)
+ * @body {string} stepType - 'invite' | 'message' | 'visit_profile' | 'inmail' | 'auto' - sets the length limit (default: message)
+ * @body {string} accountId - Tenant's registered Unipile LinkedIn account ID (optional)
+ */
+router.post('/outreach/preview', authenticateToken, allowOwnedAccount, UnipileOutreachSequenceController.previewTemplate);
 
 /**
  * @route GET /api/unipile/outreach/pending
  * @desc Get pending sending slots for today
  * @access Private
- * @query {string} accountId - Unipile LinkedIn account ID (required)
+ * @query {string} accountId - Tenant's registered Unipile LinkedIn account ID (required)
+ */
+router.get('/outreach/pending', authenticateToken, requireOwnedAccount, UnipileOutreachSequenceController.getPendingSlots);
+
+/**
+ * @route GET /api/unipile/outreach/usage
+ * @desc Get the account's invitations and messages over the last 24 hours and 7 days, across all its sequences, against its limits
+ * @access Private
+ * @query {string} accountId - Tenant's registered Unipile LinkedIn account ID (required)
  */
-router.get('/outreach/pending', authenticateToken, UnipileOutreachSequenceController.getPendingSlots);
+router.get('/outreach/usage', authenticateToken, requireOwnedAccount, UnipileOutreachSequenceController.getAccountUsage);
 
 /**
  * @route POST /api/unipile/outreach/send
@@ -138,19 +319,21 @@ router.get('/outreach/pending', authenticateToken, UnipileOutreachSequenceContro
  * @access Private
  * @body {string} slotId - Sending slot ID (optional, for tracking)
  * @body {string} profileId - LinkedIn profile ID to contact (required)
- * @body {string} accountId - Unipile LinkedIn account ID (required)
+ * @body {string} accountId - Tenant's registered Unipile LinkedIn account ID (required)
  * @body {string} message - Connection request message (optional)
  * @body {string} sequenceId - Sequence ID for tracking (optional)
  */
-router.post('/outreach/send', authenticateToken, UnipileOutreachSequenceController.sendRequest);
+router.post('/outreach/send', authenticateToken, requireOwnedAccount, UnipileOutreachSequenceController.sendRequest);
 
 /**
  * @route POST /api/unipile/outreach/process
- * @desc Process all pending slots for today (cron job)
+ * @desc Process all pending slots due today in their schedule's timezone (cron job); slots due outside working hours or on holidays move to the next working hours
+ * Invitations and messages count against the account's rolling 24-hour and 7-day limits shared by all its
+ * sequences; at a limit, slots are deferred to when the window frees up.
  * @access Private
- * @body {string} accountId - Unipile LinkedIn account ID (required)
+ * @body {string} accountId - Tenant's registered Unipile LinkedIn account ID (required)
  */
-router.post('/outreach/process', authenticateToken, UnipileOutreachSequenceController.processPending);
+router.post('/outreach/process', authenticateToken, requireOwnedAccount, UnipileOutreachSequenceController.processPending);
 
 /**
  * @route GET /api/unipile/outreach/:sequenceId/status
@@ -0,0 +1,52 @@
+/**
+ * Webhook Routes
+ * Mounted at /api/apollo-leads/webhook, ahead of the feature guard -
+ * Apollo and Unipile call these without a user session. Apollo requests are
+ * authenticated by the signed token in the webhook URL, Unipile events by
+ * the Unipile-Auth header (UNIPILE_WEBHOOK_SECRET) and Unipile hosted auth
+ * notifications by the signed token given as the link's name.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ApolloWebhookController = require('../controllers/ApolloWebhookController');
+const UnipileEventController = require('../controllers/UnipileEventController');
+const LinkedInAccountController = require('../controllers/LinkedInAccountController');
+
+/**
+ * @route POST /api/apollo-leads/webhook/phone-reveal
+ * @desc Receive a revealed phone number from Apollo
+ * @access Public (signed token)
+ * @query {string} token - Token issued with the phone reveal request
+ * @returns 401 invalid/expired token, 409 token already used, 404 person not cached for the tenant
+ */
+router.post('/phone-reveal', ApolloWebhookController.handlePhoneReveal);
+
+/**
+ * @route POST /api/apollo-leads/webhook/unipile-events
+ * @desc Receive Unipile message_received / new_relation events for outreach sequences -
+ *       replies stop the prospect's remaining steps, both are counted per sequence
+ * @access Public (Unipile-Auth header)
+ * @returns 401 wrong secret, 503 UNIPILE_WEBHOOK_SECRET not set, 400 malformed event;
+ *          events that match no registered account or prospect are acknowledged as ignored
+ */
+router.post('/unipile-events', UnipileEventController.handleEvent);
+
+/**
+ * @route POST /api/apollo-leads/webhook/unipile-accounts
+ * @desc Unipile hosted auth notification - registers the LinkedIn account connected
+ *       through a link from POST /unipile/accounts/connect to the tenant that created it
+ * @access Public (signed token as `name`)
+ * @returns 401 invalid/expired token, 409 account registered to another tenant;
+ *          unsuccessful connection statuses are acknowledged as ignored
+ */
+router.post('/unipile-accounts', LinkedInAccountController.handleHostedConnection);
+
+/**
+ * @route POST /api/apollo-leads/webhook/test
+ * @desc Check that the webhook endpoint is reachable
+ * @access Public
+ */
+router.post('/test', ApolloWebhookController.testWebhook);
+
+module.exports = router;
@@ -4,10 +4,10 @@
  * LAD Architecture Compliant
  */
 
-const axios = require('axios');
 const path = require('path');
 const { spawn, execSync } = require('child_process');
 const logger = require('../../../core/utils/logger');
+const ApolloHttpClient = require('./ApolloHttpClient');
 
 /**
  * Helper function to call Python Apollo service
@@ -169,20 +169,61 @@ function callApolloService(method, params = {}) {
   });
 }
 
+/**
+ * Serialize query params the way Apollo expects arrays: param[]=value1&param[]=value2
+ */
+function serializeApolloParams(params) {
+  const qs = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach((v) => qs.append(`${key}[]`, v));
+    } else if (value !== undefined && value !== null) {
+      qs.append(key, value);
+    }
+  });
+  return qs.toString();
+}
+
+/**
+ * Fetch a single page of Apollo people search results
+ */
+async function fetchPeoplePage(apolloSearchEndpoint, apiKey, requestParams) {
+  return ApolloHttpClient.post(
+    apolloSearchEndpoint,
+    {},  // Empty body - filters go in params!
+    {
+      apiKey,
+      headers: {
+        'Cache-Control': 'no-cache'
+      },
+      params: requestParams,  // Filters as query parameters
+      paramsSerializer: { serialize: serializeApolloParams },
+      timeout: 120000 // 2 minutes for Apollo API
+    }
+  );
+}
+
 /**
  * Call Apollo.io API directly via HTTP
- * Uses APOLLO_API_KEY and APOLLO_API_BASE_URL from environment variables
+ * Uses APOLLO_API_KEY (unless options.apiKey is given) and APOLLO_API_BASE_URL
  * LAD Architecture: No hardcoded URLs - uses environment configuration
+ *
+ * Walks Apollo pages starting at `page` until `max_results` people (not in
+ * `exclude_ids`) have been collected, the results run out, or `max_pages`
+ * pages have been read. The returned `last_page` lets callers resume later.
+ *
+ * @param {Object} searchParams - Search parameters
+ * @param {Object} options - { apiKey } - a tenant's own Apollo key
  */
-async function callApolloApi(searchParams) {
-  const apiKey = process.env.APOLLO_API_KEY || process.env.APOLLO_IO_API_KEY;
+async function callApolloApi(searchParams, options = {}) {
+  const apiKey = options.apiKey || process.env.APOLLO_API_KEY || process.env.APOLLO_IO_API_KEY;
   
   if (!apiKey) {
     throw new Error('Apollo API key not configured. Set APOLLO_API_KEY or APOLLO_IO_API_KEY in environment variables.');
   }
   
   // LAD Architecture: Use environment variable or constants (no hardcoded URLs)
-  const { APOLLO_CONFIG } = require('../constants/constants');
+  const { APOLLO_CONFIG, PEOPLE_SEARCH_CONFIG } = require('../constants/constants');
   // Use base URL from environment or constants
   const apolloBaseUrl = process.env.APOLLO_API_BASE_URL || APOLLO_CONFIG.DEFAULT_BASE_URL;
   
@@ -196,47 +237,54 @@ async function callApolloApi(searchParams) {
     person_seniorities = [],  // Seniority levels (director, manager, c_suite, etc.)
     organization_industries = [],  // Keep for backward compatibility
     q_organization_domains_list = [],  // Specific company domains for filtering
-    per_page = 100,
-    page = 1
+    per_page = APOLLO_CONFIG.MAX_PER_PAGE,
+    page = 1,
+    max_results,  // How many people the caller needs (defaults to one page)
+    max_pages = PEOPLE_SEARCH_CONFIG.MAX_PAGES_PER_CALL,
+    exclude_ids = []  // People the caller already has - not counted towards max_results
   } = searchParams;
   
+  const perPage = Math.min(Math.max(parseInt(per_page, 10) || APOLLO_CONFIG.MAX_PER_PAGE, 1), APOLLO_CONFIG.MAX_PER_PAGE);
+  const startPage = Math.max(parseInt(page, 10) || 1, 1);
+  const targetCount = Math.max(parseInt(max_results, 10) || perPage, 1);
+  const pageBudget = Math.max(parseInt(max_pages, 10) || 1, 1);
+  const excludeSet = new Set((exclude_ids || []).map(String));
+  
   // Build Apollo.io API request - filters go in QUERY PARAMETERS, not body
   // Apollo expects filters as query params with array syntax: param[]=value1&param[]=value2
-  const apolloRequestParams = {
-    per_page: 100,  // Fixed: always fetch 100 results (max per page)
-    page: 1,  // Fixed: always get page 1 only
+  const filterParams = {
     reveal_personal_emails: true,  // Reveal emails directly in search results
     reveal_phone_number: true  // Reveal phones directly in search results
   };
   
   // Add filters (Apollo expects exact parameter names and array format)
   if (person_titles && person_titles.length > 0) {
-    apolloRequestParams.person_titles = person_titles;
+    filterParams.person_titles = person_titles;
   }
   
   // Add seniority filter
   if (person_seniorities && person_seniorities.length > 0) {
-    apolloRequestParams.person_seniorities = person_seniorities;
+    filterParams.person_seniorities = person_seniorities;
   }
   
   // Support both person_locations (personal) and organization_locations (company)
   if (person_locations && person_locations.length > 0) {
-    apolloRequestParams.person_locations = person_locations;
+    filterParams.person_locations = person_locations;
   }
   if (organization_locations && organization_locations.length > 0) {
-    apolloRequestParams.organization_locations = organization_locations;
+    filterParams.organization_locations = organization_locations;
   }
   
   // Company domain filtering (for specific companies)
   if (q_organization_domains_list && q_organization_domains_list.length > 0) {
-    apolloRequestParams.q_organization_domains_list = q_organization_domains_list;
+    filterParams.q_organization_domains_list = q_organization_domains_list;
   }
   
   // NOTE: People API Search doesn't have direct industry filter
   // Industry filtering works better with organization search or via q_organization_domains_list
   // Keep organization_industries for backward compatibility but it may not work as expected
   if (organization_industries && organization_industries.length > 0) {
-    apolloRequestParams.organization_industries = organization_industries.map(ind => 
+    filterParams.organization_industries = organization_industries.map(ind => 
       String(ind).toLowerCase().trim()
     );
     logger.warn('[Apollo API] Note: organization_industries may not be supported by People API Search endpoint. Consider using q_organization_domains_list for company filtering.');
@@ -249,7 +297,11 @@ async function callApolloApi(searchParams) {
     apiKeyPrefix: apiKey ? apiKey.substring(0, 10) + '...' : 'none'
   });
   logger.info('[Apollo API] Request params being sent', {
-    ...apolloRequestParams,
+    ...filterParams,
+    per_page: perPage,
+    start_page: startPage,
+    target_count: targetCount,
+    max_pages: pageBudget,
     searchCriteria: {
       titles: person_titles?.length || 0,
       locations: organization_locations?.length || 0,
@@ -257,97 +309,260 @@ async function callApolloApi(searchParams) {
     }
   });
   
+  const people = [];
+  let collected = 0;
+  let currentPage = startPage;
+  let lastPage = startPage - 1;
+  let pagesFetched = 0;
+  let pagination = {};
+  let exhausted = false;
+  
   try {
-    const apolloResponse = await axios.post(
-      apolloSearchEndpoint,
-      {},  // Empty body - filters go in params!
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Cache-Control': 'no-cache',
-          'x-api-key': apiKey  // Apollo uses lowercase x-api-key
-        },
-        params: apolloRequestParams,  // Filters as query parameters
-        paramsSerializer: {
-          serialize: (params) => {
-            // Serialize arrays as param[]=value1&param[]=value2 (Apollo format)
-            const qs = new URLSearchParams();
-            Object.entries(params).forEach(([key, value]) => {
-              if (Array.isArray(value)) {
-                value.forEach((v) => qs.append(`${key}[]`, v));
-              } else if (value !== undefined && value !== null) {
-                qs.append(key, value);
-              }
-            });
-            return qs.toString();
-          }
-        },
-        timeout: 120000 // 2 minutes for Apollo API
+    while (collected < targetCount && pagesFetched < pageBudget) {
+      if (currentPage > APOLLO_CONFIG.MAX_PEOPLE_SEARCH_PAGE) {
+        exhausted = true;
+        break;
       }
-    );
-    
-    logger.info('[Apollo API] Apollo.io API responded', { status: apolloResponse.status });
-    logger.debug('[Apollo API] Response data structure', {
-      hasData: !!apolloResponse.data,
-      dataKeys: apolloResponse.data ? Object.keys(apolloResponse.data) : [],
-      hasPeople: !!(apolloResponse.data && apolloResponse.data.people),
-      peopleCount: apolloResponse.data?.people?.length || 0,
-      sampleData: apolloResponse.data ? JSON.stringify(apolloResponse.data).substring(0, 500) : 'no data'
-    });
-    
-    if (apolloResponse.data && apolloResponse.data.people) {
-      const people = apolloResponse.data.people;
-      logger.info('[Apollo API] Found people from Apollo.io', { count: people.length });
       
-      return {
-        success: true,
-        employees: people,
-        pagination: apolloResponse.data.pagination || {}
-      };
-    } else {
-      logger.warn('[Apollo API] Apollo.io API returned unexpected format', {
+      const apolloResponse = await fetchPeoplePage(apolloSearchEndpoint, apiKey, {
+        ...filterParams,
+        per_page: perPage,
+        page: currentPage
+      });
+      pagesFetched++;
+      
+      logger.info('[Apollo API] Apollo.io API responded', { status: apolloResponse.status, page: currentPage });
+      logger.debug('[Apollo API] Response data structure', {
         hasData: !!apolloResponse.data,
         dataKeys: apolloResponse.data ? Object.keys(apolloResponse.data) : [],
-        fullResponse: JSON.stringify(apolloResponse.data).substring(0, 1000)
+        hasPeople: !!(apolloResponse.data && apolloResponse.data.people),
+        peopleCount: apolloResponse.data?.people?.length || 0,
+        sampleData: apolloResponse.data ? JSON.stringify(apolloResponse.data).substring(0, 500) : 'no data'
       });
-      return {
-        success: false,
-        employees: [],
-        error: 'Unexpected response format from Apollo.io API'
-      };
+      
+      if (!apolloResponse.data || !Array.isArray(apolloResponse.data.people)) {
+        logger.warn('[Apollo API] Apollo.io API returned unexpected format', {
+          page: currentPage,
+          hasData: !!apolloResponse.data,
+          dataKeys: apolloResponse.data ? Object.keys(apolloResponse.data) : [],
+          fullResponse: JSON.stringify(apolloResponse.data).substring(0, 1000)
+        });
+        
+        if (people.length === 0) {
+          return {
+            success: false,
+            employees: [],
+            error: 'Unexpected response format from Apollo.io API'
+          };
+        }
+        break;
+      }
+      
+      const pagePeople = apolloResponse.data.people;
+      people.push(...pagePeople);
+      collected += pagePeople.filter(person => !excludeSet.has(String(person.id))).length;
+      lastPage = currentPage;
+      
+      pagination = apolloResponse.data.pagination || {};
+      const totalEntries = pagination.total_entries ?? apolloResponse.data.total_entries;
+      const totalPages = pagination.total_pages
+        || (totalEntries !== undefined ? Math.ceil(totalEntries / perPage) : undefined);
+      
+      // A short page, or reaching the reported last page, means there is nothing further to read
+      if (pagePeople.length < perPage || (totalPages !== undefined && currentPage >= totalPages)) {
+        exhausted = true;
+        break;
+      }
+      
+      currentPage++;
     }
+    
+    logger.info('[Apollo API] Found people from Apollo.io', {
+      count: people.length,
+      usable: collected,
+      pagesFetched,
+      startPage,
+      lastPage,
+      exhausted
+    });
+    
+    return {
+      success: true,
+      employees: people,
+      pagination,
+      start_page: startPage,
+      last_page: lastPage,
+      exhausted
+    };
   } catch (apiError) {
     logger.error('[Apollo API] Error calling Apollo.io API directly', {
       message: apiError.message,
       status: apiError.response?.status,
-      responseData: apiError.response?.data
+      responseData: apiError.response?.data,
+      page: currentPage
     });
+    
+    // Keep what earlier pages returned - the caller still paid for them
+    if (people.length > 0) {
+      return {
+        success: true,
+        employees: people,
+        pagination,
+        start_page: startPage,
+        last_page: lastPage,
+        exhausted: false,
+        partial: true
+      };
+    }
     throw apiError;
   }
 }
 
+/**
+ * Walk Apollo pages through the Python script, one `search_people_direct`
+ * call per page, with the same stopping rules as callApolloApi.
+ *
+ * Throws if the first page fails so the caller can fall back to HTTP; a
+ * failure on a later page keeps the pages already read.
+ */
+async function searchPeopleViaPython(pythonParams, { startPage, targetCount, pageBudget, excludeSet, perPage }) {
+  const { APOLLO_CONFIG } = require('../constants/constants');
+  
+  const people = [];
+  let collected = 0;
+  let currentPage = startPage;
+  let lastPage = startPage - 1;
+  let pagesFetched = 0;
+  let pagination = {};
+  let exhausted = false;
+  
+  while (collected < targetCount && pagesFetched < pageBudget) {
+    if (currentPage > APOLLO_CONFIG.MAX_PEOPLE_SEARCH_PAGE) {
+      exhausted = true;
+      break;
+    }
+    
+    let pageResult;
+    try {
+      pageResult = await callApolloService('search_people_direct', {
+        ...pythonParams,
+        per_page: perPage,
+        page: currentPage
+      });
+      // A failed page must not read as an empty one - that would mark the search exhausted
+      if (!Array.isArray(pageResult) && pageResult?.success === false) {
+        throw new Error(pageResult.error || 'Python script reported a failed search');
+      }
+    } catch (pageError) {
+      if (pagesFetched === 0) {
+        throw pageError;
+      }
+      logger.error('[Apollo API] Python script failed part-way through a search', {
+        error: pageError.message,
+        page: currentPage
+      });
+      return {
+        success: true,
+        employees: people,
+        pagination,
+        start_page: startPage,
+        last_page: lastPage,
+        exhausted: false,
+        partial: true
+      };
+    }
+    pagesFetched++;
+    
+    // The script returns either the bare people array or { success, employees, pagination }
+    const pagePeople = Array.isArray(pageResult) ? pageResult : (pageResult?.employees || []);
+    if (!Array.isArray(pageResult) && pageResult?.pagination) {
+      pagination = pageResult.pagination;
+    }
+    
+    people.push(...pagePeople);
+    collected += pagePeople.filter(person => !excludeSet.has(String(person.id))).length;
+    lastPage = currentPage;
+    
+    const totalPages = pagination.total_pages
+      || (pagination.total_entries !== undefined ? Math.ceil(pagination.total_entries / perPage) : undefined);
+    
+    if (pagePeople.length < perPage || (totalPages !== undefined && currentPage >= totalPages)) {
+      exhausted = true;
+      break;
+    }
+    
+    currentPage++;
+  }
+  
+  logger.info('[Apollo API] Found people via Python script', {
+    count: people.length,
+    usable: collected,
+    pagesFetched,
+    startPage,
+    lastPage,
+    exhausted
+  });
+  
+  return {
+    success: true,
+    employees: people,
+    pagination,
+    start_page: startPage,
+    last_page: lastPage,
+    exhausted
+  };
+}
+
 /**
  * Search employees from Apollo API (with fallback)
+ *
+ * Both the Python script and the HTTP fallback walk as many pages as needed
+ * to reach `max_results`, and return `last_page` so callers can resume.
+ *
+ * @param {Object} searchParams - Search parameters
+ * @param {Object} options - { apiKey } - a tenant's own Apollo key. The Python
+ *   script only knows the platform key, so these searches go straight to HTTP.
  */
-async function searchEmployeesFromApollo(searchParams) {
+async function searchEmployeesFromApollo(searchParams, options = {}) {
+  const { PEOPLE_SEARCH_CONFIG } = require('../constants/constants');
   const {
     organization_locations = [],
     person_titles = [],
     organization_industries = [],
     per_page = 100,
-    page = 1
+    page = 1,
+    max_results,
+    exclude_ids = []
   } = searchParams;
   
   const apolloPerPage = 100; // Always request 100 from Apollo
   
+  const httpSearchParams = {
+    organization_locations: organization_locations,
+    person_titles: person_titles,
+    organization_industries: organization_industries,
+    per_page: apolloPerPage,
+    page: page,
+    max_results: max_results || per_page,
+    exclude_ids
+  };
+  
+  if (options.apiKey) {
+    return await callApolloApi(httpSearchParams, { apiKey: options.apiKey });
+  }
+  
   try {
     logger.debug('[Apollo API] Attempting to call Apollo via Python script');
-    const apolloResult = await callApolloService('search_people_direct', {
+    const apolloResult = await searchPeopleViaPython({
       organization_locations: organization_locations,
       person_titles: person_titles,
-      organization_industries: organization_industries,
-      per_page: apolloPerPage,
-      page: page || 1
+      organization_industries: organization_industries
+    }, {
+      perPage: apolloPerPage,
+      startPage: Math.max(parseInt(page, 10) || 1, 1),
+      targetCount: Math.max(parseInt(max_results || per_page, 10) || apolloPerPage, 1),
+      pageBudget: PEOPLE_SEARCH_CONFIG.MAX_PAGES_PER_CALL,
+      excludeSet: new Set((exclude_ids || []).map(String))
     });
     logger.info('[Apollo API] Successfully called Apollo via Python script');
     return apolloResult;
@@ -357,13 +572,7 @@ async function searchEmployeesFromApollo(searchParams) {
     });
     
     // Fallback to HTTP API
-    return await callApolloApi({
-      organization_locations: organization_locations,
-      person_titles: person_titles,
-      organization_industries: organization_industries,
-      per_page: apolloPerPage,
-      page: page
-    });
+    return await callApolloApi(httpSearchParams);
   }
 }
 
@@ -372,4 +581,3 @@ module.exports = {
   callApolloApi,
   searchEmployeesFromApollo
 };
-
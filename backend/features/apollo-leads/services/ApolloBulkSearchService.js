@@ -0,0 +1,110 @@
+/**
+ * Apollo Bulk Search Service
+ * LAD Architecture Compliant - Business logic only
+ *
+ * Runs many company searches for one request:
+ * - bounded concurrency (Apollo rate limits are handled by ApolloHttpClient)
+ * - each sub-search goes through ApolloLeadsService.searchCompanies, so it is
+ *   cached, saved to history and scoped to the tenant like a single search
+ * - a failing sub-search becomes an error entry instead of failing the batch
+ *
+ * Billing: the route reserves one search credit per sub-search. Sub-searches
+ * served from cache or that failed are refunded once the batch is done.
+ * Searches on the tenant's own Apollo key cost no platform credits and report 0.
+ */
+
+const { requireTenantId } = require('../../../core/utils/tenantHelper');
+const logger = require('../../../core/utils/logger');
+const ApolloLeadsService = require('./ApolloLeadsService');
+const ApolloCreditService = require('./ApolloCreditService');
+const ApolloCredentialService = require('./ApolloCredentialService');
+const { normalizeCompanySearchParams } = require('../utils/apolloUtils');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { BULK_SEARCH_CONFIG, CREDIT_COSTS, TENANT_CREDENTIALS_CONFIG } = require('../constants/constants');
+
+class ApolloBulkSearchService {
+  /**
+   * Run a batch of company searches
+   *
+   * @param {Array<Object>} searches - Raw company search params (validated upstream)
+   * @param {Object} req - Express request object (for tenant context)
+   * @param {Object} options - { creditsReserved } - credits charged up front by the route
+   * @returns {Promise<Object>} { results, succeeded, failed, credits_used, credits_refunded }
+   */
+  async runSearches(searches, req, options = {}) {
+    const { creditsReserved = 0 } = options;
+    const tenantId = requireTenantId(null, req, 'bulkSearchCompanies');
+    const credentials = await ApolloCredentialService.getCredentials(req);
+    const billable = credentials.source !== TENANT_CREDENTIALS_CONFIG.KEY_SOURCES.TENANT;
+
+    const results = await mapWithConcurrency(
+      searches,
+      BULK_SEARCH_CONFIG.CONCURRENCY,
+      (search, index) => this._runSearch(search, index, req, billable)
+    );
+
+    const unused = ApolloCreditService.calculateUnused(creditsReserved, results, CREDIT_COSTS.SEARCH);
+    const refunded = unused > 0
+      ? await ApolloCreditService.refund(tenantId, 'apollo_search', unused, req, 'Bulk search: cached or failed sub-searches')
+      : false;
+
+    const succeeded = results.filter(result => result.success).length;
+    const creditsUsed = results.reduce((sum, result) => sum + result.credits_used, 0);
+
+    logger.info('[Apollo Bulk Search] Bulk search completed', {
+      searches: searches.length,
+      succeeded,
+      failed: searches.length - succeeded,
+      creditsUsed,
+      creditsRefunded: refunded ? unused : 0
+    });
+
+    return {
+      results,
+      succeeded,
+      failed: searches.length - succeeded,
+      credits_used: creditsUsed,
+      credits_refunded: refunded ? unused : 0
+    };
+  }
+
+  /**
+   * Run one sub-search
+   * Rate limiting and retries happen in ApolloHttpClient
+   * Never throws - failures become the item's result
+   * @private
+   */
+  async _runSearch(search, index, req, billable) {
+    try {
+      const result = await ApolloLeadsService.searchCompanies(normalizeCompanySearchParams(search), req);
+
+      return {
+        index,
+        success: true,
+        companies: result.companies,
+        from_cache: result.from_cache,
+        cache_age: result.cache_age,
+        credits_used: result.from_cache ? 0 : this._cost(CREDIT_COSTS.SEARCH, billable)
+      };
+    } catch (error) {
+      return {
+        index,
+        success: false,
+        companies: [],
+        credits_used: 0,
+        error: error.message,
+        ...(error.status ? { apollo_status: error.status } : {})
+      };
+    }
+  }
+
+  /**
+   * Platform credits an operation costs - nothing on the tenant's own key
+   * @private
+   */
+  _cost(credits, billable) {
+    return billable ? credits : 0;
+  }
+}
+
+module.exports = new ApolloBulkSearchService();
@@ -5,10 +5,15 @@
  */
 
 const { searchEmployeesFromApollo } = require('./ApolloApiService');
+const ApolloCredentialService = require('./ApolloCredentialService');
 const { saveEmployeesToCache, formatApolloEmployees } = require('./ApolloCacheSaveService');
 const { getSchema } = require('../../../core/utils/schemaHelper');
 const logger = require('../../../core/utils/logger');
 const ApolloEmployeesCacheRepository = require('../repositories/ApolloEmployeesCacheRepository');
+const ApolloSearchCursorRepository = require('../repositories/ApolloSearchCursorRepository');
+const { SEARCH_SCOPES, generateSearchFingerprint } = require('../utils/searchFingerprint');
+const { isPlaceholderEmail, assessEmailDeliverability } = require('../utils/emailDeliverability');
+const { TENANT_CREDENTIALS_CONFIG, PEOPLE_SEARCH_CONFIG } = require('../constants/constants');
 
 /**
  * Filter out excluded IDs from employees list
@@ -26,10 +31,87 @@ function filterExcludedEmployees(employees, excludeIds) {
   });
 }
 
+/**
+ * Deliverability fields for a search result
+ * Uses the verdict stored at reveal time; emails cached before verdicts were
+ * recorded are assessed now. Locked/placeholder emails have no verdict.
+ * @param {Object} employee - Result with email, company_domain and stored email_* fields
+ * @param {Object} employeeData - Raw Apollo person (carries Apollo's email_status)
+ * @returns {Object} { email_status, email_deliverability, email_checks }
+ */
+function getEmailDeliverability(employee, employeeData = {}) {
+  if (employee.email_deliverability) {
+    return {
+      email_status: employee.email_status || null,
+      email_deliverability: employee.email_deliverability,
+      email_checks: employee.email_checks || null
+    };
+  }
+  
+  const apolloStatus = employee.email_status || employeeData.email_status || null;
+  if (isPlaceholderEmail(employee.email)) {
+    return { email_status: apolloStatus, email_deliverability: null, email_checks: null };
+  }
+  
+  const deliverability = assessEmailDeliverability(employee.email, {
+    apolloStatus: employee.email === employeeData.email ? apolloStatus : employee.email_status,
+    companyDomain: employee.company_domain
+  });
+  return {
+    email_status: deliverability.email_status,
+    email_deliverability: deliverability.verdict,
+    email_checks: deliverability.checks
+  };
+}
+
+/**
+ * Load the Apollo page cursor for a people-search filter set
+ * Returns null when there is no tenant to scope it to or the lookup fails
+ */
+async function loadSearchCursor(searchKey, tenantId, schema) {
+  if (!tenantId) return null;
+  
+  try {
+    return await ApolloSearchCursorRepository.findByKey(
+      searchKey,
+      tenantId,
+      schema,
+      PEOPLE_SEARCH_CONFIG.CURSOR_TTL_HOURS
+    );
+  } catch (cursorError) {
+    logger.warn('[Apollo Cache] Failed to load search cursor, starting from page 1', { error: cursorError.message });
+    return null;
+  }
+}
+
+/**
+ * Record the last Apollo page read for a people-search filter set
+ */
+async function saveSearchCursor(searchKey, filters, apolloResult, tenantId, schema) {
+  if (!tenantId || !apolloResult?.last_page) return;
+  
+  try {
+    await ApolloSearchCursorRepository.upsert({
+      searchKey,
+      searchParams: filters,
+      lastPage: apolloResult.last_page,
+      totalPages: apolloResult.pagination?.total_pages ?? null,
+      totalEntries: apolloResult.pagination?.total_entries ?? null,
+      exhausted: !!apolloResult.exhausted
+    }, schema, tenantId, PEOPLE_SEARCH_CONFIG.CURSOR_TTL_HOURS);
+  } catch (cursorError) {
+    logger.warn('[Apollo Cache] Failed to save search cursor', { error: cursorError.message });
+  }
+}
+
 /**
  * Search employees from database cache (employees_cache table)
  * Falls back to Apollo API if no results found in database
  * 
+ * verified_only returns only contacts whose revealed email has a 'verified'
+ * deliverability verdict. Apollo search results carry no revealed emails, so
+ * those searches are served from the cache alone.
+ * 
  * @param {Object} searchParams - Search parameters
  * @param {Object} req - Express request object (for tenant context and schema)
  * @returns {Promise<Object>} { success, employees, count }
@@ -41,7 +123,8 @@ async function searchEmployeesFromDb(searchParams, req = null) {
     organization_industries = [],
     per_page = 100,
     page = 1,
-    exclude_ids = []  // IDs to exclude (already used leads)
+    exclude_ids = [],  // IDs to exclude (already used leads)
+    verified_only = false
   } = searchParams;
 
   try {
@@ -67,7 +150,8 @@ async function searchEmployeesFromDb(searchParams, req = null) {
       organization_locations,
       organization_industries,
       page,
-      per_page: limitedPerPage
+      per_page: limitedPerPage,
+      verified_only
     });
     
     // Require at least one search criteria
@@ -91,7 +175,8 @@ async function searchEmployeesFromDb(searchParams, req = null) {
       organization_industries,
       per_page: limitedPerPage,
       page,
-      exclude_ids  // Pass exclude list to repository
+      exclude_ids,  // Pass exclude list to repository
+      verified_only: !!verified_only
     }, schema, tenantId);
     
     const queryDuration = Date.now() - queryStartTime;
@@ -105,7 +190,8 @@ async function searchEmployeesFromDb(searchParams, req = null) {
     let employees = [];
     
     // STEP 1: If database has ENOUGH results (>= requested), use them
-    if (dbRows.length >= limitedPerPage) {
+    // (verified-only searches never fall back to Apollo)
+    if (dbRows.length >= limitedPerPage || verified_only) {
       logger.info('[Apollo Cache] Found sufficient employees in database cache', { count: dbRows.length, requested: limitedPerPage });
       employees = dbRows.map(row => {
         let employeeData = {};
@@ -122,6 +208,7 @@ async function searchEmployeesFromDb(searchParams, req = null) {
           name: row.name,
           title: row.title,
           email: row.email,
+          ...getEmailDeliverability(row, employeeData),
           phone: row.phone,
           linkedin_url: row.linkedin_url,
           photo_url: row.photo_url,
@@ -156,6 +243,7 @@ async function searchEmployeesFromDb(searchParams, req = null) {
           name: row.name,
           title: row.title,
           email: row.email,
+          ...getEmailDeliverability(row, employeeData),
           phone: row.phone,
           linkedin_url: row.linkedin_url,
           photo_url: row.photo_url,
@@ -174,27 +262,50 @@ async function searchEmployeesFromDb(searchParams, req = null) {
       });
       
       const neededFromApollo = limitedPerPage - dbEmployees.length;
+      
+      // Resume from the last Apollo page read for these filters - earlier pages
+      // are already in employees_cache, so re-fetching them wastes credits
+      const cursorFilters = { person_titles, organization_locations, organization_industries };
+      const searchKey = generateSearchFingerprint(SEARCH_SCOPES.PEOPLE, cursorFilters);
+      const cursor = await loadSearchCursor(searchKey, tenantId, schema);
+      const startPage = cursor ? cursor.last_page + 1 : 1;
+      
       logger.info('[Apollo Cache] Database has insufficient employees, calling Apollo API', { 
         dbCount: dbEmployees.length, 
         requested: limitedPerPage, 
-        neededFromApollo 
+        neededFromApollo,
+        startPage,
+        cursorExhausted: !!cursor?.exhausted
       });
       
       try {
-        const apolloResult = await searchEmployeesFromApollo({
-          organization_locations: organization_locations,
-          person_titles: person_titles,
-          organization_industries: organization_industries,
-          per_page: 100, // Always request 100 from Apollo
-          page: page || 1
-        });
+        // A tenant's own key is passed through; the platform key is the default
+        const credentials = await ApolloCredentialService.getCredentials(req);
+        const apolloResult = cursor?.exhausted
+          ? null
+          : await searchEmployeesFromApollo({
+            organization_locations: organization_locations,
+            person_titles: person_titles,
+            organization_industries: organization_industries,
+            per_page: 100, // Always request 100 from Apollo
+            page: startPage,
+            max_results: neededFromApollo,
+            exclude_ids
+          }, {
+            apiKey: credentials.source === TENANT_CREDENTIALS_CONFIG.KEY_SOURCES.TENANT ? credentials.apiKey : undefined
+          });
+        
+        await saveSearchCursor(searchKey, cursorFilters, apolloResult, tenantId, schema);
         
         if (apolloResult && apolloResult.success && apolloResult.employees && apolloResult.employees.length > 0) {
           let apolloEmployees = apolloResult.employees;
           logger.info('[Apollo Cache] Found employees from Apollo API', { count: apolloEmployees.length });
           
           // Format Apollo employees
-          let formattedApolloEmployees = formatApolloEmployees(apolloEmployees);
+          let formattedApolloEmployees = formatApolloEmployees(apolloEmployees).map(employee => ({
+            ...employee,
+            ...getEmailDeliverability(employee, employee.employee_data)
+          }));
           
           // Filter out excluded IDs from Apollo results
           formattedApolloEmployees = filterExcludedEmployees(formattedApolloEmployees, exclude_ids);
@@ -0,0 +1,130 @@
+/**
+ * Apollo Company Service
+ * LAD Architecture Compliant - Business logic only, calls repository for SQL
+ *
+ * Persists companies returned by Apollo per tenant and serves the saved
+ * list back without touching the Apollo API.
+ */
+
+const { getSchema } = require('../../../core/utils/schemaHelper');
+const { requireTenantId } = require('../../../core/utils/tenantHelper');
+const logger = require('../../../core/utils/logger');
+const ApolloCompanyRepository = require('../repositories/ApolloCompanyRepository');
+const {
+  mapApolloCompanyToDataShape,
+  formatCompanyForResponse,
+  validateCompanyData
+} = require('../models/ApolloCompany');
+const { sanitizeSearchQuery } = require('../utils/apolloUtils');
+const { COMPANY_LIST_CONFIG } = require('../constants/constants');
+
+/**
+ * Parse an employee range ("11,50", "11-50", "10001,") into bounds
+ */
+function parseEmployeeRange(range) {
+  if (!range) return { minEmployees: null, maxEmployees: null };
+
+  const [min, max] = String(range).split(/[,-]/).map(part => part.trim());
+  const minEmployees = min ? parseInt(min, 10) : NaN;
+  const maxEmployees = max ? parseInt(max, 10) : NaN;
+
+  return {
+    minEmployees: Number.isNaN(minEmployees) ? null : minEmployees,
+    maxEmployees: Number.isNaN(maxEmployees) ? null : maxEmployees
+  };
+}
+
+class ApolloCompanyService {
+  /**
+   * Upsert raw Apollo organizations for the request's tenant
+   * Failures are logged and swallowed - persistence must never fail a search
+   *
+   * @param {Array} apolloCompanies - Raw organization objects from Apollo
+   * @param {Object} req - Express request object (for tenant context)
+   * @returns {Promise<number>} Number of companies saved
+   */
+  async saveCompanies(apolloCompanies, req = null) {
+    if (!req || !Array.isArray(apolloCompanies) || apolloCompanies.length === 0) {
+      return 0;
+    }
+
+    let tenantId;
+    let schema;
+    try {
+      tenantId = requireTenantId(null, req, 'saveCompanies');
+      schema = getSchema(req);
+    } catch (error) {
+      logger.debug('[Apollo Companies] No tenant context, companies not saved');
+      return 0;
+    }
+
+    const userId = req.user?.id || 'system';
+    let saved = 0;
+
+    for (const apolloCompany of apolloCompanies) {
+      const companyData = mapApolloCompanyToDataShape(apolloCompany, tenantId, userId);
+      const validation = validateCompanyData(companyData);
+
+      if (!validation.valid) {
+        logger.debug('[Apollo Companies] Skipping invalid company', { errors: validation.errors });
+        continue;
+      }
+
+      try {
+        await ApolloCompanyRepository.upsert(companyData, schema, tenantId);
+        saved++;
+      } catch (error) {
+        logger.warn('[Apollo Companies] Failed to save company', {
+          apolloId: companyData.apolloId,
+          error: error.message
+        });
+      }
+    }
+
+    logger.debug('[Apollo Companies] Companies saved', { saved, received: apolloCompanies.length });
+    return saved;
+  }
+
+  /**
+   * List the tenant's saved companies
+   *
+   * @param {Object} params - { industry, location, domain, company_size, limit, page }
+   * @param {Object} req - Express request object (for tenant context)
+   * @returns {Promise<Object>} { companies, pagination }
+   */
+  async listCompanies(params = {}, req = null) {
+    const tenantId = requireTenantId(null, req, 'listCompanies');
+    const schema = getSchema(req);
+
+    const limit = Math.min(
+      Math.max(parseInt(params.limit, 10) || COMPANY_LIST_CONFIG.DEFAULT_LIMIT, 1),
+      COMPANY_LIST_CONFIG.MAX_LIMIT
+    );
+    const page = Math.max(parseInt(params.page, 10) || 1, 1);
+    const offset = (page - 1) * limit;
+
+    const filters = {
+      industry: params.industry ? `%${sanitizeSearchQuery(params.industry)}%` : null,
+      location: params.location ? `%${sanitizeSearchQuery(params.location)}%` : null,
+      domain: params.domain ? `%${sanitizeSearchQuery(params.domain)}%` : null,
+      ...parseEmployeeRange(params.company_size)
+    };
+
+    const [rows, total] = await Promise.all([
+      ApolloCompanyRepository.findByTenant(tenantId, schema, { limit, offset, filters }),
+      ApolloCompanyRepository.countByTenant(tenantId, schema, filters)
+    ]);
+
+    return {
+      companies: rows.map(formatCompanyForResponse),
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new ApolloCompanyService();
@@ -0,0 +1,281 @@
+/**
+ * Apollo Credential Service
+ * LAD Architecture Compliant - Business logic only, calls repository for SQL
+ *
+ * Decides which Apollo API key a request uses: the tenant's own key when one
+ * is stored (apollo_tenant_credentials, AES-256-GCM encrypted), otherwise the
+ * platform APOLLO_API_KEY. Calls made with the tenant's key are not charged
+ * platform credits.
+ *
+ * Resolved keys are cached per tenant for TENANT_CREDENTIALS_CONFIG.CACHE_TTL_MS;
+ * set/rotate/remove clear the entry on this instance, other instances pick the
+ * change up when their entry expires.
+ */
+
+const { getSchema } = require('../../../core/utils/schemaHelper');
+const { requireTenantId } = require('../../../core/utils/tenantHelper');
+const logger = require('../../../core/utils/logger');
+const ApolloHttpClient = require('./ApolloHttpClient');
+const ApolloTenantCredentialRepository = require('../repositories/ApolloTenantCredentialRepository');
+const { formatCredentialForResponse } = require('../models/ApolloTenantCredential');
+const { parseEncryptionKey, encryptSecret, decryptSecret } = require('../utils/credentialEncryption');
+const { APOLLO_CONFIG, HEALTH_CONFIG, TENANT_CREDENTIALS_CONFIG } = require('../constants/constants');
+
+const { KEY_SOURCES, TEST_STATUS } = TENANT_CREDENTIALS_CONFIG;
+
+/**
+ * Error carrying the HTTP status the admin endpoint should answer with
+ */
+function credentialError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class ApolloCredentialService {
+  constructor() {
+    // `${schema}:${tenantId}` -> { apiKey (null when the tenant has none), expiresAt }
+    this.cache = new Map();
+  }
+
+  /**
+   * Platform Apollo key from the environment
+   */
+  getPlatformApiKey() {
+    return process.env.APOLLO_API_KEY || process.env.APOLLO_IO_API_KEY || null;
+  }
+
+  /**
+   * Apollo key for a request - the tenant's own key when stored, otherwise the platform key
+   * Memoized on req.apolloCredentials (resolveApolloCredentialsMiddleware sets it up front;
+   * background jobs resolve it on first use)
+   *
+   * @param {Object} req - Express request object (or system request context)
+   * @returns {Promise<Object>} { apiKey, source: 'tenant' | 'platform' }
+   */
+  async getCredentials(req) {
+    if (req?.apolloCredentials) return req.apolloCredentials;
+
+    const tenantId = req?.user?.tenant_id || req?.user?.tenantId || req?.tenant?.id || req?.headers?.['x-tenant-id'];
+    const tenantKey = tenantId ? await this._getTenantApiKey(tenantId, getSchema(req)) : null;
+
+    const credentials = tenantKey
+      ? { apiKey: tenantKey, source: KEY_SOURCES.TENANT }
+      : { apiKey: this.getPlatformApiKey(), source: KEY_SOURCES.PLATFORM };
+
+    if (req) req.apolloCredentials = credentials;
+    return credentials;
+  }
+
+  /**
+   * Key status for the tenant (never includes the key)
+   */
+  async getStatus(req) {
+    const tenantId = requireTenantId(null, req, 'getApolloCredentialStatus');
+    const schema = getSchema(req);
+
+    const row = await ApolloTenantCredentialRepository.findByTenant(tenantId, schema);
+    const credentials = await this.getCredentials(req);
+
+    return formatCredentialForResponse(row, credentials.source);
+  }
+
+  /**
+   * Store the tenant's key, replacing any existing one
+   * The key is tested against Apollo first and refused unless Apollo accepts it
+   *
+   * @param {string} apiKey - Tenant's Apollo API key
+   * @param {Object} req - Express request object
+   * @param {Object} options - { requireExisting } - rotation only replaces a stored key
+   * @throws Errors with statusCode (400 invalid key, 404 nothing to rotate, 502 Apollo unreachable, 503 not configured)
+   */
+  async setKey(apiKey, req, options = {}) {
+    const tenantId = requireTenantId(null, req, 'setApolloCredential');
+    const schema = getSchema(req);
+    const encryptionKey = this._getEncryptionKey();
+    const trimmedKey = this._validateKeyFormat(apiKey);
+
+    if (options.requireExisting) {
+      const existing = await ApolloTenantCredentialRepository.findByTenant(tenantId, schema);
+      if (!existing) {
+        throw credentialError('No Apollo API key is stored for this tenant', 404);
+      }
+    }
+
+    const test = await this.testApiKey(trimmedKey);
+    if (test.status === TEST_STATUS.INVALID) {
+      throw credentialError(`Apollo rejected the API key: ${test.error}`, 400);
+    }
+    if (test.status === TEST_STATUS.ERROR) {
+      throw credentialError(`Could not verify the API key with Apollo: ${test.error}`, 502);
+    }
+
+    const row = await ApolloTenantCredentialRepository.upsert({
+      apiKeyEncrypted: encryptSecret(trimmedKey, encryptionKey, tenantId),
+      keyLast4: trimmedKey.slice(-4),
+      testStatus: test.status,
+      userId: req.user?.id
+    }, schema, tenantId);
+
+    this._invalidate(tenantId, schema, req);
+    logger.info('[Apollo Credentials] Tenant Apollo key stored', {
+      rotated: !!options.requireExisting,
+      keyLast4: row.key_last4
+    });
+
+    return formatCredentialForResponse(row, KEY_SOURCES.TENANT);
+  }
+
+  /**
+   * Replace the tenant's stored key
+   */
+  async rotateKey(apiKey, req) {
+    return this.setKey(apiKey, req, { requireExisting: true });
+  }
+
+  /**
+   * Test a key against Apollo
+   * With candidateKey the key is only tested; otherwise the stored key is tested
+   * and the outcome recorded
+   *
+   * @returns {Promise<Object>} { test: { status, error }, credential }
+   */
+  async testKey(req, candidateKey = null) {
+    const tenantId = requireTenantId(null, req, 'testApolloCredential');
+    const schema = getSchema(req);
+
+    if (candidateKey) {
+      return { test: await this.testApiKey(this._validateKeyFormat(candidateKey)), credential: null };
+    }
+
+    const row = await ApolloTenantCredentialRepository.findByTenant(tenantId, schema);
+    if (!row) {
+      throw credentialError('No Apollo API key is stored for this tenant', 404);
+    }
+
+    const apiKey = decryptSecret(row.api_key_encrypted, this._getEncryptionKey(), tenantId);
+    const test = await this.testApiKey(apiKey);
+    const updated = await ApolloTenantCredentialRepository.recordTest(tenantId, schema, test.status, test.error);
+
+    const credentials = await this.getCredentials(req);
+    return { test, credential: formatCredentialForResponse(updated || row, credentials.source) };
+  }
+
+  /**
+   * Delete the tenant's key - its Apollo calls go back to the platform key (and platform credits)
+   */
+  async removeKey(req) {
+    const tenantId = requireTenantId(null, req, 'removeApolloCredential');
+    const schema = getSchema(req);
+
+    const deleted = await ApolloTenantCredentialRepository.delete(tenantId, schema);
+    if (!deleted) {
+      throw credentialError('No Apollo API key is stored for this tenant', 404);
+    }
+
+    this._invalidate(tenantId, schema, req);
+    logger.info('[Apollo Credentials] Tenant Apollo key removed');
+
+    return formatCredentialForResponse(null, KEY_SOURCES.PLATFORM);
+  }
+
+  /**
+   * One authenticated call to Apollo with the key
+   * Never throws
+   *
+   * @returns {Promise<Object>} { status: 'valid' | 'invalid' | 'error', error }
+   */
+  async testApiKey(apiKey) {
+    const baseURL = process.env.APOLLO_API_BASE_URL || APOLLO_CONFIG.DEFAULT_BASE_URL;
+
+    try {
+      const response = await ApolloHttpClient.get(`${baseURL}${HEALTH_CONFIG.ENDPOINTS.APOLLO}`, {
+        apiKey,
+        retries: 0,
+        timeout: HEALTH_CONFIG.PROBE_TIMEOUT_MS
+      });
+
+      if (response.data?.is_logged_in === false) {
+        return { status: TEST_STATUS.INVALID, error: 'Apollo did not accept the key' };
+      }
+      return { status: TEST_STATUS.VALID, error: null };
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 401 || status === 403) {
+        return { status: TEST_STATUS.INVALID, error: error.response?.data?.error || 'Apollo did not accept the key' };
+      }
+      return { status: TEST_STATUS.ERROR, error: error.message };
+    }
+  }
+
+  /**
+   * Decrypted tenant key, or null when the tenant has none or it can't be read
+   * (the request then falls back to the platform key)
+   * @private
+   */
+  async _getTenantApiKey(tenantId, schema) {
+    const cacheKey = `${schema}:${tenantId}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.apiKey;
+
+    let row;
+    try {
+      row = await ApolloTenantCredentialRepository.findByTenant(tenantId, schema);
+    } catch (error) {
+      logger.warn('[Apollo Credentials] Tenant key lookup failed, using platform key', { error: error.message });
+      return null;
+    }
+
+    let apiKey = null;
+    if (row) {
+      const encryptionKey = parseEncryptionKey(process.env[TENANT_CREDENTIALS_CONFIG.ENCRYPTION_KEY_ENV]);
+      try {
+        if (!encryptionKey) throw new Error(`${TENANT_CREDENTIALS_CONFIG.ENCRYPTION_KEY_ENV} is not configured`);
+        apiKey = decryptSecret(row.api_key_encrypted, encryptionKey, tenantId);
+      } catch (error) {
+        logger.error('[Apollo Credentials] Could not decrypt tenant Apollo key, using platform key', {
+          keyLast4: row.key_last4,
+          error: error.message
+        });
+      }
+    }
+
+    this.cache.set(cacheKey, { apiKey, expiresAt: Date.now() + TENANT_CREDENTIALS_CONFIG.CACHE_TTL_MS });
+    return apiKey;
+  }
+
+  /**
+   * @private
+   */
+  _getEncryptionKey() {
+    const encryptionKey = parseEncryptionKey(process.env[TENANT_CREDENTIALS_CONFIG.ENCRYPTION_KEY_ENV]);
+    if (!encryptionKey) {
+      throw credentialError('Tenant Apollo keys are not enabled on this server', 503);
+    }
+    return encryptionKey;
+  }
+
+  /**
+   * @private
+   */
+  _validateKeyFormat(apiKey) {
+    const trimmedKey = typeof apiKey === 'string' ? apiKey.trim() : '';
+    if (trimmedKey.length < TENANT_CREDENTIALS_CONFIG.MIN_KEY_LENGTH ||
+        trimmedKey.length > TENANT_CREDENTIALS_CONFIG.MAX_KEY_LENGTH ||
+        /\s/.test(trimmedKey)) {
+      throw credentialError('api_key must be an Apollo API key', 400);
+    }
+    return trimmedKey;
+  }
+
+  /**
+   * Forget the cached key so the next request resolves it again
+   * @private
+   */
+  _invalidate(tenantId, schema, req) {
+    this.cache.delete(`${schema}:${tenantId}`);
+    if (req) delete req.apolloCredentials;
+  }
+}
+
+module.exports = new ApolloCredentialService();
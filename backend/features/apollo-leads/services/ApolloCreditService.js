@@ -0,0 +1,91 @@
+/**
+ * Apollo Credit Service
+ * LAD Architecture Compliant - Credit settlement for operations billed up front
+ *
+ * Batch routes reserve the worst-case cost before the controller runs
+ * (credit_guard charges on the way in). Once the real cost is known the
+ * difference is returned here.
+ */
+
+const { refundCredits } = require('../../../shared/middleware/credit_guard');
+const logger = require('../../../core/utils/logger');
+const ApolloCreditRefundRepository = require('../repositories/ApolloCreditRefundRepository');
+
+class ApolloCreditService {
+  /**
+   * Refund credits to the tenant
+   * Never throws - a failed refund is logged and reported as false
+   *
+   * @param {string} tenantId - Tenant ID
+   * @param {string} usageType - Usage type the credits were charged under (e.g. 'apollo_phone')
+   * @param {number} credits - Credits to return
+   * @param {Object} req - Express request object (or job request context)
+   * @param {string} reason - Reason recorded with the refund
+   * @returns {Promise<boolean>} Whether the refund went through
+   */
+  async refund(tenantId, usageType, credits, req, reason) {
+    if (!tenantId || !(credits > 0)) return false;
+
+    try {
+      await refundCredits(tenantId, usageType, credits, req, reason);
+      logger.info('[Apollo Credits] Credits refunded', { usageType, credits, reason });
+      return true;
+    } catch (error) {
+      logger.error('[Apollo Credits] Failed to refund credits', {
+        usageType,
+        credits,
+        reason,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Refund credits and record the refund in apollo_credit_refunds
+   * The audit write never undoes or fails a refund that went through
+   *
+   * @param {Object} refund - { tenantId, usageType, credits, reason, referenceType, referenceId }
+   * @param {Object} req - Express request object (or system request context)
+   * @param {string} schema - Schema holding apollo_credit_refunds
+   * @returns {Promise<boolean>} Whether the refund went through
+   */
+  async refundWithAudit(refund, req, schema) {
+    const { tenantId, usageType, credits, reason } = refund;
+
+    const refunded = await this.refund(tenantId, usageType, credits, req, reason);
+    if (!refunded) return false;
+
+    try {
+      await ApolloCreditRefundRepository.create(refund, schema, tenantId);
+    } catch (error) {
+      logger.error('[Apollo Credits] Failed to write refund audit entry', {
+        usageType,
+        credits,
+        referenceType: refund.referenceType,
+        referenceId: refund.referenceId,
+        error: error.message
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Work out how much of an up-front reservation was not spent
+   *
+   * @param {number} reserved - Credits charged up front
+   * @param {Array<Object>} results - Per-item results with credits_used and refunded flags
+   * @param {number} unitCost - Cost of one item (what the reveal service refunds on its own)
+   * @returns {number} Credits to refund
+   */
+  calculateUnused(reserved, results, unitCost) {
+    const used = results.reduce((sum, result) => sum + (result.credits_used || 0), 0);
+    // The reveal service already refunded these items itself
+    const alreadyRefunded = results.filter(result => result.refunded).length * unitCost;
+
+    return Math.max(reserved - used - alreadyRefunded, 0);
+  }
+}
+
+module.exports = new ApolloCreditService();
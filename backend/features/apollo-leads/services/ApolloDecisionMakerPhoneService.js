@@ -0,0 +1,148 @@
+/**
+ * Apollo Decision Maker Phone Service
+ * LAD Architecture Compliant - Business logic only, delegates SQL to repositories
+ *
+ * Reveals phone numbers for a list of contacts picked in the UI:
+ * 1. resolve each contact to an Apollo person (employees_cache first, then a people match)
+ * 2. reveal the phone through ApolloRevealService (cache hits are free)
+ * 3. refund the credits reserved for contacts that were not revealed
+ */
+
+const { getSchema } = require('../../../core/utils/schemaHelper');
+const { requireTenantId } = require('../../../core/utils/tenantHelper');
+const logger = require('../../../core/utils/logger');
+const ApolloLeadsService = require('./ApolloLeadsService');
+const ApolloCreditService = require('./ApolloCreditService');
+const { saveEmployeesToCache, formatApolloEmployees } = require('./ApolloCacheSaveService');
+const ApolloEmployeesCacheRepository = require('../repositories/ApolloEmployeesCacheRepository');
+const { CREDIT_COSTS } = require('../constants/constants');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class ApolloDecisionMakerPhoneService {
+  /**
+   * Reveal phones for a list of contacts
+   *
+   * @param {Array<Object>} contacts - [{ id, name, company, title }]
+   * @param {Object} req - Express request object (for tenant context)
+   * @param {Object} options - { creditsReserved } - credits charged up front by the route
+   * @returns {Promise<Object>} { results, total_credits_used, credits_refunded }
+   */
+  async revealPhones(contacts, req, options = {}) {
+    const { creditsReserved = 0 } = options;
+    const tenantId = requireTenantId(null, req, 'getDecisionMakerPhones');
+    const schema = getSchema(req);
+
+    const results = [];
+
+    for (const contact of contacts) {
+      results.push(await this._revealContact(contact, tenantId, schema, req));
+    }
+
+    const unused = ApolloCreditService.calculateUnused(creditsReserved, results, CREDIT_COSTS.PHONE_REVEAL);
+    const refunded = unused > 0
+      ? await ApolloCreditService.refund(tenantId, 'apollo_phone', unused, req, 'Decision maker phones: contacts not revealed')
+      : false;
+
+    const totalCreditsUsed = results.reduce((sum, result) => sum + result.credits_used, 0);
+
+    logger.info('[Apollo Phones] Decision maker phone reveal completed', {
+      contacts: contacts.length,
+      revealed: results.filter(result => result.phone).length,
+      pending: results.filter(result => result.status === 'pending').length,
+      totalCreditsUsed,
+      creditsRefunded: refunded ? unused : 0
+    });
+
+    return {
+      results: results.map(({ refunded: _refunded, ...result }) => result),
+      total_credits_used: totalCreditsUsed,
+      credits_refunded: refunded ? unused : 0
+    };
+  }
+
+  /**
+   * Resolve and reveal a single contact
+   * Never throws - failures become the contact's result
+   * @private
+   */
+  async _revealContact(contact, tenantId, schema, req) {
+    const contactId = contact?.id || null;
+
+    try {
+      const personId = await this._resolvePersonId(contact, tenantId, schema, req);
+
+      if (!personId) {
+        return {
+          contact_id: contactId,
+          person_id: null,
+          phone: null,
+          status: 'not_found',
+          credits_used: 0,
+          error: 'Could not match contact to an Apollo person'
+        };
+      }
+
+      const reveal = await ApolloLeadsService.revealPhone(personId, contact.name || null, req);
+
+      return {
+        contact_id: contactId,
+        person_id: personId,
+        reveal_id: reveal.reveal_id || null,
+        phone: reveal.phone || null,
+        status: reveal.phone ? 'revealed' : (reveal.status || 'failed'),
+        from_cache: !!reveal.from_cache,
+        credits_used: reveal.credits_used || 0,
+        refunded: !!reveal.refunded,
+        ...(reveal.error ? { error: reveal.error } : {}),
+        ...(reveal.message ? { message: reveal.message } : {})
+      };
+    } catch (error) {
+      logger.warn('[Apollo Phones] Contact reveal failed', { contactId, error: error.message });
+      return {
+        contact_id: contactId,
+        person_id: null,
+        phone: null,
+        status: 'failed',
+        credits_used: 0,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Resolve a contact to an Apollo person ID
+   * Order: cached person by ID -> non-UUID ID as-is -> cached person by name/company -> Apollo people match
+   * @private
+   */
+  async _resolvePersonId(contact, tenantId, schema, req) {
+    const { id, name, company, title } = contact || {};
+
+    if (id) {
+      const cached = await ApolloEmployeesCacheRepository.findByPersonId(id, tenantId, schema);
+      if (cached?.apollo_person_id) return cached.apollo_person_id;
+
+      // UUIDs are our own record IDs, anything else is taken to be an Apollo person ID
+      if (!UUID_PATTERN.test(String(id))) return String(id);
+    }
+
+    if (!name) return null;
+
+    const cachedByName = await ApolloEmployeesCacheRepository.findByNameAndCompany(name, company, tenantId, schema);
+    if (cachedByName?.apollo_person_id) return cachedByName.apollo_person_id;
+
+    const person = await ApolloLeadsService.matchPerson({ name, company, title }, req);
+    if (!person?.id) return null;
+
+    // Cache the match so the phone webhook can find this person later
+    try {
+      await saveEmployeesToCache(formatApolloEmployees([person]), req);
+    } catch (cacheError) {
+      logger.warn('[Apollo Phones] Failed to cache matched person', { error: cacheError.message });
+    }
+
+    return String(person.id);
+  }
+}
+
+module.exports = new ApolloDecisionMakerPhoneService();
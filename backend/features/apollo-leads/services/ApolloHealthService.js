@@ -0,0 +1,247 @@
+/**
+ * Apollo Health Service
+ * LAD Architecture Compliant - Business logic only, calls repository for SQL
+ *
+ * Probes everything the feature depends on:
+ * - Apollo API (timed lightweight call)
+ * - Database (SELECT 1, pool usage, every table the feature uses)
+ * - Unipile (configured and reachable)
+ * - Python Apollo script (path resolves, interpreter found)
+ *
+ * Results are cached per schema for HEALTH_CONFIG.CACHE_TTL_MS, and concurrent
+ * callers share one in-flight check, so monitoring can poll /health freely.
+ *
+ * Check statuses: 'ok' | 'degraded' | 'error' | 'not_configured'
+ * Overall status: 'unhealthy' when Apollo or the database fails,
+ * 'degraded' when an optional dependency is unavailable, otherwise 'healthy'.
+ */
+
+const axios = require('axios');
+const logger = require('../../../core/utils/logger');
+const ApolloHealthRepository = require('../repositories/ApolloHealthRepository');
+const ApolloHttpClient = require('./ApolloHttpClient');
+const ApolloCredentialService = require('./ApolloCredentialService');
+const ApolloPythonService = require('./ApolloPythonService');
+const UnipileLeadSearchService = require('./UnipileLeadSearchService');
+const { APOLLO_CONFIG, DATABASE_TABLES, HEALTH_CONFIG } = require('../constants/constants');
+
+// Failures of these make the whole feature unhealthy
+const CRITICAL_CHECKS = ['apollo_api', 'database'];
+
+class ApolloHealthService {
+  constructor() {
+    // schema -> { result, expiresAt }
+    this.cache = new Map();
+    // schema -> Promise of a running check
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Get feature health
+   *
+   * @param {string} schema - Tenant schema whose tables are checked
+   * @param {Object} options - { refresh } - bypass the cache
+   * @returns {Promise<Object>} { status, checked_at, cached, checks }
+   */
+  async getHealth(schema, options = {}) {
+    const { refresh = false } = options;
+    const cached = this.cache.get(schema);
+
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+      return { ...cached.result, cached: true };
+    }
+
+    if (!this.inFlight.has(schema)) {
+      const check = this._runChecks(schema)
+        .then(result => {
+          this.cache.set(schema, { result, expiresAt: Date.now() + HEALTH_CONFIG.CACHE_TTL_MS });
+          return result;
+        })
+        .finally(() => this.inFlight.delete(schema));
+      this.inFlight.set(schema, check);
+    }
+
+    const result = await this.inFlight.get(schema);
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Run all checks in parallel
+   * @private
+   */
+  async _runChecks(schema) {
+    const [apolloApi, database, unipile, pythonScript] = await Promise.all([
+      this._safeCheck('apollo_api', () => this.checkApolloApi()),
+      this._safeCheck('database', () => this.checkDatabase(schema)),
+      this._safeCheck('unipile', () => this.checkUnipile()),
+      this._safeCheck('python_script', () => this.checkPythonScript())
+    ]);
+
+    const checks = {
+      apollo_api: apolloApi,
+      database,
+      unipile,
+      python_script: pythonScript
+    };
+
+    const result = {
+      status: this._overallStatus(checks),
+      checked_at: new Date().toISOString(),
+      checks
+    };
+
+    if (result.status !== 'healthy') {
+      logger.warn('[Apollo Health] Feature not healthy', {
+        status: result.status,
+        failing: Object.keys(checks).filter(name => checks[name].status !== 'ok')
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Time a lightweight authenticated Apollo call with the platform key
+   * Goes through ApolloHttpClient like every Apollo call, so it shares the
+   * key's quota and concurrency. /auth/health answers 200 for any key - the
+   * key only works when the body says is_logged_in.
+   */
+  async checkApolloApi() {
+    const apiKey = ApolloCredentialService.getPlatformApiKey();
+    if (!apiKey) {
+      return { status: 'not_configured', message: 'APOLLO_API_KEY is not set' };
+    }
+
+    const baseURL = process.env.APOLLO_API_BASE_URL || APOLLO_CONFIG.DEFAULT_BASE_URL;
+    const startedAt = Date.now();
+
+    try {
+      const response = await ApolloHttpClient.get(`${baseURL}${HEALTH_CONFIG.ENDPOINTS.APOLLO}`, {
+        apiKey,
+        retries: 0,
+        timeout: HEALTH_CONFIG.PROBE_TIMEOUT_MS
+      });
+
+      const responseTimeMs = Date.now() - startedAt;
+      if (response.data?.is_logged_in !== true) {
+        return {
+          status: 'error',
+          response_time_ms: responseTimeMs,
+          http_status: response.status,
+          message: 'Apollo rejected the API key'
+        };
+      }
+
+      return {
+        status: responseTimeMs > HEALTH_CONFIG.SLOW_RESPONSE_MS ? 'degraded' : 'ok',
+        response_time_ms: responseTimeMs
+      };
+    } catch (error) {
+      return {
+        status: 'error',
+        response_time_ms: Date.now() - startedAt,
+        http_status: error.response?.status,
+        message: error.response?.status === 401 || error.response?.status === 403
+          ? 'Apollo rejected the API key'
+          : error.message
+      };
+    }
+  }
+
+  /**
+   * SELECT 1, pool usage and presence of every table the feature uses
+   */
+  async checkDatabase(schema) {
+    const startedAt = Date.now();
+    await ApolloHealthRepository.ping();
+    const responseTimeMs = Date.now() - startedAt;
+
+    const missingTables = await ApolloHealthRepository.findMissingTables(DATABASE_TABLES, schema);
+
+    return {
+      status: missingTables.length > 0 ? 'error' : 'ok',
+      response_time_ms: responseTimeMs,
+      pool: ApolloHealthRepository.getPoolStats(),
+      schema,
+      tables_checked: DATABASE_TABLES.length,
+      missing_tables: missingTables
+    };
+  }
+
+  /**
+   * Unipile credentials present and API reachable
+   */
+  async checkUnipile() {
+    if (!UnipileLeadSearchService.isConfigured()) {
+      return { status: 'not_configured', message: 'UNIPILE_DSN or UNIPILE_TOKEN is not set' };
+    }
+
+    const startedAt = Date.now();
+
+    try {
+      await axios.get(`${UnipileLeadSearchService.getBaseUrl()}${HEALTH_CONFIG.ENDPOINTS.UNIPILE}`, {
+        headers: UnipileLeadSearchService.getAuthHeaders(),
+        params: { limit: 1 },
+        timeout: HEALTH_CONFIG.PROBE_TIMEOUT_MS
+      });
+
+      return { status: 'ok', response_time_ms: Date.now() - startedAt };
+    } catch (error) {
+      return {
+        status: 'degraded',
+        response_time_ms: Date.now() - startedAt,
+        http_status: error.response?.status,
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Python Apollo script resolves and an interpreter is available
+   * The feature falls back to the HTTP API without it, so this is never critical
+   */
+  async checkPythonScript() {
+    const { scriptPath, pythonExecutable } = ApolloPythonService.getAvailability();
+
+    if (!scriptPath) {
+      return {
+        status: 'not_configured',
+        message: 'apollo_service.py not found (set LAD_SCRIPTS_PATH or APOLLO_SERVICE_SCRIPT_PATH)'
+      };
+    }
+
+    return {
+      status: pythonExecutable ? 'ok' : 'degraded',
+      script_path: scriptPath,
+      python: pythonExecutable,
+      ...(pythonExecutable ? {} : { message: 'Python interpreter not found' })
+    };
+  }
+
+  /**
+   * Run a check, turning unexpected exceptions into an error result
+   * @private
+   */
+  async _safeCheck(name, check) {
+    try {
+      return await check();
+    } catch (error) {
+      logger.error('[Apollo Health] Check failed', { check: name, error: error.message });
+      return { status: 'error', message: error.message };
+    }
+  }
+
+  /**
+   * @private
+   */
+  _overallStatus(checks) {
+    const critical = CRITICAL_CHECKS.map(name => checks[name].status);
+    if (critical.some(status => status === 'error' || status === 'not_configured')) {
+      return 'unhealthy';
+    }
+
+    return Object.values(checks).every(check => check.status === 'ok') ? 'healthy' : 'degraded';
+  }
+}
+
+module.exports = new ApolloHealthService();
@@ -0,0 +1,298 @@
+/**
+ * Apollo HTTP Client
+ * LAD Architecture Compliant - Single path for every Apollo API call
+ *
+ * - adds the API key header and default timeout
+ * - tracks the minute/hourly/daily quota Apollo reports in response headers
+ * - queues requests (MAX_CONCURRENT in flight per key) and holds them back
+ *   while the minute quota is nearly spent or Apollo asked us to wait
+ * - fails fast while the daily quota is exhausted (re-checked after DAILY_RECHECK_MS)
+ * - retries 429/5xx with jittered exponential backoff (Retry-After wins);
+ *   billable calls pass retryServerErrors: false - a 5xx can come after
+ *   Apollo has charged, so they retry only 429s and requests that never got out
+ *
+ * Errors are the original axios errors, so callers keep checking
+ * error.response.status as before. A request refused locally because the
+ * daily quota is gone is shaped like an Apollo 429.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('../../../core/utils/logger');
+const { sleep } = require('../utils/concurrency');
+const { APOLLO_RATE_LIMIT_CONFIG, TIMEOUT_CONFIG } = require('../constants/constants');
+
+const QUOTA_WINDOWS = Object.keys(APOLLO_RATE_LIMIT_CONFIG.HEADERS);
+
+function getDefaultApiKey() {
+  return process.env.APOLLO_API_KEY || process.env.APOLLO_IO_API_KEY;
+}
+
+function parseHeaderNumber(value) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+}
+
+class ApolloHttpClient {
+  constructor() {
+    // key fingerprint -> { quota, throttledUntil, active, waiters }
+    this.states = new Map();
+  }
+
+  /**
+   * POST to Apollo
+   * @param {string} url - Full Apollo URL
+   * @param {Object} data - Request body
+   * @param {Object} config - axios config plus { apiKey, retries, retryServerErrors }
+   */
+  async post(url, data, config = {}) {
+    return this.request({ ...config, method: 'post', url, data });
+  }
+
+  /**
+   * GET from Apollo
+   * @param {string} url - Full Apollo URL
+   * @param {Object} config - axios config plus { apiKey, retries, retryServerErrors }
+   */
+  async get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+
+  /**
+   * Send a request through the queue, retrying 429/5xx and connection failures
+   * @param {Object} config - axios config plus { apiKey, retries, retryServerErrors }
+   *   retryServerErrors: false - don't retry 5xx (calls that cost credits)
+   * @returns {Promise<Object>} axios response
+   */
+  async request(config) {
+    const {
+      apiKey = getDefaultApiKey(),
+      retries = APOLLO_RATE_LIMIT_CONFIG.MAX_RETRIES,
+      retryServerErrors = true,
+      ...axiosConfig
+    } = config;
+    const state = this._getState(apiKey);
+
+    await this._acquireSlot(state);
+    try {
+      for (let attempt = 0; ; attempt++) {
+        await this._waitForQuota(state, axiosConfig.url);
+
+        try {
+          const response = await axios.request({
+            timeout: TIMEOUT_CONFIG.APOLLO_API,
+            ...axiosConfig,
+            headers: {
+              'Content-Type': 'application/json',
+              'X-Api-Key': apiKey,
+              ...axiosConfig.headers
+            }
+          });
+          this._recordQuota(state, response.headers);
+          return response;
+        } catch (error) {
+          const status = error.response?.status;
+          if (error.response) this._recordQuota(state, error.response.headers);
+
+          const retryAfterMs = parseHeaderNumber(error.response?.headers?.['retry-after']) * 1000 || null;
+          if (status === 429) {
+            state.throttledUntil = Date.now() + (retryAfterMs || this._backoffDelay(attempt));
+          }
+
+          if (!this._isRetryable(error, retryServerErrors) || attempt >= retries) {
+            throw error;
+          }
+
+          const waitMs = Math.min(retryAfterMs || this._backoffDelay(attempt), APOLLO_RATE_LIMIT_CONFIG.BACKOFF_MAX_MS);
+          logger.warn('[Apollo HTTP] Retrying Apollo request', {
+            url: axiosConfig.url,
+            status,
+            attempt: attempt + 1,
+            waitMs
+          });
+          await sleep(waitMs);
+        }
+      }
+    } finally {
+      this._releaseSlot(state);
+    }
+  }
+
+  /**
+   * Whether a failed request may be sent again
+   * @private
+   */
+  _isRetryable(error, retryServerErrors) {
+    const status = error.response?.status;
+    if (!status) {
+      return APOLLO_RATE_LIMIT_CONFIG.RETRY_ERROR_CODES.includes(error.code);
+    }
+    if (status === 429) return true;
+    return retryServerErrors && APOLLO_RATE_LIMIT_CONFIG.RETRY_STATUSES.includes(status);
+  }
+
+  /**
+   * Current quota state for an API key (defaults to the environment key)
+   * @returns {Object} { status, minute, hourly, daily, throttled_until, in_flight, queued, updated_at }
+   */
+  getQuotaState(apiKey = getDefaultApiKey()) {
+    const state = this._getState(apiKey);
+    const windows = {};
+
+    QUOTA_WINDOWS.forEach(window => {
+      const { limit, used, remaining } = state.quota[window];
+      windows[window] = { limit, used, remaining };
+    });
+
+    return {
+      status: this._quotaStatus(state),
+      ...windows,
+      throttled_until: state.throttledUntil > Date.now() ? new Date(state.throttledUntil).toISOString() : null,
+      in_flight: state.active,
+      queued: state.waiters.length,
+      updated_at: state.updatedAt ? new Date(state.updatedAt).toISOString() : null
+    };
+  }
+
+  /**
+   * @private
+   */
+  _getState(apiKey) {
+    const fingerprint = crypto.createHash('sha256').update(String(apiKey || '')).digest('hex').slice(0, 16);
+
+    if (!this.states.has(fingerprint)) {
+      const quota = {};
+      QUOTA_WINDOWS.forEach(window => {
+        quota[window] = { limit: null, used: null, remaining: null, updatedAt: null };
+      });
+      this.states.set(fingerprint, { quota, throttledUntil: 0, active: 0, waiters: [], updatedAt: null });
+    }
+
+    return this.states.get(fingerprint);
+  }
+
+  /**
+   * Take an in-flight slot, waiting in FIFO order when all are taken
+   * @private
+   */
+  _acquireSlot(state) {
+    if (state.active < APOLLO_RATE_LIMIT_CONFIG.MAX_CONCURRENT) {
+      state.active++;
+      return Promise.resolve();
+    }
+    // The releasing request hands its slot over, so active is not incremented here
+    return new Promise(resolve => state.waiters.push(resolve));
+  }
+
+  /**
+   * @private
+   */
+  _releaseSlot(state) {
+    const next = state.waiters.shift();
+    if (next) {
+      next();
+    } else {
+      state.active--;
+    }
+  }
+
+  /**
+   * Delay while Apollo asked us to back off or the minute quota is nearly spent;
+   * refuse while the daily quota is exhausted
+   * @private
+   */
+  async _waitForQuota(state, url) {
+    const now = Date.now();
+    const daily = state.quota.daily;
+
+    if (daily.remaining !== null && daily.remaining <= 0 &&
+        now - daily.updatedAt < APOLLO_RATE_LIMIT_CONFIG.DAILY_RECHECK_MS) {
+      const error = new Error('Apollo daily request quota exhausted');
+      error.response = { status: 429, headers: {}, data: { message: error.message } };
+      error.quotaExhausted = true;
+      throw error;
+    }
+
+    let waitUntil = state.throttledUntil;
+
+    const minute = state.quota.minute;
+    if (minute.updatedAt && now - minute.updatedAt >= APOLLO_RATE_LIMIT_CONFIG.MINUTE_WINDOW_MS) {
+      // Assume the minute window has rolled over
+      minute.remaining = null;
+    }
+    if (minute.remaining !== null && minute.remaining <= APOLLO_RATE_LIMIT_CONFIG.MINUTE_RESERVE) {
+      waitUntil = Math.max(waitUntil, minute.updatedAt + APOLLO_RATE_LIMIT_CONFIG.MINUTE_WINDOW_MS);
+    }
+
+    const waitMs = Math.min(waitUntil - now, APOLLO_RATE_LIMIT_CONFIG.MAX_QUEUE_WAIT_MS);
+    if (waitMs > 0) {
+      logger.info('[Apollo HTTP] Delaying request for Apollo rate limit', {
+        url,
+        waitMs,
+        minuteRemaining: minute.remaining,
+        queued: state.waiters.length
+      });
+      await sleep(waitMs);
+      if (minute.remaining !== null && minute.remaining <= APOLLO_RATE_LIMIT_CONFIG.MINUTE_RESERVE) {
+        minute.remaining = null;
+      }
+    }
+
+    // Count this request against the reading until Apollo reports a new one
+    if (minute.remaining !== null) minute.remaining--;
+  }
+
+  /**
+   * Store the quota Apollo reported in response headers
+   * @private
+   */
+  _recordQuota(state, headers = {}) {
+    const now = Date.now();
+
+    QUOTA_WINDOWS.forEach(window => {
+      const names = APOLLO_RATE_LIMIT_CONFIG.HEADERS[window];
+      const remaining = parseHeaderNumber(headers[names.remaining]);
+      if (remaining === null) return;
+
+      state.quota[window] = {
+        limit: parseHeaderNumber(headers[names.limit]),
+        used: parseHeaderNumber(headers[names.used]),
+        remaining,
+        updatedAt: now
+      };
+      state.updatedAt = now;
+    });
+  }
+
+  /**
+   * Exponential backoff with equal jitter - half the delay fixed, half random
+   * @private
+   */
+  _backoffDelay(attempt) {
+    const ceiling = Math.min(
+      APOLLO_RATE_LIMIT_CONFIG.BACKOFF_BASE_MS * Math.pow(2, attempt),
+      APOLLO_RATE_LIMIT_CONFIG.BACKOFF_MAX_MS
+    );
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  /**
+   * 'unknown' before Apollo has reported anything, 'exhausted' when a window is
+   * spent or we are backing off, 'low' under LOW_QUOTA_RATIO, otherwise 'ok'
+   * @private
+   */
+  _quotaStatus(state) {
+    if (!state.updatedAt) return 'unknown';
+    if (state.throttledUntil > Date.now()) return 'exhausted';
+
+    const windows = QUOTA_WINDOWS.map(window => state.quota[window]).filter(quota => quota.remaining !== null);
+    if (windows.some(quota => quota.remaining <= 0)) return 'exhausted';
+
+    const low = windows.some(quota =>
+      quota.limit > 0 && quota.remaining / quota.limit < APOLLO_RATE_LIMIT_CONFIG.LOW_QUOTA_RATIO
+    );
+    return low ? 'low' : 'ok';
+  }
+}
+
+module.exports = new ApolloHttpClient();
@@ -3,27 +3,35 @@
  * LAD Architecture Compliant - Main service for Apollo.io lead generation
  * 
  * Coordinates between various specialized services:
+ * - ApolloHttpClient: Rate-limited Apollo API calls
+ * - ApolloCredentialService: Apollo key per request (tenant's own or platform)
  * - ApolloRevealService: Email and phone reveals
  * - ApolloFormatterService: Data formatting
  * - ApolloSearchHistoryService: Search history
  * - ApolloCacheService: Database cache operations
+ * - ApolloCompanyService: Saved companies
  */
 
-const axios = require('axios');
+const ApolloHttpClient = require('./ApolloHttpClient');
 const ApolloFormatterService = require('./ApolloFormatterService');
 const ApolloPythonService = require('./ApolloPythonService');
 const ApolloRevealService = require('./ApolloRevealService');
-const { APOLLO_CONFIG, TIMEOUT_CONFIG } = require('../constants/constants');
+const ApolloSearchCacheService = require('./ApolloSearchCacheService');
+const ApolloCompanyService = require('./ApolloCompanyService');
+const ApolloCredentialService = require('./ApolloCredentialService');
+const { APOLLO_CONFIG, TENANT_CREDENTIALS_CONFIG } = require('../constants/constants');
+const { parseRevenueRange } = require('../utils/apolloUtils');
 const logger = require('../../../core/utils/logger');
 
 class ApolloLeadsService {
   constructor() {
-    this.apiKey = process.env.APOLLO_API_KEY || process.env.APOLLO_IO_API_KEY;
+    // Platform key - requests from tenants with their own key use that instead (see _getApiKey)
+    this.apiKey = ApolloCredentialService.getPlatformApiKey();
     // LAD Architecture: Use environment variable for API base URL
     // Apollo.io API v1 base URL: https://api.apollo.io/v1
     this.baseURL = process.env.APOLLO_API_BASE_URL || APOLLO_CONFIG.DEFAULT_BASE_URL;
     
-    // Initialize reveal service
+    // Initialize reveal service (platform key)
     this.revealService = new ApolloRevealService(this.apiKey, this.baseURL);
     
     if (!this.apiKey) {
@@ -36,12 +44,57 @@ class ApolloLeadsService {
     });
   }
 
+  /**
+   * Apollo key for the request - the tenant's own key when stored, otherwise the platform key
+   * @private
+   */
+  async _getApiKey(req) {
+    const credentials = await ApolloCredentialService.getCredentials(req);
+    return credentials.apiKey;
+  }
+
+  /**
+   * Reveal service for the request - tenants with their own key get one that
+   * uses it and charges nothing
+   * @private
+   */
+  async _getRevealService(req) {
+    const credentials = await ApolloCredentialService.getCredentials(req);
+    if (credentials.source !== TENANT_CREDENTIALS_CONFIG.KEY_SOURCES.TENANT) {
+      return this.revealService;
+    }
+    return new ApolloRevealService(credentials.apiKey, this.baseURL, { billable: false });
+  }
+
   /**
    * Search companies using Apollo.io
+   * Read-through cache: results for the same normalized params are served from
+   * apollo_search_cache until the TTL expires
+   * 
    * @param {Object} searchParams - Search parameters
    * @param {Object} req - Express request object (for tenant context)
+   * @param {Object} options - { cachedSearch } - cache lookup already done by middleware (null = miss)
+   * @returns {Promise<Object>} { companies, from_cache, cache_age }
    */
-  async searchCompanies(searchParams, req = null) {
+  async searchCompanies(searchParams, req = null, options = {}) {
+    const cached = options.cachedSearch !== undefined
+      ? options.cachedSearch
+      : await ApolloSearchCacheService.getCachedSearch(searchParams, req);
+
+    if (cached) {
+      logger.debug('[Apollo Leads] Company search served from cache', {
+        companiesFound: cached.results.length,
+        cacheAge: cached.cache_age
+      });
+      await this._saveSearchHistory(searchParams, cached.results.length, req);
+
+      return {
+        companies: cached.results,
+        from_cache: true,
+        cache_age: cached.cache_age
+      };
+    }
+
     const {
       keywords = [],
       industry,
@@ -54,6 +107,7 @@ class ApolloLeadsService {
     } = searchParams;
 
     try {
+      const apiKey = await this._getApiKey(req);
       const mainKeyword = keywords.length > 0 ? keywords[0] : '';
       
       const payload = {
@@ -97,22 +151,30 @@ class ApolloLeadsService {
         payload.organization_num_employees_ranges = Array.isArray(company_size) ? company_size : [company_size];
       }
 
+      if (revenue_range) {
+        // revenue_range: { min, max } in USD - validated upstream against COMPANY_FILTERS
+        const range = parseRevenueRange(revenue_range);
+        if (!range) {
+          throw new Error(`Invalid revenue_range: ${revenue_range}`);
+        }
+        payload.revenue_range = range;
+      }
+
+      if (technology && technology.length > 0) {
+        // currently_using_any_of_technology_uids: Array of Apollo technology uids
+        payload.currently_using_any_of_technology_uids = Array.isArray(technology) ? technology : [technology];
+      }
+
       // Log payload for debugging (remove sensitive data in production)
       logger.debug('[Apollo Leads] API request payload', {
         url: `${this.baseURL}${APOLLO_CONFIG.ENDPOINTS.ORGANIZATIONS_SEARCH}`,
-        payload: { ...payload, hasApiKey: !!this.apiKey }
+        payload: { ...payload, hasApiKey: !!apiKey }
       });
 
-      const response = await axios.post(
+      const response = await ApolloHttpClient.post(
         `${this.baseURL}${APOLLO_CONFIG.ENDPOINTS.ORGANIZATIONS_SEARCH}`,
         payload,
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Api-Key': this.apiKey
-          },
-          timeout: TIMEOUT_CONFIG.APOLLO_API
-        }
+        { apiKey }
       );
 
       const companies = response.data.organizations || [];
@@ -122,21 +184,17 @@ class ApolloLeadsService {
         hasPagination: !!response.data.pagination
       });
       
-      // Save search to history (if req context available)
-      if (req) {
-        try {
-          const ApolloSearchHistoryService = require('./ApolloSearchHistoryService');
-          await ApolloSearchHistoryService.saveSearchHistory({
-            searchParams,
-            results: companies.length,
-            userId: req.user?.id || 'system'
-          }, req);
-        } catch (historyError) {
-          logger.warn('[Apollo Leads] Failed to save search history', { error: historyError.message });
-        }
-      }
+      const formattedCompanies = ApolloFormatterService.formatCompanies(companies);
 
-      return ApolloFormatterService.formatCompanies(companies);
+      await ApolloSearchCacheService.saveSearch(searchParams, formattedCompanies, req);
+      await ApolloCompanyService.saveCompanies(companies, req);
+      await this._saveSearchHistory(searchParams, companies.length, req);
+
+      return {
+        companies: formattedCompanies,
+        from_cache: false,
+        cache_age: 0
+      };
     } catch (error) {
       const errorDetails = {
         message: error.message,
@@ -149,28 +207,54 @@ class ApolloLeadsService {
       logger.error('[Apollo Leads] Apollo API error', errorDetails);
       
       // Provide more helpful error message for parameter issues
-      if (error.response?.status === 422) {
-        const errorMsg = error.response?.data?.error || error.message;
-        throw new Error(`Apollo search failed: ${errorMsg}. Check that industry/location parameters are formatted correctly.`);
-      }
+      const searchError = error.response?.status === 422
+        ? new Error(`Apollo search failed: ${error.response?.data?.error || error.message}. Check that industry/location parameters are formatted correctly.`)
+        : new Error(`Apollo search failed: ${error.message}`);
       
-      throw new Error(`Apollo search failed: ${error.message}`);
+      // Keep the HTTP status so callers can tell rate limiting from bad input
+      searchError.status = error.response?.status;
+      throw searchError;
+    }
+  }
+
+  /**
+   * Save search to history (if req context available)
+   * @private
+   */
+  async _saveSearchHistory(searchParams, resultsCount, req) {
+    if (!req) return;
+
+    try {
+      const ApolloSearchHistoryService = require('./ApolloSearchHistoryService');
+      await ApolloSearchHistoryService.saveSearchHistory({
+        searchParams,
+        results: resultsCount,
+        userId: req.user?.id || 'system'
+      }, req);
+    } catch (historyError) {
+      logger.warn('[Apollo Leads] Failed to save search history', { error: historyError.message });
     }
   }
 
   /**
    * Get company details by ID
+   * The company is saved for the tenant when req context is available
    */
-  async getCompanyById(companyId) {
+  async getCompanyById(companyId, req = null) {
     try {
-      const response = await axios.get(
+      const response = await ApolloHttpClient.get(
         `${this.baseURL}${APOLLO_CONFIG.ENDPOINTS.ORGANIZATION_BY_ID}/${companyId}`,
-        {
-          headers: { 'X-Api-Key': this.apiKey }
-        }
+        { apiKey: await this._getApiKey(req) }
       );
 
-      return ApolloFormatterService.formatCompany(response.data.organization);
+      const organization = response.data.organization;
+      if (!organization) {
+        return null;
+      }
+
+      await ApolloCompanyService.saveCompanies([organization], req);
+
+      return ApolloFormatterService.formatCompany(organization);
     } catch (error) {
       logger.error('[Apollo Leads] Get company error', { error: error.message, stack: error.stack });
       throw new Error(`Failed to get company: ${error.message}`);
@@ -180,7 +264,7 @@ class ApolloLeadsService {
   /**
    * Get company leads (employees)
    */
-  async getCompanyLeads(companyId, options = {}) {
+  async getCompanyLeads(companyId, options = {}, req = null) {
     const { limit = 25, page = 1, title_filter } = options;
 
     try {
@@ -194,15 +278,10 @@ class ApolloLeadsService {
         payload.q_person_titles = [title_filter];
       }
 
-      const response = await axios.post(
+      const response = await ApolloHttpClient.post(
         `${this.baseURL}${APOLLO_CONFIG.ENDPOINTS.PEOPLE_SEARCH}`,
         payload,
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Api-Key': this.apiKey
-          }
-        }
+        { apiKey: await this._getApiKey(req) }
       );
 
       return ApolloFormatterService.formatLeads(response.data.people || []);
@@ -212,18 +291,61 @@ class ApolloLeadsService {
     }
   }
 
+  /**
+   * Match a person by name and company (no email/phone reveal)
+   * Used to turn a contact the user typed in into an Apollo person ID
+   * 
+   * @param {Object} contact - { name, company, title }
+   * @param {Object} req - Express request object (picks the Apollo key)
+   * @returns {Promise<Object|null>} Raw Apollo person or null when there is no match
+   */
+  async matchPerson({ name, company, title } = {}, req = null) {
+    if (!name) return null;
+
+    try {
+      const payload = { name };
+      if (company) payload.organization_name = company;
+      if (title) payload.title = title;
+
+      const response = await ApolloHttpClient.post(
+        `${this.baseURL}${APOLLO_CONFIG.ENDPOINTS.PEOPLE_MATCH}`,
+        payload,
+        // Matches are charged by Apollo - a 5xx may come after the charge
+        { apiKey: await this._getApiKey(req), retryServerErrors: false }
+      );
+
+      return response.data?.person || null;
+    } catch (error) {
+      logger.warn('[Apollo Leads] Person match failed', {
+        status: error.response?.status,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
   /**
    * Reveal email - delegates to ApolloRevealService
    */
   async revealEmail(personId, employeeName = null, req = null) {
-    return this.revealService.revealEmail(personId, employeeName, req);
+    const revealService = await this._getRevealService(req);
+    return revealService.revealEmail(personId, employeeName, req);
+  }
+  
+  /**
+   * Reveal many emails with bulk_match - delegates to ApolloRevealService
+   */
+  async revealEmails(personIds, req, options = {}) {
+    const revealService = await this._getRevealService(req);
+    return revealService.revealEmails(personIds, req, options);
   }
   
   /**
    * Reveal phone - delegates to ApolloRevealService
    */
   async revealPhone(personId, employeeName = null, req = null) {
-    return this.revealService.revealPhone(personId, employeeName, req);
+    const revealService = await this._getRevealService(req);
+    return revealService.revealPhone(personId, employeeName, req);
   }
 
   /**
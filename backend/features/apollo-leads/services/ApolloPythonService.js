@@ -76,6 +76,17 @@ class ApolloPythonService {
     });
   }
 
+  /**
+   * Report whether the Python integration can run (used by health checks)
+   * @returns {Object} { scriptPath, pythonExecutable } - null where not found
+   */
+  getAvailability() {
+    return {
+      scriptPath: this._findScriptPath(),
+      pythonExecutable: this._findPythonExecutable()
+    };
+  }
+
   /**
    * Find Python script path using LAD architecture rules
    * @private
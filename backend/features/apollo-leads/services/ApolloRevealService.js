@@ -6,18 +6,37 @@
  * Includes refund mechanism for failed API calls to prevent credit loss.
  */
 
-const axios = require('axios');
 const { getSchema } = require('../../../core/utils/schemaHelper');
+const ApolloHttpClient = require('./ApolloHttpClient');
+const ApolloWebhookService = require('./ApolloWebhookService');
+const PhoneRevealService = require('./PhoneRevealService');
+const ApolloCreditService = require('./ApolloCreditService');
 const { requireTenantId } = require('../../../core/utils/tenantHelper');
-const { APOLLO_CONFIG, CACHE_CONFIG, CREDIT_COSTS } = require('../constants/constants');
+const { APOLLO_CONFIG, CREDIT_COSTS } = require('../constants/constants');
+const { isPlaceholderEmail, assessEmailDeliverability } = require('../utils/emailDeliverability');
 const { refundCredits } = require('../../../shared/middleware/credit_guard');
 const logger = require('../../../core/utils/logger');
 const ApolloEmployeesCacheRepository = require('../repositories/ApolloEmployeesCacheRepository');
 
 class ApolloRevealService {
-  constructor(apiKey, baseURL) {
+  /**
+   * @param {string} apiKey - Apollo API key
+   * @param {string} baseURL - Apollo API base URL
+   * @param {Object} options - { billable } - false for a tenant's own key: nothing is
+   *   charged, so results report 0 credits and nothing is refunded
+   */
+  constructor(apiKey, baseURL, options = {}) {
     this.apiKey = apiKey;
     this.baseURL = baseURL;
+    this.billable = options.billable !== false;
+  }
+
+  /**
+   * Platform credits an operation costs with this key
+   * @private
+   */
+  _cost(credits) {
+    return this.billable ? credits : 0;
   }
 
   /**
@@ -25,9 +44,47 @@ class ApolloRevealService {
    * @private
    */
   _isFakeEmail(email) {
-    if (!email) return true;
-    const emailLower = email.toLowerCase();
-    return CACHE_CONFIG.FAKE_EMAIL_PATTERNS.some(pattern => emailLower.includes(pattern));
+    return isPlaceholderEmail(email);
+  }
+
+  /**
+   * Deliverability of an email Apollo just returned for a person
+   * email_status describes the work email, so a personal email fallback is assessed offline only
+   * @private
+   */
+  _assessMatchedEmail(person, email) {
+    return assessEmailDeliverability(email, {
+      apolloStatus: email === person.email ? person.email_status : null,
+      companyDomain: person.organization?.primary_domain || person.organization?.website_url
+    });
+  }
+
+  /**
+   * Deliverability of a cached email - stored verdict, or assessed now for
+   * emails cached before verdicts were recorded
+   * @private
+   */
+  _cachedDeliverability(row) {
+    if (row.email_deliverability) {
+      return { verdict: row.email_deliverability, email_status: row.email_status || null, checks: row.email_checks || null };
+    }
+    const employeeData = typeof row.employee_data === 'string' ? {} : row.employee_data || {};
+    return assessEmailDeliverability(row.employee_email, {
+      apolloStatus: row.email_status || (row.employee_email === employeeData.email ? employeeData.email_status : null),
+      companyDomain: row.company_domain
+    });
+  }
+
+  /**
+   * Deliverability fields added to reveal results
+   * @private
+   */
+  _deliverabilityFields(deliverability) {
+    return {
+      email_status: deliverability.email_status,
+      email_deliverability: deliverability.verdict,
+      email_checks: deliverability.checks
+    };
   }
 
   /**
@@ -37,7 +94,7 @@ class ApolloRevealService {
    */
   async _attemptRefund(tenantId, usageType, credits, req, reason = 'Operation failed') {
     try {
-      if (req && tenantId && credits > 0) {
+      if (this.billable && req && tenantId && credits > 0) {
         await refundCredits(tenantId, usageType, credits, req, reason);
         logger.info('[Apollo Reveal] Credits refunded', { tenantId, credits, usageType, reason });
       }
@@ -60,8 +117,11 @@ class ApolloRevealService {
    * it's likely a database record ID and needs to be resolved to an Apollo person ID.
    */
   async revealEmail(personId, employeeName = null, req = null) {
+    // Declared outside the try so the error path can refund
+    let tenantId = null;
+    
     try {
-      const tenantId = requireTenantId(null, req, 'revealEmail');
+      tenantId = requireTenantId(null, req, 'revealEmail');
       const schema = getSchema(req);
       
       // STEP 1: Check employees_cache table first (0 credits)
@@ -81,7 +141,12 @@ class ApolloRevealService {
             const cachedEmail = cachedEmployee.employee_email;
             logger.info('[Apollo Reveal] Real email found in cache', { from_cache: true, credits_used: 0 });
             
-            return { email: cachedEmail, from_cache: true, credits_used: 0 };
+            return {
+              email: cachedEmail,
+              ...this._deliverabilityFields(this._cachedDeliverability(cachedEmployee)),
+              from_cache: true,
+              credits_used: 0
+            };
           }
         } catch (cacheError) {
           logger.warn('[Apollo Reveal] Error checking cache', { error: cacheError.message });
@@ -112,6 +177,7 @@ class ApolloRevealService {
           email: null, 
           from_cache: false, 
           credits_used: 0, 
+          refunded: this.billable,
           error: 'Invalid person ID format. Apollo expects numeric person IDs from search results.',
           validation_error: true
         };
@@ -127,6 +193,7 @@ class ApolloRevealService {
           email: null, 
           from_cache: false, 
           credits_used: 0, 
+          refunded: this.billable,
           error: 'Invalid person ID format. Expected numeric Apollo person ID.',
           validation_error: true
         };
@@ -144,12 +211,11 @@ class ApolloRevealService {
         personId 
       });
       
-      const apolloResponse = await axios.post(apolloUrl, apolloRequest, {
-        headers: {
-          'x-api-key': this.apiKey,  // FIXED: lowercase x-api-key (consistent with search API)
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
+      const apolloResponse = await ApolloHttpClient.post(apolloUrl, apolloRequest, {
+        apiKey: this.apiKey,
+        timeout: 30000,
+        // Reveals are charged by Apollo - a 5xx may come after the charge
+        retryServerErrors: false
       });
       
       // FIXED: bulk_match returns matches array, not single person
@@ -158,21 +224,25 @@ class ApolloRevealService {
       const email = person?.email || person?.personal_emails?.[0];
       if (!email || this._isFakeEmail(email)) {
         logger.warn('[Apollo Reveal] Real email not available from Apollo API');
-        return { email: null, from_cache: false, credits_used: CREDIT_COSTS.EMAIL_REVEAL, error: 'Real email not available for this person' };
+        return { email: null, from_cache: false, credits_used: this._cost(CREDIT_COSTS.EMAIL_REVEAL), error: 'Real email not available for this person' };
       }
       
-      logger.info('[Apollo Reveal] Email revealed successfully from Apollo', { credits_used: CREDIT_COSTS.EMAIL_REVEAL });
+      const deliverability = this._assessMatchedEmail(person, email);
+      logger.info('[Apollo Reveal] Email revealed successfully from Apollo', {
+        credits_used: this._cost(CREDIT_COSTS.EMAIL_REVEAL),
+        deliverability: deliverability.verdict
+      });
       
-      // STEP 3: Update cache with real email
+      // STEP 3: Update cache with real email and its verdict
       try {
         // LAD Architecture: Use repository for SQL operations
-        await ApolloEmployeesCacheRepository.updateEmail(personId, email, tenantId, schema);
+        await ApolloEmployeesCacheRepository.updateEmail(personId, email, tenantId, schema, deliverability);
         logger.debug('[Apollo Reveal] Real email saved to employees_cache');
       } catch (cacheError) {
         logger.warn('[Apollo Reveal] Error caching email', { error: cacheError.message });
       }
       
-      return { email, from_cache: false, credits_used: CREDIT_COSTS.EMAIL_REVEAL };
+      return { email, ...this._deliverabilityFields(deliverability), from_cache: false, credits_used: this._cost(CREDIT_COSTS.EMAIL_REVEAL) };
     } catch (error) {
       logger.error('[Apollo Reveal] Reveal email error', { 
         error: error.message, 
@@ -195,13 +265,14 @@ class ApolloRevealService {
           email: null, 
           from_cache: false, 
           credits_used: 0, // No charge for invalid requests
+          refunded: this.billable,
           error: `Apollo API error: ${error.response?.data?.message || error.message}`,
           apollo_status: error.response?.status
         };
       }
       
       // For server errors (5xx), don't refund - retry could succeed
-      const creditsUsed = error.response?.status >= 500 ? CREDIT_COSTS.EMAIL_REVEAL : 0;
+      const creditsUsed = error.response?.status >= 500 ? this._cost(CREDIT_COSTS.EMAIL_REVEAL) : 0;
       
       return { 
         email: null, 
@@ -212,6 +283,200 @@ class ApolloRevealService {
     }
   }
 
+  /**
+   * Reveal emails for many people
+   * 1. one employees_cache lookup for all IDs (cached real emails are free)
+   * 2. cache misses go to /people/bulk_match in batches of APOLLO_CONFIG.MAX_BULK_MATCH_DETAILS
+   * 3. matches are mapped back by person ID; real emails and their deliverability
+   *    verdicts are saved to the cache in one statement
+   * 4. only real (non-placeholder) emails are billed - the rest of the reservation is refunded
+   * 
+   * @param {Array<string>} personIds - Apollo person IDs (validated upstream)
+   * @param {Object} req - Express request object (for tenant context)
+   * @param {Object} options - { creditsReserved } - credits charged up front by the route
+   * @returns {Promise<Object>} { results, total_credits_used, credits_refunded }
+   */
+  async revealEmails(personIds, req, options = {}) {
+    const { creditsReserved = 0 } = options;
+    const tenantId = requireTenantId(null, req, 'revealEmails');
+    const schema = getSchema(req);
+    
+    const uniqueIds = [...new Set(personIds.map(id => String(id).trim()))];
+    const results = new Map();
+    
+    // STEP 1: Reject IDs Apollo can't match, serve the rest from cache where possible
+    const lookupIds = [];
+    uniqueIds.forEach(personId => {
+      const invalidReason = this._invalidPersonIdReason(personId);
+      if (invalidReason) {
+        results.set(personId, { person_id: personId, email: null, status: 'invalid', credits_used: 0, error: invalidReason });
+      } else {
+        lookupIds.push(personId);
+      }
+    });
+    
+    let cachedRows = [];
+    try {
+      cachedRows = await ApolloEmployeesCacheRepository.findByPersonIds(lookupIds, tenantId, schema);
+    } catch (cacheError) {
+      logger.warn('[Apollo Reveal] Error checking cache for bulk email reveal', { error: cacheError.message });
+    }
+    
+    cachedRows.forEach(row => {
+      if (row.employee_email && !this._isFakeEmail(row.employee_email)) {
+        results.set(String(row.apollo_person_id), {
+          person_id: String(row.apollo_person_id),
+          email: row.employee_email,
+          ...this._deliverabilityFields(this._cachedDeliverability(row)),
+          status: 'revealed',
+          from_cache: true,
+          credits_used: 0
+        });
+      }
+    });
+    
+    const misses = lookupIds.filter(personId => !results.has(personId));
+    
+    // STEP 2: bulk_match the cache misses
+    const revealedEmails = [];
+    if (misses.length > 0 && !this.apiKey) {
+      misses.forEach(personId => results.set(personId, {
+        person_id: personId, email: null, status: 'failed', credits_used: 0, error: 'Apollo API key is not configured'
+      }));
+    } else {
+      const apolloUrl = `${this.baseURL || APOLLO_CONFIG.DEFAULT_BASE_URL}${APOLLO_CONFIG.ENDPOINTS.PEOPLE_BULK_MATCH}`;
+      
+      for (let start = 0; start < misses.length; start += APOLLO_CONFIG.MAX_BULK_MATCH_DETAILS) {
+        const batch = misses.slice(start, start + APOLLO_CONFIG.MAX_BULK_MATCH_DETAILS);
+        const batchResults = await this._bulkMatchEmails(apolloUrl, batch);
+        
+        batchResults.forEach(result => {
+          results.set(result.person_id, result);
+          if (result.status === 'revealed') {
+            revealedEmails.push({
+              personId: result.person_id,
+              email: result.email,
+              deliverability: {
+                verdict: result.email_deliverability,
+                email_status: result.email_status,
+                checks: result.email_checks
+              }
+            });
+          }
+        });
+      }
+    }
+    
+    // STEP 3: Save every new email and verdict in one statement
+    try {
+      await ApolloEmployeesCacheRepository.updateEmails(revealedEmails, tenantId, schema);
+    } catch (cacheError) {
+      logger.warn('[Apollo Reveal] Error caching bulk revealed emails', { error: cacheError.message });
+    }
+    
+    // STEP 4: Keep only what real emails cost
+    const orderedResults = uniqueIds.map(personId => results.get(personId));
+    const unused = ApolloCreditService.calculateUnused(creditsReserved, orderedResults, CREDIT_COSTS.EMAIL_REVEAL);
+    const refunded = unused > 0
+      ? await ApolloCreditService.refund(tenantId, 'apollo_email', unused, req, 'Bulk email reveal: cached, duplicate or no real email')
+      : false;
+    
+    const totalCreditsUsed = orderedResults.reduce((sum, result) => sum + result.credits_used, 0);
+    
+    logger.info('[Apollo Reveal] Bulk email reveal completed', {
+      requested: personIds.length,
+      unique: uniqueIds.length,
+      fromCache: orderedResults.filter(result => result.from_cache).length,
+      revealed: revealedEmails.length,
+      totalCreditsUsed,
+      creditsRefunded: refunded ? unused : 0
+    });
+    
+    return {
+      results: orderedResults,
+      total_credits_used: totalCreditsUsed,
+      credits_refunded: refunded ? unused : 0
+    };
+  }
+  
+  /**
+   * One /people/bulk_match call for up to MAX_BULK_MATCH_DETAILS people
+   * Never throws - a failed call fails (and does not bill) every person in it
+   * @private
+   */
+  async _bulkMatchEmails(apolloUrl, personIds) {
+    try {
+      const apolloResponse = await ApolloHttpClient.post(apolloUrl, {
+        details: personIds.map(id => ({ id })),
+        reveal_personal_emails: true
+      }, {
+        apiKey: this.apiKey,
+        timeout: 30000,
+        // Reveals are charged by Apollo - a 5xx may come after the charge
+        retryServerErrors: false
+      });
+      
+      // matches follows the order of details, with null where Apollo found nobody
+      const matches = apolloResponse.data?.matches || [];
+      const matchesById = new Map();
+      matches.forEach((match, index) => {
+        if (!match) return;
+        matchesById.set(String(match.id || personIds[index]), match);
+      });
+      
+      return personIds.map(personId => {
+        const match = matchesById.get(personId);
+        if (!match) {
+          return { person_id: personId, email: null, status: 'not_found', credits_used: 0, error: 'No Apollo match for this person' };
+        }
+        
+        const email = match.email || match.personal_emails?.[0];
+        if (!email || this._isFakeEmail(email)) {
+          return { person_id: personId, email: null, status: 'unavailable', credits_used: 0, error: 'Real email not available for this person' };
+        }
+        
+        return {
+          person_id: personId,
+          email,
+          ...this._deliverabilityFields(this._assessMatchedEmail(match, email)),
+          status: 'revealed',
+          from_cache: false,
+          credits_used: this._cost(CREDIT_COSTS.EMAIL_REVEAL)
+        };
+      });
+    } catch (error) {
+      logger.error('[Apollo Reveal] Bulk email match failed', {
+        error: error.message,
+        status: error.response?.status,
+        batchSize: personIds.length
+      });
+      
+      return personIds.map(personId => ({
+        person_id: personId,
+        email: null,
+        status: 'failed',
+        credits_used: 0,
+        error: `Apollo API error: ${error.response?.data?.message || error.message}`,
+        ...(error.response?.status ? { apollo_status: error.response.status } : {})
+      }));
+    }
+  }
+  
+  /**
+   * Why Apollo can't match this person ID (null when it looks valid)
+   * Same rules as the single reveals: UUIDs are our own record IDs
+   * @private
+   */
+  _invalidPersonIdReason(personId) {
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(personId)) {
+      return 'Invalid person ID format. Apollo expects numeric person IDs from search results.';
+    }
+    if (isNaN(Number(personId)) && personId.length > 50) {
+      return 'Invalid person ID format. Expected numeric Apollo person ID.';
+    }
+    return null;
+  }
+  
   /**
    * Reveal phone - checks database cache first, then calls Apollo API
    * LAD Architecture: Uses tenant scoping and delegates SQL to repository
@@ -221,9 +486,14 @@ class ApolloRevealService {
    * it's likely a database record ID and needs to be resolved to an Apollo person ID.
    */
   async revealPhone(personId, employeeName = null, req = null) {
+    // Declared outside the try so the error path can refund and close the reveal
+    let tenantId = null;
+    let schema = null;
+    let revealId = null;
+    
     try {
-      const tenantId = requireTenantId(null, req, 'revealPhone');
-      const schema = getSchema(req);
+      tenantId = requireTenantId(null, req, 'revealPhone');
+      schema = getSchema(req);
       
       // STEP 1: Check employees_cache table first (0 credits)
       if (personId || employeeName) {
@@ -242,7 +512,12 @@ class ApolloRevealService {
             const cachedPhone = cachedEmployee.employee_phone;
             logger.info('[Apollo Reveal] Real phone found in cache', { from_cache: true, credits_used: 0 });
             
-            return { phone: cachedPhone, from_cache: true, credits_used: 0 };
+            const cachedPersonId = cachedEmployee.apollo_person_id || personId;
+            const cachedRevealId = cachedPersonId
+              ? await PhoneRevealService.recordCachedReveal(cachedPersonId, employeeName, cachedPhone, tenantId, schema, req)
+              : null;
+            
+            return { reveal_id: cachedRevealId, status: 'delivered', phone: cachedPhone, from_cache: true, credits_used: 0 };
           }
         } catch (cacheError) {
           logger.warn('[Apollo Reveal] Error checking cache', { error: cacheError.message });
@@ -273,6 +548,7 @@ class ApolloRevealService {
           phone: null, 
           from_cache: false, 
           credits_used: 0, 
+          refunded: this.billable,
           error: 'Invalid person ID format. Apollo expects numeric person IDs from search results.',
           validation_error: true
         };
@@ -288,48 +564,67 @@ class ApolloRevealService {
           phone: null, 
           from_cache: false, 
           credits_used: 0, 
+          refunded: this.billable,
           error: 'Invalid person ID format. Expected numeric Apollo person ID.',
           validation_error: true
         };
       }
       
+      // Tracking record - the client follows it until the webhook delivers the number
+      revealId = await PhoneRevealService.startReveal(personId, employeeName, tenantId, schema, req);
+      
+      // Signed per-request webhook URL - tells the webhook which tenant/schema/reveal asked
+      let webhookUrl;
+      try {
+        webhookUrl = ApolloWebhookService.buildPhoneRevealWebhookUrl({ tenantId, schema, personId, revealId });
+      } catch (configError) {
+        logger.error('[Apollo Reveal] Cannot build phone reveal webhook URL', { error: configError.message });
+        await this._attemptRefund(tenantId, 'apollo_phone', CREDIT_COSTS.PHONE_REVEAL, req, 'Phone reveal webhook not configured');
+        await PhoneRevealService.markUnavailable(revealId, tenantId, schema, configError.message);
+        return { reveal_id: revealId, status: 'unavailable', phone: null, from_cache: false, credits_used: 0, refunded: this.billable, error: configError.message };
+      }
+      
       const apolloRequest = {
         id: personId,
         reveal_phone_number: true,
-        webhook_url: process.env.APOLLO_WEBHOOK_URL
+        webhook_url: webhookUrl
       };
       
       logger.debug('[Apollo Reveal] Phone reveal request', { 
         url: apolloUrl, 
-        body: apolloRequest,
+        body: { ...apolloRequest, webhook_url: webhookUrl ? '[signed]' : undefined },
         personId 
       });
       
       // Apollo phone reveals are asynchronous - result comes via webhook
-      const apolloResponse = await axios.post(apolloUrl, apolloRequest, {
-        headers: {
-          'X-Api-Key': this.apiKey,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
+      const apolloResponse = await ApolloHttpClient.post(apolloUrl, apolloRequest, {
+        apiKey: this.apiKey,
+        timeout: 30000,
+        // Reveals are charged by Apollo - a 5xx may come after the charge
+        retryServerErrors: false
       });
       
       // For phone reveals, Apollo returns success but phone comes via webhook later
       if (apolloResponse.data?.success !== false) {
         logger.info('[Apollo Reveal] Phone reveal request submitted successfully - result will come via webhook', { 
-          credits_used: CREDIT_COSTS.PHONE_REVEAL 
+          credits_used: this._cost(CREDIT_COSTS.PHONE_REVEAL)
         });
+        await PhoneRevealService.markPending(revealId, tenantId, schema, this._cost(CREDIT_COSTS.PHONE_REVEAL));
         
         return { 
+          reveal_id: revealId,
           phone: null, 
           from_cache: false, 
-          credits_used: CREDIT_COSTS.PHONE_REVEAL, 
+          credits_used: this._cost(CREDIT_COSTS.PHONE_REVEAL), 
           status: 'pending',
           message: 'Phone reveal request submitted. Result will be delivered via webhook.'
         };
       } else {
         logger.warn('[Apollo Reveal] Phone reveal request failed');
+        await PhoneRevealService.markUnavailable(revealId, tenantId, schema, 'Phone reveal request failed');
         return { 
+          reveal_id: revealId,
+          status: 'unavailable',
           phone: null, 
           from_cache: false, 
           credits_used: 0, 
@@ -354,19 +649,26 @@ class ApolloRevealService {
           error: error.response?.data?.message || error.message
         });
         await this._attemptRefund(tenantId, 'apollo_phone', CREDIT_COSTS.PHONE_REVEAL, req, `Apollo API error: ${error.response?.status} ${error.response?.data?.message || error.message}`);
+        await PhoneRevealService.markUnavailable(revealId, tenantId, schema, `Apollo API error: ${error.response?.status}`);
         return { 
+          reveal_id: revealId,
+          status: 'unavailable',
           phone: null, 
           from_cache: false, 
           credits_used: 0, // No charge for invalid requests
+          refunded: this.billable,
           error: `Apollo API error: ${error.response?.data?.message || error.message}`,
           apollo_status: error.response?.status
         };
       }
       
       // For server errors (5xx), don't refund - retry could succeed
-      const creditsUsed = error.response?.status >= 500 ? CREDIT_COSTS.PHONE_REVEAL : 0;
+      const creditsUsed = error.response?.status >= 500 ? this._cost(CREDIT_COSTS.PHONE_REVEAL) : 0;
+      await PhoneRevealService.markUnavailable(revealId, tenantId, schema, error.message);
       
       return { 
+        reveal_id: revealId,
+        status: 'unavailable',
         phone: null, 
         from_cache: false, 
         credits_used: creditsUsed, 
@@ -0,0 +1,100 @@
+/**
+ * Apollo Search Cache Service
+ * LAD Architecture Compliant - Business logic only, calls repository for SQL
+ *
+ * Read-through cache for company search results, keyed on the normalized
+ * search parameters and scoped per tenant.
+ */
+
+const { getSchema } = require('../../../core/utils/schemaHelper');
+const { requireTenantId } = require('../../../core/utils/tenantHelper');
+const logger = require('../../../core/utils/logger');
+const ApolloSearchCacheRepository = require('../repositories/ApolloSearchCacheRepository');
+const {
+  CACHE_TTL,
+  generateCacheKey,
+  mapToCacheDataShape,
+  isCacheValid
+} = require('../models/ApolloSearchCache');
+
+class ApolloSearchCacheService {
+  constructor() {
+    this.ttlHours = parseInt(process.env.APOLLO_SEARCH_CACHE_TTL_HOURS || String(CACHE_TTL.DEFAULT), 10);
+  }
+
+  /**
+   * Resolve tenant and schema for cache operations
+   * Returns null when there is no tenant - results are never cached unscoped
+   * @private
+   */
+  _getContext(req, operation) {
+    try {
+      const tenantId = requireTenantId(null, req, operation);
+      if (!tenantId) return null;
+      return { tenantId, schema: getSchema(req) };
+    } catch (error) {
+      logger.debug('[Apollo Search Cache] No tenant context, cache bypassed', { operation });
+      return null;
+    }
+  }
+
+  /**
+   * Look up cached company search results
+   *
+   * @param {Object} searchParams - Normalized company search parameters
+   * @param {Object} req - Express request object (for tenant context)
+   * @returns {Promise<Object|null>} { results, cache_age, cached_at } or null on miss
+   */
+  async getCachedSearch(searchParams, req = null) {
+    const context = this._getContext(req, 'getCachedSearch');
+    if (!context) return null;
+
+    const searchKey = generateCacheKey(searchParams);
+
+    try {
+      const entry = await ApolloSearchCacheRepository.findByKey(searchKey, context.tenantId, context.schema, this.ttlHours);
+
+      if (!entry || !isCacheValid(entry, this.ttlHours)) {
+        return null;
+      }
+
+      await ApolloSearchCacheRepository.updateAccessStats(searchKey, context.tenantId, context.schema);
+
+      const results = typeof entry.results === 'string' ? JSON.parse(entry.results) : entry.results;
+      const cacheAge = Math.max(0, Math.floor((Date.now() - new Date(entry.created_at).getTime()) / 1000));
+
+      logger.debug('[Apollo Search Cache] Cache hit', { searchKey, cacheAge });
+
+      return {
+        results: results || [],
+        cache_age: cacheAge,
+        cached_at: entry.created_at
+      };
+    } catch (error) {
+      logger.warn('[Apollo Search Cache] Cache lookup failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Store company search results
+   * Failures are logged and swallowed - caching must never fail a search
+   *
+   * @param {Object} searchParams - Normalized company search parameters
+   * @param {Array} results - Formatted companies
+   * @param {Object} req - Express request object (for tenant context)
+   */
+  async saveSearch(searchParams, results, req = null) {
+    const context = this._getContext(req, 'saveSearch');
+    if (!context) return;
+
+    try {
+      const cacheData = mapToCacheDataShape(searchParams, results, context.tenantId, req?.user?.id || 'system');
+      await ApolloSearchCacheRepository.upsert(cacheData, context.schema, context.tenantId);
+    } catch (error) {
+      logger.warn('[Apollo Search Cache] Failed to save search results', { error: error.message });
+    }
+  }
+}
+
+module.exports = new ApolloSearchCacheService();
@@ -2,123 +2,197 @@
  * Apollo Webhook Service
  * Business logic for processing Apollo webhook callbacks
  * LAD Architecture Compliant
+ *
+ * Apollo does not sign its webhooks, so we sign the webhook URL instead:
+ * every phone-reveal request gets a token (tenant, schema, person, reveal,
+ * nonce, expiry) in its webhook URL. The webhook only trusts those claims - the
+ * phone is written to that tenant and schema, and each nonce is accepted once.
+ * The phone_reveals record named in the token is closed and its listeners notified.
  */
 
 const logger = require('../../../core/utils/logger');
 const ApolloEmployeesCacheRepository = require('../repositories/ApolloEmployeesCacheRepository');
+const ApolloWebhookNonceRepository = require('../repositories/ApolloWebhookNonceRepository');
+const PhoneRevealService = require('./PhoneRevealService');
+const { createWebhookToken, verifyWebhookToken } = require('../utils/webhookToken');
+const { WEBHOOK_CONFIG } = require('../constants/constants');
+
+/**
+ * Error carrying the HTTP status the webhook should answer with
+ */
+function webhookError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
 
 class ApolloWebhookService {
+  /**
+   * Build the signed webhook URL for a phone reveal request
+   *
+   * @param {Object} context - { tenantId, schema, personId, revealId }
+   * @returns {string|null} URL with token, or null when APOLLO_WEBHOOK_URL is not set
+   * @throws When APOLLO_WEBHOOK_URL is set without APOLLO_WEBHOOK_SECRET
+   */
+  static buildPhoneRevealWebhookUrl({ tenantId, schema, personId, revealId = null }) {
+    const baseUrl = process.env.APOLLO_WEBHOOK_URL;
+    if (!baseUrl) return null;
+
+    const secret = process.env.APOLLO_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new Error('APOLLO_WEBHOOK_SECRET is not configured - phone reveal webhooks cannot be signed');
+    }
+
+    const token = createWebhookToken(
+      { t: tenantId, s: schema, p: String(personId), ...(revealId ? { r: revealId } : {}) },
+      secret,
+      WEBHOOK_CONFIG.TOKEN_TTL_SECONDS
+    );
+
+    const url = new URL(baseUrl);
+    url.searchParams.set(WEBHOOK_CONFIG.TOKEN_PARAM, token);
+    return url.toString();
+  }
+
+  /**
+   * Verify the token on an incoming webhook
+   *
+   * @param {string} token - Token from the webhook URL
+   * @returns {Object} { valid, claims: { tenantId, schema, personId, revealId, nonce, expiresAt }, error }
+   */
+  static verifyWebhookToken(token) {
+    const secret = process.env.APOLLO_WEBHOOK_SECRET;
+    if (!secret) {
+      return { valid: false, error: 'Webhook verification is not configured' };
+    }
+
+    const result = verifyWebhookToken(token, secret);
+    if (!result.valid) return result;
+
+    const { t: tenantId, s: schema, p: personId, r: revealId = null, n: nonce, exp } = result.claims;
+    if (!tenantId || !personId || !schema || !WEBHOOK_CONFIG.SCHEMA_PATTERN.test(schema)) {
+      return { valid: false, error: 'Malformed webhook token' };
+    }
+
+    return {
+      valid: true,
+      claims: { tenantId, schema, personId, revealId, nonce, expiresAt: new Date(exp * 1000) }
+    };
+  }
+
   /**
    * Process phone reveal webhook from Apollo
    * @param {Object} webhookData - Webhook payload from Apollo
+   * @param {Object} claims - Verified token claims (see verifyWebhookToken)
    * @returns {Promise<Object>} - Result of processing
+   * @throws Errors with statusCode (400 bad payload, 404 unknown person, 409 replay)
    */
-  static async processPhoneReveal(webhookData) {
-    try {
-      logger.info('[Apollo Webhook Service] Processing phone reveal', {
-        hasData: !!webhookData,
-        hasPerson: !!webhookData?.person,
-        personId: webhookData?.person?.id
-      });
+  static async processPhoneReveal(webhookData, claims) {
+    const { tenantId, schema, personId, revealId, nonce, expiresAt } = claims;
+
+    logger.info('[Apollo Webhook Service] Processing phone reveal', {
+      hasPerson: !!webhookData?.person,
+      personId
+    });
+
+    // Validate webhook data
+    const person = webhookData?.person;
+    if (!person || !person.id) {
+      throw webhookError('Invalid webhook data - missing person', 400);
+    }
 
-      // Validate webhook data
-      if (!webhookData || !webhookData.person) {
-        throw new Error('Invalid webhook data - missing person');
-      }
-
-      const person = webhookData.person;
-      const apolloPersonId = person.id;
-      
-      if (!apolloPersonId) {
-        throw new Error('Missing person ID in webhook data');
-      }
-
-      // Extract phone number from various possible fields
-      const phoneNumber = person.sanitized_phone || 
-                         person.phone_numbers?.[0] || 
-                         person.phone || 
-                         null;
-
-      if (!phoneNumber) {
-        logger.warn('[Apollo Webhook Service] No phone number in webhook data', {
-          apolloPersonId
-        });
-        return {
-          success: true,
-          message: 'Webhook received but no phone number available',
-          apolloPersonId
-        };
-      }
-
-      // Find existing employee record to get tenant_id
-      const existingEmployee = await ApolloEmployeesCacheRepository.findByPersonId(
-        apolloPersonId,
-        null, // Search across all tenants
-        'lad_dev'
-      );
-
-      if (!existingEmployee) {
-        logger.warn('[Apollo Webhook Service] Employee not found in cache', {
-          apolloPersonId
-        });
-        throw new Error(`Employee with apollo_person_id ${apolloPersonId} not found`);
-      }
-
-      const tenantId = existingEmployee.tenant_id;
-      const schema = 'lad_dev';
-
-      // Update phone in employees_cache
-      await ApolloEmployeesCacheRepository.updatePhone(
-        apolloPersonId,
-        phoneNumber,
-        tenantId,
-        schema
-      );
-
-      logger.info('[Apollo Webhook Service] Phone number saved successfully', {
-        apolloPersonId,
-        tenantId: tenantId.substring(0, 8) + '...',
-        phoneLength: phoneNumber.length
-      });
+    // The token was issued for one person - don't let it write another
+    if (String(person.id) !== personId) {
+      throw webhookError('Webhook person does not match token', 400);
+    }
 
-      return {
-        success: true,
-        message: 'Phone number saved successfully',
-        apolloPersonId,
-        phoneNumber: phoneNumber.substring(0, 4) + '***' // Masked for logging
-      };
+    const consumed = await ApolloWebhookNonceRepository.consume(nonce, tenantId, personId, expiresAt, schema);
+    if (!consumed) {
+      logger.warn('[Apollo Webhook Service] Replayed webhook rejected', { personId });
+      throw webhookError('Webhook token already used', 409);
+    }
 
+    // Until the reveal is recorded, any failure gives the nonce back so Apollo's retry gets through
+    let result;
+    try {
+      result = await this._recordPhoneReveal(person, claims);
     } catch (error) {
-      logger.error('[Apollo Webhook Service] Error processing phone reveal', {
-        error: error.message,
-        stack: error.stack
+      await ApolloWebhookNonceRepository.release(nonce, tenantId, schema).catch(releaseError => {
+        logger.warn('[Apollo Webhook Service] Failed to release nonce', { error: releaseError.message });
       });
       throw error;
     }
+
+    this._purgeExpiredNonces(schema);
+
+    return result;
   }
 
   /**
-   * Validate webhook signature (if Apollo provides one)
-   * @param {Object} req - Express request object
-   * @returns {boolean} - Whether signature is valid
+   * Store the delivered phone number (or record that there is none)
+   * @private
    */
-  static validateWebhookSignature(req) {
-    // Apollo.io doesn't currently provide webhook signatures
-    // If they add it in the future, implement verification here
-    return true;
+  static async _recordPhoneReveal(person, claims) {
+    const { tenantId, schema, personId, revealId } = claims;
+
+    // Extract phone number from various possible fields
+    const phoneNumber = person.sanitized_phone ||
+                       person.phone_numbers?.[0]?.sanitized_number ||
+                       person.phone_numbers?.[0] ||
+                       person.phone ||
+                       null;
+
+    if (!phoneNumber || typeof phoneNumber !== 'string') {
+      logger.warn('[Apollo Webhook Service] No phone number in webhook data', { personId });
+      await PhoneRevealService.markUnavailable(revealId, tenantId, schema, 'Apollo has no phone number for this person');
+      return {
+        success: true,
+        message: 'Webhook received but no phone number available',
+        apolloPersonId: personId
+      };
+    }
+
+    // The reveal is closed first: one already given up on and refunded doesn't get its number
+    if (!(await PhoneRevealService.markDelivered(revealId, tenantId, schema, phoneNumber))) {
+      logger.warn('[Apollo Webhook Service] Phone number for an ended reveal discarded', { personId, revealId });
+      return {
+        success: true,
+        message: 'Phone reveal already ended - number not stored',
+        apolloPersonId: personId,
+        revealId
+      };
+    }
+
+    const updated = await ApolloEmployeesCacheRepository.updatePhone(personId, phoneNumber, tenantId, schema);
+
+    // The reveal record keeps the number even when the person was never cached
+    if (!updated && !revealId) {
+      logger.warn('[Apollo Webhook Service] Employee not found in cache', { personId });
+      throw webhookError(`Employee with apollo_person_id ${personId} not found`, 404);
+    }
+
+    logger.info('[Apollo Webhook Service] Phone number saved successfully', {
+      apolloPersonId: personId,
+      tenantId: tenantId.substring(0, 8) + '...',
+      phoneLength: phoneNumber.length
+    });
+
+    return {
+      success: true,
+      message: 'Phone number saved successfully',
+      apolloPersonId: personId,
+      revealId
+    };
   }
 
   /**
-   * Extract tenant context from webhook data or headers
-   * @param {Object} webhookData - Webhook payload
-   * @param {Object} headers - Request headers
-   * @returns {string|null} - Tenant ID if found
+   * Housekeeping - never blocks or fails the webhook
+   * @private
    */
-  static extractTenantId(webhookData, headers) {
-    return headers['x-tenant-id'] || 
-           webhookData.tenant_id ||
-           webhookData.person?.tenant_id ||
-           null;
+  static _purgeExpiredNonces(schema) {
+    ApolloWebhookNonceRepository.deleteExpired(schema).catch(error => {
+      logger.warn('[Apollo Webhook Service] Failed to purge expired nonces', { error: error.message });
+    });
   }
 }
 
@@ -0,0 +1,374 @@
+/**
+ * Enrichment Job Service
+ * LAD Architecture Compliant - Business logic only, calls repository for SQL
+ *
+ * Runs batch lead enrichment as a persisted background job:
+ * - the request creates the job (one item per lead) and returns immediately
+ * - a worker enriches the items one at a time, recording each result
+ * - progress and per-lead results are read back from the database
+ * - cancellation is a status change the worker checks before every lead
+ * - queued jobs and jobs whose worker stopped heartbeating are resumed on startup
+ *
+ * Billing: the route reserves one email credit per lead up front. When the job
+ * finishes (or is cancelled) the credits that were not spent are refunded.
+ */
+
+const { getSchema } = require('../../../core/utils/schemaHelper');
+const { requireTenantId } = require('../../../core/utils/tenantHelper');
+const logger = require('../../../core/utils/logger');
+const ApolloCreditService = require('./ApolloCreditService');
+const TenantSchemaService = require('./TenantSchemaService');
+const ApolloEnrichmentJobRepository = require('../repositories/ApolloEnrichmentJobRepository');
+const CampaignLeadRepository = require('../../campaigns/repositories/CampaignLeadRepository');
+const { ENRICHMENT_JOB_CONFIG } = require('../constants/constants');
+const { buildSystemRequestContext } = require('../utils/requestContext');
+const {
+  JOB_STATUS,
+  isTerminal,
+  validateJobLeads,
+  formatJobForResponse,
+  formatJobItemForResponse
+} = require('../models/ApolloEnrichmentJob');
+
+class EnrichmentJobService {
+  constructor() {
+    // Job IDs with a worker in this process
+    this.activeJobs = new Set();
+    this.stopping = false;
+  }
+
+  /**
+   * Create a batch enrichment job and start processing it in the background
+   *
+   * @param {Array<Object>} leads - [{ leadId, personId, name }]
+   * @param {Object} req - Express request object (for tenant context)
+   * @param {Object} options - { creditsReserved } - credits charged up front for this job
+   * @returns {Promise<Object>} Formatted job
+   */
+  async createJob(leads, req, options = {}) {
+    const { creditsReserved = 0 } = options;
+    const tenantId = requireTenantId(null, req, 'createEnrichmentJob');
+    const schema = getSchema(req);
+    const userId = req.user?.id || 'system';
+
+    const validation = validateJobLeads(leads, ENRICHMENT_JOB_CONFIG.MAX_LEADS_PER_JOB);
+    if (!validation.valid) {
+      // Normally refused before billing by validateEnrichmentBatchMiddleware
+      if (creditsReserved > 0) {
+        await ApolloCreditService.refund(tenantId, 'apollo_email', creditsReserved, req, 'Invalid enrichment batch');
+      }
+      const error = new Error(validation.errors.join('; '));
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let job;
+    try {
+      job = await ApolloEnrichmentJobRepository.createWithItems({
+        userId,
+        creditsReserved,
+        items: leads
+      }, schema, tenantId);
+    } catch (error) {
+      // Nothing will be enriched - give the reserved credits back
+      if (creditsReserved > 0) {
+        await ApolloCreditService.refund(tenantId, 'apollo_email', creditsReserved, req, 'Enrichment job could not be created');
+      }
+      throw error;
+    }
+
+    logger.info('[Enrichment Job] Job created', {
+      jobId: job.id,
+      leadsCount: leads.length,
+      creditsReserved
+    });
+
+    this._startWorker(job.id, tenantId, userId, schema);
+
+    return formatJobForResponse(job);
+  }
+
+  /**
+   * Apollo person id and name of a campaign lead, for enriching it
+   * Used before the lead is billed, so leads that can't be enriched cost nothing.
+   *
+   * @returns {Promise<Object>} { personId, name }
+   * @throws Error with statusCode 404 (lead not found) or 400 (no apollo_person_id)
+   */
+  async resolveLeadPersonRef(leadId, req) {
+    const tenantId = requireTenantId(null, req, 'resolveLeadPersonRef');
+    const schema = getSchema(req);
+
+    const leadRef = await ApolloEnrichmentJobRepository.findCampaignLeadPersonRef(leadId, tenantId, schema);
+    if (!leadRef) {
+      const error = new Error('Lead not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    if (!leadRef.apollo_person_id) {
+      const error = new Error('Lead does not have apollo_person_id for enrichment');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return { personId: leadRef.apollo_person_id, name: leadRef.name };
+  }
+
+  /**
+   * Get job progress
+   * @returns {Promise<Object|null>} Formatted job or null when not found
+   */
+  async getJob(jobId, req) {
+    const tenantId = requireTenantId(null, req, 'getEnrichmentJob');
+    const schema = getSchema(req);
+
+    const job = await ApolloEnrichmentJobRepository.findById(jobId, tenantId, schema);
+    return job ? formatJobForResponse(job) : null;
+  }
+
+  /**
+   * Get per-lead results of a job
+   * @param {Object} options - { status, limit, offset }
+   * @returns {Promise<Array|null>} Formatted items or null when the job is not found
+   */
+  async getJobResults(jobId, options, req) {
+    const tenantId = requireTenantId(null, req, 'getEnrichmentJobResults');
+    const schema = getSchema(req);
+
+    const job = await ApolloEnrichmentJobRepository.findById(jobId, tenantId, schema);
+    if (!job) return null;
+
+    const items = await ApolloEnrichmentJobRepository.findItems(jobId, tenantId, schema, options);
+    return items.map(formatJobItemForResponse);
+  }
+
+  /**
+   * Cancel a job
+   * Leads not yet processed are marked cancelled and their credits refunded.
+   * A lead already in flight finishes and is billed normally.
+   *
+   * @returns {Promise<Object|null>} Formatted job or null when not found
+   */
+  async cancelJob(jobId, req) {
+    const tenantId = requireTenantId(null, req, 'cancelEnrichmentJob');
+    const schema = getSchema(req);
+
+    const existing = await ApolloEnrichmentJobRepository.findById(jobId, tenantId, schema);
+    if (!existing) return null;
+    if (isTerminal(existing)) return formatJobForResponse(existing);
+
+    await ApolloEnrichmentJobRepository.updateStatus(jobId, tenantId, schema, JOB_STATUS.CANCELLED);
+    await ApolloEnrichmentJobRepository.cancelPendingItems(jobId, tenantId, schema);
+
+    logger.info('[Enrichment Job] Job cancelled', { jobId });
+
+    // A live worker settles credits when it notices the cancellation.
+    // Without one (queued job, or worker gone) settle here.
+    const heartbeatAge = existing.heartbeat_at
+      ? (Date.now() - new Date(existing.heartbeat_at).getTime()) / 1000
+      : Infinity;
+    if (!this.activeJobs.has(jobId) && heartbeatAge > ENRICHMENT_JOB_CONFIG.STALE_AFTER_SECONDS) {
+      await this._settleCredits(jobId, tenantId, schema, req);
+    }
+
+    const job = await ApolloEnrichmentJobRepository.findById(jobId, tenantId, schema);
+    return formatJobForResponse(job);
+  }
+
+  /**
+   * Resume jobs left unfinished by a previous process, in every tenant schema
+   * Called on feature activation
+   */
+  async resumePendingJobs() {
+    const schemas = await TenantSchemaService.listSchemas('apollo_enrichment_jobs');
+
+    for (const schema of schemas) {
+      try {
+        const jobs = await ApolloEnrichmentJobRepository.findResumable(
+          schema,
+          ENRICHMENT_JOB_CONFIG.STALE_AFTER_SECONDS
+        );
+
+        if (jobs.length > 0) {
+          logger.info('[Enrichment Job] Resuming unfinished jobs', { schema, count: jobs.length });
+        }
+
+        for (const job of jobs) {
+          this._startWorker(job.id, job.tenant_id, job.user_id, schema);
+        }
+      } catch (error) {
+        logger.error('[Enrichment Job] Failed to resume jobs', { schema, error: error.message, stack: error.stack });
+      }
+    }
+  }
+
+  /**
+   * Stop picking up new leads (jobs stay resumable)
+   * Called on feature deactivation
+   */
+  stop() {
+    this.stopping = true;
+  }
+
+  /**
+   * Start a worker without blocking the caller
+   * @private
+   */
+  _startWorker(jobId, tenantId, userId, schema) {
+    this._runJob(jobId, tenantId, userId, schema).catch(error => {
+      logger.error('[Enrichment Job] Worker crashed', { jobId, error: error.message, stack: error.stack });
+    });
+  }
+
+  /**
+   * Process a job's pending items until done, cancelled or stopped
+   * @private
+   */
+  async _runJob(jobId, tenantId, userId, schema) {
+    if (this.activeJobs.has(jobId) || this.stopping) return;
+
+    const claimed = await ApolloEnrichmentJobRepository.claim(
+      jobId,
+      tenantId,
+      schema,
+      ENRICHMENT_JOB_CONFIG.STALE_AFTER_SECONDS
+    );
+    if (!claimed) return; // Another worker has it
+
+    this.activeJobs.add(jobId);
+    const req = buildSystemRequestContext(tenantId, userId);
+    const heartbeatTimer = setInterval(() => {
+      ApolloEnrichmentJobRepository.heartbeat(jobId, tenantId, schema).catch(error => {
+        logger.warn('[Enrichment Job] Heartbeat failed', { jobId, error: error.message });
+      });
+    }, ENRICHMENT_JOB_CONFIG.HEARTBEAT_INTERVAL_SECONDS * 1000);
+    // Don't keep the process alive just for the heartbeat
+    heartbeatTimer.unref();
+
+    try {
+      await ApolloEnrichmentJobRepository.resetProcessingItems(jobId, tenantId, schema);
+
+      while (!this.stopping) {
+        const job = await ApolloEnrichmentJobRepository.findById(jobId, tenantId, schema);
+        if (!job || job.status !== JOB_STATUS.RUNNING) break;
+
+        const item = await ApolloEnrichmentJobRepository.findNextPendingItem(jobId, tenantId, schema);
+        if (!item) {
+          await ApolloEnrichmentJobRepository.updateStatus(jobId, tenantId, schema, JOB_STATUS.COMPLETED);
+          logger.info('[Enrichment Job] Job completed', {
+            jobId,
+            succeeded: job.succeeded_items,
+            failed: job.failed_items
+          });
+          break;
+        }
+
+        const outcome = await this._enrichItem(item, tenantId, schema, req);
+        await ApolloEnrichmentJobRepository.completeItem(item.id, jobId, tenantId, schema, outcome);
+
+        // Rate limiting
+        await new Promise(resolve => setTimeout(resolve, ENRICHMENT_JOB_CONFIG.ITEM_DELAY_MS));
+      }
+    } catch (error) {
+      logger.error('[Enrichment Job] Job failed', { jobId, error: error.message, stack: error.stack });
+      await ApolloEnrichmentJobRepository.updateStatus(jobId, tenantId, schema, JOB_STATUS.FAILED, error.message);
+    } finally {
+      clearInterval(heartbeatTimer);
+      this.activeJobs.delete(jobId);
+    }
+
+    await this._settleCredits(jobId, tenantId, schema, req);
+  }
+
+  /**
+   * Enrich a single lead
+   * Never throws - failures become the item's result
+   * @private
+   */
+  async _enrichItem(item, tenantId, schema, req) {
+    try {
+      let personId = item.person_id;
+      let name = item.name;
+
+      // If personId not provided, fetch from campaign_lead's lead_data JSONB
+      if (!personId) {
+        const leadRef = await ApolloEnrichmentJobRepository.findCampaignLeadPersonRef(item.lead_id, tenantId, schema);
+
+        if (!leadRef) {
+          return { success: false, error: 'Lead not found' };
+        }
+
+        personId = leadRef.apollo_person_id;
+        name = name || leadRef.name;
+
+        if (!personId) {
+          return { success: false, error: 'Lead does not have apollo_person_id' };
+        }
+      }
+
+      await ApolloEnrichmentJobRepository.markItemProcessing(item.id, tenantId, schema, personId, name);
+
+      const ApolloLeadsService = require('./ApolloLeadsService');
+      const enrichResult = await ApolloLeadsService.revealEmail(personId, name, req);
+
+      if (!enrichResult.email) {
+        return {
+          success: false,
+          creditsUsed: enrichResult.credits_used || 0,
+          refunded: !!enrichResult.refunded,
+          error: enrichResult.error || 'No email available'
+        };
+      }
+
+      if (item.lead_id) {
+        try {
+          await CampaignLeadRepository.updateEnrichedData(
+            item.lead_id,
+            enrichResult.email,
+            enrichResult.linkedin_url,
+            tenantId,
+            schema
+          );
+        } catch (saveError) {
+          logger.error('[Enrichment Job] Failed to save enriched data for lead', {
+            leadId: item.lead_id,
+            error: saveError.message
+          });
+          // Continue processing - enrichment succeeded even if the campaign lead wasn't updated
+        }
+      }
+
+      return {
+        success: true,
+        email: enrichResult.email,
+        linkedinUrl: enrichResult.linkedin_url,
+        fromCache: !!enrichResult.from_cache,
+        creditsUsed: enrichResult.credits_used || 0
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Refund credits reserved for a finished job that were not spent
+   * @private
+   */
+  async _settleCredits(jobId, tenantId, schema, req) {
+    try {
+      const refundedByReveal = await ApolloEnrichmentJobRepository.countRefundedItems(jobId, tenantId, schema);
+      const amount = await ApolloEnrichmentJobRepository.claimUnusedCredits(jobId, tenantId, schema, refundedByReveal);
+
+      if (amount > 0) {
+        const refunded = await ApolloCreditService.refund(tenantId, 'apollo_email', amount, req, `Enrichment job ${jobId}: unused credits`);
+        if (!refunded) {
+          await ApolloEnrichmentJobRepository.addRefundedCredits(jobId, tenantId, schema, -amount);
+        }
+      }
+    } catch (error) {
+      logger.error('[Enrichment Job] Failed to settle credits', { jobId, error: error.message });
+    }
+  }
+}
+
+module.exports = new EnrichmentJobService();
@@ -0,0 +1,127 @@
+/**
+ * LinkedIn Account Quota Service
+ * LAD Architecture Compliant - Business logic only, calls repository for SQL
+ *
+ * Account-wide invitation and message quotas. Every sequence sending from a
+ * LinkedIn account draws from the same ledger (linkedin_account_actions):
+ * an action is reserved before it is sent, refused when the rolling 24-hour
+ * or 7-day count is at LINKEDIN_ACCOUNT_QUOTAS.LIMITS, and released when the
+ * send fails. The ledger is kept in the tenant schema the account is
+ * registered in, next to its sequences.
+ */
+
+const logger = require('../../../core/utils/logger');
+const LinkedInAccountActionRepository = require('../repositories/LinkedInAccountActionRepository');
+const { LINKEDIN_ACCOUNT_QUOTAS } = require('../constants/constants');
+
+const { LIMITS, DAY_WINDOW_HOURS, WEEK_WINDOW_HOURS } = LINKEDIN_ACCOUNT_QUOTAS;
+
+class LinkedInAccountQuotaService {
+  /**
+   * Reserve one action against the account's quotas
+   *
+   * @param {string} accountId - Unipile LinkedIn account ID
+   * @param {string} actionType - 'invitation' | 'message'
+   * @param {Object} reference - { sequenceId, slotId } (optional)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} schema - Tenant schema the account is registered in
+   * @returns {Promise<Object>} { reserved, reservationId } or { reserved: false, availableAt }
+   */
+  async reserve(accountId, actionType, reference, tenantId, schema) {
+    const limits = LIMITS[actionType];
+
+    const row = await LinkedInAccountActionRepository.reserve({
+      accountId,
+      actionType,
+      sequenceId: reference?.sequenceId,
+      slotId: reference?.slotId
+    }, {
+      perDay: limits.PER_DAY,
+      perWeek: limits.PER_WEEK,
+      dayHours: DAY_WINDOW_HOURS,
+      weekHours: WEEK_WINDOW_HOURS
+    }, tenantId, schema);
+
+    if (row) {
+      return { reserved: true, reservationId: row.id };
+    }
+
+    const availableAt = await this.nextAvailableAt(accountId, actionType, tenantId, schema);
+    logger.info('[LinkedIn Quota] Account at capacity', { accountId, actionType, availableAt });
+    return { reserved: false, availableAt };
+  }
+
+  /**
+   * Give back a reserved action (the send failed)
+   */
+  async release(reservationId, tenantId, schema) {
+    try {
+      await LinkedInAccountActionRepository.delete(reservationId, tenantId, schema);
+    } catch (error) {
+      // The action then counts until it leaves the windows - safe side
+      logger.warn('[LinkedIn Quota] Could not release reservation', { reservationId, error: error.message });
+    }
+  }
+
+  /**
+   * When the account can take the action again: now when under both limits,
+   * otherwise when the fuller window frees up
+   *
+   * @returns {Promise<Date>}
+   */
+  async nextAvailableAt(accountId, actionType, tenantId, schema) {
+    const limits = LIMITS[actionType];
+
+    const [dayRelease, weekRelease] = await Promise.all([
+      LinkedInAccountActionRepository.findWindowReleaseTime(
+        accountId, actionType, DAY_WINDOW_HOURS, limits.PER_DAY, tenantId, schema
+      ),
+      LinkedInAccountActionRepository.findWindowReleaseTime(
+        accountId, actionType, WEEK_WINDOW_HOURS, limits.PER_WEEK, tenantId, schema
+      )
+    ]);
+
+    const times = [dayRelease, weekRelease].filter(Boolean).map(time => new Date(time).getTime());
+    return new Date(Math.max(Date.now(), ...times));
+  }
+
+  /**
+   * The account's usage of each quota
+   *
+   * @returns {Promise<Object>} { account_id, invitation: {...}, message: {...} } - per type:
+   *   { last_24h, last_7d, daily_limit, weekly_limit, remaining, available_at }
+   */
+  async getUsage(accountId, tenantId, schema) {
+    const rows = await LinkedInAccountActionRepository.countByType(
+      accountId,
+      DAY_WINDOW_HOURS,
+      WEEK_WINDOW_HOURS,
+      tenantId,
+      schema
+    );
+    const counts = new Map(rows.map(row => [row.action_type, row]));
+
+    const usage = { account_id: accountId };
+    for (const actionType of Object.values(LINKEDIN_ACCOUNT_QUOTAS.ACTION_TYPES)) {
+      const limits = LIMITS[actionType];
+      const dayCount = counts.get(actionType)?.day_count || 0;
+      const weekCount = counts.get(actionType)?.week_count || 0;
+      const remaining = Math.max(0, Math.min(limits.PER_DAY - dayCount, limits.PER_WEEK - weekCount));
+
+      usage[actionType] = {
+        last_24h: dayCount,
+        last_7d: weekCount,
+        daily_limit: limits.PER_DAY,
+        weekly_limit: limits.PER_WEEK,
+        remaining,
+        available_at: remaining > 0
+          ? null
+          : (await this.nextAvailableAt(accountId, actionType, tenantId, schema)).toISOString()
+      };
+    }
+
+    return usage;
+  }
+}
+
+module.exports = new LinkedInAccountQuotaService();
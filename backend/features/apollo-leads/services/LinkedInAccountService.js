@@ -0,0 +1,393 @@
+/**
+ * LinkedIn Account Service
+ * LAD Architecture Compliant - Business logic only, calls repository for SQL
+ *
+ * Registry of the LinkedIn accounts a tenant has connected through Unipile.
+ * Unipile search and outreach endpoints only accept account ids registered
+ * (and active) for the caller's tenant - see requireOwnedLinkedInAccountMiddleware.
+ *
+ * Every tenant without its own Unipile workspace shares the platform one, so
+ * an account id existing there proves nothing about who connected it. There
+ * accounts are only registered through a hosted auth link issued to the
+ * tenant (createConnectLink / completeHostedConnection); account ids are
+ * registered directly only in the tenant's own workspace. An account id is
+ * registered to one tenant at most, across every tenant schema.
+ */
+
+const { getSchema } = require('../../../core/utils/schemaHelper');
+const { requireTenantId } = require('../../../core/utils/tenantHelper');
+const logger = require('../../../core/utils/logger');
+const LinkedInAccountRepository = require('../repositories/LinkedInAccountRepository');
+const UnipileCredentialService = require('./UnipileCredentialService');
+const TenantSchemaService = require('./TenantSchemaService');
+const { formatLinkedInAccountForResponse } = require('../models/LinkedInAccount');
+const { validateSendingSchedule } = require('../validators/apolloValidators');
+const { createWebhookToken, verifyWebhookToken } = require('../utils/webhookToken');
+const {
+  LINKEDIN_ACCOUNT_CONFIG,
+  TENANT_CREDENTIALS_CONFIG,
+  UNIPILE_EVENT_CONFIG,
+  WEBHOOK_CONFIG
+} = require('../constants/constants');
+
+const ACCOUNT_TYPES = Object.values(LINKEDIN_ACCOUNT_CONFIG.ACCOUNT_TYPES);
+const STATUSES = Object.values(LINKEDIN_ACCOUNT_CONFIG.STATUSES);
+const { HOSTED_AUTH } = LINKEDIN_ACCOUNT_CONFIG;
+const { KEY_SOURCES } = TENANT_CREDENTIALS_CONFIG;
+
+/**
+ * Error carrying the HTTP status the endpoint should answer with
+ */
+function accountError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class LinkedInAccountService {
+  /**
+   * List the tenant's LinkedIn accounts
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} filters - { status }
+   */
+  async listAccounts(req, filters = {}) {
+    const tenantId = requireTenantId(null, req, 'listLinkedInAccounts');
+    const schema = getSchema(req);
+
+    if (filters.status && !STATUSES.includes(filters.status)) {
+      throw accountError(`status must be one of: ${STATUSES.join(', ')}`, 400);
+    }
+
+    const rows = await LinkedInAccountRepository.findByTenant(tenantId, schema, filters);
+    return rows.map(formatLinkedInAccountForResponse);
+  }
+
+  /**
+   * Register a Unipile LinkedIn account of the tenant's own Unipile workspace
+   * Accounts on the platform workspace are connected with createConnectLink instead.
+   *
+   * @param {Object} data - { account_id, owner_user_id, display_name, account_type, status, sending_schedule }
+   * @param {Object} req - Express request object
+   * @throws Errors with statusCode (400 invalid / unknown to Unipile, 403 platform workspace,
+   *   409 already registered, 502 Unipile unreachable)
+   */
+  async registerAccount(data, req) {
+    const tenantId = requireTenantId(null, req, 'registerLinkedInAccount');
+    const schema = getSchema(req);
+    const fields = this._validateFields(data);
+    const unipileAccountId = typeof data.account_id === 'string' ? data.account_id.trim() : '';
+
+    if (!unipileAccountId) {
+      throw accountError('account_id (Unipile account ID) is required', 400);
+    }
+
+    const credentials = await UnipileCredentialService.getCredentials(req);
+    if (credentials.source !== KEY_SOURCES.TENANT) {
+      throw accountError(
+        'Accounts on the platform Unipile workspace are connected through POST /unipile/accounts/connect',
+        403
+      );
+    }
+
+    const row = await this._createAccount(unipileAccountId, fields, {
+      tenantId,
+      schema,
+      userId: req.user?.id,
+      credentials
+    });
+
+    if (!row) {
+      throw accountError('This LinkedIn account is already registered', 409);
+    }
+
+    return formatLinkedInAccountForResponse(row);
+  }
+
+  /**
+   * Unipile hosted auth link connecting a LinkedIn account to the tenant on the
+   * platform Unipile workspace. The link's name is a signed token naming the
+   * tenant; completeHostedConnection registers the account Unipile reports back.
+   *
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} { url, expires_at }
+   * @throws Errors with statusCode (400 tenant has its own workspace, 502 Unipile unreachable, 503 not configured)
+   */
+  async createConnectLink(req) {
+    const tenantId = requireTenantId(null, req, 'createLinkedInConnectLink');
+    const schema = getSchema(req);
+
+    const credentials = await UnipileCredentialService.getCredentials(req);
+    if (credentials.source === KEY_SOURCES.TENANT) {
+      throw accountError('Accounts of your own Unipile workspace are registered with POST /unipile/accounts', 400);
+    }
+
+    const secret = process.env[UNIPILE_EVENT_CONFIG.SECRET_ENV];
+    const notifyUrl = process.env[HOSTED_AUTH.NOTIFY_URL_ENV];
+    if (!secret || !notifyUrl) {
+      throw accountError('Connecting LinkedIn accounts is not configured on this server', 503);
+    }
+
+    const expiresAt = new Date(Date.now() + HOSTED_AUTH.LINK_TTL_SECONDS * 1000);
+    const token = createWebhookToken({
+      t: tenantId,
+      s: schema,
+      u: req.user?.id || null
+    }, secret, HOSTED_AUTH.LINK_TTL_SECONDS);
+
+    const url = await UnipileCredentialService.createHostedAuthLink({
+      type: 'create',
+      providers: [HOSTED_AUTH.PROVIDER],
+      expiresOn: expiresAt.toISOString(),
+      notify_url: notifyUrl,
+      name: token
+    }, credentials);
+
+    logger.info('[LinkedIn Accounts] Connect link created', { expiresAt: expiresAt.toISOString() });
+    return { url, expires_at: expiresAt.toISOString() };
+  }
+
+  /**
+   * Register the account Unipile connected through a hosted auth link
+   * The tenant and schema come from the signed token the link was created with.
+   *
+   * @param {Object} payload - Unipile notify body { status, account_id, name }
+   * @returns {Promise<Object>} { success, data } or { success, ignored, reason }
+   * @throws Errors with statusCode (400 malformed, 401 invalid/expired token, 409 registered
+   *   to another tenant, 503 not configured)
+   */
+  async completeHostedConnection(payload = {}) {
+    const secret = process.env[UNIPILE_EVENT_CONFIG.SECRET_ENV];
+    if (!secret) {
+      throw accountError(`${UNIPILE_EVENT_CONFIG.SECRET_ENV} is not configured`, 503);
+    }
+
+    const verification = verifyWebhookToken(payload.name, secret);
+    if (!verification.valid) {
+      throw accountError(verification.error, 401);
+    }
+
+    const { t: tenantId, s: schema, u: userId } = verification.claims;
+    if (!tenantId || !WEBHOOK_CONFIG.SCHEMA_PATTERN.test(schema || '')) {
+      throw accountError('Malformed webhook token', 401);
+    }
+
+    if (!HOSTED_AUTH.SUCCESS_STATUSES.includes(payload.status)) {
+      return { success: true, ignored: true, reason: `Connection status ${payload.status}` };
+    }
+
+    const unipileAccountId = typeof payload.account_id === 'string' ? payload.account_id.trim() : '';
+    if (!unipileAccountId) {
+      throw accountError('account_id is required', 400);
+    }
+
+    const row = await this._createAccount(unipileAccountId, {}, {
+      tenantId,
+      schema,
+      userId,
+      credentials: UnipileCredentialService.getPlatformCredentials()
+    });
+
+    // A reconnection of an account the tenant already has
+    const account = row || await LinkedInAccountRepository.findByUnipileAccountId(unipileAccountId, tenantId, schema);
+    return { success: true, data: formatLinkedInAccountForResponse(account) };
+  }
+
+  /**
+   * Update an account's owner, display name, type, status or sending schedule
+   * A null sending_schedule goes back to the default schedule.
+   *
+   * @param {string} id - Registry ID
+   * @param {Object} data - { owner_user_id, display_name, account_type, status, sending_schedule }
+   * @param {Object} req - Express request object
+   */
+  async updateAccount(id, data, req) {
+    const tenantId = requireTenantId(null, req, 'updateLinkedInAccount');
+    const schema = getSchema(req);
+    const fields = this._validateFields(data);
+
+    const row = await LinkedInAccountRepository.update(id, {
+      ...fields,
+      userId: req.user?.id
+    }, schema, tenantId);
+
+    if (!row) {
+      throw accountError('LinkedIn account not found', 404);
+    }
+
+    logger.info('[LinkedIn Accounts] Account updated', { id, status: row.status });
+    return formatLinkedInAccountForResponse(row);
+  }
+
+  /**
+   * Remove an account from the registry - search and outreach refuse it afterwards
+   */
+  async removeAccount(id, req) {
+    const tenantId = requireTenantId(null, req, 'removeLinkedInAccount');
+    const schema = getSchema(req);
+
+    const deleted = await LinkedInAccountRepository.delete(id, tenantId, schema);
+    if (!deleted) {
+      throw accountError('LinkedIn account not found', 404);
+    }
+
+    logger.info('[LinkedIn Accounts] Account removed', { id });
+    return { id, removed: true };
+  }
+
+  /**
+   * The tenant's active registration of a Unipile account id
+   *
+   * @param {string} unipileAccountId - Unipile account ID from the request
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} Registry row
+   * @throws Errors with statusCode (403 not the tenant's account, 409 paused/disconnected)
+   */
+  async requireOwnedAccount(unipileAccountId, req) {
+    const tenantId = requireTenantId(null, req, 'requireOwnedLinkedInAccount');
+    const schema = getSchema(req);
+
+    const row = await LinkedInAccountRepository.findByUnipileAccountId(String(unipileAccountId), tenantId, schema);
+    if (!row) {
+      logger.warn('[LinkedIn Accounts] Refused account not registered to tenant', { accountId: unipileAccountId });
+      throw accountError('LinkedIn account is not connected to this tenant', 403);
+    }
+
+    if (row.status !== LINKEDIN_ACCOUNT_CONFIG.STATUSES.ACTIVE) {
+      throw accountError(`LinkedIn account is ${row.status}`, 409);
+    }
+
+    return row;
+  }
+
+  /**
+   * Check the account with Unipile and add it to the tenant's registry
+   *
+   * @param {string} unipileAccountId - Unipile account ID
+   * @param {Object} fields - Validated editable fields
+   * @param {Object} context - { tenantId, schema, userId, credentials }
+   * @returns {Promise<Object|null>} Registry row, null when the tenant already has it
+   * @private
+   */
+  async _createAccount(unipileAccountId, fields, context) {
+    const { tenantId, schema, userId, credentials } = context;
+
+    // Early answer before calling Unipile; create() repeats the check under a lock
+    if (await this._isRegisteredToOtherTenant(unipileAccountId, tenantId)) {
+      throw accountError('This LinkedIn account is registered to another tenant', 409);
+    }
+
+    const unipileAccount = await UnipileCredentialService.fetchAccount(unipileAccountId, credentials);
+    if (!unipileAccount) {
+      throw accountError(`Unipile has no account ${unipileAccountId}`, 400);
+    }
+    if (unipileAccount.type && String(unipileAccount.type).toUpperCase() !== HOSTED_AUTH.PROVIDER) {
+      throw accountError(`Unipile account ${unipileAccountId} is not a LinkedIn account`, 400);
+    }
+
+    const { row, registeredToOtherTenant } = await LinkedInAccountRepository.create({
+      unipileAccountId,
+      ownerUserId: fields.ownerUserId || userId,
+      displayName: fields.displayName || unipileAccount.name || null,
+      accountType: fields.accountType || LINKEDIN_ACCOUNT_CONFIG.ACCOUNT_TYPES.CLASSIC,
+      status: fields.status || LINKEDIN_ACCOUNT_CONFIG.STATUSES.ACTIVE,
+      sendingSchedule: fields.sendingSchedule || null,
+      userId
+    }, schema, tenantId, await TenantSchemaService.listSchemas('linkedin_accounts'));
+
+    if (registeredToOtherTenant) {
+      throw accountError('This LinkedIn account is registered to another tenant', 409);
+    }
+
+    if (row) {
+      logger.info('[LinkedIn Accounts] Account registered', {
+        accountId: unipileAccountId,
+        accountType: row.account_type,
+        credentialSource: credentials.source
+      });
+    }
+
+    return row;
+  }
+
+  /**
+   * Whether another tenant has the account id, in any tenant schema
+   * @private
+   */
+  async _isRegisteredToOtherTenant(unipileAccountId, tenantId) {
+    const schemas = await TenantSchemaService.listSchemas('linkedin_accounts');
+    for (const schema of schemas) {
+      if (await LinkedInAccountRepository.isRegisteredToOtherTenant(unipileAccountId, tenantId, schema)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Find the registration of a Unipile account id in whichever tenant schema holds it
+   * Used where there is no request to take the schema from (Unipile webhooks).
+   *
+   * @param {string} unipileAccountId - Unipile account ID
+   * @returns {Promise<Object|null>} { account, schema }, or null when no tenant registered it
+   */
+  async findRegistration(unipileAccountId) {
+    const schemas = await TenantSchemaService.listSchemas('linkedin_accounts');
+    for (const schema of schemas) {
+      const account = await LinkedInAccountRepository.findAnyTenantByUnipileAccountId(String(unipileAccountId), schema);
+      if (account) return { account, schema };
+    }
+    return null;
+  }
+
+  /**
+   * Validate the editable fields; absent fields stay undefined
+   * @private
+   */
+  _validateFields(data = {}) {
+    const fields = {};
+
+    if (data.account_type !== undefined) {
+      if (!ACCOUNT_TYPES.includes(data.account_type)) {
+        throw accountError(`account_type must be one of: ${ACCOUNT_TYPES.join(', ')}`, 400);
+      }
+      fields.accountType = data.account_type;
+    }
+
+    if (data.status !== undefined) {
+      if (!STATUSES.includes(data.status)) {
+        throw accountError(`status must be one of: ${STATUSES.join(', ')}`, 400);
+      }
+      fields.status = data.status;
+    }
+
+    if (data.display_name !== undefined) {
+      const displayName = typeof data.display_name === 'string' ? data.display_name.trim() : '';
+      if (!displayName || displayName.length > LINKEDIN_ACCOUNT_CONFIG.MAX_DISPLAY_NAME_LENGTH) {
+        throw accountError(`display_name must be 1-${LINKEDIN_ACCOUNT_CONFIG.MAX_DISPLAY_NAME_LENGTH} characters`, 400);
+      }
+      fields.displayName = displayName;
+    }
+
+    if (data.owner_user_id !== undefined) {
+      if (!data.owner_user_id) {
+        throw accountError('owner_user_id must be a user ID', 400);
+      }
+      fields.ownerUserId = String(data.owner_user_id);
+    }
+
+    if (data.sending_schedule !== undefined) {
+      if (data.sending_schedule !== null) {
+        const validation = validateSendingSchedule(data.sending_schedule);
+        if (!validation.valid) {
+          throw accountError(`Invalid sending_schedule: ${validation.errors.join('; ')}`, 400);
+        }
+      }
+      fields.sendingSchedule = data.sending_schedule;
+    }
+
+    return fields;
+  }
+}
+
+module.exports = new LinkedInAccountService();
@@ -0,0 +1,261 @@
+/**
+ * LinkedIn Parameter Service
+ * LAD Architecture Compliant - Business logic only, calls repository for SQL
+ *
+ * Resolves location, industry, skill, company and school names to LinkedIn
+ * ids through Unipile's /linkedin/search/parameters. Candidates are stored in
+ * linkedin_search_parameters for LINKEDIN_PARAMETER_CONFIG.CACHE_TTL_HOURS and
+ * ranked against the query, so ambiguous names ("Georgia", "Apple") can be
+ * picked from a typeahead instead of guessed.
+ */
+
+const axios = require('axios');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+const logger = require('../../../core/utils/logger');
+const LinkedInSearchParameterRepository = require('../repositories/LinkedInSearchParameterRepository');
+const UnipileCredentialService = require('./UnipileCredentialService');
+const { buildUnipileBaseUrl, buildUnipileHeaders } = require('../utils/unipileConnection');
+const { LINKEDIN_PARAMETER_CONFIG } = require('../constants/constants');
+
+const TYPES = Object.values(LINKEDIN_PARAMETER_CONFIG.TYPES);
+
+// How a candidate's title matches the query, best first
+const MATCH_RANKS = ['exact', 'prefix', 'word', 'partial', 'related'];
+
+/**
+ * Error carrying the HTTP status the endpoint should answer with
+ */
+function parameterError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Lowercase, trimmed, single-spaced - the cache key and the ranking form
+ */
+function normalizeQuery(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * How a candidate title matches the normalized query
+ */
+function matchOf(title, query) {
+  const normalized = normalizeQuery(title);
+  if (normalized === query) return 'exact';
+  if (normalized.startsWith(query)) return 'prefix';
+  if (normalized.split(/[\s,/-]+/).some(word => word.startsWith(query))) return 'word';
+  if (normalized.includes(query)) return 'partial';
+  return 'related';
+}
+
+class LinkedInParameterService {
+  /**
+   * Ranked LinkedIn id candidates for a name
+   *
+   * @param {string} type - 'LOCATION' | 'INDUSTRY' | 'SKILL' | 'COMPANY' | 'SCHOOL'
+   * @param {string} query - Name typed by the user
+   * @param {Object} options - { accountId, credentials, limit, schema }
+   * @returns {Promise<Object>} { type, query, candidates: [{ id, title, match }], ambiguous, cached }
+   * @throws Errors with statusCode (400 invalid type/query, 502 Unipile failed, 503 not configured)
+   */
+  async getCandidates(type, query, options = {}) {
+    const paramType = this._validateType(type);
+    const normalized = this._validateQuery(query);
+    const limit = Math.min(
+      Math.max(parseInt(options.limit, 10) || LINKEDIN_PARAMETER_CONFIG.DEFAULT_CANDIDATES, 1),
+      LINKEDIN_PARAMETER_CONFIG.MAX_CANDIDATES
+    );
+    const schema = options.schema || getSchema(null);
+
+    let cached = true;
+    let items = await this._findCached(paramType, normalized, schema);
+    if (!items) {
+      cached = false;
+      items = await this._fetchFromUnipile(paramType, normalized, options);
+      await this._store(paramType, normalized, items, schema);
+    }
+
+    const candidates = this._rank(items, normalized).slice(0, limit);
+    return {
+      type: paramType,
+      query: normalized,
+      candidates,
+      // The best match doesn't stand out - let the user pick
+      ambiguous: candidates.length > 1 && candidates[0].match === candidates[1].match,
+      cached
+    };
+  }
+
+  /**
+   * LinkedIn id for a name - the best-ranked candidate
+   * Numeric values are taken as ids already.
+   *
+   * @returns {Promise<string|null>} null when LinkedIn has no candidate
+   */
+  async resolveId(type, value, options = {}) {
+    if (/^\d+$/.test(String(value).trim())) return String(value).trim();
+
+    const { candidates, ambiguous } = await this.getCandidates(type, value, { ...options, limit: 2 });
+    if (candidates.length === 0) return null;
+
+    if (ambiguous) {
+      logger.warn('[LinkedIn Parameters] Ambiguous name, using best match', {
+        type,
+        value,
+        id: candidates[0].id,
+        title: candidates[0].title
+      });
+    }
+    return candidates[0].id;
+  }
+
+  /**
+   * LinkedIn ids for a name or list of names
+   * Names are not split on commas ("San Francisco, California" is one location).
+   * Names that can't be resolved are left out of ids - Unipile's filters only
+   * take ids - and returned in unresolved so the caller can report them.
+   *
+   * @returns {Promise<{ids: Array<string>, unresolved: Array<string>}>}
+   */
+  async resolveIds(type, values, options = {}) {
+    const names = (Array.isArray(values) ? values : [values])
+      .map(value => String(value).trim())
+      .filter(Boolean);
+
+    const ids = [];
+    const unresolved = [];
+    for (const value of names) {
+      try {
+        const id = await this.resolveId(type, value, options);
+        if (id) {
+          ids.push(id);
+        } else {
+          unresolved.push(value);
+        }
+      } catch (error) {
+        logger.warn('[LinkedIn Parameters] Could not resolve name, dropping it', {
+          type,
+          value,
+          error: error.message
+        });
+        unresolved.push(value);
+      }
+    }
+    return { ids, unresolved };
+  }
+
+  /**
+   * Cached candidates, or null on a miss (cache failures count as misses)
+   * @private
+   */
+  async _findCached(paramType, query, schema) {
+    try {
+      const row = await LinkedInSearchParameterRepository.findFresh(paramType, query, schema);
+      return row ? row.candidates : null;
+    } catch (error) {
+      logger.warn('[LinkedIn Parameters] Cache lookup failed', { type: paramType, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _store(paramType, query, items, schema) {
+    try {
+      await LinkedInSearchParameterRepository.upsert(
+        paramType,
+        query,
+        items,
+        LINKEDIN_PARAMETER_CONFIG.CACHE_TTL_HOURS,
+        schema
+      );
+    } catch (error) {
+      logger.warn('[LinkedIn Parameters] Could not cache candidates', { type: paramType, error: error.message });
+    }
+  }
+
+  /**
+   * Candidates from Unipile, in Unipile's order: [{ id, title }]
+   * @private
+   */
+  async _fetchFromUnipile(paramType, query, { accountId, credentials }) {
+    const { dsn, token } = credentials || UnipileCredentialService.getPlatformCredentials();
+    if (!dsn || !token) {
+      throw parameterError('Unipile is not configured', 503);
+    }
+    if (!accountId) {
+      throw parameterError('accountId is required to look up LinkedIn parameters', 400);
+    }
+
+    try {
+      const response = await axios.get(`${buildUnipileBaseUrl(dsn)}${LINKEDIN_PARAMETER_CONFIG.ENDPOINT}`, {
+        headers: buildUnipileHeaders(token),
+        params: {
+          account_id: accountId,
+          type: paramType,
+          keywords: query,
+          limit: LINKEDIN_PARAMETER_CONFIG.FETCH_LIMIT
+        },
+        timeout: LINKEDIN_PARAMETER_CONFIG.REQUEST_TIMEOUT_MS
+      });
+
+      const items = response.data?.items || response.data?.data || response.data?.results || [];
+      logger.info('[LinkedIn Parameters] Fetched candidates', { type: paramType, query, count: items.length });
+
+      return items
+        .map(item => ({ id: item.id ?? item.ID, title: item.title || item.name || '' }))
+        .filter(item => item.id !== undefined && item.id !== null)
+        .map(item => ({ id: String(item.id), title: item.title }));
+    } catch (error) {
+      logger.error('[LinkedIn Parameters] Unipile lookup failed', {
+        type: paramType,
+        query,
+        status: error.response?.status,
+        error: error.message
+      });
+      throw parameterError(`Could not look up LinkedIn ${paramType.toLowerCase()} parameters: ${error.message}`, 502);
+    }
+  }
+
+  /**
+   * Best match first; Unipile's order within the same match
+   * @private
+   */
+  _rank(items, query) {
+    return items
+      .map((item, index) => ({ ...item, match: matchOf(item.title, query), index }))
+      .sort((a, b) => (MATCH_RANKS.indexOf(a.match) - MATCH_RANKS.indexOf(b.match)) || (a.index - b.index))
+      .map(({ index, ...candidate }) => candidate);
+  }
+
+  /**
+   * @private
+   */
+  _validateType(type) {
+    const paramType = typeof type === 'string' ? type.trim().toUpperCase() : '';
+    if (!TYPES.includes(paramType)) {
+      throw parameterError(`type must be one of: ${TYPES.join(', ')}`, 400);
+    }
+    return paramType;
+  }
+
+  /**
+   * @private
+   */
+  _validateQuery(query) {
+    const normalized = typeof query === 'string' || typeof query === 'number' ? normalizeQuery(query) : '';
+    if (normalized.length < LINKEDIN_PARAMETER_CONFIG.MIN_QUERY_LENGTH ||
+        normalized.length > LINKEDIN_PARAMETER_CONFIG.MAX_QUERY_LENGTH) {
+      throw parameterError(
+        `q must be ${LINKEDIN_PARAMETER_CONFIG.MIN_QUERY_LENGTH}-${LINKEDIN_PARAMETER_CONFIG.MAX_QUERY_LENGTH} characters`,
+        400
+      );
+    }
+    return normalized;
+  }
+}
+
+module.exports = new LinkedInParameterService();
@@ -0,0 +1,159 @@
+/**
+ * Outreach Template Service
+ * LAD Architecture Compliant - Business logic only, calls repository for SQL
+ *
+ * Lead values for outreach message templates, and the rendered invitation
+ * notes checked against LinkedIn's length limit. Values come from the lead
+ * in employees_cache (matched by Apollo person id or LinkedIn profile URL)
+ * and from the Unipile profile fetched before sending.
+ */
+
+const ApolloEmployeesCacheRepository = require('../repositories/ApolloEmployeesCacheRepository');
+const { renderTemplate } = require('../utils/messageTemplate');
+const { OUTREACH_SEQUENCE_CONFIG, MESSAGE_TEMPLATE_CONFIG } = require('../constants/constants');
+
+const { STEP_TYPES, MAX_INVITE_NOTE_LENGTH } = OUTREACH_SEQUENCE_CONFIG;
+
+/**
+ * Profile id as matched against employee_linkedin_url
+ */
+function normalizeProfileUrl(profileId) {
+  return String(profileId).toLowerCase().replace(/\/+$/, '');
+}
+
+/**
+ * Template values from first and last name
+ */
+function nameValues(firstName, lastName) {
+  const first = firstName ? String(firstName).trim() : '';
+  const last = lastName ? String(lastName).trim() : '';
+  return {
+    first_name: first || null,
+    last_name: last || null,
+    full_name: [first, last].filter(Boolean).join(' ') || null
+  };
+}
+
+class OutreachTemplateService {
+  /**
+   * Lead values from employees_cache for outreach profile ids
+   *
+   * @param {Array<string>} profileIds - Apollo person ids or LinkedIn profile URLs
+   * @returns {Promise<Map>} profileId -> values (profiles not cached are absent)
+   */
+  async getCachedValues(profileIds, tenantId, schema) {
+    const values = new Map();
+    if (profileIds.length === 0) return values;
+
+    const rows = await ApolloEmployeesCacheRepository.findByOutreachProfileIds(profileIds, tenantId, schema);
+
+    // Rows come most recently updated first - keep the first match
+    const byPersonId = new Map();
+    const byUrl = new Map();
+    for (const row of rows) {
+      if (row.apollo_person_id && !byPersonId.has(row.apollo_person_id)) {
+        byPersonId.set(row.apollo_person_id, row);
+      }
+      if (row.employee_linkedin_url) {
+        const url = normalizeProfileUrl(row.employee_linkedin_url);
+        if (!byUrl.has(url)) byUrl.set(url, row);
+      }
+    }
+
+    for (const profileId of profileIds) {
+      const row = byPersonId.get(String(profileId)) || byUrl.get(normalizeProfileUrl(profileId));
+      if (row) values.set(profileId, this.valuesFromCache(row));
+    }
+
+    return values;
+  }
+
+  /**
+   * Template values of an employees_cache row
+   */
+  valuesFromCache(row) {
+    const [firstName, ...lastName] = String(row.employee_name || '').trim().split(/\s+/);
+    return {
+      ...nameValues(firstName, lastName.join(' ')),
+      company_name: row.company_name || null,
+      title: row.employee_title || null,
+      headline: row.employee_headline || null,
+      location: [row.employee_city, row.employee_country].filter(Boolean).join(', ') || null
+    };
+  }
+
+  /**
+   * Template values of a Unipile LinkedIn profile
+   */
+  valuesFromUnipileProfile(profile) {
+    const currentPosition = Array.isArray(profile?.work_experience) ? profile.work_experience[0] : null;
+    return {
+      ...nameValues(profile?.first_name, profile?.last_name),
+      company_name: currentPosition?.company || profile?.company_name || null,
+      title: currentPosition?.position || profile?.title || null,
+      headline: profile?.headline || null,
+      location: profile?.location || null
+    };
+  }
+
+  /**
+   * Values from several sources - later sources win where they have a value
+   */
+  mergeValues(...sources) {
+    const merged = {};
+    for (const name of MESSAGE_TEMPLATE_CONFIG.VARIABLES) {
+      for (const source of sources) {
+        if (source && source[name]) merged[name] = source[name];
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Render a template for a lead
+   *
+   * @returns {Object} { text, missing }
+   */
+  render(template, values) {
+    return renderTemplate(template, values);
+  }
+
+  /**
+   * Steps whose template can be sent as an invitation note
+   */
+  isInviteNoteStep(step) {
+    return (step.type === STEP_TYPES.INVITE || step.type === STEP_TYPES.AUTO) && !!step.template;
+  }
+
+  /**
+   * Prospects whose invitation notes render longer than LinkedIn allows,
+   * with the values cached for them (checked before their slots are scheduled)
+   *
+   * @param {Array} steps - Sequence steps
+   * @param {Array<string>} profileIds
+   * @returns {Promise<Array>} [{ profileId, step, length }]
+   */
+  async findLongInviteNotes(steps, profileIds, tenantId, schema) {
+    const inviteSteps = steps
+      .map((step, index) => ({ step, index }))
+      .filter(({ step }) => this.isInviteNoteStep(step));
+    if (inviteSteps.length === 0) return [];
+
+    const cachedValues = await this.getCachedValues(profileIds, tenantId, schema);
+    const tooLong = [];
+
+    for (const profileId of profileIds) {
+      const values = cachedValues.get(profileId) || {};
+      for (const { step, index } of inviteSteps) {
+        const { text } = this.render(step.template, values);
+        if (text.length > MAX_INVITE_NOTE_LENGTH) {
+          tooLong.push({ profileId, step: index, length: text.length });
+        }
+      }
+    }
+
+    return tooLong;
+  }
+}
+
+module.exports = new OutreachTemplateService();
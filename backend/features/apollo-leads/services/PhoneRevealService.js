@@ -0,0 +1,305 @@
+/**
+ * Phone Reveal Service
+ * LAD Architecture Compliant - Business logic only, calls repository for SQL
+ *
+ * Tracks the lifecycle of a phone reveal in phone_reveals:
+ *   requested -> pending -> delivered | unavailable | expired
+ * and notifies listeners (the status stream) when a reveal changes.
+ *
+ * Notifications are in-process. A webhook handled by another instance is
+ * picked up by the stream's periodic re-read instead.
+ *
+ * Tracking never breaks a reveal: write failures are logged and the reveal
+ * carries on without an ID.
+ *
+ * Refund sweeper: reveals still pending after PHONE_REVEAL_CONFIG.REFUND.DEADLINE_SECONDS
+ * are marked unavailable, and every charged reveal that ended without a number
+ * (unavailable or expired) has its credits refunded once, with an audit entry.
+ */
+
+const EventEmitter = require('events');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+const { requireTenantId } = require('../../../core/utils/tenantHelper');
+const logger = require('../../../core/utils/logger');
+const ApolloCreditService = require('./ApolloCreditService');
+const TenantSchemaService = require('./TenantSchemaService');
+const PhoneRevealRepository = require('../repositories/PhoneRevealRepository');
+const { REVEAL_STATUS, isTerminal, formatRevealForResponse } = require('../models/PhoneReveal');
+const { PHONE_REVEAL_CONFIG, WEBHOOK_CONFIG } = require('../constants/constants');
+const { buildSystemRequestContext } = require('../utils/requestContext');
+
+class PhoneRevealService {
+  constructor() {
+    this.events = new EventEmitter();
+    // One listener per open stream
+    this.events.setMaxListeners(0);
+    this.sweepTimer = null;
+    this.sweeping = false;
+  }
+
+  /**
+   * Open a reveal before calling Apollo
+   * @returns {Promise<string|null>} Reveal ID, or null when tracking failed
+   */
+  async startReveal(personId, employeeName, tenantId, schema, req) {
+    return this._track('startReveal', async () => {
+      const reveal = await PhoneRevealRepository.create({
+        userId: req?.user?.id || null,
+        personId,
+        employeeName,
+        status: REVEAL_STATUS.REQUESTED
+      }, schema, tenantId);
+      return reveal.id;
+    });
+  }
+
+  /**
+   * Record a reveal served from employees_cache (delivered immediately)
+   * @returns {Promise<string|null>} Reveal ID, or null when tracking failed
+   */
+  async recordCachedReveal(personId, employeeName, phone, tenantId, schema, req) {
+    return this._track('recordCachedReveal', async () => {
+      const reveal = await PhoneRevealRepository.create({
+        userId: req?.user?.id || null,
+        personId,
+        employeeName,
+        status: REVEAL_STATUS.DELIVERED,
+        phone,
+        fromCache: true
+      }, schema, tenantId);
+      return reveal.id;
+    });
+  }
+
+  /**
+   * Apollo accepted the request; the number is expected through the webhook
+   * before the webhook token expires
+   */
+  async markPending(revealId, tenantId, schema, creditsCharged) {
+    if (!revealId) return;
+
+    const expiresAt = new Date(Date.now() + WEBHOOK_CONFIG.TOKEN_TTL_SECONDS * 1000);
+    await this._track('markPending', async () => {
+      this._notify(await PhoneRevealRepository.markPending(revealId, tenantId, schema, creditsCharged, expiresAt));
+    });
+  }
+
+  /**
+   * The number arrived through the webhook
+   * @returns {Promise<boolean>} false when the reveal had already ended (expired, or given
+   *   up on and refunded) - the number must not be kept
+   */
+  async markDelivered(revealId, tenantId, schema, phone) {
+    if (!revealId) return true;
+
+    const accepted = await this._track('markDelivered', async () => {
+      const row = await PhoneRevealRepository.markDelivered(revealId, tenantId, schema, phone);
+      this._notify(row);
+      return !!row;
+    });
+    // A tracking failure doesn't hold the number back
+    return accepted !== false;
+  }
+
+  /**
+   * Apollo rejected the request or has no number for the person
+   */
+  async markUnavailable(revealId, tenantId, schema, error) {
+    if (!revealId) return;
+
+    await this._track('markUnavailable', async () => {
+      this._notify(await PhoneRevealRepository.markUnavailable(revealId, tenantId, schema, error));
+    });
+  }
+
+  /**
+   * Get a reveal, expiring it first when its deadline has passed
+   * @returns {Promise<Object|null>} Formatted reveal or null when not found
+   */
+  async getReveal(revealId, req) {
+    const tenantId = requireTenantId(null, req, 'getPhoneReveal');
+    const schema = getSchema(req);
+
+    return this._getReveal(revealId, tenantId, schema);
+  }
+
+  /**
+   * Follow a reveal until it finishes
+   * Calls onUpdate with the formatted reveal now and on every status change.
+   *
+   * @param {string} revealId - Reveal ID
+   * @param {Object} req - Express request object (for tenant context)
+   * @param {Function} onUpdate - (reveal) => void
+   * @param {Object} options - { pollMs }
+   * @returns {Promise<Function|null>} Unsubscribe function, or null when the reveal is not found
+   */
+  async subscribe(revealId, req, onUpdate, options = {}) {
+    const tenantId = requireTenantId(null, req, 'subscribePhoneReveal');
+    const schema = getSchema(req);
+
+    const reveal = await this._getReveal(revealId, tenantId, schema);
+    if (!reveal) return null;
+
+    let lastStatus = reveal.status;
+    const emit = (update) => {
+      if (!update || update.status === lastStatus) return;
+      lastStatus = update.status;
+      onUpdate(update);
+    };
+
+    const eventName = `reveal:${revealId}`;
+    const listener = (row) => {
+      if (row.tenant_id === tenantId) emit(formatRevealForResponse(row));
+    };
+    this.events.on(eventName, listener);
+
+    const poller = options.pollMs
+      ? setInterval(() => {
+        this._getReveal(revealId, tenantId, schema)
+          .then(emit)
+          .catch(error => logger.warn('[Phone Reveal] Status poll failed', { revealId, error: error.message }));
+      }, options.pollMs)
+      : null;
+
+    onUpdate(reveal);
+
+    return () => {
+      this.events.off(eventName, listener);
+      if (poller) clearInterval(poller);
+    };
+  }
+
+  /**
+   * Run the refund sweeper every SWEEP_INTERVAL_MS
+   * Called on feature activation
+   */
+  startSweeper() {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => {
+        logger.error('[Phone Reveal] Sweep failed', { error: error.message, stack: error.stack });
+      });
+    }, PHONE_REVEAL_CONFIG.REFUND.SWEEP_INTERVAL_MS);
+    // Don't keep the process alive just for the sweeper
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Called on feature deactivation
+   */
+  stopSweeper() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Give up on overdue reveals and refund every charged reveal that ended without a number,
+   * in every tenant schema
+   * Safe to run on several instances at once - reveals are claimed before refunding.
+   *
+   * @returns {Promise<Object>} { marked_unavailable, refunded, refund_failed, credits_refunded }
+   */
+  async sweep() {
+    const summary = { marked_unavailable: 0, refunded: 0, refund_failed: 0, credits_refunded: 0 };
+    if (this.sweeping) return summary;
+
+    this.sweeping = true;
+
+    try {
+      const schemas = await TenantSchemaService.listSchemas('phone_reveals');
+      for (const schema of schemas) {
+        try {
+          await this._sweepSchema(schema, summary);
+        } catch (error) {
+          // One broken schema doesn't hold up the others
+          logger.error('[Phone Reveal] Sweep failed', { schema, error: error.message, stack: error.stack });
+        }
+      }
+    } finally {
+      this.sweeping = false;
+    }
+
+    if (summary.marked_unavailable > 0 || summary.refunded > 0 || summary.refund_failed > 0) {
+      logger.info('[Phone Reveal] Sweep completed', summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Sweep one schema, adding to the summary
+   * @private
+   */
+  async _sweepSchema(schema, summary) {
+    const { DEADLINE_SECONDS, BATCH_SIZE } = PHONE_REVEAL_CONFIG.REFUND;
+
+    const overdue = await PhoneRevealRepository.markOverdueUnavailable(schema, DEADLINE_SECONDS, BATCH_SIZE);
+    overdue.forEach(row => this._notify(row));
+    summary.marked_unavailable += overdue.length;
+
+    const claimed = await PhoneRevealRepository.claimRefundable(schema, BATCH_SIZE);
+    for (const reveal of claimed) {
+      const refunded = await ApolloCreditService.refundWithAudit({
+        tenantId: reveal.tenant_id,
+        usageType: 'apollo_phone',
+        credits: reveal.credits_refunded,
+        reason: `Phone reveal ${reveal.status}: ${reveal.error || 'no phone number delivered'}`,
+        referenceType: 'phone_reveal',
+        referenceId: reveal.id
+      }, buildSystemRequestContext(reveal.tenant_id, reveal.user_id || 'system'), schema);
+
+      if (refunded) {
+        summary.refunded++;
+        summary.credits_refunded += reveal.credits_refunded;
+      } else {
+        summary.refund_failed++;
+        await PhoneRevealRepository.releaseRefundClaim(reveal.id, reveal.tenant_id, schema);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _getReveal(revealId, tenantId, schema) {
+    let reveal = await PhoneRevealRepository.findById(revealId, tenantId, schema);
+    if (!reveal) return null;
+
+    if (reveal.status === REVEAL_STATUS.PENDING && reveal.expires_at && new Date(reveal.expires_at) < new Date()) {
+      const expired = await PhoneRevealRepository.expireIfOverdue(revealId, tenantId, schema);
+      if (expired) {
+        this._notify(expired);
+        reveal = expired;
+      }
+    }
+
+    return formatRevealForResponse(reveal);
+  }
+
+  /**
+   * @private
+   */
+  _notify(row) {
+    if (!row) return;
+    this.events.emit(`reveal:${row.id}`, row);
+    if (isTerminal(row)) {
+      logger.info('[Phone Reveal] Reveal finished', { revealId: row.id, status: row.status });
+    }
+  }
+
+  /**
+   * Run a tracking write without letting it fail the reveal
+   * @private
+   */
+  async _track(operation, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      logger.error('[Phone Reveal] Failed to track reveal', { operation, error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = new PhoneRevealService();
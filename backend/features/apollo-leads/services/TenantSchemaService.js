@@ -0,0 +1,40 @@
+/**
+ * Tenant Schema Service
+ * LAD Architecture Compliant - Business logic only, calls repository for SQL
+ *
+ * Schemas to visit for work done outside a request, where getSchema(req)
+ * can't tell which tenant schema the data is in.
+ */
+
+const { getSchema } = require('../../../core/utils/schemaHelper');
+const logger = require('../../../core/utils/logger');
+const TenantSchemaRepository = require('../repositories/TenantSchemaRepository');
+const { WEBHOOK_CONFIG } = require('../constants/constants');
+
+class TenantSchemaService {
+  /**
+   * Schemas holding one of the feature's tables, the default schema first
+   * Names that aren't plain identifiers are left out - they are interpolated into SQL.
+   * Falls back to the default schema alone when the lookup fails.
+   *
+   * @param {string} tableName - Feature table, e.g. 'apollo_enrichment_jobs'
+   * @returns {Promise<Array<string>>}
+   */
+  async listSchemas(tableName) {
+    const defaultSchema = getSchema(null);
+
+    try {
+      const schemas = await TenantSchemaRepository.findSchemasWithTable(tableName);
+      const valid = schemas.filter(schema => WEBHOOK_CONFIG.SCHEMA_PATTERN.test(schema));
+      return [defaultSchema, ...valid.filter(schema => schema !== defaultSchema)];
+    } catch (error) {
+      logger.warn('[Tenant Schema] Schema lookup failed, using the default schema', {
+        tableName,
+        error: error.message
+      });
+      return [defaultSchema];
+    }
+  }
+}
+
+module.exports = new TenantSchemaService();
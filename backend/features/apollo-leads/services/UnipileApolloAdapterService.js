@@ -16,30 +16,56 @@ const { searchEmployeesFromApollo } = require('./ApolloApiService');
 class UnipileApolloAdapterService {
   /**
    * Convert campaign search parameters to Unipile format
-   * @param {Object} campaignParams - Campaign parameters (industry, location, designation, etc.)
+   * Sales Navigator / Recruiter filters and the search url are passed through;
+   * they were checked against the API's schema by validateUnipileSearchMiddleware
+   * @param {Object} campaignParams - Campaign parameters (api, url, industry, location, designation, etc.)
    * @returns {Object} Unipile search parameters
    */
   convertCampaignParamsToUnipile(campaignParams) {
     const {
+      api,
+      url,
       keywords,
       industry,
       location,
       designation,
       company,
       skills,
+      seniority,
+      company_headcount,
+      years_in_role,
+      changed_jobs,
+      posted_on_linkedin,
+      years_of_experience,
       limit = 50,
-      accountId
+      accountId,
+      cursor,
+      collect = false,
+      credentials
     } = campaignParams;
 
     return {
       accountId,
+      cursor,
+      collect,
+      credentials,
+      api,
+      url,
       keywords,
       industry,
       location,
       designation,
       company,
       skills,
-      limit: Math.min(limit, 100) // Unipile limit
+      seniority,
+      function: campaignParams.function,
+      company_headcount,
+      years_in_role,
+      changed_jobs,
+      posted_on_linkedin,
+      years_of_experience,
+      // Unipile pages hold 100 at most; collect mode follows cursors up to its own cap
+      limit: collect ? limit : Math.min(limit, 100)
     };
   }
 
@@ -148,9 +174,12 @@ class UnipileApolloAdapterService {
 
   /**
    * Search for leads using Unipile as primary, Apollo as fallback
-   * @param {Object} campaignParams - Campaign parameters
+   * A cursor (next_cursor of a previous Unipile page) continues that Unipile
+   * search and never falls back to Apollo - Apollo has no matching page.
+   * Neither does a LinkedIn search/list url.
+   * @param {Object} campaignParams - Campaign parameters (cursor and collect apply to Unipile)
    * @param {boolean} tryUnipileFirst - Try Unipile before Apollo (default: true)
-   * @returns {Promise<Object>} { success, people, count, source, errors }
+   * @returns {Promise<Object>} { success, people, count, source, next_cursor, errors }
    */
   async searchLeadsWithFallback(campaignParams, tryUnipileFirst = true) {
     const results = {
@@ -158,11 +187,12 @@ class UnipileApolloAdapterService {
       people: [],
       count: 0,
       source: null,
+      next_cursor: null,
       sources_tried: [],
       errors: []
     };
 
-    const { accountId } = campaignParams;
+    const { accountId, cursor, url } = campaignParams;
 
     // Try Unipile first if enabled and accountId provided
     if (tryUnipileFirst && accountId) {
@@ -170,9 +200,12 @@ class UnipileApolloAdapterService {
         logger.info('[Unipile-Apollo Adapter] Attempting Unipile search', { accountId });
         
         const unipileParams = this.convertCampaignParamsToUnipile(campaignParams);
-        const unipileResult = await UnipileLeadSearchService.searchPeople(unipileParams);
+        const unipileResult = unipileParams.collect
+          ? await UnipileLeadSearchService.collectPeople(unipileParams)
+          : await UnipileLeadSearchService.searchPeople(unipileParams);
         
         results.sources_tried.push('unipile');
+        results.next_cursor = unipileResult.next_cursor || null;
 
         if (unipileResult.success && unipileResult.people && unipileResult.people.length > 0) {
           logger.info('[Unipile-Apollo Adapter] Unipile search successful', {
@@ -200,6 +233,9 @@ class UnipileApolloAdapterService {
           logger.info('[Unipile-Apollo Adapter] Unipile returned no results, trying Apollo fallback');
         }
       } catch (unipileError) {
+        // Bad cursor - the caller's mistake, not a reason to fall back
+        if (unipileError.statusCode) throw unipileError;
+
         logger.error('[Unipile-Apollo Adapter] Unipile search error', {
           error: unipileError.message,
           stack: unipileError.stack,
@@ -212,6 +248,12 @@ class UnipileApolloAdapterService {
       }
     }
 
+    // A later Unipile page or a LinkedIn url has nothing to fall back to
+    if (cursor || url) {
+      results.success = results.errors.length === 0;
+      return results;
+    }
+
     // Fallback to Apollo if Unipile didn't work
     logger.info('[Unipile-Apollo Adapter] Attempting Apollo fallback search');
     try {
@@ -276,9 +318,10 @@ class UnipileApolloAdapterService {
    * Enrich lead with data from both sources
    * @param {Object} lead - Lead object (with id and linkedin_url)
    * @param {string} accountId - Unipile account ID
+   * @param {Object} credentials - Tenant's resolved Unipile credentials (default: platform)
    * @returns {Promise<Object>} Enriched lead
    */
-  async enrichLeadFromBothSources(lead, accountId) {
+  async enrichLeadFromBothSources(lead, accountId, credentials = null) {
     const enriched = { ...lead };
 
     // Try Unipile enrichment first
@@ -288,7 +331,8 @@ class UnipileApolloAdapterService {
         if (linkedinId) {
           const unipileDetail = await UnipileLeadSearchService.getProfileDetails(
             linkedinId,
-            accountId
+            accountId,
+            credentials
           );
           
           if (unipileDetail && unipileDetail.success) {
@@ -0,0 +1,308 @@
+/**
+ * Unipile Credential Service
+ * LAD Architecture Compliant - Business logic only, calls repository for SQL
+ *
+ * Decides which Unipile workspace a request uses: the tenant's own DSN and
+ * token when stored (unipile_tenant_credentials, token AES-256-GCM encrypted),
+ * otherwise the platform UNIPILE_DSN / UNIPILE_TOKEN.
+ *
+ * Resolved credentials are cached per tenant for UNIPILE_CREDENTIALS_CONFIG.CACHE_TTL_MS;
+ * set/remove clear the entry on this instance, other instances pick the change
+ * up when their entry expires.
+ */
+
+const axios = require('axios');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+const { requireTenantId } = require('../../../core/utils/tenantHelper');
+const logger = require('../../../core/utils/logger');
+const UnipileTenantCredentialRepository = require('../repositories/UnipileTenantCredentialRepository');
+const { formatUnipileCredentialForResponse } = require('../models/LinkedInAccount');
+const { parseEncryptionKey, encryptSecret, decryptSecret } = require('../utils/credentialEncryption');
+const { buildUnipileBaseUrl, buildUnipileHeaders } = require('../utils/unipileConnection');
+const {
+  HEALTH_CONFIG,
+  TENANT_CREDENTIALS_CONFIG,
+  UNIPILE_CREDENTIALS_CONFIG
+} = require('../constants/constants');
+
+const { KEY_SOURCES, TEST_STATUS } = TENANT_CREDENTIALS_CONFIG;
+
+/**
+ * Error carrying the HTTP status the endpoint should answer with
+ */
+function credentialError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class UnipileCredentialService {
+  constructor() {
+    // `${schema}:${tenantId}` -> { credentials (null when the tenant has none), expiresAt }
+    this.cache = new Map();
+  }
+
+  /**
+   * Platform Unipile workspace from the environment
+   */
+  getPlatformCredentials() {
+    return {
+      dsn: process.env.UNIPILE_DSN || null,
+      token: process.env.UNIPILE_TOKEN || null,
+      source: KEY_SOURCES.PLATFORM
+    };
+  }
+
+  /**
+   * Unipile credentials for a request - the tenant's own workspace when stored,
+   * otherwise the platform one. Memoized on req.unipileCredentials.
+   *
+   * @param {Object} req - Express request object (or system request context)
+   * @returns {Promise<Object>} { dsn, token, source: 'tenant' | 'platform' }
+   */
+  async getCredentials(req) {
+    if (req?.unipileCredentials) return req.unipileCredentials;
+
+    const tenantId = req?.user?.tenant_id || req?.user?.tenantId || req?.tenant?.id || req?.headers?.['x-tenant-id'];
+    const tenantCredentials = tenantId ? await this._getTenantCredentials(tenantId, getSchema(req)) : null;
+
+    const credentials = tenantCredentials
+      ? { ...tenantCredentials, source: KEY_SOURCES.TENANT }
+      : this.getPlatformCredentials();
+
+    if (req) req.unipileCredentials = credentials;
+    return credentials;
+  }
+
+  /**
+   * Credential status for the tenant (never includes the token)
+   */
+  async getStatus(req) {
+    const tenantId = requireTenantId(null, req, 'getUnipileCredentialStatus');
+    const schema = getSchema(req);
+
+    const row = await UnipileTenantCredentialRepository.findByTenant(tenantId, schema);
+    const credentials = await this.getCredentials(req);
+
+    return formatUnipileCredentialForResponse(row, credentials.source);
+  }
+
+  /**
+   * Store the tenant's Unipile DSN and token, replacing any existing ones
+   * They are tested against Unipile first and refused unless Unipile accepts them
+   *
+   * @param {Object} input - { dsn, token }
+   * @param {Object} req - Express request object
+   * @throws Errors with statusCode (400 invalid, 502 Unipile unreachable, 503 not configured)
+   */
+  async setCredentials(input, req) {
+    const tenantId = requireTenantId(null, req, 'setUnipileCredential');
+    const schema = getSchema(req);
+    const encryptionKey = this._getEncryptionKey();
+    const { dsn, token } = this._validateCredentials(input);
+
+    const test = await this.testCredentials({ dsn, token });
+    if (test.status === TEST_STATUS.INVALID) {
+      throw credentialError(`Unipile rejected the credentials: ${test.error}`, 400);
+    }
+    if (test.status === TEST_STATUS.ERROR) {
+      throw credentialError(`Could not verify the credentials with Unipile: ${test.error}`, 502);
+    }
+
+    const row = await UnipileTenantCredentialRepository.upsert({
+      dsn,
+      tokenEncrypted: encryptSecret(token, encryptionKey, tenantId),
+      tokenLast4: token.slice(-4),
+      testStatus: test.status,
+      userId: req.user?.id
+    }, schema, tenantId);
+
+    this._invalidate(tenantId, schema, req);
+    logger.info('[Unipile Credentials] Tenant Unipile credentials stored', {
+      dsn: row.dsn,
+      tokenLast4: row.token_last4
+    });
+
+    return formatUnipileCredentialForResponse(row, KEY_SOURCES.TENANT);
+  }
+
+  /**
+   * Delete the tenant's credentials - its Unipile calls go back to the platform workspace
+   */
+  async removeCredentials(req) {
+    const tenantId = requireTenantId(null, req, 'removeUnipileCredential');
+    const schema = getSchema(req);
+
+    const deleted = await UnipileTenantCredentialRepository.delete(tenantId, schema);
+    if (!deleted) {
+      throw credentialError('No Unipile credentials are stored for this tenant', 404);
+    }
+
+    this._invalidate(tenantId, schema, req);
+    logger.info('[Unipile Credentials] Tenant Unipile credentials removed');
+
+    return formatUnipileCredentialForResponse(null, KEY_SOURCES.PLATFORM);
+  }
+
+  /**
+   * One authenticated call to Unipile with the credentials
+   * Never throws
+   *
+   * @param {Object} credentials - { dsn, token }
+   * @returns {Promise<Object>} { status: 'valid' | 'invalid' | 'error', error }
+   */
+  async testCredentials(credentials) {
+    try {
+      await axios.get(`${buildUnipileBaseUrl(credentials.dsn)}${UNIPILE_CREDENTIALS_CONFIG.ENDPOINTS.ACCOUNTS}`, {
+        headers: buildUnipileHeaders(credentials.token),
+        params: { limit: 1 },
+        timeout: HEALTH_CONFIG.PROBE_TIMEOUT_MS
+      });
+      return { status: TEST_STATUS.VALID, error: null };
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 401 || status === 403) {
+        return { status: TEST_STATUS.INVALID, error: 'Unipile did not accept the token' };
+      }
+      return { status: TEST_STATUS.ERROR, error: error.message };
+    }
+  }
+
+  /**
+   * Fetch a connected account from Unipile
+   *
+   * @param {string} accountId - Unipile account ID
+   * @param {Object} credentials - { dsn, token }
+   * @returns {Promise<Object|null>} Unipile account, null when Unipile doesn't know it
+   * @throws Error with statusCode 502 when Unipile can't be reached, 503 when not configured
+   */
+  async fetchAccount(accountId, credentials) {
+    if (!credentials.dsn || !credentials.token) {
+      throw credentialError('Unipile is not configured', 503);
+    }
+
+    try {
+      const response = await axios.get(
+        `${buildUnipileBaseUrl(credentials.dsn)}${UNIPILE_CREDENTIALS_CONFIG.ENDPOINTS.ACCOUNTS}/${encodeURIComponent(accountId)}`,
+        {
+          headers: buildUnipileHeaders(credentials.token),
+          timeout: HEALTH_CONFIG.PROBE_TIMEOUT_MS
+        }
+      );
+      return response.data?.data || response.data || null;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw credentialError(`Could not reach Unipile: ${error.message}`, 502);
+    }
+  }
+
+  /**
+   * Create a Unipile hosted auth link for connecting an account
+   *
+   * @param {Object} options - Unipile hosted auth body (type, providers, expiresOn, notify_url, name)
+   * @param {Object} credentials - { dsn, token }
+   * @returns {Promise<string>} Link URL
+   * @throws Error with statusCode 502 when Unipile can't be reached or refuses, 503 when not configured
+   */
+  async createHostedAuthLink(options, credentials) {
+    if (!credentials.dsn || !credentials.token) {
+      throw credentialError('Unipile is not configured', 503);
+    }
+
+    const baseUrl = buildUnipileBaseUrl(credentials.dsn);
+    let response;
+    try {
+      response = await axios.post(`${baseUrl}${UNIPILE_CREDENTIALS_CONFIG.ENDPOINTS.HOSTED_AUTH_LINK}`, {
+        ...options,
+        api_url: new URL(baseUrl).origin
+      }, {
+        headers: buildUnipileHeaders(credentials.token),
+        timeout: HEALTH_CONFIG.PROBE_TIMEOUT_MS
+      });
+    } catch (error) {
+      throw credentialError(`Could not create the Unipile connection link: ${error.message}`, 502);
+    }
+
+    if (!response.data?.url) {
+      throw credentialError('Unipile returned no connection link', 502);
+    }
+    return response.data.url;
+  }
+
+  /**
+   * Decrypted tenant credentials, or null when the tenant has none or they can't be read
+   * (the request then falls back to the platform workspace)
+   * @private
+   */
+  async _getTenantCredentials(tenantId, schema) {
+    const cacheKey = `${schema}:${tenantId}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.credentials;
+
+    let row;
+    try {
+      row = await UnipileTenantCredentialRepository.findByTenant(tenantId, schema);
+    } catch (error) {
+      logger.warn('[Unipile Credentials] Tenant credential lookup failed, using platform Unipile', { error: error.message });
+      return null;
+    }
+
+    let credentials = null;
+    if (row) {
+      const encryptionKey = parseEncryptionKey(process.env[TENANT_CREDENTIALS_CONFIG.ENCRYPTION_KEY_ENV]);
+      try {
+        if (!encryptionKey) throw new Error(`${TENANT_CREDENTIALS_CONFIG.ENCRYPTION_KEY_ENV} is not configured`);
+        credentials = { dsn: row.dsn, token: decryptSecret(row.token_encrypted, encryptionKey, tenantId) };
+      } catch (error) {
+        logger.error('[Unipile Credentials] Could not decrypt tenant Unipile token, using platform Unipile', {
+          tokenLast4: row.token_last4,
+          error: error.message
+        });
+      }
+    }
+
+    this.cache.set(cacheKey, { credentials, expiresAt: Date.now() + UNIPILE_CREDENTIALS_CONFIG.CACHE_TTL_MS });
+    return credentials;
+  }
+
+  /**
+   * @private
+   */
+  _getEncryptionKey() {
+    const encryptionKey = parseEncryptionKey(process.env[TENANT_CREDENTIALS_CONFIG.ENCRYPTION_KEY_ENV]);
+    if (!encryptionKey) {
+      throw credentialError('Tenant Unipile credentials are not enabled on this server', 503);
+    }
+    return encryptionKey;
+  }
+
+  /**
+   * @private
+   */
+  _validateCredentials(input = {}) {
+    const dsn = typeof input.dsn === 'string' ? input.dsn.trim() : '';
+    const token = typeof input.token === 'string' ? input.token.trim() : '';
+
+    if (!dsn || dsn.length > UNIPILE_CREDENTIALS_CONFIG.MAX_DSN_LENGTH || /\s/.test(dsn)) {
+      throw credentialError('dsn must be a Unipile DSN (e.g. api8.unipile.com:13811)', 400);
+    }
+    if (token.length < UNIPILE_CREDENTIALS_CONFIG.MIN_TOKEN_LENGTH ||
+        token.length > UNIPILE_CREDENTIALS_CONFIG.MAX_TOKEN_LENGTH ||
+        /\s/.test(token)) {
+      throw credentialError('token must be a Unipile access token', 400);
+    }
+
+    return { dsn, token };
+  }
+
+  /**
+   * Forget the cached credentials so the next request resolves them again
+   * @private
+   */
+  _invalidate(tenantId, schema, req) {
+    this.cache.delete(`${schema}:${tenantId}`);
+    if (req) delete req.unipileCredentials;
+  }
+}
+
+module.exports = new UnipileCredentialService();
@@ -0,0 +1,273 @@
+/**
+ * Unipile Event Service
+ * LAD Architecture Compliant - Business logic only, calls repository for SQL
+ *
+ * Intake for Unipile webhooks: new messages (message_received) and accepted
+ * invitations (new_relation). The event's account_id is looked up in the
+ * LinkedIn account registry of every tenant schema to find the tenant and
+ * its schema, and the prospect is matched to that tenant's
+ * outreach_sending_slots in that schema by LinkedIn provider id, public
+ * identifier or profile URL.
+ *
+ * - A reply is recorded, counted once per prospect and sequence
+ *   (reply_count), and stops the prospect's pending slots and its
+ *   multi-step sequence (no further steps are scheduled).
+ * - An accepted invitation is recorded and counted (acceptance_count), and
+ *   marks the prospect connected for 'connected' step conditions.
+ *
+ * Unipile has no webhook signature; webhooks are created with the
+ * Unipile-Auth header set to UNIPILE_WEBHOOK_SECRET, checked on every call.
+ */
+
+const crypto = require('crypto');
+const logger = require('../../../core/utils/logger');
+const LinkedInAccountService = require('./LinkedInAccountService');
+const OutreachEventRepository = require('../repositories/OutreachEventRepository');
+const OutreachProspectRepository = require('../repositories/OutreachProspectRepository');
+const { UNIPILE_EVENT_CONFIG } = require('../constants/constants');
+
+const { WEBHOOK_EVENTS, EVENT_TYPES, SLOT_STATUSES, STOP_REASONS } = UNIPILE_EVENT_CONFIG;
+
+/**
+ * Error carrying the HTTP status the webhook should answer with
+ */
+function eventError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Lowercased identifiers a prospect's slot may have been created with
+ */
+function prospectIdentifiers({ providerId, publicIdentifier, profileUrl }) {
+  const identifiers = new Set();
+  let publicId = publicIdentifier;
+
+  if (profileUrl) {
+    const url = String(profileUrl).split(/[?#]/)[0].replace(/\/+$/, '');
+    identifiers.add(url);
+    publicId = publicId || (url.match(/\/in\/([^/]+)$/) || [])[1];
+  }
+
+  if (publicId) {
+    identifiers.add(publicId);
+    for (const host of ['https://www.linkedin.com', 'https://linkedin.com', 'www.linkedin.com', 'linkedin.com']) {
+      identifiers.add(`${host}/in/${publicId}`);
+    }
+  }
+
+  if (providerId) identifiers.add(providerId);
+
+  return [...identifiers].map(identifier => String(identifier).toLowerCase());
+}
+
+class UnipileEventService {
+  /**
+   * Check the Unipile-Auth header against UNIPILE_WEBHOOK_SECRET
+   *
+   * @param {string} headerValue - Value of the Unipile-Auth header
+   * @returns {Object} { valid, statusCode, error }
+   */
+  verifyWebhookSecret(headerValue) {
+    const secret = process.env[UNIPILE_EVENT_CONFIG.SECRET_ENV];
+    if (!secret) {
+      return { valid: false, statusCode: 503, error: 'Unipile webhook verification is not configured' };
+    }
+
+    const digest = value => crypto.createHash('sha256').update(String(value || '')).digest();
+    if (!headerValue || !crypto.timingSafeEqual(digest(headerValue), digest(secret))) {
+      return { valid: false, statusCode: 401, error: 'Invalid Unipile webhook secret' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Process one Unipile webhook event
+   * Events that can't be attributed (other event types, unregistered
+   * accounts, unknown prospects, the account's own messages) are
+   * acknowledged and ignored so Unipile doesn't retry them.
+   *
+   * @param {Object} payload - Unipile webhook body
+   * @returns {Promise<Object>} { success, event, ignored, reason, recorded, stopped }
+   * @throws Error with statusCode 400 for malformed events
+   */
+  async processEvent(payload) {
+    const eventName = payload?.event;
+    const event = this._parseEvent(payload);
+    if (!event) {
+      return { success: true, event: eventName || null, ignored: true, reason: 'Event type not handled' };
+    }
+
+    const registration = await LinkedInAccountService.findRegistration(event.accountId);
+    if (!registration) {
+      logger.warn('[Unipile Events] Event for unregistered account ignored', { accountId: event.accountId, event: eventName });
+      return { success: true, event: event.eventType, ignored: true, reason: 'Account is not registered' };
+    }
+
+    if (event.ownMessage) {
+      return { success: true, event: event.eventType, ignored: true, reason: 'Message sent by the account' };
+    }
+
+    const { account, schema } = registration;
+    const tenantId = account.tenant_id;
+    const slots = await OutreachEventRepository.findProspectSlots(event.accountId, event.identifiers, tenantId, schema);
+    if (slots.length === 0) {
+      return { success: true, event: event.eventType, ignored: true, reason: 'No outreach slot for this prospect' };
+    }
+
+    const slotsBySequence = new Map();
+    for (const slot of slots) {
+      if (!slotsBySequence.has(slot.sequence_id)) slotsBySequence.set(slot.sequence_id, []);
+      slotsBySequence.get(slot.sequence_id).push(slot);
+    }
+
+    let recorded = 0;
+    let stopped = 0;
+    for (const [sequenceId, sequenceSlots] of slotsBySequence) {
+      const result = await this._recordForSequence(event, sequenceId, sequenceSlots, tenantId, schema);
+      if (result.recorded) recorded++;
+      stopped += result.stopped;
+    }
+
+    logger.info('[Unipile Events] Event processed', {
+      event: event.eventType,
+      accountId: event.accountId,
+      sequences: slotsBySequence.size,
+      recorded,
+      stopped
+    });
+
+    return { success: true, event: event.eventType, ignored: false, recorded, stopped };
+  }
+
+  /**
+   * Record the event against the prospect's slot in one sequence
+   * (the last slot sent, otherwise the first one) and apply its effects.
+   * Counters only move for sequences that already contacted the prospect;
+   * a message from a prospect not contacted yet still stops their steps.
+   * @private
+   */
+  async _recordForSequence(event, sequenceId, slots, tenantId, schema) {
+    const sentSlots = slots.filter(slot => slot.status === SLOT_STATUSES.SENT);
+    const contacted = sentSlots.length > 0;
+    const slot = contacted ? sentSlots[sentSlots.length - 1] : slots[0];
+
+    // No invitation from this sequence to accept
+    if (event.eventType === EVENT_TYPES.INVITATION_ACCEPTED && !contacted) {
+      return { recorded: false, stopped: 0 };
+    }
+
+    const row = await OutreachEventRepository.create({
+      sequenceId,
+      slotId: slot.id,
+      accountId: event.accountId,
+      eventType: event.eventType,
+      externalId: event.externalId,
+      providerId: event.providerId,
+      payload: event.payload,
+      occurredAt: event.occurredAt
+    }, schema, tenantId);
+
+    // Redelivered webhook - already applied
+    if (!row) return { recorded: false, stopped: 0 };
+
+    // Slots created before multi-step sequences have no prospect
+    const prospectIds = [...new Set(slots.map(s => s.prospect_id).filter(Boolean))];
+
+    if (event.eventType === EVENT_TYPES.INVITATION_ACCEPTED) {
+      if (await OutreachEventRepository.markSlotOnce(slot.id, 'accepted_at', tenantId, schema)) {
+        await OutreachEventRepository.incrementSequenceCounter(sequenceId, 'acceptance_count', tenantId, schema);
+      }
+      if (prospectIds.length > 0) {
+        await OutreachProspectRepository.markAccepted(prospectIds, tenantId, schema);
+      }
+      return { recorded: true, stopped: 0 };
+    }
+
+    if (prospectIds.length > 0) {
+      await OutreachProspectRepository.markReplied(prospectIds, tenantId, schema);
+    }
+
+    if (contacted && await OutreachEventRepository.markSlotOnce(slot.id, 'replied_at', tenantId, schema)) {
+      await OutreachEventRepository.incrementSequenceCounter(sequenceId, 'reply_count', tenantId, schema);
+    }
+
+    const pendingIds = slots.filter(s => s.status === SLOT_STATUSES.PENDING).map(s => s.id);
+    const stopped = pendingIds.length > 0
+      ? await OutreachEventRepository.stopPendingSlots(pendingIds, STOP_REASONS.REPLIED, tenantId, schema)
+      : 0;
+
+    if (stopped > 0) {
+      logger.info('[Unipile Events] Prospect replied, remaining steps stopped', { sequenceId, stopped });
+    }
+
+    return { recorded: true, stopped };
+  }
+
+  /**
+   * Normalize a webhook body, or null for events we don't handle
+   * @private
+   */
+  _parseEvent(payload) {
+    const eventName = payload?.event;
+
+    if (eventName === WEBHOOK_EVENTS.MESSAGE_RECEIVED) {
+      const sender = payload.sender || {};
+      if (!payload.account_id || !payload.message_id) {
+        throw eventError('message_received event needs account_id and message_id', 400);
+      }
+
+      const providerId = sender.attendee_provider_id || null;
+      return {
+        eventType: EVENT_TYPES.REPLY,
+        accountId: String(payload.account_id),
+        externalId: String(payload.message_id),
+        providerId,
+        identifiers: prospectIdentifiers({
+          providerId,
+          publicIdentifier: sender.attendee_public_identifier,
+          profileUrl: sender.attendee_profile_url
+        }),
+        ownMessage: payload.is_sender === true ||
+          (!!providerId && providerId === payload.account_info?.user_id),
+        occurredAt: payload.timestamp || null,
+        payload: {
+          chat_id: payload.chat_id || null,
+          message_id: payload.message_id,
+          sender_name: sender.attendee_name || null
+        }
+      };
+    }
+
+    if (eventName === WEBHOOK_EVENTS.NEW_RELATION) {
+      const providerId = payload.user_provider_id || null;
+      if (!payload.account_id || (!providerId && !payload.user_public_identifier && !payload.user_profile_url)) {
+        throw eventError('new_relation event needs account_id and the user\'s provider id, identifier or profile URL', 400);
+      }
+
+      return {
+        eventType: EVENT_TYPES.INVITATION_ACCEPTED,
+        accountId: String(payload.account_id),
+        externalId: `${payload.account_id}:${providerId || payload.user_public_identifier || payload.user_profile_url}`,
+        providerId,
+        identifiers: prospectIdentifiers({
+          providerId,
+          publicIdentifier: payload.user_public_identifier,
+          profileUrl: payload.user_profile_url
+        }),
+        ownMessage: false,
+        occurredAt: null,
+        payload: {
+          user_full_name: payload.user_full_name || null,
+          user_profile_url: payload.user_profile_url || null
+        }
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = new UnipileEventService();
@@ -12,6 +12,21 @@ const axios = require('axios');
 const { pool } = require('../../../shared/database/connection');
 const { getSchema } = require('../../../core/utils/schemaHelper');
 const logger = require('../../../core/utils/logger');
+const { buildUnipileBaseUrl, buildUnipileHeaders } = require('../utils/unipileConnection');
+const { encodeSearchCursor, decodeSearchCursor } = require('../utils/unipileCursor');
+const { SEARCH_SCOPES } = require('../utils/searchFingerprint');
+const { sleep } = require('../utils/concurrency');
+const { parseLinkedInSearchUrl } = require('../utils/linkedinSearchUrl');
+const { toList } = require('../utils/apolloUtils');
+const LinkedInParameterService = require('./LinkedInParameterService');
+const {
+  UNIPILE_SEARCH_CONFIG,
+  UNIPILE_SEARCH_FILTERS,
+  LINKEDIN_PARAMETER_CONFIG
+} = require('../constants/constants');
+
+const { APIS } = UNIPILE_SEARCH_CONFIG;
+
 
 class UnipileLeadSearchService {
   constructor() {
@@ -32,44 +47,22 @@ class UnipileLeadSearchService {
 
   /**
    * Get base URL for Unipile API
-   * According to Unipile docs: https://{YOUR_DSN}/api/v1/...
-   * DSN includes hostname and port (e.g., api8.unipile.com:13811)
+   * Uses the request's resolved credentials (tenant workspace or platform),
+   * otherwise the platform UNIPILE_DSN
+   *
+   * @param {Object} credentials - { dsn, token } from UnipileCredentialService.getCredentials (optional)
    */
-  getBaseUrl() {
-    if (!this.unipileDsn) {
-      throw new Error('UNIPILE_DSN not configured');
-    }
-
-    let dsn = this.unipileDsn.trim();
-    
-    // Add https:// if not present
-    if (!dsn.startsWith('http://') && !dsn.startsWith('https://')) {
-      dsn = `https://${dsn}`;
-    }
-    
-    // Remove trailing slashes
-    dsn = dsn.replace(/\/+$/, '');
-    
-    // Add /api/v1 path
-    if (!dsn.includes('/api/v1')) {
-      dsn = `${dsn}/api/v1`;
-    }
-    
-    return dsn;
+  getBaseUrl(credentials = null) {
+    return buildUnipileBaseUrl(credentials?.dsn || this.unipileDsn);
   }
 
   /**
    * Get authentication headers
-   * According to Unipile docs: X-API-KEY header with Access Token
+   *
+   * @param {Object} credentials - { dsn, token } from UnipileCredentialService.getCredentials (optional)
    */
-  getAuthHeaders() {
-    if (!this.unipileToken) {
-      throw new Error('UNIPILE_TOKEN not configured');
-    }
-    return {
-      'X-API-KEY': this.unipileToken,
-      'Content-Type': 'application/json'
-    };
+  getAuthHeaders(credentials = null) {
+    return buildUnipileHeaders(credentials?.token || this.unipileToken);
   }
 
   /**
@@ -79,126 +72,55 @@ class UnipileLeadSearchService {
    * @param {string} params.keywords - Search keywords (e.g., "technology")
    * @param {string|Array} params.industry - Industry ID(s) (e.g., "4" for Technology)
    * @param {string|Array} params.location - Location ID(s) or string to lookup
-   * @param {number} params.limit - Max results (default: 50)
+   * @param {string|Array} params.company_headcount - Size buckets or { min, max } (Sales Navigator)
+   * @param {string} params.api - 'classic' | 'sales_navigator' (default: 'classic')
+   * @param {string} params.url - Sales Navigator / classic company search or account list URL, instead of filters
+   * @param {number} params.limit - Max results (default: 50, max: 100 per page)
    * @param {string} params.accountId - Unipile LinkedIn account ID (required)
-   * @returns {Promise<Object>} Search results
+   * @param {string} params.cursor - next_cursor from the previous page (optional)
+   * @param {Object} params.credentials - Tenant's resolved Unipile credentials (default: platform)
+   * @returns {Promise<Object>} Search results with next_cursor (null on the last page)
+   * @throws Error with statusCode 400 when the cursor belongs to another search
    */
   async searchCompanies(params) {
     try {
-      const { keywords, industry, location, limit = 50, accountId } = params;
+      const { keywords, industry, location, api = APIS.CLASSIC, url, limit = 50, accountId, cursor, credentials } = params;
 
       if (!accountId) {
         throw new Error('accountId is required to search companies');
       }
 
-      if (!keywords && !industry && !location) {
-        throw new Error('At least one search filter (keywords, industry, location) is required');
+      if (!this.hasSearchInput('companies', params)) {
+        throw new Error(`At least one search filter (${this.getFilterSchema('companies', api).join(', ')}) or url is required`);
       }
 
+      const unipileCursor = cursor ? decodeSearchCursor(SEARCH_SCOPES.UNIPILE_COMPANY, params, cursor) : null;
+
       logger.info('[Unipile Company Search] Searching companies', {
         keywords,
         industry,
         location,
+        api,
+        url,
         limit,
-        accountId
+        accountId,
+        page: unipileCursor ? 'next' : 'first'
       });
 
-      const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
+      const baseUrl = this.getBaseUrl(credentials);
+      const headers = this.getAuthHeaders(credentials);
 
       // Build LinkedIn search URL
-      const searchUrl = `${baseUrl}/linkedin/search?account_id=${accountId}`;
-
-      // Use Classic API (more widely available than Recruiter API)
-      // Build search body according to Unipile Classic API spec
-      const searchBody = {
-        api: 'classic',
-        category: 'companies',
-        limit: Math.min(limit, 100)
-      };
+      const searchUrl = this.buildSearchUrl(baseUrl, accountId, unipileCursor);
 
-      // Add keywords filter if provided
-      if (keywords) {
-        searchBody.keywords = keywords;
+      const { params: resolvedParams, unresolved } = await this.resolveSearchFilters('companies', params);
+      const unresolvedError = this.unresolvedFilterError(params, resolvedParams, unresolved);
+      if (unresolvedError) {
+        logger.warn('[Unipile Company Search] Filter names not found on LinkedIn', { unresolved, accountId });
+        return { success: false, error: unresolvedError, companies: [], count: 0, unresolved };
       }
 
-      // Add industry filter if provided (array of industry IDs or names)
-      if (industry) {
-        const industryArray = Array.isArray(industry) ? industry : [industry];
-        searchBody.industry = industryArray.map(ind => {
-          if (/^\d+$/.test(String(ind))) {
-            return String(ind); // Already an ID
-          } else {
-            // Try to find industry ID from name mapping
-            const industryMap = {
-              'technology': '96',
-              'tech': '96',
-              'information technology': '96',
-              'it': '96',
-              'finance': '37',
-              'financial services': '37',
-              'banking': '37',
-              'healthcare': '50',
-              'health care': '50',
-              'medical': '50',
-              'pharmaceutical': '86',
-              'manufacturing': '71',
-              'retail': '88',
-              'e-commerce': '55',
-              'education': '84',
-              'media': '80',
-              'entertainment': '71',
-              'telecommunications': '104',
-              'telecom': '104',
-              'automotive': '20',
-              'real estate': '87',
-              'transportation': '102',
-              'logistics': '102',
-              'energy': '94',
-              'utilities': '106',
-              'construction': '48',
-              'agriculture': '1',
-              'chemicals': '41',
-              'consulting': '47',
-              'legal': '76',
-              'accounting': '12',
-              'human resources': '57',
-              'hr': '57',
-              'hospitality': '56',
-              'travel': '109',
-              'tourism': '109',
-              'food & beverage': '62',
-              'restaurant': '62',
-              'staffing': '98',
-              'recruitment': '98'
-            };
-            return industryMap[String(ind).toLowerCase()] || String(ind);
-          }
-        });
-      }
-
-      // Add location filter if provided (array of location IDs or names)
-      if (location) {
-        const locationArray = Array.isArray(location) ? location : [location];
-        searchBody.location = locationArray.map(loc => {
-          if (/^\d+$/.test(String(loc))) {
-            return String(loc); // Already an ID
-          } else {
-            // Try to find location ID from cache
-            const locationMap = {
-              'dubai': '102927786',
-              'uae': '102927786',
-              'new york': '103644182',
-              'nyc': '103644182',
-              'london': '102841502',
-              'uk': '102841502',
-              'india': '102713980',
-              'bangalore': '102713980'
-            };
-            return locationMap[String(loc).toLowerCase()] || String(loc);
-          }
-        });
-      }
+      const searchBody = this.buildSearchBody('companies', resolvedParams);
 
       logger.debug('[Unipile Company Search] Making request to', { 
         url: searchUrl, 
@@ -228,13 +150,19 @@ class UnipileLeadSearchService {
         count: companies.length,
         total: paging.total_count,
         paging: paging,
-        cursor: response.data?.cursor,
+        next_cursor: encodeSearchCursor(SEARCH_SCOPES.UNIPILE_COMPANY, params, response.data?.cursor),
+        unresolved,
         source: 'unipile'
       };
     } catch (error) {
+      // Bad cursor - the caller's mistake, not a Unipile failure
+      if (error.statusCode) throw error;
+
+      // Credentials carry the Unipile token - keep them out of the log
+      const { credentials, ...logParams } = params;
       logger.error('[Unipile Company Search] Search failed', {
         error: error.message,
-        params,
+        params: logParams,
         stack: error.stack
       });
 
@@ -257,22 +185,49 @@ class UnipileLeadSearchService {
    * @param {string} params.designation - Current job title keywords
    * @param {string} params.company - Company name or ID
    * @param {string} params.skills - Skill keywords or IDs
-   * @param {number} params.limit - Max results (default: 50)
+   * @param {string|Array} params.seniority - Seniority names or IDs (Sales Navigator)
+   * @param {string|Array} params.function - Job function names or IDs (Sales Navigator)
+   * @param {string|Array} params.company_headcount - Size buckets or { min, max } (Sales Navigator)
+   * @param {Object} params.years_in_role - { min, max } years in current role (Sales Navigator)
+   * @param {boolean} params.changed_jobs - Changed jobs in the last 90 days (Sales Navigator)
+   * @param {boolean} params.posted_on_linkedin - Posted on LinkedIn in the last 30 days (Sales Navigator)
+   * @param {Object} params.years_of_experience - { min, max } (Recruiter)
+   * @param {string} params.api - 'classic' | 'sales_navigator' | 'recruiter' (default: 'classic')
+   * @param {string} params.url - LinkedIn people search, lead list or account list URL, instead of filters
+   * @param {number} params.limit - Max results (default: 50, max: 100 per page)
    * @param {string} params.accountId - Unipile LinkedIn account ID (required)
-   * @returns {Promise<Object>} Search results with people array
+   * @param {string} params.cursor - next_cursor from the previous page (optional)
+   * @param {Object} params.credentials - Tenant's resolved Unipile credentials (default: platform)
+   * @returns {Promise<Object>} Search results with people array and next_cursor (null on the last page)
+   * @throws Error with statusCode 400 when the cursor belongs to another search
    */
   async searchPeople(params) {
     try {
-      const { keywords, industry, location, designation, company, skills, limit = 50, accountId } = params;
+      const {
+        keywords,
+        industry,
+        location,
+        designation,
+        company,
+        skills,
+        api = APIS.CLASSIC,
+        url,
+        limit = 50,
+        accountId,
+        cursor,
+        credentials
+      } = params;
 
       if (!accountId) {
         throw new Error('accountId is required to search people');
       }
 
-      if (!keywords && !industry && !location && !designation && !company && !skills) {
-        throw new Error('At least one search filter is required');
+      if (!this.hasSearchInput('people', params)) {
+        throw new Error(`At least one search filter (${this.getFilterSchema('people', api).join(', ')}) or url is required`);
       }
 
+      const unipileCursor = cursor ? decodeSearchCursor(SEARCH_SCOPES.UNIPILE_PEOPLE, params, cursor) : null;
+
       logger.info('[Unipile People Search] Searching leads', {
         keywords,
         industry,
@@ -280,119 +235,27 @@ class UnipileLeadSearchService {
         designation,
         company,
         skills,
+        api,
+        url,
         limit,
-        accountId
+        accountId,
+        page: unipileCursor ? 'next' : 'first'
       });
 
-      const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
+      const baseUrl = this.getBaseUrl(credentials);
+      const headers = this.getAuthHeaders(credentials);
 
       // LinkedIn people search endpoint
-      const searchUrl = `${baseUrl}/linkedin/search?account_id=${accountId}`;
-
-      // Use Classic API (more widely available than Recruiter API)
-      // Build search body according to Unipile Classic API spec
-      const searchBody = {
-        api: 'classic',
-        category: 'people',
-        limit: Math.min(limit, 100)
-      };
+      const searchUrl = this.buildSearchUrl(baseUrl, accountId, unipileCursor);
 
-      // Add keywords filter if provided
-      if (keywords) {
-        searchBody.keywords = keywords;
+      const { params: resolvedParams, unresolved } = await this.resolveSearchFilters('people', params);
+      const unresolvedError = this.unresolvedFilterError(params, resolvedParams, unresolved);
+      if (unresolvedError) {
+        logger.warn('[Unipile People Search] Filter names not found on LinkedIn', { unresolved, accountId });
+        return { success: false, error: unresolvedError, people: [], count: 0, unresolved };
       }
 
-      // Add industry filter if provided (array of industry IDs or names)
-      if (industry) {
-        const industryArray = Array.isArray(industry) ? industry : [industry];
-        searchBody.industry = industryArray.map(ind => {
-          if (/^\d+$/.test(String(ind))) {
-            return String(ind); // Already an ID
-          } else {
-            // Try to find industry ID from name mapping
-            const industryMap = {
-              'technology': '96',
-              'tech': '96',
-              'information technology': '96',
-              'it': '96',
-              'finance': '37',
-              'financial services': '37',
-              'banking': '37',
-              'healthcare': '50',
-              'health care': '50',
-              'medical': '50',
-              'pharmaceutical': '86',
-              'manufacturing': '71',
-              'retail': '88',
-              'e-commerce': '55',
-              'education': '84',
-              'media': '80',
-              'entertainment': '71',
-              'telecommunications': '104',
-              'telecom': '104',
-              'automotive': '20',
-              'real estate': '87',
-              'transportation': '102',
-              'logistics': '102',
-              'energy': '94',
-              'utilities': '106',
-              'construction': '48',
-              'agriculture': '1',
-              'chemicals': '41',
-              'consulting': '47',
-              'legal': '76',
-              'accounting': '12',
-              'human resources': '57',
-              'hr': '57',
-              'hospitality': '56',
-              'travel': '109',
-              'tourism': '109',
-              'food & beverage': '62',
-              'restaurant': '62',
-              'staffing': '98',
-              'recruitment': '98'
-            };
-            return industryMap[String(ind).toLowerCase()] || String(ind);
-          }
-        });
-      }
-
-      // Add location filter if provided (array of location IDs or names)
-      // Location lookup: Dubai=102927786, NYC=103644182, etc.
-      if (location) {
-        const locationArray = Array.isArray(location) ? location : [location];
-        // If location is a string name, try to lookup the ID, otherwise use as-is
-        searchBody.location = locationArray.map(loc => {
-          if (/^\d+$/.test(String(loc))) {
-            return String(loc); // Already an ID
-          } else {
-            // Try to find location ID from cache
-            const locationMap = {
-              'dubai': '102927786',
-              'uae': '102927786',
-              'new york': '103644182',
-              'nyc': '103644182',
-              'london': '102841502',
-              'uk': '102841502',
-              'india': '102713980',
-              'bangalore': '102713980'
-            };
-            return locationMap[String(loc).toLowerCase()] || String(loc);
-          }
-        });
-      }
-
-      // Add advanced keywords for designation (job title)
-      if (designation) {
-        searchBody.advanced_keywords = searchBody.advanced_keywords || {};
-        searchBody.advanced_keywords.title = designation;
-      }
-
-      // Add company filter if provided (array of company names or IDs)
-      if (company) {
-        searchBody.company = Array.isArray(company) ? company : [company];
-      }
+      const searchBody = this.buildSearchBody('people', resolvedParams);
 
       logger.debug('[Unipile People Search] Making request to', { 
         url: searchUrl, 
@@ -427,13 +290,19 @@ class UnipileLeadSearchService {
         count: formattedPeople.length,
         total: paging.total_count,
         paging: paging,
-        cursor: response.data?.cursor,
+        next_cursor: encodeSearchCursor(SEARCH_SCOPES.UNIPILE_PEOPLE, params, response.data?.cursor),
+        unresolved,
         source: 'unipile'
       };
     } catch (error) {
+      // Bad cursor - the caller's mistake, not a Unipile failure
+      if (error.statusCode) throw error;
+
+      // Credentials carry the Unipile token - keep them out of the log
+      const { credentials, ...logParams } = params;
       logger.error('[Unipile People Search] Search failed', {
         error: error.message,
-        params,
+        params: logParams,
         stack: error.stack
       });
 
@@ -446,6 +315,363 @@ class UnipileLeadSearchService {
     }
   }
 
+  /**
+   * Filters the search API accepts for a category (UNIPILE_SEARCH_CONFIG.FILTER_SCHEMAS)
+   */
+  getFilterSchema(category, api = APIS.CLASSIC) {
+    return UNIPILE_SEARCH_CONFIG.FILTER_SCHEMAS[api]?.[category] || [];
+  }
+
+  /**
+   * Whether the params carry a url or at least one filter of the API's schema
+   */
+  hasSearchInput(category, params) {
+    if (params.url) return true;
+    return this.getFilterSchema(category, params.api).some(filter => {
+      const value = params[filter];
+      return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+    });
+  }
+
+  /**
+   * Params with location, industry and company names replaced by LinkedIn ids
+   * (LinkedInParameterService). URL searches carry no filters to resolve.
+   * Names without an id are dropped and listed in unresolved by filter; a
+   * filter that loses all its names is removed from params.
+   *
+   * @param {string} category - 'people' | 'companies'
+   * @param {Object} params - Search params (filters, accountId, credentials)
+   * @returns {Promise<Object>} { params: copy of params with resolved ids, unresolved }
+   */
+  async resolveSearchFilters(category, params) {
+    if (params.url) return { params, unresolved: {} };
+
+    const { TYPES } = LINKEDIN_PARAMETER_CONFIG;
+    const options = { accountId: params.accountId, credentials: params.credentials };
+    const resolved = { ...params };
+    const unresolved = {};
+
+    const filterTypes = { industry: TYPES.INDUSTRY, location: TYPES.LOCATION };
+    if (category === 'people') {
+      filterTypes.company = TYPES.COMPANY;
+    }
+
+    for (const [filter, type] of Object.entries(filterTypes)) {
+      if (!params[filter]) continue;
+
+      const { ids, unresolved: names } = await LinkedInParameterService.resolveIds(type, params[filter], options);
+      if (names.length > 0) {
+        unresolved[filter] = names;
+      }
+      if (ids.length > 0) {
+        resolved[filter] = ids;
+      } else {
+        delete resolved[filter];
+      }
+    }
+
+    return { params: resolved, unresolved };
+  }
+
+  /**
+   * Error for a search whose filter lost all its names in resolveSearchFilters -
+   * searching without it would return results the caller did not ask for
+   * @private
+   */
+  unresolvedFilterError(params, resolvedParams, unresolved) {
+    const emptied = Object.keys(unresolved).filter(filter => params[filter] && !resolvedParams[filter]);
+    if (emptied.length === 0) return null;
+
+    return `No LinkedIn ids found for ${emptied.map(filter => `${filter} (${unresolved[filter].join(', ')})`).join('; ')}`;
+  }
+
+  /**
+   * Unipile search body for the params' API
+   * Filters are checked against the API's schema by validateUnipileSearchParams;
+   * names should already be resolved to ids (resolveSearchFilters)
+   *
+   * @param {string} category - 'people' | 'companies'
+   * @param {Object} params - Search params (api, url, filters, limit)
+   * @returns {Object} Request body for POST /linkedin/search
+   */
+  buildSearchBody(category, params) {
+    const api = params.api || APIS.CLASSIC;
+    const limit = Math.min(params.limit || 50, UNIPILE_SEARCH_CONFIG.MAX_PAGE_SIZE);
+
+    if (params.url) {
+      return this.buildUrlSearchBody(category, params.url, limit);
+    }
+
+    const body = { api, category, limit };
+    if (params.keywords) {
+      body.keywords = params.keywords;
+    }
+
+    if (api === APIS.SALES_NAVIGATOR) {
+      return this.addSalesNavigatorFilters(body, category, params);
+    }
+    if (api === APIS.RECRUITER) {
+      return this.addRecruiterFilters(body, params);
+    }
+    return this.addClassicFilters(body, category, params);
+  }
+
+  /**
+   * Search from a LinkedIn URL - searches are passed through as-is, Sales
+   * Navigator lead/account lists become list filters
+   * @private
+   */
+  buildUrlSearchBody(category, url, limit) {
+    const parsedUrl = parseLinkedInSearchUrl(url);
+    if (!parsedUrl) {
+      throw new Error('url is not a supported LinkedIn search or list URL');
+    }
+
+    if (parsedUrl.kind === 'lead_list') {
+      return { api: APIS.SALES_NAVIGATOR, category, limit, lead_lists: { include: [parsedUrl.listId] } };
+    }
+    if (parsedUrl.kind === 'account_list') {
+      return { api: APIS.SALES_NAVIGATOR, category, limit, account_lists: { include: [parsedUrl.listId] } };
+    }
+    return { url: url.trim(), limit };
+  }
+
+  /**
+   * Classic API filters (flat ID arrays)
+   * @private
+   */
+  addClassicFilters(body, category, params) {
+    const { industry, location, designation, company } = params;
+
+    // Industry filter (array of industry IDs)
+    if (industry) {
+      body.industry = toList(industry);
+    }
+
+    // Location filter (array of location IDs)
+    if (location) {
+      body.location = toList(location);
+    }
+
+    if (category === 'people') {
+      // Advanced keywords for designation (job title)
+      if (designation) {
+        body.advanced_keywords = { title: designation };
+      }
+
+      // Company filter (array of company IDs)
+      if (company) {
+        body.company = toList(company);
+      }
+    }
+
+    return body;
+  }
+
+  /**
+   * Sales Navigator filters (include lists, ranges and flags)
+   * @private
+   */
+  addSalesNavigatorFilters(body, category, params) {
+    const { industry, location, designation, company, seniority, years_in_role } = params;
+
+    if (industry) {
+      body.industry = { include: toList(industry) };
+    }
+    if (location) {
+      body.location = { include: toList(location) };
+    }
+    if (params.company_headcount) {
+      // Company searches filter on their own headcount, people searches on their employer's
+      body[category === 'companies' ? 'headcount' : 'company_headcount'] = this.mapHeadcountRanges(params.company_headcount);
+    }
+
+    if (category === 'people') {
+      if (designation) {
+        body.role = { include: toList(designation) };
+      }
+      if (company) {
+        body.company = { include: toList(company) };
+      }
+      if (seniority) {
+        body.seniority = { include: this.mapNamedIds(seniority, UNIPILE_SEARCH_FILTERS.SENIORITY) };
+      }
+      if (params.function) {
+        body.function = { include: this.mapNamedIds(params.function, UNIPILE_SEARCH_FILTERS.FUNCTION) };
+      }
+      if (years_in_role) {
+        body.tenure_at_role = [this.toRange(years_in_role)];
+      }
+      if (params.changed_jobs === true) {
+        body.changed_jobs = true;
+      }
+      if (params.posted_on_linkedin === true) {
+        body.posted_on_linkedin = true;
+      }
+    }
+
+    return body;
+  }
+
+  /**
+   * Recruiter filters (people only)
+   * @private
+   */
+  addRecruiterFilters(body, params) {
+    const { industry, location, designation, company, skills, years_of_experience } = params;
+
+    if (industry) {
+      body.industry = { include: toList(industry) };
+    }
+    if (location) {
+      body.location = { include: toList(location) };
+    }
+    if (designation) {
+      body.role = toList(designation).map(title => ({ keywords: title }));
+    }
+    if (company) {
+      body.company = { include: toList(company) };
+    }
+    if (skills) {
+      body.skills = toList(skills).map(skill => ({ keywords: skill }));
+    }
+    if (years_of_experience) {
+      body.years_of_experience = this.toRange(years_of_experience);
+    }
+
+    return body;
+  }
+
+  /**
+   * Filter names -> LinkedIn IDs using one of UNIPILE_SEARCH_FILTERS' maps
+   * @private
+   */
+  mapNamedIds(values, idsByName) {
+    return toList(values).map(value => idsByName[value.toLowerCase()] || value);
+  }
+
+  /**
+   * Headcount buckets ('51-200') or { min, max } -> Unipile ranges
+   * @private
+   */
+  mapHeadcountRanges(headcount) {
+    const ranges = Array.isArray(headcount) ? headcount : [headcount];
+    return ranges.map(range => (
+      typeof range === 'string' ? UNIPILE_SEARCH_FILTERS.COMPANY_HEADCOUNT[range.trim()] : this.toRange(range)
+    ));
+  }
+
+  /**
+   * { min, max } with only the bounds that were given
+   * @private
+   */
+  toRange({ min, max }) {
+    const range = {};
+    if (min !== undefined) range.min = min;
+    if (max !== undefined) range.max = max;
+    return range;
+  }
+
+  /**
+   * Search people, following next_cursor server-side until params.limit results
+   * (max UNIPILE_SEARCH_CONFIG.MAX_COLLECT_RESULTS). Takes the same params as searchPeople.
+   *
+   * @returns {Promise<Object>} { success, people, count, next_cursor, pages_fetched, partial, unresolved }
+   */
+  async collectPeople(params) {
+    return this.collectPages('people', pageParams => this.searchPeople(pageParams), params);
+  }
+
+  /**
+   * Search companies, following next_cursor server-side until params.limit results
+   * (max UNIPILE_SEARCH_CONFIG.MAX_COLLECT_RESULTS). Takes the same params as searchCompanies.
+   *
+   * @returns {Promise<Object>} { success, companies, count, next_cursor, pages_fetched, partial, unresolved }
+   */
+  async collectCompanies(params) {
+    return this.collectPages('companies', pageParams => this.searchCompanies(pageParams), params);
+  }
+
+  /**
+   * Fetch pages one at a time with a random pause between them, until the
+   * target is reached, Unipile runs out of results or MAX_COLLECT_PAGES is hit.
+   * A failure after the first page returns what was collected with partial: true;
+   * next_cursor then resumes after the last page that succeeded.
+   *
+   * @private
+   */
+  async collectPages(itemsField, searchPage, params) {
+    const requested = parseInt(params.limit, 10) || UNIPILE_SEARCH_CONFIG.MAX_PAGE_SIZE;
+    const target = Math.min(Math.max(requested, 1), UNIPILE_SEARCH_CONFIG.MAX_COLLECT_RESULTS);
+    const items = [];
+    let cursor = params.cursor || null;
+    let pagesFetched = 0;
+    let total;
+    let unresolved = {};
+    let error = null;
+
+    while (items.length < target && pagesFetched < UNIPILE_SEARCH_CONFIG.MAX_COLLECT_PAGES) {
+      if (pagesFetched > 0) {
+        const delay = UNIPILE_SEARCH_CONFIG.PAGE_DELAY_MIN_MS +
+          Math.floor(Math.random() * (UNIPILE_SEARCH_CONFIG.PAGE_DELAY_MAX_MS - UNIPILE_SEARCH_CONFIG.PAGE_DELAY_MIN_MS));
+        await sleep(delay);
+      }
+
+      const page = await searchPage({
+        ...params,
+        cursor,
+        limit: Math.min(target - items.length, UNIPILE_SEARCH_CONFIG.MAX_PAGE_SIZE)
+      });
+      pagesFetched++;
+      unresolved = page.unresolved || unresolved;
+
+      if (!page.success) {
+        error = page.error;
+        break;
+      }
+
+      items.push(...page[itemsField]);
+      total = page.total;
+      cursor = page.next_cursor;
+
+      if (!cursor || page[itemsField].length === 0) break;
+    }
+
+    logger.info('[Unipile Collect] Collected search results', {
+      itemsField,
+      target,
+      collected: items.length,
+      pagesFetched,
+      hasMore: !!cursor,
+      error
+    });
+
+    if (error && items.length === 0) {
+      return { success: false, error, [itemsField]: [], count: 0, unresolved };
+    }
+
+    return {
+      success: true,
+      [itemsField]: items,
+      count: items.length,
+      total,
+      next_cursor: cursor,
+      pages_fetched: pagesFetched,
+      partial: !!error,
+      error: error || undefined,
+      unresolved,
+      source: 'unipile'
+    };
+  }
+
+  /**
+   * LinkedIn search URL, continuing from a Unipile cursor when given
+   */
+  buildSearchUrl(baseUrl, accountId, unipileCursor = null) {
+    const searchUrl = `${baseUrl}/linkedin/search?account_id=${encodeURIComponent(accountId)}`;
+    return unipileCursor ? `${searchUrl}&cursor=${encodeURIComponent(unipileCursor)}` : searchUrl;
+  }
+
   /**
    * Combined search for companies and their employees
    * 
@@ -454,7 +680,7 @@ class UnipileLeadSearchService {
    */
   async searchCompaniesAndLeads(params) {
     try {
-      const { industry, location, designation, accountId, limit = 50 } = params;
+      const { industry, location, designation, accountId, credentials, limit = 50 } = params;
 
       if (!accountId) {
         throw new Error('accountId is required');
@@ -472,6 +698,7 @@ class UnipileLeadSearchService {
         industry,
         location,
         accountId,
+        credentials,
         limit: 20 // Get top companies
       });
 
@@ -481,6 +708,7 @@ class UnipileLeadSearchService {
         location,
         designation,
         accountId,
+        credentials,
         limit
       });
 
@@ -551,9 +779,10 @@ class UnipileLeadSearchService {
    * 
    * @param {string} profileUrl - LinkedIn profile URL
    * @param {string} accountId - Unipile account ID
+   * @param {Object} credentials - Tenant's resolved Unipile credentials (default: platform)
    * @returns {Promise<Object>} Detailed profile information
    */
-  async getProfileDetails(profileUrl, accountId) {
+  async getProfileDetails(profileUrl, accountId, credentials = null) {
     try {
       if (!accountId) {
         throw new Error('accountId is required');
@@ -565,8 +794,8 @@ class UnipileLeadSearchService {
 
       logger.info('[Unipile Profile Details] Fetching profile', { profileUrl, accountId });
 
-      const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
+      const baseUrl = this.getBaseUrl(credentials);
+      const headers = this.getAuthHeaders(credentials);
 
       // Extract LinkedIn ID or handle from URL
       const linkedinId = this.extractLinkedInIdentifier(profileUrl);
@@ -691,62 +920,20 @@ class UnipileLeadSearchService {
 
   /**
    * Look up location ID by location name
-   * Unipile requires location IDs, not names
+   * Unipile requires location IDs, not names (LinkedInParameterService, cached)
    * 
    * @param {string} locationName - Location name (e.g., "Dubai")
    * @param {string} accountId - Account ID for the search
+   * @param {Object} credentials - Tenant's resolved Unipile credentials (default: platform)
    * @returns {Promise<string|null>} Location ID or null if not found
    */
-  async lookupLocationId(locationName, accountId) {
+  async lookupLocationId(locationName, accountId, credentials = null) {
     try {
-      const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
-
-      // Common location ID mappings (hardcoded for quick lookup)
-      const commonLocations = {
-        'dubai': '103644883',
-        'uae': '103644883',
-        'new york': '103644182',
-        'us': '103664155',
-        'united states': '103664155',
-        'london': '103644409',
-        'uk': '103644409',
-        'india': '103644393',
-        'bangalore': '103644393',
-        'san francisco': '103644181',
-        'california': '103644181',
-        'los angeles': '103644684',
-        'texas': '103644685',
-        'toronto': '103644724',
-        'canada': '103644724',
-        'sydney': '103644797',
-        'australia': '103644797'
-      };
-
-      const normalized = locationName.toLowerCase().trim();
-      if (commonLocations[normalized]) {
-        logger.debug('[Unipile Location Lookup] Found in cache', { locationName, id: commonLocations[normalized] });
-        return commonLocations[normalized];
-      }
-
-      // Fallback: make API call to search parameters endpoint
-      logger.debug('[Unipile Location Lookup] Calling API for location', { locationName });
-
-      const searchUrl = `${baseUrl}/linkedin/search/parameters?type=LOCATION&keyword=${encodeURIComponent(locationName)}`;
-      const response = await axios.get(searchUrl, {
-        headers,
-        timeout: 30000
-      });
-
-      const results = response.data?.data || response.data?.results || [];
-      if (results.length > 0) {
-        const locationId = results[0].id || results[0].ID;
-        logger.info('[Unipile Location Lookup] Found location', { locationName, id: locationId });
-        return String(locationId);
-      }
-
-      logger.warn('[Unipile Location Lookup] Location not found', { locationName });
-      return null;
+      return await LinkedInParameterService.resolveId(
+        LINKEDIN_PARAMETER_CONFIG.TYPES.LOCATION,
+        locationName,
+        { accountId, credentials }
+      );
     } catch (error) {
       logger.error('[Unipile Location Lookup] Failed to lookup location', {
         locationName,
@@ -758,52 +945,26 @@ class UnipileLeadSearchService {
 
   /**
    * Look up skill ID by skill name
-   * Unipile supports both skill IDs and keywords
+   * Unipile requires skill IDs in id filters (LinkedInParameterService, cached)
    * 
    * @param {string} skillName - Skill name (e.g., "Python")
    * @param {string} accountId - Account ID for the search
+   * @param {Object} credentials - Tenant's resolved Unipile credentials (default: platform)
    * @returns {Promise<string|null>} Skill ID or null if not found
    */
-  async lookupSkillId(skillName, accountId) {
+  async lookupSkillId(skillName, accountId, credentials = null) {
     try {
-      // Common skill ID mappings
-      const commonSkills = {
-        'python': '185',
-        'javascript': '2',
-        'java': '3',
-        'c++': '4',
-        'c#': '5',
-        'react': '6',
-        'node.js': '7',
-        'sql': '8',
-        'html': '9',
-        'css': '10',
-        'aws': '233',
-        'kubernetes': '234',
-        'docker': '235',
-        'git': '236',
-        'linux': '237'
-      };
-
-      const normalized = skillName.toLowerCase().trim();
-      if (commonSkills[normalized]) {
-        logger.debug('[Unipile Skill Lookup] Found in cache', { skillName, id: commonSkills[normalized] });
-        return commonSkills[normalized];
-      }
-
-      // If not in cache and not numeric, return as keyword
-      if (!/^\d+$/.test(skillName)) {
-        logger.debug('[Unipile Skill Lookup] Returning as keyword', { skillName });
-        return skillName;
-      }
-
-      return skillName;
+      return await LinkedInParameterService.resolveId(
+        LINKEDIN_PARAMETER_CONFIG.TYPES.SKILL,
+        skillName,
+        { accountId, credentials }
+      );
     } catch (error) {
       logger.error('[Unipile Skill Lookup] Failed to lookup skill', {
         skillName,
         error: error.message
       });
-      return skillName; // Fallback to keyword
+      return null;
     }
   }
 
@@ -816,9 +977,10 @@ class UnipileLeadSearchService {
    * @param {string} linkedinIdOrUrl - LinkedIn profile ID/handle or URL
    * @param {string} accountId - Account ID for the Unipile request
    * @param {number} limit - Maximum number of posts to fetch (default: 10)
+   * @param {Object} credentials - Tenant's resolved Unipile credentials (default: platform)
    * @returns {Promise<Object>} Posts data or empty array if fetch fails
    */
-  async getLinkedInPosts(linkedinIdOrUrl, accountId, limit = 10) {
+  async getLinkedInPosts(linkedinIdOrUrl, accountId, limit = 10, credentials = null) {
     try {
       if (!accountId) {
         throw new Error('accountId is required');
@@ -833,8 +995,8 @@ class UnipileLeadSearchService {
 
       logger.info('[Unipile Posts] Fetching posts', { linkedinId, accountId, limit });
 
-      const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
+      const baseUrl = this.getBaseUrl(credentials);
+      const headers = this.getAuthHeaders(credentials);
 
       // Correct Unipile API endpoint: /api/v1/users/{identifier}/posts
       const response = await axios.get(`${baseUrl}/users/${linkedinId}/posts`, {
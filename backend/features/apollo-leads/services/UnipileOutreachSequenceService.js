@@ -7,6 +7,16 @@
  * - Converts public IDs to private IDs before sending
  * - Handles bulk profile gathering and storage
  * - Implements human-like request spacing
+ * - Runs multi-step sequences (invite, message, profile visit, InMail):
+ *   each prospect carries its position in outreach_prospects, and the slot
+ *   for its next step is created once the current step is sent or skipped
+ * - Renders templates ({{first_name}}, {{company_name|fallback}}...) per
+ *   prospect from employees_cache and the Unipile profile
+ * - Sends within the sending schedule of the account or sequence (timezone,
+ *   working days and hours, holidays, blackout dates)
+ * - Keeps sequences, slots and prospects in the tenant schema the LinkedIn
+ *   account is registered in (getSchema(req), passed in by the controller),
+ *   where Unipile events find them
  * 
  * References:
  * - Max 80-100 connection requests per day per account
@@ -18,13 +28,51 @@
 
 const axios = require('axios');
 const { pool } = require('../../../shared/database/connection');
-const { getSchema } = require('../../../core/utils/schemaHelper');
 const logger = require('../../../core/utils/logger');
+const { buildUnipileBaseUrl, buildUnipileHeaders } = require('../utils/unipileConnection');
+const OutreachProspectRepository = require('../repositories/OutreachProspectRepository');
+const LinkedInAccountRepository = require('../repositories/LinkedInAccountRepository');
+const OutreachTemplateService = require('./OutreachTemplateService');
+const LinkedInAccountQuotaService = require('./LinkedInAccountQuotaService');
+const {
+  resolveSchedule,
+  localDate,
+  zonedTime,
+  addDays,
+  isValidDate,
+  workingMinutes,
+  nextWorkingDay,
+  isSendingTime,
+  isBeforeWorkingHours,
+  nextSendingTime
+} = require('../utils/sendingSchedule');
+const {
+  OUTREACH_SEQUENCE_CONFIG,
+  LINKEDIN_ACCOUNT_QUOTAS,
+  SENDING_SCHEDULE_CONFIG,
+  MESSAGE_TEMPLATE_CONFIG,
+  UNIPILE_EVENT_CONFIG
+} = require('../constants/constants');
+
+const { STEP_TYPES, CONDITIONS, PROSPECT_STATUSES } = OUTREACH_SEQUENCE_CONFIG;
+const { SLOT_STATUSES } = UNIPILE_EVENT_CONFIG;
+const { ACTION_TYPES } = LINKEDIN_ACCOUNT_QUOTAS;
+
+/**
+ * Error carrying the HTTP status the endpoint should answer with
+ */
+function sequenceError(message, statusCode, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+}
 
 // LinkedIn Rate Limits (from Unipile documentation)
 const LINKEDIN_LIMITS = {
-  CONNECTION_REQUESTS_PER_DAY: 80, // Conservative: 80-100 per day
-  CONNECTION_REQUESTS_PER_WEEK: 200,
+  // Account-wide, enforced by LinkedInAccountQuotaService
+  CONNECTION_REQUESTS_PER_DAY: LINKEDIN_ACCOUNT_QUOTAS.LIMITS.invitation.PER_DAY,
+  CONNECTION_REQUESTS_PER_WEEK: LINKEDIN_ACCOUNT_QUOTAS.LIMITS.invitation.PER_WEEK,
   PROFILE_VISITS_PER_DAY_STANDARD: 80,
   PROFILE_VISITS_PER_DAY_SALES_NAV: 150,
   PROFILE_GATHERING_PER_DAY: 1000, // Max 1000 profiles to gather per day
@@ -43,11 +91,14 @@ class UnipileOutreachSequenceService {
    * @param {Object} params
    * @param {string} params.campaignId - Campaign ID
    * @param {string} params.tenantId - Tenant ID
+   * @param {string} params.schema - Tenant schema the account is registered in
    * @param {Array} params.profileIds - List of LinkedIn profile IDs/URLs to contact
    * @param {string} params.accountId - Unipile LinkedIn account ID
-   * @param {string} params.message - Connection request message template
+   * @param {string} params.message - Connection request message template (single-step sequences)
+   * @param {Array} params.steps - Ordered steps [{ type, template, subject, delay_days, condition }] (optional)
    * @param {number} params.dailyLimit - Daily invitation limit (default: 40)
-   * @param {string} params.startDate - Start date for sequence (default: today)
+   * @param {string} params.startDate - Start date for sequence, YYYY-MM-DD (default: today in the schedule's timezone)
+   * @param {Object} params.schedule - Sending schedule overriding the account's (optional)
    * @returns {Promise<Object>} Sequence creation result
    */
   async createOutreachSequence(params) {
@@ -55,11 +106,13 @@ class UnipileOutreachSequenceService {
       const {
         campaignId,
         tenantId,
+        schema,
         profileIds,
         accountId,
         message,
-        dailyLimit = LINKEDIN_LIMITS.RECOMMENDED_DAILY_INVITES,
-        startDate = new Date().toISOString().split('T')[0]
+        steps,
+        schedule = null,
+        dailyLimit = LINKEDIN_LIMITS.RECOMMENDED_DAILY_INVITES
       } = params;
 
       if (!campaignId || !tenantId) {
@@ -74,6 +127,37 @@ class UnipileOutreachSequenceService {
         throw new Error('accountId (Unipile LinkedIn account ID) is required');
       }
 
+      const account = await LinkedInAccountRepository.findByUnipileAccountId(String(accountId), tenantId, schema);
+      if (!account) {
+        throw sequenceError('LinkedIn account is not connected to this tenant', 403);
+      }
+
+      // The account's schedule, with the sequence's fields over it
+      const sendingSchedule = resolveSchedule(account.sending_schedule, schedule);
+      const startDate = params.startDate || localDate(new Date(), sendingSchedule.timezone);
+      if (!isValidDate(startDate)) {
+        throw sequenceError('startDate must be a date as YYYY-MM-DD', 400);
+      }
+
+      const sequenceSteps = this.normalizeSteps(steps, message);
+      // A prospect is only in a sequence once
+      const uniqueProfileIds = [...new Set(profileIds.map(String))];
+
+      // Invitation notes must fit LinkedIn's limit once rendered for each prospect
+      const longNotes = await OutreachTemplateService.findLongInviteNotes(
+        sequenceSteps,
+        uniqueProfileIds,
+        tenantId,
+        schema
+      );
+      if (longNotes.length > 0) {
+        throw sequenceError(
+          `Invitation note is longer than ${OUTREACH_SEQUENCE_CONFIG.MAX_INVITE_NOTE_LENGTH} characters for ${longNotes.length} prospect(s)`,
+          400,
+          longNotes.slice(0, MESSAGE_TEMPLATE_CONFIG.MAX_REPORTED_PROFILES)
+        );
+      }
+
       // Validate daily limit
       const validDailyLimit = Math.min(
         dailyLimit,
@@ -82,19 +166,20 @@ class UnipileOutreachSequenceService {
 
       logger.info('[Outreach Sequence] Creating sequence', {
         campaignId,
-        totalProfiles: profileIds.length,
+        totalProfiles: uniqueProfileIds.length,
         dailyLimit: validDailyLimit,
         startDate,
+        timezone: sendingSchedule.timezone,
         tenantId
       });
 
       // Calculate sequence duration
-      const totalDays = Math.ceil(profileIds.length / validDailyLimit);
+      const totalDays = Math.ceil(uniqueProfileIds.length / validDailyLimit);
       const weeklyRequests = Math.min(validDailyLimit * 5, LINKEDIN_LIMITS.CONNECTION_REQUESTS_PER_WEEK);
-      const estimatedWeeks = Math.ceil(profileIds.length / weeklyRequests);
+      const estimatedWeeks = Math.ceil(uniqueProfileIds.length / weeklyRequests);
 
       logger.info('[Outreach Sequence] Duration calculation', {
-        totalProfiles: profileIds.length,
+        totalProfiles: uniqueProfileIds.length,
         dailyLimit: validDailyLimit,
         totalDays,
         estimatedWeeks
@@ -104,32 +189,47 @@ class UnipileOutreachSequenceService {
       const sequenceId = await this.saveSequence({
         campaignId,
         tenantId,
+        schema,
         accountId,
-        totalProfiles: profileIds.length,
+        totalProfiles: uniqueProfileIds.length,
         dailyLimit: validDailyLimit,
         estimatedDays: totalDays,
         estimatedWeeks,
         startDate,
-        message
+        message: message ?? sequenceSteps[0].template,
+        steps: sequenceSteps,
+        sendingSchedule: schedule
       });
 
-      // Create and store sending slots
+      // Every prospect starts at step 0
+      const prospects = await OutreachProspectRepository.createMany(
+        sequenceId,
+        uniqueProfileIds,
+        tenantId,
+        schema
+      );
+      const prospectIds = new Map(prospects.map(prospect => [prospect.profile_id, prospect.id]));
+
+      // Create and store sending slots for the first step
       const sendingSlots = this.generateSendingSlots(
-        profileIds,
+        uniqueProfileIds,
         validDailyLimit,
-        new Date(startDate)
-      );
+        startDate,
+        sendingSchedule
+      ).map(slot => ({ ...slot, prospectId: prospectIds.get(slot.profileId) || null, stepIndex: 0 }));
 
-      await this.saveSendingSlots(sequenceId, tenantId, sendingSlots);
+      await this.saveSendingSlots(sequenceId, tenantId, sendingSlots, schema);
 
       return {
         success: true,
         sequenceId,
-        totalProfiles: profileIds.length,
+        totalProfiles: uniqueProfileIds.length,
+        steps: sequenceSteps.length,
         dailyLimit: validDailyLimit,
         estimatedDays: totalDays,
         estimatedWeeks,
         startDate,
+        schedule: sendingSchedule,
         slots: sendingSlots.length
       };
     } catch (error) {
@@ -141,32 +241,58 @@ class UnipileOutreachSequenceService {
 
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        ...(error.statusCode && { statusCode: error.statusCode, details: error.details })
       };
     }
   }
 
+  /**
+   * Steps stored on the sequence
+   * Without steps, the single message becomes one 'auto' step (invitation,
+   * message or accept-and-message depending on the relationship).
+   * Steps are validated by validateOutreachSequenceMiddleware.
+   * 
+   * @private
+   */
+  normalizeSteps(steps, message) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return [{
+        type: STEP_TYPES.AUTO,
+        template: message ?? null,
+        delay_days: 0,
+        condition: CONDITIONS.ALWAYS
+      }];
+    }
+
+    return steps.map(step => ({
+      type: step.type,
+      template: step.template ?? null,
+      ...(step.subject && { subject: step.subject }),
+      delay_days: step.delay_days || 0,
+      condition: step.condition || CONDITIONS.ALWAYS
+    }));
+  }
+
   /**
    * Generate sending slots with human-like timing
-   * Spreads invitations across working hours with random intervals
+   * Spreads invitations across the schedule's working hours on its working
+   * days (in its timezone) with random intervals
    * 
+   * @param {string} startDate - First local date ('YYYY-MM-DD')
+   * @param {Object} schedule - Resolved sending schedule
    * @private
    */
-  generateSendingSlots(profileIds, dailyLimit, startDate) {
+  generateSendingSlots(profileIds, dailyLimit, startDate, schedule) {
     const slots = [];
-    let currentDate = new Date(startDate);
+    let currentDate = startDate;
     let profileIndex = 0;
 
-    // Working hours: 9 AM to 6 PM (9-18)
-    const WORKING_HOURS_START = 9;
-    const WORKING_HOURS_END = 18;
-    const WORKING_HOURS_DURATION = WORKING_HOURS_END - WORKING_HOURS_START; // 9 hours
-
     while (profileIndex < profileIds.length) {
-      // Skip weekends
-      if (currentDate.getDay() === 0 || currentDate.getDay() === 6) {
-        currentDate.setDate(currentDate.getDate() + 1);
-        continue;
+      // Skip non-working days, holidays and blackout dates
+      currentDate = nextWorkingDay(currentDate, schedule);
+      if (!currentDate) {
+        throw new Error('Sending schedule has no working day in the coming year');
       }
 
       // Generate random times throughout the day
@@ -175,15 +301,14 @@ class UnipileOutreachSequenceService {
         profileIndex,
         Math.min(dailyLimit, profileIds.length - profileIndex),
         currentDate,
-        WORKING_HOURS_START,
-        WORKING_HOURS_END
+        schedule
       );
 
       slots.push(...slotsForDay);
       profileIndex += slotsForDay.length;
 
       // Move to next day
-      currentDate.setDate(currentDate.getDate() + 1);
+      currentDate = addDays(currentDate, 1);
     }
 
     return slots;
@@ -192,44 +317,31 @@ class UnipileOutreachSequenceService {
   /**
    * Generate sending slots for a single day with random intervals
    * 
+   * @param {string} date - Local date ('YYYY-MM-DD')
    * @private
    */
-  generateDaySlots(profileIds, startIndex, count, date, startHour, endHour) {
-    const slots = [];
+  generateDaySlots(profileIds, startIndex, count, date, schedule) {
     const daySlots = [];
+    const { start, end } = workingMinutes(schedule);
 
     // Generate random times within working hours
-    const timeIntervals = [];
-    const minutesAvailable = (endHour - startHour) * 60;
+    const minutesAvailable = end - start;
     const intervalMinutes = Math.floor(minutesAvailable / (count + 1));
 
-    for (let i = 1; i <= count; i++) {
+    for (let i = 0; i < count; i++) {
       // Add some randomness (±15 minutes)
       const randomOffset = Math.floor(Math.random() * 30) - 15;
-      const totalMinutes = intervalMinutes * i + randomOffset;
-      const hour = startHour + Math.floor(totalMinutes / 60);
-      const minute = totalMinutes % 60;
-
-      timeIntervals.push({
-        hour: Math.min(hour, endHour - 1),
-        minute: Math.max(0, Math.min(minute, 59))
-      });
-    }
-
-    // Create slots
-    for (let i = 0; i < count; i++) {
-      const profileId = profileIds[startIndex + i];
-      const time = timeIntervals[i];
-      const slotDate = new Date(date);
-      slotDate.setHours(time.hour, time.minute, 0, 0);
+      const minutes = Math.max(start, Math.min(start + intervalMinutes * (i + 1) + randomOffset, end - 1));
+      const scheduledTime = zonedTime(date, minutes, schedule.timezone);
 
       daySlots.push({
-        profileId,
-        scheduledTime: slotDate.toISOString(),
-        day: date.toISOString().split('T')[0],
-        hour: time.hour,
-        minute: time.minute,
-        status: 'pending' // pending, sent, failed
+        profileId: profileIds[startIndex + i],
+        scheduledTime: scheduledTime.toISOString(),
+        // Local date in the schedule's timezone
+        day: date,
+        hour: Math.floor(minutes / 60),
+        minute: minutes % 60,
+        status: 'pending' // pending, sent, skipped, failed, stopped (prospect replied)
       });
     }
 
@@ -238,12 +350,11 @@ class UnipileOutreachSequenceService {
 
   /**
    * Get pending sending slots for today
+   * "Today" is the local date in each sequence's schedule timezone (the
+   * sequence's, the account's, or the default)
    */
-  async getPendingSlotsForToday(accountId, tenantId) {
+  async getPendingSlotsForToday(accountId, tenantId, schema) {
     try {
-      const schema = getSchema(null);
-      const today = new Date().toISOString().split('T')[0];
-
       const result = await pool.query(
         `SELECT 
           os.id,
@@ -251,16 +362,26 @@ class UnipileOutreachSequenceService {
           os.profile_id,
           os.scheduled_time,
           os.status,
+          os.prospect_id,
+          os.step_index,
           seq.campaign_id,
-          seq.message
+          seq.message,
+          seq.steps,
+          seq.sending_schedule,
+          la.sending_schedule AS account_sending_schedule
         FROM ${schema}.outreach_sending_slots os
         JOIN ${schema}.outreach_sequences seq ON os.sequence_id = seq.id
+        LEFT JOIN ${schema}.linkedin_accounts la 
+          ON la.unipile_account_id = seq.account_id AND la.tenant_id = seq.tenant_id
+        CROSS JOIN LATERAL (
+          SELECT COALESCE(seq.sending_schedule->>'timezone', la.sending_schedule->>'timezone', $3) AS timezone
+        ) tz
         WHERE seq.account_id = $1 
           AND seq.tenant_id = $2
-          AND DATE(os.scheduled_time AT TIME ZONE 'UTC') = $3
+          AND (os.scheduled_time AT TIME ZONE tz.timezone)::date = (NOW() AT TIME ZONE tz.timezone)::date
           AND os.status = 'pending'
         ORDER BY os.scheduled_time ASC`,
-        [accountId, tenantId, today]
+        [accountId, tenantId, SENDING_SCHEDULE_CONFIG.DEFAULT_SCHEDULE.timezone]
       );
 
       return {
@@ -287,7 +408,18 @@ class UnipileOutreachSequenceService {
    * Send a connection request via Unipile
    * 
    * Retrieves user's profile to convert public ID to private ID,
-   * checks relationship status, and sends appropriate message type
+   * checks relationship status, and sends appropriate message type.
+   * For a sequence step, the step's condition is checked first and the
+   * step's action is taken; the slot is 'skipped' when the condition doesn't
+   * hold or the action doesn't apply, and the prospect's next step is
+   * scheduled either way. When the account is at its invitation or message
+   * quota the slot is 'deferred': it stays pending, moved to when the quota
+   * window frees up.
+   *
+   * @param {Object} params.step - Sequence step (default: single 'auto' step with params.message)
+   * @param {Array} params.steps - All steps of the sequence, to schedule the next one
+   * @param {Object} params.schedule - Resolved sending schedule, for the next step's slot (default schedule when absent)
+   * @param {string} params.schema - Tenant schema the account is registered in
    */
   async sendConnectionRequest(params) {
     try {
@@ -296,9 +428,15 @@ class UnipileOutreachSequenceService {
         profileId,
         accountId,
         tenantId,
+        schema,
         message,
-        sequenceId
+        sequenceId,
+        prospectId,
+        stepIndex = 0,
+        steps = [],
+        credentials
       } = params;
+      const step = params.step || { type: STEP_TYPES.AUTO, template: message, condition: CONDITIONS.ALWAYS };
 
       if (!profileId || !accountId) {
         throw new Error('profileId and accountId are required');
@@ -307,30 +445,19 @@ class UnipileOutreachSequenceService {
       logger.info('[Outreach Sequence] Sending connection request', {
         slotId,
         profileId,
-        accountId
+        accountId,
+        step: step.type,
+        stepIndex
       });
 
-      const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
+      const baseUrl = this.getBaseUrl(credentials);
+      const headers = this.getAuthHeaders(credentials);
 
       // STEP 1: Retrieve profile to get private ID and relationship status
-      const profileResponse = await axios.get(
-        `${baseUrl}/linkedin/profile`,
-        {
-          headers,
-          params: {
-            account_id: accountId,
-            profile_url: profileId
-          },
-          timeout: 30000
-        }
-      );
-
-      const profile = profileResponse.data?.data || profileResponse.data;
-
-      if (!profile) {
-        throw new Error('Profile not found');
-      }
+      // (a profile visit step notifies the prospect)
+      const profile = await this.fetchProfile(accountId, profileId, headers, baseUrl, {
+        notify: step.type === STEP_TYPES.VISIT_PROFILE
+      });
 
       const privateId = profile.id || profile.private_id;
       const relationshipStatus = profile.relationship || 'not_connected'; // UNKNOWN, CONNECTED, NOT_CONNECTED, PENDING_OUTGOING, PENDING_INCOMING
@@ -341,55 +468,75 @@ class UnipileOutreachSequenceService {
         relationshipStatus
       });
 
-      // STEP 2: Determine action based on relationship status
-      let result = {};
-
-      if (relationshipStatus === 'CONNECTED' || relationshipStatus === 'PENDING_OUTGOING') {
-        // Already connected or pending - send message instead
-        result = await this.sendMessage(
-          accountId,
-          privateId,
-          message,
-          headers,
-          baseUrl
-        );
-      } else if (relationshipStatus === 'PENDING_INCOMING') {
-        // Has pending incoming request - accept and send message
-        result = await this.acceptAndMessage(
-          accountId,
+      // STEP 2: Check the step's condition and take its action
+      const prospect = prospectId && tenantId
+        ? await OutreachProspectRepository.findById(prospectId, tenantId, schema)
+        : null;
+      // Relationship when the profile was fetched, or an acceptance received by webhook
+      const connected = relationshipStatus === 'CONNECTED' || !!prospect?.accepted_at;
+
+      const result = this.isConditionMet(step.condition, connected)
+        ? await this.performStep(
+          { ...step, template: await this.renderForProfile(step.template, profileId, profile, tenantId, schema) },
+          { accountId, privateId, relationshipStatus, connected, headers, baseUrl, tenantId, schema, sequenceId, slotId }
+        )
+        : { skipped: true, reason: `Condition '${step.condition}' not met` };
+
+      if (result.deferred) {
+        const retryAt = await this.deferSlot(slotId, tenantId, result.retryAt, params.schedule || resolveSchedule(), schema);
+        return {
+          success: true,
+          profileId,
           privateId,
-          message,
-          headers,
-          baseUrl
-        );
-      } else {
-        // Not connected - send connection request
-        result = await this.sendConnectionInvitation(
-          accountId,
-          privateId,
-          message,
-          headers,
-          baseUrl
-        );
+          relationshipStatus,
+          status: 'deferred',
+          actionType: result.actionType,
+          retryAt
+        };
       }
 
+      const status = result.skipped ? SLOT_STATUSES.SKIPPED : SLOT_STATUSES.SENT;
+
       // STEP 3: Update slot status
+      // The prospect's LinkedIn ids let Unipile events (replies, accepted invitations) find the slot
       if (slotId && tenantId) {
-        await this.updateSlotStatus(slotId, tenantId, 'sent', result);
+        await this.updateSlotStatus(slotId, tenantId, status, result, {
+          providerId: privateId,
+          publicIdentifier: profile.public_identifier
+        }, schema);
       }
 
+      // STEP 4: Schedule the prospect's next step
+      const nextStep = prospectId && tenantId
+        ? await this.scheduleNextStep({
+          prospectId,
+          profileId,
+          sequenceId,
+          steps,
+          stepIndex,
+          tenantId,
+          schema,
+          schedule: params.schedule || resolveSchedule()
+        })
+        : null;
+
       return {
         success: true,
         profileId,
         privateId,
         relationshipStatus,
-        actionTaken: result.actionTaken,
+        status,
+        actionTaken: result.actionTaken || null,
+        skipReason: result.reason,
+        nextStep,
         result
       };
     } catch (error) {
+      // Credentials carry the Unipile token - keep them out of the log
+      const { credentials, ...logParams } = params;
       logger.error('[Outreach Sequence] Send connection request failed', {
         error: error.message,
-        params,
+        params: logParams,
         stack: error.stack
       });
 
@@ -397,7 +544,17 @@ class UnipileOutreachSequenceService {
       if (params.slotId && params.tenantId) {
         await this.updateSlotStatus(params.slotId, params.tenantId, 'failed', {
           error: error.message
-        });
+        }, {}, params.schema);
+      }
+
+      // The prospect's sequence ends with the failed step
+      if (params.prospectId && params.tenantId) {
+        await OutreachProspectRepository.finish(
+          params.prospectId,
+          PROSPECT_STATUSES.FAILED,
+          params.tenantId,
+          params.schema
+        );
       }
 
       return {
@@ -407,12 +564,286 @@ class UnipileOutreachSequenceService {
     }
   }
 
+  /**
+   * Retrieve a LinkedIn profile via Unipile
+   * 
+   * @param {Object} options - { notify } - show the visit to the prospect
+   * @private
+   */
+  async fetchProfile(accountId, profileId, headers, baseUrl, options = {}) {
+    const profileResponse = await axios.get(
+      `${baseUrl}/linkedin/profile`,
+      {
+        headers,
+        params: {
+          account_id: accountId,
+          profile_url: profileId,
+          // Shows up in the prospect's "who viewed your profile"
+          ...(options.notify && { notify: true })
+        },
+        timeout: 30000
+      }
+    );
+
+    const profile = profileResponse.data?.data || profileResponse.data;
+
+    if (!profile) {
+      throw new Error('Profile not found');
+    }
+
+    return profile;
+  }
+
+  /**
+   * Render a template for a prospect: Unipile profile values, completed
+   * with the lead cached in employees_cache
+   * 
+   * @private
+   */
+  async renderForProfile(template, profileId, profile, tenantId, schema) {
+    if (!template) return template ?? null;
+
+    const cached = tenantId
+      ? await OutreachTemplateService.getCachedValues([profileId], tenantId, schema)
+      : new Map();
+    const values = OutreachTemplateService.mergeValues(
+      cached.get(profileId),
+      OutreachTemplateService.valuesFromUnipileProfile(profile)
+    );
+
+    const { text, missing } = OutreachTemplateService.render(template, values);
+    if (missing.length > 0) {
+      logger.warn('[Outreach Sequence] Template variables without a value', { profileId, missing });
+    }
+    return text;
+  }
+
+  /**
+   * Render a template for a profile without sending it
+   * Values come from employees_cache, and from the Unipile profile when a
+   * LinkedIn account is given.
+   * 
+   * @param {Object} params - { template, profileId, stepType, accountId, tenantId, schema, credentials }
+   * @returns {Promise<Object>} { success, text, length, maxLength, withinLimit, missing, values, sources }
+   */
+  async previewTemplate(params) {
+    const { template, profileId, stepType, accountId, tenantId, schema, credentials } = params;
+
+    const cached = await OutreachTemplateService.getCachedValues([profileId], tenantId, schema);
+    const sources = cached.has(profileId) ? ['employees_cache'] : [];
+
+    let unipileValues = null;
+    if (accountId) {
+      const profile = await this.fetchProfile(
+        accountId,
+        profileId,
+        this.getAuthHeaders(credentials),
+        this.getBaseUrl(credentials)
+      );
+      unipileValues = OutreachTemplateService.valuesFromUnipileProfile(profile);
+      sources.push('unipile');
+    }
+
+    const values = OutreachTemplateService.mergeValues(cached.get(profileId), unipileValues);
+    const { text, missing } = OutreachTemplateService.render(template, values);
+    // Invitation notes have LinkedIn's limit; other steps the template limit
+    const maxLength = stepType === STEP_TYPES.INVITE || stepType === STEP_TYPES.AUTO
+      ? OUTREACH_SEQUENCE_CONFIG.MAX_INVITE_NOTE_LENGTH
+      : OUTREACH_SEQUENCE_CONFIG.MAX_TEMPLATE_LENGTH;
+
+    return {
+      success: true,
+      text,
+      length: text.length,
+      maxLength,
+      withinLimit: text.length <= maxLength,
+      missing,
+      values,
+      sources
+    };
+  }
+
+  /**
+   * Whether a step's condition holds for the prospect
+   * 
+   * @private
+   */
+  isConditionMet(condition, connected) {
+    if (condition === CONDITIONS.CONNECTED) return connected;
+    if (condition === CONDITIONS.NOT_CONNECTED) return !connected;
+    return true;
+  }
+
+  /**
+   * Take a step's action for the prospect's relationship
+   * 
+   * @returns {Promise<Object>} { actionTaken, response }, { skipped, reason } when the action doesn't apply,
+   *   or { deferred, actionType, retryAt } when the account is at its quota
+   * @private
+   */
+  async performStep(step, context) {
+    const { accountId, privateId, relationshipStatus, connected, headers, baseUrl } = context;
+    const template = step.template ?? null;
+    const invite = () => this.withQuota(ACTION_TYPES.INVITATION, context, () => (
+      this.sendConnectionInvitation(accountId, privateId, template, headers, baseUrl)
+    ));
+    const message = () => this.withQuota(ACTION_TYPES.MESSAGE, context, () => (
+      this.sendMessage(accountId, privateId, template, headers, baseUrl)
+    ));
+
+    switch (step.type) {
+      case STEP_TYPES.INVITE:
+        if (relationshipStatus === 'PENDING_INCOMING') {
+          return this.acceptInvitation(accountId, privateId, headers, baseUrl);
+        }
+        if (connected || relationshipStatus === 'PENDING_OUTGOING') {
+          return { skipped: true, reason: 'Already connected or invited' };
+        }
+        return invite();
+
+      case STEP_TYPES.MESSAGE:
+        if (!connected) {
+          return { skipped: true, reason: 'Messages need a connection' };
+        }
+        return message();
+
+      case STEP_TYPES.INMAIL:
+        // A connection can be messaged without spending an InMail credit
+        if (connected) {
+          return message();
+        }
+        return this.withQuota(ACTION_TYPES.MESSAGE, context, () => (
+          this.sendInMail(accountId, privateId, step.subject, template, headers, baseUrl)
+        ));
+
+      case STEP_TYPES.VISIT_PROFILE:
+        // The profile was retrieved with notify - that is the visit
+        return { actionTaken: 'profile_visited' };
+
+      default:
+        if (relationshipStatus === 'CONNECTED' || relationshipStatus === 'PENDING_OUTGOING') {
+          // Already connected or pending - send message instead
+          return message();
+        }
+        if (relationshipStatus === 'PENDING_INCOMING') {
+          // Has pending incoming request - accept and send message
+          return this.withQuota(ACTION_TYPES.MESSAGE, context, () => (
+            this.acceptAndMessage(accountId, privateId, template, headers, baseUrl)
+          ));
+        }
+        // Not connected - send connection request
+        return invite();
+    }
+  }
+
+  /**
+   * Send an invitation or message drawing on the account's quota
+   * The action is reserved in the account's ledger first and released when
+   * the send fails, so every sequence of the account counts against the
+   * same limits.
+   *
+   * @param {string} actionType - LINKEDIN_ACCOUNT_QUOTAS.ACTION_TYPES
+   * @param {Object} context - { accountId, tenantId, schema, sequenceId, slotId }
+   * @param {Function} send - Sends the action
+   * @returns {Promise<Object>} The send's result, or { deferred, actionType, retryAt, reason } at the quota
+   * @private
+   */
+  async withQuota(actionType, context, send) {
+    const { accountId, tenantId, schema, sequenceId, slotId } = context;
+    const reservation = await LinkedInAccountQuotaService.reserve(
+      accountId,
+      actionType,
+      { sequenceId, slotId },
+      tenantId,
+      schema
+    );
+
+    if (!reservation.reserved) {
+      return {
+        deferred: true,
+        actionType,
+        retryAt: reservation.availableAt,
+        reason: `Account ${actionType} quota reached`
+      };
+    }
+
+    try {
+      return await send();
+    } catch (error) {
+      await LinkedInAccountQuotaService.release(reservation.reservationId, tenantId, schema);
+      throw error;
+    }
+  }
+
+  /**
+   * Action type a step draws on, null when it can't be told before the
+   * prospect's relationship is known (auto) or draws on none (profile visit)
+   *
+   * @private
+   */
+  quotaActionType(step) {
+    if (step?.type === STEP_TYPES.INVITE) return ACTION_TYPES.INVITATION;
+    if (step?.type === STEP_TYPES.MESSAGE || step?.type === STEP_TYPES.INMAIL) return ACTION_TYPES.MESSAGE;
+    return null;
+  }
+
+  /**
+   * Move the prospect to its next step and create that step's slot
+   * delay_days from now, within the schedule's working hours. The prospect is
+   * completed after its last step; prospects stopped meanwhile (replied) stay stopped.
+   * 
+   * @returns {Promise<Object|null>} { stepIndex, slotId, scheduledTime }, null when there is no next step
+   * @private
+   */
+  async scheduleNextStep({ prospectId, profileId, sequenceId, steps, stepIndex, tenantId, schema, schedule }) {
+    const nextIndex = stepIndex + 1;
+
+    if (!Array.isArray(steps) || nextIndex >= steps.length) {
+      await OutreachProspectRepository.finish(prospectId, PROSPECT_STATUSES.COMPLETED, tenantId, schema);
+      return null;
+    }
+
+    const prospect = await OutreachProspectRepository.advance(prospectId, nextIndex, tenantId, schema);
+    if (!prospect) {
+      return null;
+    }
+
+    const delayDays = steps[nextIndex].delay_days || 0;
+    const scheduledTime = nextSendingTime(new Date(Date.now() + delayDays * 24 * 60 * 60 * 1000), schedule);
+
+    const slotId = await OutreachProspectRepository.createStepSlot({
+      sequenceId,
+      profileId,
+      scheduledTime: scheduledTime.toISOString(),
+      day: localDate(scheduledTime, schedule.timezone),
+      prospectId,
+      stepIndex: nextIndex
+    }, tenantId, schema);
+
+    logger.info('[Outreach Sequence] Next step scheduled', {
+      sequenceId,
+      prospectId,
+      stepIndex: nextIndex,
+      step: steps[nextIndex].type,
+      scheduledTime: scheduledTime.toISOString()
+    });
+
+    return { stepIndex: nextIndex, slotId, scheduledTime: scheduledTime.toISOString() };
+  }
+
   /**
    * Send connection invitation via Unipile
    * 
    * @private
    */
   async sendConnectionInvitation(accountId, privateId, message, headers, baseUrl) {
+    // LinkedIn refuses longer notes - fail the slot rather than send a cut note
+    if (message && message.length > OUTREACH_SEQUENCE_CONFIG.MAX_INVITE_NOTE_LENGTH) {
+      throw new Error(
+        `Invitation note is ${message.length} characters, LinkedIn allows ${OUTREACH_SEQUENCE_CONFIG.MAX_INVITE_NOTE_LENGTH}`
+      );
+    }
+
     const response = await axios.post(
       `${baseUrl}/linkedin/invite`,
       {
@@ -452,13 +883,36 @@ class UnipileOutreachSequenceService {
   }
 
   /**
-   * Accept pending request and send message
+   * Send an InMail via Unipile (needs Premium, Sales Navigator or Recruiter credits)
    * 
    * @private
    */
-  async acceptAndMessage(accountId, privateId, message, headers, baseUrl) {
-    // Accept incoming connection
-    await axios.post(
+  async sendInMail(accountId, privateId, subject, message, headers, baseUrl) {
+    const response = await axios.post(
+      `${baseUrl}/chats`,
+      {
+        account_id: accountId,
+        attendees_ids: [privateId],
+        text: message,
+        ...(subject && { subject }),
+        linkedin: { inmail: true }
+      },
+      { headers, timeout: 30000 }
+    );
+
+    return {
+      actionTaken: 'inmail_sent',
+      response: response.data
+    };
+  }
+
+  /**
+   * Accept pending request
+   * 
+   * @private
+   */
+  async acceptInvitation(accountId, privateId, headers, baseUrl) {
+    const response = await axios.post(
       `${baseUrl}/linkedin/accept-invitation`,
       {
         account_id: accountId,
@@ -467,6 +921,21 @@ class UnipileOutreachSequenceService {
       { headers, timeout: 30000 }
     );
 
+    return {
+      actionTaken: 'invitation_accepted',
+      response: response.data
+    };
+  }
+
+  /**
+   * Accept pending request and send message
+   * 
+   * @private
+   */
+  async acceptAndMessage(accountId, privateId, message, headers, baseUrl) {
+    // Accept incoming connection
+    await this.acceptInvitation(accountId, privateId, headers, baseUrl);
+
     // Then send message
     const messageResponse = await axios.post(
       `${baseUrl}/linkedin/message`,
@@ -486,10 +955,15 @@ class UnipileOutreachSequenceService {
 
   /**
    * Process all pending slots for today (cron job)
+   *
+   * @param {string} accountId - Unipile LinkedIn account ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} schema - Tenant schema the account is registered in
+   * @param {Object} credentials - Tenant's resolved Unipile credentials (default: platform)
    */
-  async processPendingSlots(accountId, tenantId) {
+  async processPendingSlots(accountId, tenantId, schema, credentials = null) {
     try {
-      const pendingSlots = await this.getPendingSlotsForToday(accountId, tenantId);
+      const pendingSlots = await this.getPendingSlotsForToday(accountId, tenantId, schema);
 
       if (!pendingSlots.success || pendingSlots.slots.length === 0) {
         logger.info('[Outreach Sequence] No pending slots for today', {
@@ -500,7 +974,12 @@ class UnipileOutreachSequenceService {
       }
 
       let processed = 0;
+      let skipped = 0;
+      let rescheduled = 0;
+      let deferred = 0;
       let failed = 0;
+      // Action types found at the account's quota this run -> when it frees up
+      const quotaReached = new Map();
 
       for (const slot of pendingSlots.slots) {
         // Check if it's time to send (current time >= scheduled time)
@@ -508,16 +987,58 @@ class UnipileOutreachSequenceService {
         const scheduledTime = new Date(slot.scheduled_time);
 
         if (now >= scheduledTime) {
+          const schedule = resolveSchedule(slot.account_sending_schedule, slot.sending_schedule);
+
+          // Not a sending time (holiday or blackout date added since the slot
+          // was scheduled, working hours over): move to the next working hours
+          if (!isSendingTime(now, schedule)) {
+            if (!isBeforeWorkingHours(now, schedule)) {
+              const nextTime = nextSendingTime(now, schedule);
+              await this.rescheduleSlot(slot.id, tenantId, nextTime, localDate(nextTime, schedule.timezone), schema);
+              rescheduled++;
+            }
+            continue;
+          }
+
+          // A reply can stop the slot while earlier ones are being sent
+          if (!(await this.isSlotPending(slot.id, tenantId, schema))) {
+            continue;
+          }
+
+          // Slots created before steps existed have none - their message is sent as before
+          const steps = Array.isArray(slot.steps) ? slot.steps : [];
+          const stepIndex = slot.step_index || 0;
+
+          // The account's quota for the step's action is already used up - no need to ask Unipile
+          const actionType = this.quotaActionType(steps[stepIndex]);
+          if (actionType && quotaReached.has(actionType)) {
+            await this.deferSlot(slot.id, tenantId, quotaReached.get(actionType), schedule, schema);
+            deferred++;
+            continue;
+          }
+
           const result = await this.sendConnectionRequest({
             slotId: slot.id,
             profileId: slot.profile_id,
             accountId,
             tenantId,
+            schema,
             message: slot.message,
-            sequenceId: slot.sequence_id
+            sequenceId: slot.sequence_id,
+            prospectId: slot.prospect_id,
+            step: steps[stepIndex],
+            stepIndex,
+            steps,
+            schedule,
+            credentials
           });
 
-          if (result.success) {
+          if (result.success && result.status === 'deferred') {
+            quotaReached.set(result.actionType, result.retryAt);
+            deferred++;
+          } else if (result.success && result.status === SLOT_STATUSES.SKIPPED) {
+            skipped++;
+          } else if (result.success) {
             processed++;
           } else {
             failed++;
@@ -533,10 +1054,13 @@ class UnipileOutreachSequenceService {
         accountId,
         tenantId,
         processed,
+        skipped,
+        rescheduled,
+        deferred,
         failed
       });
 
-      return { processed, failed };
+      return { processed, skipped, rescheduled, deferred, failed };
     } catch (error) {
       logger.error('[Outreach Sequence] Process pending slots failed', {
         error: error.message,
@@ -551,10 +1075,8 @@ class UnipileOutreachSequenceService {
   /**
    * Get sequence status
    */
-  async getSequenceStatus(sequenceId, tenantId) {
+  async getSequenceStatus(sequenceId, tenantId, schema) {
     try {
-      const schema = getSchema(null);
-
       const sequence = await pool.query(
         `SELECT * FROM ${schema}.outreach_sequences WHERE id = $1 AND tenant_id = $2`,
         [sequenceId, tenantId]
@@ -569,7 +1091,9 @@ class UnipileOutreachSequenceService {
           COUNT(*) as total,
           SUM(CASE WHEN status = 'sent' THEN 1 ELSE 0 END) as sent,
           SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
-          SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending
+          SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+          SUM(CASE WHEN status = 'skipped' THEN 1 ELSE 0 END) as skipped,
+          SUM(CASE WHEN status = 'stopped' THEN 1 ELSE 0 END) as stopped
         FROM ${schema}.outreach_sending_slots
         WHERE sequence_id = $1`,
         [sequenceId]
@@ -577,6 +1101,12 @@ class UnipileOutreachSequenceService {
 
       const stats = slots.rows[0];
 
+      // Where the prospects are: active, completed, stopped (replied), failed
+      const prospects = Object.fromEntries(Object.values(PROSPECT_STATUSES).map(status => [status, 0]));
+      for (const row of await OutreachProspectRepository.countByStatus(sequenceId, tenantId, schema)) {
+        prospects[row.status] = row.count;
+      }
+
       return {
         success: true,
         sequence: sequence.rows[0],
@@ -585,8 +1115,13 @@ class UnipileOutreachSequenceService {
           sent: parseInt(stats.sent) || 0,
           failed: parseInt(stats.failed) || 0,
           pending: parseInt(stats.pending) || 0,
+          skipped: parseInt(stats.skipped) || 0,
+          stopped: parseInt(stats.stopped) || 0,
+          replies: sequence.rows[0].reply_count || 0,
+          acceptances: sequence.rows[0].acceptance_count || 0,
           successRate: stats.total > 0 ? ((parseInt(stats.sent) / parseInt(stats.total)) * 100).toFixed(1) : 0
-        }
+        },
+        prospects
       };
     } catch (error) {
       logger.error('[Outreach Sequence] Get status failed', {
@@ -604,27 +1139,30 @@ class UnipileOutreachSequenceService {
    * @private
    */
   async saveSequence(params) {
-    const schema = getSchema(null);
     const {
       campaignId,
       tenantId,
+      schema,
       accountId,
       totalProfiles,
       dailyLimit,
       estimatedDays,
       estimatedWeeks,
       startDate,
-      message
+      message,
+      steps,
+      sendingSchedule
     } = params;
 
     const result = await pool.query(
       `INSERT INTO ${schema}.outreach_sequences 
         (campaign_id, tenant_id, account_id, total_profiles, daily_limit, 
-         estimated_days, estimated_weeks, start_date, message, status, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'active', NOW())
+         estimated_days, estimated_weeks, start_date, message, steps, sending_schedule, status, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'active', NOW())
        RETURNING id`,
       [campaignId, tenantId, accountId, totalProfiles, dailyLimit, 
-       estimatedDays, estimatedWeeks, startDate, message]
+       estimatedDays, estimatedWeeks, startDate, message, JSON.stringify(steps || []),
+       sendingSchedule ? JSON.stringify(sendingSchedule) : null]
     );
 
     return result.rows[0].id;
@@ -635,90 +1173,128 @@ class UnipileOutreachSequenceService {
    * 
    * @private
    */
-  async saveSendingSlots(sequenceId, tenantId, slots) {
-    const schema = getSchema(null);
-
+  async saveSendingSlots(sequenceId, tenantId, slots, schema) {
     const values = slots.map(slot => [
       sequenceId,
       tenantId,
       slot.profileId,
       slot.scheduledTime,
       'pending',
-      slot.day
+      slot.day,
+      slot.prospectId || null,
+      slot.stepIndex || 0
     ]);
 
     const placeholders = values
-      .map((_, i) => `($${i * 6 + 1}, $${i * 6 + 2}, $${i * 6 + 3}, $${i * 6 + 4}, $${i * 6 + 5}, $${i * 6 + 6})`)
+      .map((_, i) => `(${Array.from({ length: 8 }, (_, j) => `$${i * 8 + j + 1}`).join(', ')})`)
       .join(',');
 
     const flatValues = values.flat();
 
     await pool.query(
       `INSERT INTO ${schema}.outreach_sending_slots 
-        (sequence_id, tenant_id, profile_id, scheduled_time, status, day)
+        (sequence_id, tenant_id, profile_id, scheduled_time, status, day, prospect_id, step_index)
        VALUES ${placeholders}`,
       flatValues
     );
   }
 
   /**
-   * Helper: Update slot status
+   * Helper: Whether a slot is still pending (not sent, skipped, failed or stopped)
    * 
    * @private
    */
-  async updateSlotStatus(slotId, tenantId, status, metadata = {}) {
-    const schema = getSchema(null);
+  async isSlotPending(slotId, tenantId, schema) {
+    const result = await pool.query(
+      `SELECT 1 FROM ${schema}.outreach_sending_slots 
+       WHERE id = $1 AND tenant_id = $2 AND status = 'pending'`,
+      [slotId, tenantId]
+    );
 
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Helper: Move a pending slot to another time
+   * 
+   * @param {Date} scheduledTime
+   * @param {string} day - Local date in the schedule's timezone
+   * @private
+   */
+  async rescheduleSlot(slotId, tenantId, scheduledTime, day, schema) {
+    await pool.query(
+      `UPDATE ${schema}.outreach_sending_slots 
+       SET scheduled_time = $3,
+           day = $4,
+           updated_at = NOW()
+       WHERE id = $1 AND tenant_id = $2 AND status = 'pending'`,
+      [slotId, tenantId, scheduledTime.toISOString(), day]
+    );
+  }
+
+  /**
+   * Helper: Move a slot held back by the account's quota to when the quota
+   * frees up, spread over DEFER_SPREAD_MINUTES so deferred slots don't all
+   * come due at once, within the schedule's working hours
+   *
+   * @param {Date} availableAt - When the quota window frees up
+   * @returns {Promise<Date>} The slot's new time
+   * @private
+   */
+  async deferSlot(slotId, tenantId, availableAt, schedule, schema) {
+    const spread = Math.floor(Math.random() * LINKEDIN_ACCOUNT_QUOTAS.DEFER_SPREAD_MINUTES * 60000);
+    const nextTime = nextSendingTime(new Date(new Date(availableAt).getTime() + spread), schedule);
+
+    if (slotId && tenantId) {
+      await this.rescheduleSlot(slotId, tenantId, nextTime, localDate(nextTime, schedule.timezone), schema);
+    }
+    return nextTime;
+  }
+
+  /**
+   * Helper: Update slot status
+   * 
+   * @param {Object} identifiers - { providerId, publicIdentifier } of the prospect (kept when absent)
+   * @private
+   */
+  async updateSlotStatus(slotId, tenantId, status, metadata = {}, identifiers = {}, schema) {
     await pool.query(
       `UPDATE ${schema}.outreach_sending_slots 
        SET status = $1, 
            metadata = $3,
+           provider_id = COALESCE($5, provider_id),
+           public_identifier = COALESCE($6, public_identifier),
            updated_at = NOW()
        WHERE id = $2 AND tenant_id = $4`,
-      [status, slotId, JSON.stringify(metadata), tenantId]
+      [
+        status,
+        slotId,
+        JSON.stringify(metadata),
+        tenantId,
+        identifiers.providerId ? String(identifiers.providerId) : null,
+        identifiers.publicIdentifier ? String(identifiers.publicIdentifier) : null
+      ]
     );
   }
 
   /**
    * Get base URL for Unipile API
-   * According to Unipile docs: https://{YOUR_DSN}/api/v1/...
-   * DSN includes hostname and port (e.g., api8.unipile.com:13811)
+   * Uses the request's resolved credentials (tenant workspace or platform),
+   * otherwise the platform UNIPILE_DSN
+   *
+   * @param {Object} credentials - { dsn, token } from UnipileCredentialService.getCredentials (optional)
    */
-  getBaseUrl() {
-    if (!this.unipileDsn) {
-      throw new Error('UNIPILE_DSN not configured');
-    }
-
-    let dsn = this.unipileDsn.trim();
-    
-    // Add https:// if not present
-    if (!dsn.startsWith('http://') && !dsn.startsWith('https://')) {
-      dsn = `https://${dsn}`;
-    }
-    
-    // Remove trailing slashes
-    dsn = dsn.replace(/\/+$/, '');
-    
-    // Add /api/v1 path
-    if (!dsn.includes('/api/v1')) {
-      dsn = `${dsn}/api/v1`;
-    }
-    
-    return dsn;
+  getBaseUrl(credentials = null) {
+    return buildUnipileBaseUrl(credentials?.dsn || this.unipileDsn);
   }
 
   /**
    * Get authentication headers
-   * According to Unipile docs: X-API-KEY header with Access Token
+   *
+   * @param {Object} credentials - { dsn, token } from UnipileCredentialService.getCredentials (optional)
    */
-  getAuthHeaders() {
-    if (!this.unipileToken) {
-      throw new Error('UNIPILE_TOKEN not configured');
-    }
-    return {
-      'X-API-KEY': this.unipileToken,
-      'Content-Type': 'application/json'
-    };
+  getAuthHeaders(credentials = null) {
+    return buildUnipileHeaders(credentials?.token || this.unipileToken);
   }
 }
 
@@ -5,19 +5,98 @@
  * Contains helper functions specific to Apollo leads feature.
  */
 
+const { SEARCH_SCOPES, generateSearchFingerprint } = require('./searchFingerprint');
+
+const MONEY_SUFFIXES = { K: 1e3, M: 1e6, B: 1e9 };
+
 /**
- * Generate cache key for search parameters
+ * Generate cache key for people search parameters
+ * @deprecated Kept for existing callers - use generateSearchFingerprint
  */
 function generateSearchCacheKey(searchParams) {
-  const normalizedParams = {
-    ...searchParams,
-    // Sort arrays for consistent keys
-    person_titles: searchParams.person_titles ? [...searchParams.person_titles].sort() : [],
-    organization_locations: searchParams.organization_locations ? [...searchParams.organization_locations].sort() : [],
-    organization_industries: searchParams.organization_industries ? [...searchParams.organization_industries].sort() : []
+  return generateSearchFingerprint(SEARCH_SCOPES.PEOPLE, searchParams);
+}
+
+/**
+ * Coerce a single value or comma-separated string into a trimmed list
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Parse an amount like "500K", "10M" or "1B" into a number
+ */
+function parseMoneyAmount(amount) {
+  const match = /^(\d+(?:\.\d+)?)([KMB])?$/i.exec(String(amount).trim());
+  if (!match) return null;
+  const multiplier = match[2] ? MONEY_SUFFIXES[match[2].toUpperCase()] : 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * Parse a revenue range ("1M-10M", "1B+") into Apollo's { min, max }
+ * Returns null when the range can't be parsed
+ */
+function parseRevenueRange(range) {
+  if (!range) return null;
+  const value = String(range).trim().toUpperCase();
+
+  if (value.endsWith('+')) {
+    const min = parseMoneyAmount(value.slice(0, -1));
+    return min === null ? null : { min };
+  }
+
+  const [minPart, maxPart, ...rest] = value.split('-');
+  if (rest.length > 0 || maxPart === undefined) return null;
+
+  const min = parseMoneyAmount(minPart);
+  const max = parseMoneyAmount(maxPart);
+  if (min === null || max === null || min > max) return null;
+
+  return { min, max };
+}
+
+/**
+ * Normalize a technology name to Apollo's uid format
+ * e.g. "Google Analytics" -> "google_analytics", "Node.js" -> "node_js"
+ */
+function normalizeTechnologyUid(technology) {
+  return String(technology)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Normalize company search request parameters (POST body or GET query)
+ * Used by the controller and the search cache middleware so both see the same params
+ */
+function normalizeCompanySearchParams(params = {}) {
+  const {
+    keywords,
+    industry,
+    location,
+    company_size,
+    revenue_range,
+    technology,
+    limit = 50,
+    page = 1
+  } = params;
+
+  return {
+    keywords: keywords ? (Array.isArray(keywords) ? keywords : String(keywords).split(',')) : [],
+    industry,
+    location,
+    company_size,
+    revenue_range: revenue_range ? String(revenue_range).trim().toUpperCase() : undefined,
+    technology: toList(technology).map(normalizeTechnologyUid),
+    limit: parseInt(limit, 10) || 50,
+    page: parseInt(page, 10) || 1
   };
-  
-  return Buffer.from(JSON.stringify(normalizedParams)).toString('base64');
 }
 
 /**
@@ -77,6 +156,10 @@ function sanitizeSearchQuery(query) {
 
 module.exports = {
   generateSearchCacheKey,
+  toList,
+  parseRevenueRange,
+  normalizeTechnologyUid,
+  normalizeCompanySearchParams,
   formatPhoneNumber,
   extractDomainFromEmail,
   isEmailFromCompany,
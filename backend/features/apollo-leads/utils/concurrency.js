@@ -0,0 +1,43 @@
+/**
+ * Concurrency Utilities
+ * LAD Architecture: Feature-specific utility functions
+ */
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * Results keep the input order. A rejected call rejects the whole map,
+ * so callers that want partial results should catch inside `fn`.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
+
+/**
+ * Resolve after `ms` milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  mapWithConcurrency,
+  sleep
+};
@@ -0,0 +1,70 @@
+/**
+ * Credential Encryption Utilities
+ * LAD Architecture: Feature-specific utility functions
+ *
+ * AES-256-GCM for secrets stored in the database:
+ *   'v1.' + base64url(iv) + '.' + base64url(auth tag) + '.' + base64url(ciphertext)
+ * The tenant ID is bound as additional authenticated data, so a value copied
+ * onto another tenant's row fails to decrypt.
+ */
+
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+/**
+ * Parse a 32-byte key given as 64 hex characters or base64
+ * @returns {Buffer|null} null when the key is missing or the wrong size
+ */
+function parseEncryptionKey(value) {
+  if (!value) return null;
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  return key.length === 32 ? key : null;
+}
+
+/**
+ * Encrypt a secret for storage
+ *
+ * @param {string} plaintext - Secret to encrypt
+ * @param {Buffer} key - 32-byte key from parseEncryptionKey
+ * @param {string} associatedData - Value the ciphertext is bound to (tenant ID)
+ * @returns {string} Encoded ciphertext
+ */
+function encryptSecret(plaintext, key, associatedData) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(String(associatedData)));
+
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64url'), cipher.getAuthTag().toString('base64url'), ciphertext.toString('base64url')].join('.');
+}
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * Throws when the value was tampered with, or the key or associated data differ
+ *
+ * @param {string} encoded - Encoded ciphertext
+ * @param {Buffer} key - 32-byte key from parseEncryptionKey
+ * @param {string} associatedData - Value the ciphertext was bound to
+ * @returns {string} Plaintext
+ */
+function decryptSecret(encoded, key, associatedData) {
+  const [version, iv, tag, ciphertext] = String(encoded).split('.');
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unsupported encrypted credential format');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(String(associatedData)));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  parseEncryptionKey,
+  encryptSecret,
+  decryptSecret
+};
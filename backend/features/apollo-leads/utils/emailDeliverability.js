@@ -0,0 +1,93 @@
+/**
+ * Email Deliverability Utilities
+ * LAD Architecture: Feature-specific utility functions
+ *
+ * Offline verdict for a revealed email. Apollo's email_status is used when
+ * Apollo sent one; our own checks (syntax, role account, disposable domain,
+ * company domain) can only lower it, never raise it above what Apollo said.
+ */
+
+const { CACHE_CONFIG, EMAIL_DELIVERABILITY_CONFIG } = require('../constants/constants');
+const { extractDomainFromEmail, isEmailFromCompany } = require('./apolloUtils');
+
+const { VERDICTS, APOLLO_STATUS_VERDICTS, ROLE_ACCOUNTS, DISPOSABLE_DOMAINS } = EMAIL_DELIVERABILITY_CONFIG;
+
+const EMAIL_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Check if email is an Apollo placeholder (locked, hidden, example domain...)
+ */
+function isPlaceholderEmail(email) {
+  if (!email) return true;
+  const emailLower = email.toLowerCase();
+  return CACHE_CONFIG.FAKE_EMAIL_PATTERNS.some(pattern => emailLower.includes(pattern));
+}
+
+/**
+ * Apollo sends 'likely to engage' with spaces - normalize to a lookup key
+ */
+function normalizeApolloStatus(status) {
+  if (!status || typeof status !== 'string') return null;
+  return status.trim().toLowerCase().replace(/[\s-]+/g, '_') || null;
+}
+
+/**
+ * Strip protocol, www. and path from a company domain or website URL
+ */
+function normalizeCompanyDomain(domain) {
+  if (!domain || typeof domain !== 'string') return null;
+  return domain.trim().toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .split('/')[0] || null;
+}
+
+function isDisposableDomain(domain) {
+  return DISPOSABLE_DOMAINS.some(disposable => domain === disposable || domain.endsWith(`.${disposable}`));
+}
+
+/**
+ * Assess how likely an email is to be delivered
+ *
+ * @param {string} email - Revealed email
+ * @param {Object} options - { apolloStatus, companyDomain }
+ * @returns {Object} { verdict, email_status, checks: { syntax, role_account, disposable, company_domain } }
+ *   company_domain is null when the company domain is unknown
+ */
+function assessEmailDeliverability(email, options = {}) {
+  const emailStatus = normalizeApolloStatus(options.apolloStatus);
+  const companyDomain = normalizeCompanyDomain(options.companyDomain);
+  const normalized = String(email || '').trim().toLowerCase();
+
+  const syntax = normalized.length <= 254 && EMAIL_PATTERN.test(normalized);
+  const domain = syntax ? extractDomainFromEmail(normalized) : null;
+  const localPart = syntax ? normalized.split('@')[0].split('+')[0] : null;
+
+  const checks = {
+    syntax,
+    role_account: syntax && ROLE_ACCOUNTS.includes(localPart),
+    disposable: syntax && isDisposableDomain(domain),
+    company_domain: syntax && companyDomain ? isEmailFromCompany(normalized, companyDomain) : null
+  };
+
+  const apolloVerdict = emailStatus ? APOLLO_STATUS_VERDICTS[emailStatus] || null : null;
+
+  let verdict;
+  if (!checks.syntax || checks.disposable || apolloVerdict === VERDICTS.INVALID) {
+    verdict = VERDICTS.INVALID;
+  } else if (checks.role_account) {
+    verdict = VERDICTS.RISKY;
+  } else if (apolloVerdict) {
+    verdict = apolloVerdict;
+  } else {
+    // Nothing from Apollo: an address on the company's own domain is the best signal we have
+    verdict = checks.company_domain ? VERDICTS.LIKELY_VALID : VERDICTS.UNKNOWN;
+  }
+
+  return { verdict, email_status: emailStatus, checks };
+}
+
+module.exports = {
+  isPlaceholderEmail,
+  assessEmailDeliverability
+};
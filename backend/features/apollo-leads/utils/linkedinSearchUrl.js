@@ -0,0 +1,61 @@
+/**
+ * LinkedIn Search URL Utilities
+ * LAD Architecture: Feature-specific utility functions
+ *
+ * Recognizes LinkedIn URLs accepted as Unipile search input:
+ * - Sales Navigator searches:  /sales/search/people, /sales/search/company
+ * - Sales Navigator lists:     /sales/lists/people/<id> (leads), /sales/lists/company/<id> (accounts)
+ * - Classic searches:          /search/results/people, /search/results/companies
+ * - Recruiter searches:        /talent/search...
+ */
+
+const URL_PATTERNS = [
+  { pattern: /^\/sales\/search\/people\/?$/, api: 'sales_navigator', kind: 'search', categories: ['people'] },
+  { pattern: /^\/sales\/search\/company\/?$/, api: 'sales_navigator', kind: 'search', categories: ['companies'] },
+  // Leads in a lead list
+  { pattern: /^\/sales\/lists\/people\/([^/]+)\/?$/, api: 'sales_navigator', kind: 'lead_list', categories: ['people'] },
+  // Accounts in an account list, or the people working at them
+  { pattern: /^\/sales\/lists\/company\/([^/]+)\/?$/, api: 'sales_navigator', kind: 'account_list', categories: ['companies', 'people'] },
+  { pattern: /^\/search\/results\/people\/?$/, api: 'classic', kind: 'search', categories: ['people'] },
+  { pattern: /^\/search\/results\/companies\/?$/, api: 'classic', kind: 'search', categories: ['companies'] },
+  { pattern: /^\/talent\/(?:[^/]+\/)*search(?:\/.*)?$/, api: 'recruiter', kind: 'search', categories: ['people'] }
+];
+
+/**
+ * Parse a LinkedIn search or list URL
+ *
+ * @param {string} url - URL from the request
+ * @returns {Object|null} { api, kind: 'search' | 'lead_list' | 'account_list', listId, categories }, null when not recognized
+ */
+function parseLinkedInSearchUrl(url) {
+  if (typeof url !== 'string') return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed.protocol !== 'https:' || !/^(www\.)?linkedin\.com$/i.test(parsed.hostname)) {
+    return null;
+  }
+
+  for (const { pattern, api, kind, categories } of URL_PATTERNS) {
+    const match = parsed.pathname.match(pattern);
+    if (match) {
+      return {
+        api,
+        kind,
+        listId: match[1] ? decodeURIComponent(match[1]) : null,
+        categories
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseLinkedInSearchUrl
+};
@@ -0,0 +1,89 @@
+/**
+ * Message Template Utilities
+ * LAD Architecture: Feature-specific utility functions
+ *
+ * Outreach templates with lead variables: {{first_name}}, {{company_name}},
+ * {{title}}, {{location}}... A variable can carry a fallback used when the
+ * lead has no value: {{first_name|there}}.
+ */
+
+const { MESSAGE_TEMPLATE_CONFIG } = require('../constants/constants');
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_]+)\s*(?:\|([^}]*))?\}\}/g;
+
+// Marks a variable rendered empty until the space around it is cleaned up
+const EMPTY = '\u0000';
+
+/**
+ * Variables used in a template
+ *
+ * @param {string} template
+ * @returns {Array<Object>} [{ name, fallback }] in order of appearance
+ */
+function extractVariables(template) {
+  if (typeof template !== 'string') return [];
+
+  return [...template.matchAll(VARIABLE_PATTERN)].map(match => ({
+    name: match[1].toLowerCase(),
+    fallback: match[2] !== undefined ? match[2].trim() : null
+  }));
+}
+
+/**
+ * Variables a template uses that don't exist
+ *
+ * @returns {Array<string>}
+ */
+function findUnknownVariables(template) {
+  const unknown = extractVariables(template)
+    .map(variable => variable.name)
+    .filter(name => !MESSAGE_TEMPLATE_CONFIG.VARIABLES.includes(name));
+  return [...new Set(unknown)];
+}
+
+/**
+ * Template text without its variables - the length every rendering has at least
+ */
+function staticText(template) {
+  return typeof template === 'string' ? template.replace(VARIABLE_PATTERN, '') : '';
+}
+
+/**
+ * Render a template for a lead
+ * Variables without a value or fallback render empty, along with the space
+ * around them ("Hi {{first_name}}," -> "Hi,").
+ *
+ * @param {string} template
+ * @param {Object} values - Lead values by variable name
+ * @returns {Object} { text, missing } - missing: variables rendered empty
+ */
+function renderTemplate(template, values = {}) {
+  if (typeof template !== 'string' || template === '') {
+    return { text: template ?? null, missing: [] };
+  }
+
+  const missing = new Set();
+  const text = template
+    .replace(VARIABLE_PATTERN, (match, rawName, fallback) => {
+      const name = rawName.toLowerCase();
+      const value = values[name];
+      if (value !== undefined && value !== null && String(value).trim() !== '') {
+        return String(value).trim();
+      }
+      if (fallback !== undefined) return fallback.trim();
+      missing.add(name);
+      return EMPTY;
+    })
+    .replace(/[ \t]*\u0000[ \t]*(?=[,.!?;:]|$)/gm, '')
+    .replace(/(^|[ \t]+)\u0000[ \t]*/gm, (match, space) => (space ? ' ' : ''))
+    .trim();
+
+  return { text, missing: [...missing] };
+}
+
+module.exports = {
+  extractVariables,
+  findUnknownVariables,
+  staticText,
+  renderTemplate
+};
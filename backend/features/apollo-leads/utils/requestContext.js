@@ -0,0 +1,25 @@
+/**
+ * Request Context Utilities
+ * LAD Architecture: Feature-specific utility functions
+ */
+
+/**
+ * Request-shaped context for work done outside an HTTP request
+ * (background jobs, sweepers). Carries the same tenant/user fields the
+ * tenant and credit helpers read.
+ *
+ * @param {string} tenantId - Tenant ID
+ * @param {string} userId - User the work is done for ('system' when none)
+ * @returns {Object} Minimal req-like object
+ */
+function buildSystemRequestContext(tenantId, userId = 'system') {
+  return {
+    user: { id: userId, tenant_id: tenantId, tenantId },
+    tenant: { id: tenantId },
+    headers: { 'x-tenant-id': tenantId }
+  };
+}
+
+module.exports = {
+  buildSystemRequestContext
+};
@@ -0,0 +1,123 @@
+/**
+ * Search Fingerprint Utilities
+ * LAD Architecture: Feature-specific utility functions
+ *
+ * Canonical, collision-safe keys for search parameters. Used wherever a search
+ * needs a stable identity: the company search cache, people search cursors and
+ * Unipile search pagination.
+ *
+ * Normalization rules:
+ * - strings are trimmed and lowercased
+ * - null/undefined, empty strings, empty arrays and empty objects are dropped
+ * - arrays are deep-sorted, so ['US', 'UK'] and ['uk', 'us'] match - except
+ *   under ORDERED_FIELDS, whose order changes the search Apollo runs
+ * - object keys are sorted
+ *
+ * Bump FINGERPRINT_VERSION whenever these rules change - old keys then stop
+ * matching instead of colliding with keys built under different rules.
+ */
+
+const crypto = require('crypto');
+
+const FINGERPRINT_VERSION = 'v2';
+
+/**
+ * Fields whose array order matters: company search sends only keywords[0]
+ * as q_organization_name, and the first industry decides between tag ids
+ * and industry names
+ */
+const ORDERED_FIELDS = new Set(['keywords', 'industry']);
+
+/**
+ * Search scopes - part of the key so identical filters on different
+ * search types never share an entry
+ */
+const SEARCH_SCOPES = {
+  COMPANY: 'company',
+  PEOPLE: 'people',
+  UNIPILE_PEOPLE: 'unipile_people',
+  UNIPILE_COMPANY: 'unipile_company'
+};
+
+/**
+ * Recursively normalize a value
+ * Returns undefined for values that carry no filter meaning
+ *
+ * @param {*} value - Value to normalize
+ * @param {string} key - Field the value is under (keeps the order of ORDERED_FIELDS arrays)
+ */
+function canonicalize(value, key) {
+  if (value === null || value === undefined) return undefined;
+
+  if (typeof value === 'string') {
+    const normalized = value.trim().toLowerCase();
+    return normalized === '' ? undefined : normalized;
+  }
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : undefined;
+  }
+
+  if (typeof value === 'boolean') return value;
+
+  if (Array.isArray(value)) {
+    const items = value
+      .map(item => canonicalize(item))
+      .filter(item => item !== undefined);
+    const sorted = ORDERED_FIELDS.has(key)
+      ? items
+      : items
+        .map(item => ({ item, sortKey: JSON.stringify(item) }))
+        .sort((a, b) => (a.sortKey < b.sortKey ? -1 : a.sortKey > b.sortKey ? 1 : 0))
+        .map(({ item }) => item);
+    return sorted.length > 0 ? sorted : undefined;
+  }
+
+  if (typeof value === 'object') {
+    const result = {};
+    for (const field of Object.keys(value).sort()) {
+      const normalized = canonicalize(value[field], field);
+      if (normalized !== undefined) {
+        result[field] = normalized;
+      }
+    }
+    return Object.keys(result).length > 0 ? result : undefined;
+  }
+
+  return undefined;
+}
+
+/**
+ * Canonical JSON representation of search parameters
+ * @param {Object} params - Search parameters
+ * @returns {string} Deterministic JSON string
+ */
+function canonicalizeSearchParams(params = {}) {
+  return JSON.stringify(canonicalize(params) || {});
+}
+
+/**
+ * Generate a versioned fingerprint for a search
+ * @param {string} scope - One of SEARCH_SCOPES
+ * @param {Object} params - Search parameters
+ * @returns {string} Key of the form `v2:<scope>:<sha256 hex>`
+ */
+function generateSearchFingerprint(scope, params = {}) {
+  if (!Object.values(SEARCH_SCOPES).includes(scope)) {
+    throw new Error(`Unknown search fingerprint scope: ${scope}`);
+  }
+
+  const digest = crypto
+    .createHash('sha256')
+    .update(canonicalizeSearchParams(params))
+    .digest('hex');
+
+  return `${FINGERPRINT_VERSION}:${scope}:${digest}`;
+}
+
+module.exports = {
+  FINGERPRINT_VERSION,
+  SEARCH_SCOPES,
+  canonicalizeSearchParams,
+  generateSearchFingerprint
+};
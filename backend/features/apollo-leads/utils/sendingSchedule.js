@@ -0,0 +1,251 @@
+/**
+ * Sending Schedule Utilities
+ * LAD Architecture: Feature-specific utility functions
+ *
+ * When outreach may be sent for a LinkedIn account or sequence: IANA
+ * timezone, working days, working hours, holidays and blackout dates.
+ * Dates ('YYYY-MM-DD') and hours are local to the schedule's timezone;
+ * instants are Date objects (UTC). Uses Intl only - no timezone library.
+ *
+ * Schedule shape (stored as JSONB):
+ * {
+ *   timezone: 'Asia/Dubai',
+ *   working_days: ['sun', 'mon', 'tue', 'wed', 'thu'],
+ *   working_hours: { start: '09:00', end: '18:00' },
+ *   holidays: ['2026-12-02'],
+ *   blackout_dates: ['2026-12-24', { from: '2026-12-28', to: '2027-01-02' }]
+ * }
+ */
+
+const { SENDING_SCHEDULE_CONFIG } = require('../constants/constants');
+
+const { WEEKDAYS, DEFAULT_SCHEDULE } = SENDING_SCHEDULE_CONFIG;
+
+const formatters = new Map();
+
+/**
+ * Cached Intl formatter for a timezone (throws RangeError for unknown zones)
+ */
+function formatterFor(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Whether a string is an IANA timezone
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    formatterFor(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 'HH:MM' -> minutes since midnight, null when malformed
+ */
+function parseTime(value) {
+  const match = typeof value === 'string' ? value.match(/^(\d{2}):(\d{2})$/) : null;
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether a string is a calendar date 'YYYY-MM-DD'
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Local date and time of an instant in a timezone
+ *
+ * @returns {Object} { date: 'YYYY-MM-DD', minutes, seconds } - minutes since local midnight
+ */
+function localParts(instant, timezone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timezone).formatToParts(instant)) {
+    parts[type] = value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    seconds: parseInt(parts.second, 10)
+  };
+}
+
+/**
+ * Local calendar date of an instant in a timezone ('YYYY-MM-DD')
+ */
+function localDate(instant, timezone) {
+  return localParts(instant, timezone).date;
+}
+
+/**
+ * Instant of a local date and time in a timezone
+ * Wall times skipped by a DST change come out an hour off.
+ *
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} minutes - Minutes since local midnight
+ */
+function zonedTime(date, minutes, timezone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wanted = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Start from the wanted wall time read as UTC, correct by the zone offset (twice for DST edges)
+  let instant = wanted;
+  for (let i = 0; i < 2; i++) {
+    const local = localParts(new Date(instant), timezone);
+    const [y, m, d] = local.date.split('-').map(Number);
+    const localAsUtc = Date.UTC(y, m - 1, d, 0, local.minutes, local.seconds);
+    instant += wanted - localAsUtc;
+  }
+  return new Date(instant);
+}
+
+/**
+ * 'YYYY-MM-DD' plus days
+ */
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().split('T')[0];
+}
+
+/**
+ * Schedule with defaults for the fields not set
+ * Sequence schedules override the account's field by field.
+ *
+ * @param {...Object} schedules - Least to most specific (account, then sequence)
+ */
+function resolveSchedule(...schedules) {
+  const resolved = { ...DEFAULT_SCHEDULE, working_hours: { ...DEFAULT_SCHEDULE.working_hours } };
+  for (const schedule of schedules) {
+    if (!schedule || typeof schedule !== 'object') continue;
+    for (const key of Object.keys(DEFAULT_SCHEDULE)) {
+      if (schedule[key] !== undefined && schedule[key] !== null) {
+        resolved[key] = key === 'working_hours'
+          ? { ...resolved.working_hours, ...schedule.working_hours }
+          : schedule[key];
+      }
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Working hours of a schedule in minutes since local midnight
+ */
+function workingMinutes(schedule) {
+  return {
+    start: parseTime(schedule.working_hours.start),
+    end: parseTime(schedule.working_hours.end)
+  };
+}
+
+/**
+ * Whether outreach may be sent on a local date (working day, not a holiday or blackout date)
+ */
+function isWorkingDay(date, schedule) {
+  const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  if (!schedule.working_days.includes(weekday)) return false;
+  if (schedule.holidays.includes(date)) return false;
+
+  return !schedule.blackout_dates.some(blackout => (
+    typeof blackout === 'string'
+      ? blackout === date
+      : date >= blackout.from && date <= blackout.to
+  ));
+}
+
+/**
+ * Whether outreach may be sent at an instant
+ */
+function isSendingTime(instant, schedule) {
+  const { date, minutes } = localParts(instant, schedule.timezone);
+  const hours = workingMinutes(schedule);
+  return isWorkingDay(date, schedule) && minutes >= hours.start && minutes < hours.end;
+}
+
+/**
+ * Whether an instant is on a working day, before its working hours start
+ */
+function isBeforeWorkingHours(instant, schedule) {
+  const { date, minutes } = localParts(instant, schedule.timezone);
+  return isWorkingDay(date, schedule) && minutes < workingMinutes(schedule).start;
+}
+
+/**
+ * Next working day on or after a local date, null when none in a year
+ */
+function nextWorkingDay(date, schedule) {
+  let day = date;
+  for (let i = 0; i <= SENDING_SCHEDULE_CONFIG.MAX_LOOKAHEAD_DAYS; i++) {
+    if (isWorkingDay(day, schedule)) return day;
+    day = addDays(day, 1);
+  }
+  return null;
+}
+
+/**
+ * Random instant within a local date's working hours
+ */
+function randomWorkingTime(date, schedule) {
+  const hours = workingMinutes(schedule);
+  const minutes = hours.start + Math.floor(Math.random() * (hours.end - hours.start));
+  return zonedTime(date, minutes, schedule.timezone);
+}
+
+/**
+ * The instant itself when outreach may be sent then, otherwise a random
+ * time in the next working hours
+ *
+ * @throws Error when the schedule has no working day in the coming year
+ */
+function nextSendingTime(instant, schedule) {
+  if (isSendingTime(instant, schedule)) return new Date(instant);
+
+  const { date, minutes } = localParts(instant, schedule.timezone);
+  // Before today's hours: still today; after them: tomorrow at the earliest
+  const from = minutes < workingMinutes(schedule).start ? date : addDays(date, 1);
+  const day = nextWorkingDay(from, schedule);
+  if (!day) {
+    throw new Error('Sending schedule has no working day in the coming year');
+  }
+  return randomWorkingTime(day, schedule);
+}
+
+module.exports = {
+  isValidTimezone,
+  isValidDate,
+  parseTime,
+  localDate,
+  zonedTime,
+  addDays,
+  resolveSchedule,
+  workingMinutes,
+  isWorkingDay,
+  isSendingTime,
+  isBeforeWorkingHours,
+  nextWorkingDay,
+  nextSendingTime
+};
@@ -0,0 +1,60 @@
+/**
+ * Unipile Connection Utilities
+ * LAD Architecture: Feature-specific utility functions
+ *
+ * Base URL and auth headers for a Unipile workspace - the platform one
+ * (UNIPILE_DSN / UNIPILE_TOKEN) or a tenant's own.
+ */
+
+/**
+ * Base URL for the Unipile API
+ * According to Unipile docs: https://{YOUR_DSN}/api/v1/...
+ * DSN includes hostname and port (e.g., api8.unipile.com:13811)
+ *
+ * @param {string} dsn - Unipile DSN
+ * @returns {string} Base URL ending in /api/v1
+ */
+function buildUnipileBaseUrl(dsn) {
+  if (!dsn) {
+    throw new Error('UNIPILE_DSN not configured');
+  }
+
+  let baseUrl = dsn.trim();
+
+  // Add https:// if not present
+  if (!baseUrl.startsWith('http://') && !baseUrl.startsWith('https://')) {
+    baseUrl = `https://${baseUrl}`;
+  }
+
+  // Remove trailing slashes
+  baseUrl = baseUrl.replace(/\/+$/, '');
+
+  // Add /api/v1 path
+  if (!baseUrl.includes('/api/v1')) {
+    baseUrl = `${baseUrl}/api/v1`;
+  }
+
+  return baseUrl;
+}
+
+/**
+ * Authentication headers for the Unipile API
+ * According to Unipile docs: X-API-KEY header with Access Token
+ *
+ * @param {string} token - Unipile access token
+ */
+function buildUnipileHeaders(token) {
+  if (!token) {
+    throw new Error('UNIPILE_TOKEN not configured');
+  }
+
+  return {
+    'X-API-KEY': token,
+    'Content-Type': 'application/json'
+  };
+}
+
+module.exports = {
+  buildUnipileBaseUrl,
+  buildUnipileHeaders
+};
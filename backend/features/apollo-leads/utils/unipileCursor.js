@@ -0,0 +1,86 @@
+/**
+ * Unipile Search Cursor Utilities
+ * LAD Architecture: Feature-specific utility functions
+ *
+ * Wraps Unipile's pagination cursor in an opaque next_cursor bound to the
+ * search it came from: the search scope, the filters and the LinkedIn account.
+ * A cursor sent back with different filters or another account is refused
+ * instead of silently paging through a different result set.
+ *
+ *   base64url(JSON { v, k: search fingerprint, c: Unipile cursor })
+ */
+
+const { FINGERPRINT_VERSION, generateSearchFingerprint } = require('./searchFingerprint');
+
+/**
+ * Fields that define a Unipile search - the search API, URL, filters and account.
+ * Page size, cursor and credentials are not part of it.
+ */
+function cursorSearchKey(scope, params) {
+  const { limit, cursor, collect, credentials, accountId, api, ...filters } = params;
+  return generateSearchFingerprint(scope, {
+    ...filters,
+    api: api || 'classic',
+    account_id: accountId
+  });
+}
+
+/**
+ * Error carrying the HTTP status the endpoint should answer with
+ */
+function cursorError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Build the opaque next_cursor for a page
+ *
+ * @param {string} scope - SEARCH_SCOPES.UNIPILE_PEOPLE | SEARCH_SCOPES.UNIPILE_COMPANY
+ * @param {Object} params - Search params (filters and accountId)
+ * @param {string|null} unipileCursor - Cursor from the Unipile response
+ * @returns {string|null} null when there is no next page
+ */
+function encodeSearchCursor(scope, params, unipileCursor) {
+  if (!unipileCursor) return null;
+
+  const payload = {
+    v: FINGERPRINT_VERSION,
+    k: cursorSearchKey(scope, params),
+    c: unipileCursor
+  };
+  return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+}
+
+/**
+ * Unipile cursor inside a next_cursor sent back by the client
+ *
+ * @param {string} scope - Scope of the search being continued
+ * @param {Object} params - Search params of the request (filters and accountId)
+ * @param {string} cursor - next_cursor from a previous response
+ * @returns {string} Unipile cursor
+ * @throws Error with statusCode 400 when the cursor is malformed or belongs to another search
+ */
+function decodeSearchCursor(scope, params, cursor) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw cursorError('cursor is not a valid next_cursor');
+  }
+
+  if (!payload || typeof payload.c !== 'string' || !payload.c) {
+    throw cursorError('cursor is not a valid next_cursor');
+  }
+  if (payload.v !== FINGERPRINT_VERSION || payload.k !== cursorSearchKey(scope, params)) {
+    throw cursorError('cursor belongs to a different search - send the same filters and accountId as the first page');
+  }
+
+  return payload.c;
+}
+
+module.exports = {
+  encodeSearchCursor,
+  decodeSearchCursor
+};
@@ -0,0 +1,79 @@
+/**
+ * Webhook Token Utilities
+ * LAD Architecture: Feature-specific utility functions
+ *
+ * Signed tokens carried in the webhook URL of outgoing Apollo requests:
+ *   base64url(JSON claims) + '.' + base64url(HMAC-SHA256(claims part, secret))
+ * Claims always include a random nonce (n) and an expiry in epoch seconds (exp).
+ */
+
+const crypto = require('crypto');
+
+function sign(payloadPart, secret) {
+  return crypto.createHmac('sha256', secret).update(payloadPart).digest('base64url');
+}
+
+/**
+ * Create a signed token
+ *
+ * @param {Object} claims - Data to carry (kept short, it ends up in a URL)
+ * @param {string} secret - HMAC secret
+ * @param {number} ttlSeconds - Lifetime of the token
+ * @returns {string} Token
+ */
+function createWebhookToken(claims, secret, ttlSeconds) {
+  const payload = {
+    ...claims,
+    n: crypto.randomBytes(16).toString('hex'),
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  };
+  const payloadPart = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  return `${payloadPart}.${sign(payloadPart, secret)}`;
+}
+
+/**
+ * Verify a token's signature and expiry
+ *
+ * @param {string} token - Token from the webhook URL
+ * @param {string} secret - HMAC secret
+ * @returns {Object} { valid, claims, error }
+ */
+function verifyWebhookToken(token, secret) {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, error: 'Missing webhook token' };
+  }
+
+  const [payloadPart, signature, extra] = token.split('.');
+  if (!payloadPart || !signature || extra !== undefined) {
+    return { valid: false, error: 'Malformed webhook token' };
+  }
+
+  const expected = Buffer.from(sign(payloadPart, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, error: 'Invalid webhook token signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payloadPart, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, error: 'Malformed webhook token' };
+  }
+
+  if (!claims.n || !Number.isFinite(claims.exp)) {
+    return { valid: false, error: 'Malformed webhook token' };
+  }
+
+  if (claims.exp < Math.floor(Date.now() / 1000)) {
+    return { valid: false, error: 'Webhook token expired' };
+  }
+
+  return { valid: true, claims };
+}
+
+module.exports = {
+  createWebhookToken,
+  verifyWebhookToken
+};
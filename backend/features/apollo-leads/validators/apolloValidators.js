@@ -5,12 +5,48 @@
  * Validates request parameters and data for Apollo leads operations.
  */
 
+const {
+  COMPANY_FILTERS,
+  BULK_SEARCH_CONFIG,
+  EMAIL_REVEAL_CONFIG,
+  PHONE_REVEAL_CONFIG,
+  UNIPILE_SEARCH_CONFIG,
+  UNIPILE_SEARCH_FILTERS,
+  OUTREACH_SEQUENCE_CONFIG,
+  SENDING_SCHEDULE_CONFIG
+} = require('../constants/constants');
+const { toList, parseRevenueRange, normalizeTechnologyUid } = require('../utils/apolloUtils');
+const { parseLinkedInSearchUrl } = require('../utils/linkedinSearchUrl');
+const { findUnknownVariables, staticText } = require('../utils/messageTemplate');
+const { isValidTimezone, isValidDate, parseTime } = require('../utils/sendingSchedule');
+
 /**
  * Validate company search parameters
  */
 function validateCompanySearchParams(params) {
   const errors = [];
   
+  if (params.revenue_range) {
+    const ranges = toList(params.revenue_range).map(range => range.toUpperCase());
+    
+    if (ranges.length > 1) {
+      errors.push('revenue_range accepts a single range');
+    } else if (!COMPANY_FILTERS.REVENUE_RANGES.includes(ranges[0]) || !parseRevenueRange(ranges[0])) {
+      errors.push(`Unknown revenue_range "${params.revenue_range}". Accepted values: ${COMPANY_FILTERS.REVENUE_RANGES.join(', ')}`);
+    }
+  }
+  
+  if (params.technology) {
+    const invalid = toList(params.technology).filter(technology => {
+      const uid = normalizeTechnologyUid(technology);
+      return uid.length > COMPANY_FILTERS.TECHNOLOGY_UID_MAX_LENGTH || !COMPANY_FILTERS.TECHNOLOGY_UID_PATTERN.test(uid);
+    });
+    
+    if (invalid.length > 0) {
+      errors.push(`Invalid technology: ${invalid.join(', ')}. Use Apollo technology uids, e.g. salesforce, google_analytics`);
+    }
+  }
+  
   if (params.limit && (params.limit < 1 || params.limit > 100)) {
     errors.push('Limit must be between 1 and 100');
   }
@@ -25,6 +61,37 @@ function validateCompanySearchParams(params) {
   };
 }
 
+/**
+ * Validate bulk company search parameters
+ * Each search must pass validateCompanySearchParams; errors are prefixed with its index
+ */
+function validateBulkSearchParams(params) {
+  const errors = [];
+  const { searches } = params;
+  
+  if (!Array.isArray(searches) || searches.length === 0) {
+    errors.push('searches must be a non-empty array');
+  } else if (searches.length > BULK_SEARCH_CONFIG.MAX_SEARCHES) {
+    errors.push(`At most ${BULK_SEARCH_CONFIG.MAX_SEARCHES} searches are allowed per request`);
+  } else {
+    searches.forEach((search, index) => {
+      if (!search || typeof search !== 'object') {
+        errors.push(`searches[${index}]: must be an object`);
+        return;
+      }
+      
+      validateCompanySearchParams(search).errors.forEach(error => {
+        errors.push(`searches[${index}]: ${error}`);
+      });
+    });
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
 /**
  * Validate employee search parameters
  */
@@ -70,8 +137,380 @@ function validateRevealParams(params) {
   };
 }
 
+/**
+ * Validate decision maker phone reveal parameters
+ */
+function validateDecisionMakerPhonesParams(params) {
+  const errors = [];
+  const { contacts } = params;
+  
+  if (!Array.isArray(contacts) || contacts.length === 0) {
+    errors.push('contacts must be a non-empty array');
+  } else {
+    if (contacts.length > PHONE_REVEAL_CONFIG.MAX_CONTACTS_PER_REQUEST) {
+      errors.push(`At most ${PHONE_REVEAL_CONFIG.MAX_CONTACTS_PER_REQUEST} contacts can be revealed per request`);
+    }
+    
+    const invalid = contacts
+      .map((contact, index) => ((contact && (contact.id || contact.name)) ? null : index))
+      .filter(index => index !== null);
+    
+    if (invalid.length > 0) {
+      errors.push(`Each contact needs an id or name (invalid positions: ${invalid.join(', ')})`);
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate bulk email reveal parameters
+ */
+function validateRevealEmailsParams(params) {
+  const errors = [];
+  const { person_ids } = params;
+  
+  if (!Array.isArray(person_ids) || person_ids.length === 0) {
+    errors.push('person_ids must be a non-empty array');
+  } else {
+    if (person_ids.length > EMAIL_REVEAL_CONFIG.MAX_PERSONS_PER_REQUEST) {
+      errors.push(`At most ${EMAIL_REVEAL_CONFIG.MAX_PERSONS_PER_REQUEST} people can be revealed per request`);
+    }
+    
+    const invalid = person_ids
+      .map((id, index) => (((typeof id === 'string' && id.trim()) || typeof id === 'number') ? null : index))
+      .filter(index => index !== null);
+    
+    if (invalid.length > 0) {
+      errors.push(`Each person id must be a non-empty string (invalid positions: ${invalid.join(', ')})`);
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Whether a filter value was given (empty strings and arrays count as absent)
+ */
+function hasFilterValue(value) {
+  if (value === undefined || value === null || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+/**
+ * Validate a { min, max } years range
+ */
+function validateYearsRange(name, range, errors) {
+  const { MAX_YEARS } = UNIPILE_SEARCH_FILTERS;
+  const isYears = value => value === undefined || (Number.isInteger(value) && value >= 0 && value <= MAX_YEARS);
+
+  if (typeof range !== 'object' || Array.isArray(range) || (range.min === undefined && range.max === undefined)) {
+    errors.push(`${name} must be { min, max } in years`);
+  } else if (!isYears(range.min) || !isYears(range.max)) {
+    errors.push(`${name} min and max must be whole years between 0 and ${MAX_YEARS}`);
+  } else if (range.min !== undefined && range.max !== undefined && range.min > range.max) {
+    errors.push(`${name} min must not exceed max`);
+  }
+}
+
+/**
+ * Validate Unipile people/company search parameters against the filter schema
+ * of the search API (classic, sales_navigator, recruiter).
+ *
+ * The API is picked from the LinkedIn account type unless params.api asks for
+ * another one the account can use; a LinkedIn search/list URL (params.url)
+ * decides the API itself and can't be combined with filters.
+ *
+ * @param {Object} params - Request body
+ * @param {Object} context - { category: 'people' | 'companies', accountType }
+ * @returns {Object} { valid, errors, api }
+ */
+function validateUnipileSearchParams(params, { category, accountType }) {
+  const errors = [];
+  const { APIS, ACCOUNT_TYPE_APIS, FILTER_SCHEMAS } = UNIPILE_SEARCH_CONFIG;
+  const accountApis = ACCOUNT_TYPE_APIS[accountType] || ACCOUNT_TYPE_APIS.classic;
+  const knownFilters = [...new Set(
+    Object.values(FILTER_SCHEMAS).flatMap(schemas => Object.values(schemas).flat())
+  )];
+  const givenFilters = knownFilters.filter(filter => hasFilterValue(params[filter]));
+  let api = params.api;
+
+  if (params.url) {
+    const parsedUrl = parseLinkedInSearchUrl(params.url);
+    
+    if (!parsedUrl) {
+      errors.push('url must be a LinkedIn search URL (Sales Navigator, Recruiter or classic) or a Sales Navigator lead/account list URL');
+      return { valid: false, errors, api };
+    }
+    if (!parsedUrl.categories.includes(category)) {
+      errors.push(`url is a ${parsedUrl.categories.join('/')} search, not a ${category} search`);
+    }
+    if (params.api && params.api !== parsedUrl.api) {
+      errors.push(`api "${params.api}" does not match the url (${parsedUrl.api})`);
+    }
+    if (givenFilters.length > 0) {
+      errors.push(`url can't be combined with filters: ${givenFilters.join(', ')}`);
+    }
+    api = parsedUrl.api;
+  } else {
+    api = api || accountApis.find(candidate => FILTER_SCHEMAS[candidate][category]);
+  }
+  
+  if (!Object.values(APIS).includes(api)) {
+    errors.push(`api must be one of: ${Object.values(APIS).join(', ')}`);
+    return { valid: false, errors, api };
+  }
+  if (!accountApis.includes(api)) {
+    errors.push(`${api} search needs a ${api} LinkedIn account (this account is ${accountType || 'classic'})`);
+    return { valid: false, errors, api };
+  }
+  
+  const schema = FILTER_SCHEMAS[api][category];
+  if (!schema) {
+    errors.push(`${api} search does not support ${category}`);
+    return { valid: false, errors, api };
+  }
+  
+  if (params.url) {
+    return { valid: errors.length === 0, errors, api };
+  }
+  
+  if (givenFilters.length === 0) {
+    errors.push(`At least one search filter is required: ${schema.join(', ')}`);
+  }
+  
+  const unsupported = givenFilters.filter(filter => !schema.includes(filter));
+  if (unsupported.length > 0) {
+    errors.push(`Not supported by ${api} ${category} search: ${unsupported.join(', ')}. Accepted filters: ${schema.join(', ')}`);
+  }
+  
+  for (const [filter, values] of [['seniority', UNIPILE_SEARCH_FILTERS.SENIORITY], ['function', UNIPILE_SEARCH_FILTERS.FUNCTION]]) {
+    if (schema.includes(filter) && hasFilterValue(params[filter])) {
+      const unknown = toList(params[filter])
+        .filter(value => !/^\d+$/.test(String(value)) && !values[String(value).trim().toLowerCase()]);
+      if (unknown.length > 0) {
+        errors.push(`Unknown ${filter}: ${unknown.join(', ')}. Accepted values: ${Object.keys(values).join(', ')} (or LinkedIn ids)`);
+      }
+    }
+  }
+  
+  if (schema.includes('company_headcount') && hasFilterValue(params.company_headcount)) {
+    const ranges = Array.isArray(params.company_headcount) ? params.company_headcount : [params.company_headcount];
+    const unknown = ranges.filter(range => {
+      if (typeof range === 'string') return !UNIPILE_SEARCH_FILTERS.COMPANY_HEADCOUNT[range.trim()];
+      return typeof range !== 'object' || range === null ||
+        (!Number.isInteger(range.min) && !Number.isInteger(range.max)) ||
+        (Number.isInteger(range.min) && Number.isInteger(range.max) && range.min > range.max);
+    });
+    if (unknown.length > 0) {
+      errors.push(`company_headcount takes size buckets (${Object.keys(UNIPILE_SEARCH_FILTERS.COMPANY_HEADCOUNT).join(', ')}) or { min, max } ranges`);
+    }
+  }
+  
+  for (const filter of ['years_in_role', 'years_of_experience']) {
+    if (schema.includes(filter) && hasFilterValue(params[filter])) {
+      validateYearsRange(filter, params[filter], errors);
+    }
+  }
+  
+  for (const filter of ['changed_jobs', 'posted_on_linkedin']) {
+    if (schema.includes(filter) && hasFilterValue(params[filter]) && typeof params[filter] !== 'boolean') {
+      errors.push(`${filter} must be true or false`);
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+    api
+  };
+}
+
+/**
+ * Validate the steps of a multi-step outreach sequence
+ * Sequences without steps use the single message (checked by the controller)
+ * 
+ * @param {Array} steps - [{ type, template, subject, delay_days, condition }]
+ * @returns {Object} { valid, errors }
+ */
+function validateOutreachSteps(steps) {
+  const errors = [];
+  const { STEP_TYPES, CONDITIONS, MAX_STEPS, MAX_DELAY_DAYS, MAX_TEMPLATE_LENGTH, MAX_INVITE_NOTE_LENGTH } = OUTREACH_SEQUENCE_CONFIG;
+  // 'auto' is only used for single-message sequences
+  const stepTypes = Object.values(STEP_TYPES).filter(type => type !== STEP_TYPES.AUTO);
+  const conditions = Object.values(CONDITIONS);
+  
+  if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_STEPS) {
+    errors.push(`steps must be an array of 1-${MAX_STEPS} steps`);
+    return { valid: false, errors };
+  }
+  
+  steps.forEach((step, index) => {
+    const label = `steps[${index}]`;
+    
+    if (!step || typeof step !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (!stepTypes.includes(step.type)) {
+      errors.push(`${label}.type must be one of: ${stepTypes.join(', ')}`);
+      return;
+    }
+    
+    const template = step.template;
+    if (step.type === STEP_TYPES.MESSAGE || step.type === STEP_TYPES.INMAIL) {
+      if (typeof template !== 'string' || !template.trim() || template.length > MAX_TEMPLATE_LENGTH) {
+        errors.push(`${label}.template is required for ${step.type} steps (max ${MAX_TEMPLATE_LENGTH} characters)`);
+      }
+    } else if (step.type === STEP_TYPES.INVITE) {
+      // Rendered notes are checked per prospect when the sequence is created
+      if (template !== undefined && template !== null &&
+          (typeof template !== 'string' || staticText(template).length > MAX_INVITE_NOTE_LENGTH)) {
+        errors.push(`${label}.template (invitation note) must be at most ${MAX_INVITE_NOTE_LENGTH} characters`);
+      }
+    } else if (template !== undefined && template !== null) {
+      errors.push(`${label}.template is not used by ${step.type} steps`);
+    }
+    
+    const unknownVariables = findUnknownVariables(template);
+    if (unknownVariables.length > 0) {
+      errors.push(`${label}.template uses unknown variables: ${unknownVariables.join(', ')}`);
+    }
+    
+    if (step.subject !== undefined && (step.type !== STEP_TYPES.INMAIL || typeof step.subject !== 'string' || step.subject.length > 200)) {
+      errors.push(`${label}.subject is only for inmail steps (max 200 characters)`);
+    }
+    
+    if (step.delay_days !== undefined) {
+      if (!Number.isInteger(step.delay_days) || step.delay_days < 0 || step.delay_days > MAX_DELAY_DAYS) {
+        errors.push(`${label}.delay_days must be an integer between 0 and ${MAX_DELAY_DAYS}`);
+      } else if (index === 0 && step.delay_days > 0) {
+        errors.push('steps[0].delay_days must be 0 - use startDate to start the sequence later');
+      }
+    }
+    
+    if (step.condition !== undefined && !conditions.includes(step.condition)) {
+      errors.push(`${label}.condition must be one of: ${conditions.join(', ')}`);
+    }
+  });
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate the message of a single-step outreach sequence
+ * It is sent as the invitation note or as a message, depending on the relationship
+ * 
+ * @param {string} message - Message template (optional)
+ * @returns {Object} { valid, errors }
+ */
+function validateOutreachMessage(message) {
+  const errors = [];
+  
+  if (message === undefined || message === null) {
+    return { valid: true, errors };
+  }
+  
+  if (typeof message !== 'string' || message.length > OUTREACH_SEQUENCE_CONFIG.MAX_TEMPLATE_LENGTH) {
+    errors.push(`message must be a string of at most ${OUTREACH_SEQUENCE_CONFIG.MAX_TEMPLATE_LENGTH} characters`);
+  } else {
+    const unknownVariables = findUnknownVariables(message);
+    if (unknownVariables.length > 0) {
+      errors.push(`message uses unknown variables: ${unknownVariables.join(', ')}`);
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate a sending schedule (account or sequence)
+ * Every field is optional - missing ones come from the account's schedule
+ * or the defaults
+ * 
+ * @param {Object} schedule - { timezone, working_days, working_hours, holidays, blackout_dates }
+ * @returns {Object} { valid, errors }
+ */
+function validateSendingSchedule(schedule) {
+  const errors = [];
+  const { WEEKDAYS, DEFAULT_SCHEDULE, MAX_DATES, MIN_WORKING_MINUTES } = SENDING_SCHEDULE_CONFIG;
+  
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return { valid: false, errors: ['schedule must be an object'] };
+  }
+  
+  const unknownFields = Object.keys(schedule).filter(key => !(key in DEFAULT_SCHEDULE));
+  if (unknownFields.length > 0) {
+    errors.push(`Unknown schedule fields: ${unknownFields.join(', ')}`);
+  }
+  
+  if (schedule.timezone !== undefined && !isValidTimezone(schedule.timezone)) {
+    errors.push('timezone must be an IANA timezone, e.g. Asia/Dubai');
+  }
+  
+  if (schedule.working_days !== undefined) {
+    const days = schedule.working_days;
+    if (!Array.isArray(days) || days.length === 0 || new Set(days).size !== days.length ||
+        days.some(day => !WEEKDAYS.includes(day))) {
+      errors.push(`working_days must be distinct days from: ${WEEKDAYS.join(', ')}`);
+    }
+  }
+  
+  if (schedule.working_hours !== undefined) {
+    const start = parseTime(schedule.working_hours?.start);
+    const end = parseTime(schedule.working_hours?.end);
+    if (start === null || end === null) {
+      errors.push('working_hours needs start and end as HH:MM');
+    } else if (end - start < MIN_WORKING_MINUTES) {
+      errors.push(`working_hours must span at least ${MIN_WORKING_MINUTES} minutes, within one day`);
+    }
+  }
+  
+  if (schedule.holidays !== undefined) {
+    if (!Array.isArray(schedule.holidays) || schedule.holidays.length > MAX_DATES ||
+        !schedule.holidays.every(isValidDate)) {
+      errors.push(`holidays must be at most ${MAX_DATES} dates as YYYY-MM-DD`);
+    }
+  }
+  
+  if (schedule.blackout_dates !== undefined) {
+    const blackouts = schedule.blackout_dates;
+    const validEntry = entry => isValidDate(entry) || (
+      entry && typeof entry === 'object' && isValidDate(entry.from) && isValidDate(entry.to) && entry.from <= entry.to
+    );
+    if (!Array.isArray(blackouts) || blackouts.length > MAX_DATES || !blackouts.every(validEntry)) {
+      errors.push(`blackout_dates must be at most ${MAX_DATES} dates (YYYY-MM-DD) or ranges ({ from, to })`);
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
 module.exports = {
   validateCompanySearchParams,
+  validateBulkSearchParams,
   validateEmployeeSearchParams,
-  validateRevealParams
+  validateRevealParams,
+  validateDecisionMakerPhonesParams,
+  validateRevealEmailsParams,
+  validateUnipileSearchParams,
+  validateOutreachSteps,
+  validateOutreachMessage,
+  validateSendingSchedule
 };
\ No newline at end of file
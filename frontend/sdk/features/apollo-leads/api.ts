@@ -5,6 +5,23 @@
  * LAD Architecture Compliant - Uses shared apiClient
  */
 import { apiClient } from '../../shared/apiClient';
+import type {
+  ApolloCredentialStatus,
+  ApolloCredentialTestResult,
+  ApolloQuotaState,
+  BulkEmailRevealResponse,
+  LinkedInAccount,
+  LinkedInAccountConnectLink,
+  LinkedInAccountInput,
+  LinkedInAccountStatus,
+  LinkedInAccountUsage,
+  PhoneRevealState,
+  UnipileCredentialStatus,
+  UnipileSearchPage,
+  UnipileSearchParams,
+  LinkedInParameterType,
+  LinkedInParameterResults
+} from './types';
 const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || 'https://lad-backend-develop-741719885039.us-central1.run.app';
 const BASE_PATH = `${API_BASE_URL}/api/apollo-leads`;
 /**
@@ -21,6 +38,20 @@ export async function searchCompanies(params: {
   const response = await apiClient.post(`${BASE_PATH}/search`, params);
   return response.data;
 }
+/**
+ * List companies saved from previous searches (no Apollo credits)
+ */
+export async function listSavedCompanies(params: {
+  industry?: string;
+  location?: string;
+  domain?: string;
+  company_size?: string;
+  limit?: number;
+  page?: number;
+} = {}) {
+  const response = await apiClient.get(`${BASE_PATH}/companies`, { params });
+  return response.data;
+}
 /**
  * Get company details
  */
@@ -64,6 +95,146 @@ export async function checkHealth() {
   const response = await apiClient.get(`${BASE_PATH}/health`);
   return response.data;
 }
+/**
+ * Apollo rate-limit quota (warn the user before searches start failing)
+ */
+export async function getApolloQuota(): Promise<ApolloQuotaState> {
+  const response = await apiClient.get(`${BASE_PATH}/quota`);
+  return response.data.data;
+}
+/**
+ * Tenant's own Apollo key status (tenant admins)
+ */
+export async function getApolloCredentials(): Promise<ApolloCredentialStatus> {
+  const response = await apiClient.get(`${BASE_PATH}/credentials`);
+  return response.data.data;
+}
+/**
+ * Store the tenant's own Apollo key - its Apollo calls stop using platform credits
+ */
+export async function setApolloCredentials(apiKey: string): Promise<ApolloCredentialStatus> {
+  const response = await apiClient.put(`${BASE_PATH}/credentials`, { api_key: apiKey });
+  return response.data.data;
+}
+/**
+ * Replace the tenant's stored Apollo key
+ */
+export async function rotateApolloCredentials(apiKey: string): Promise<ApolloCredentialStatus> {
+  const response = await apiClient.post(`${BASE_PATH}/credentials/rotate`, { api_key: apiKey });
+  return response.data.data;
+}
+/**
+ * Test the stored Apollo key, or a candidate key without storing it
+ */
+export async function testApolloCredentials(apiKey?: string): Promise<ApolloCredentialTestResult> {
+  const response = await apiClient.post(`${BASE_PATH}/credentials/test`, apiKey ? { api_key: apiKey } : {});
+  return response.data.data;
+}
+/**
+ * Remove the tenant's Apollo key (back to the platform key and platform credits)
+ */
+export async function removeApolloCredentials(): Promise<ApolloCredentialStatus> {
+  const response = await apiClient.delete(`${BASE_PATH}/credentials`);
+  return response.data.data;
+}
+/**
+ * Tenant's LinkedIn accounts - Unipile search and outreach only accept these account ids
+ */
+export async function listLinkedInAccounts(status?: LinkedInAccountStatus): Promise<LinkedInAccount[]> {
+  const response = await apiClient.get(`${BASE_PATH}/unipile/accounts`, { params: status ? { status } : {} });
+  return response.data.data;
+}
+/**
+ * Unipile hosted auth link connecting a LinkedIn account on the platform Unipile workspace (tenant admins)
+ * The account is registered to the tenant once connected through the link.
+ */
+export async function createLinkedInAccountConnectLink(): Promise<LinkedInAccountConnectLink> {
+  const response = await apiClient.post(`${BASE_PATH}/unipile/accounts/connect`);
+  return response.data.data;
+}
+/**
+ * Register a LinkedIn account of the tenant's own Unipile workspace (tenant admins)
+ * Accounts on the platform workspace are connected with createLinkedInAccountConnectLink.
+ */
+export async function registerLinkedInAccount(
+  accountId: string,
+  input: LinkedInAccountInput = {}
+): Promise<LinkedInAccount> {
+  const response = await apiClient.post(`${BASE_PATH}/unipile/accounts`, { account_id: accountId, ...input });
+  return response.data.data;
+}
+/**
+ * Update a LinkedIn account's owner, display name, type, status or sending schedule (tenant admins)
+ */
+export async function updateLinkedInAccount(id: string, input: LinkedInAccountInput): Promise<LinkedInAccount> {
+  const response = await apiClient.patch(`${BASE_PATH}/unipile/accounts/${id}`, input);
+  return response.data.data;
+}
+/**
+ * Remove a LinkedIn account from the tenant's registry (tenant admins)
+ */
+export async function removeLinkedInAccount(id: string): Promise<{ id: string; removed: boolean }> {
+  const response = await apiClient.delete(`${BASE_PATH}/unipile/accounts/${id}`);
+  return response.data.data;
+}
+/**
+ * A LinkedIn account's invitations and messages over the last 24 hours and 7 days against its limits
+ */
+export async function getLinkedInAccountUsage(accountId: string): Promise<LinkedInAccountUsage> {
+  const response = await apiClient.get(`${BASE_PATH}/unipile/outreach/usage`, { params: { accountId } });
+  return response.data.usage;
+}
+/**
+ * Search LinkedIn people via Unipile - pass next_cursor back as cursor for the next page,
+ * or collect: true to have the server follow pages up to limit
+ */
+export async function searchLinkedInPeople(params: UnipileSearchParams): Promise<UnipileSearchPage> {
+  const response = await apiClient.post(`${BASE_PATH}/unipile/search/people`, params);
+  return response.data;
+}
+/**
+ * Search LinkedIn companies via Unipile (same paging as searchLinkedInPeople)
+ */
+export async function searchLinkedInCompanies(params: UnipileSearchParams): Promise<UnipileSearchPage> {
+  const response = await apiClient.post(`${BASE_PATH}/unipile/search/companies`, params);
+  return response.data;
+}
+/**
+ * Typeahead for LinkedIn search filters - ranked ids for a location, industry,
+ * skill, company or school name
+ */
+export async function searchLinkedInParameters(
+  type: LinkedInParameterType,
+  q: string,
+  accountId: string,
+  limit?: number
+): Promise<LinkedInParameterResults> {
+  const response = await apiClient.get(`${BASE_PATH}/unipile/search/parameters`, {
+    params: { type, q, accountId, limit }
+  });
+  return response.data;
+}
+/**
+ * Tenant's own Unipile workspace status (tenant admins)
+ */
+export async function getUnipileCredentials(): Promise<UnipileCredentialStatus> {
+  const response = await apiClient.get(`${BASE_PATH}/unipile/credentials`);
+  return response.data.data;
+}
+/**
+ * Store the tenant's own Unipile DSN and token (tested against Unipile first)
+ */
+export async function setUnipileCredentials(dsn: string, token: string): Promise<UnipileCredentialStatus> {
+  const response = await apiClient.put(`${BASE_PATH}/unipile/credentials`, { dsn, token });
+  return response.data.data;
+}
+/**
+ * Remove the tenant's Unipile credentials (back to the platform workspace)
+ */
+export async function removeUnipileCredentials(): Promise<UnipileCredentialStatus> {
+  const response = await apiClient.delete(`${BASE_PATH}/unipile/credentials`);
+  return response.data.data;
+}
 /**
  * Search employees from database cache
  */
@@ -73,6 +244,8 @@ export async function searchEmployeesFromDb(params: {
   organization_industries?: string[];
   per_page?: number;
   page?: number;
+  exclude_ids?: string[];
+  verified_only?: boolean;
 }) {
   const response = await apiClient.post(`${BASE_PATH}/search-employees-from-db`, params);
   return response.data;
@@ -87,6 +260,14 @@ export async function revealEmailPost(params: {
   const response = await apiClient.post(`${BASE_PATH}/reveal-email`, params);
   return response.data;
 }
+/**
+ * Reveal many emails at once (cache first, then Apollo bulk_match)
+ * Only real emails returned by Apollo are billed
+ */
+export async function revealEmails(personIds: string[]): Promise<BulkEmailRevealResponse> {
+  const response = await apiClient.post(`${BASE_PATH}/reveal-emails`, { person_ids: personIds });
+  return response.data;
+}
 /**
  * Reveal phone via POST endpoint
  */
@@ -97,6 +278,31 @@ export async function revealPhonePost(params: {
   const response = await apiClient.post(`${BASE_PATH}/reveal-phone`, params);
   return response.data;
 }
+/**
+ * Current state of a phone reveal (phone reveals return reveal_id)
+ */
+export async function getPhoneReveal(revealId: string): Promise<PhoneRevealState> {
+  const response = await apiClient.get(`${BASE_PATH}/phone-reveals/${revealId}`);
+  return response.data.data;
+}
+/**
+ * Follow a phone reveal over server-sent events until it is delivered,
+ * unavailable or expired. Returns a function that stops listening.
+ */
+export function watchPhoneReveal(
+  revealId: string,
+  onUpdate: (reveal: PhoneRevealState) => void
+): () => void {
+  const source = new EventSource(`${BASE_PATH}/phone-reveals/${revealId}/events`, { withCredentials: true });
+  source.addEventListener('reveal', (event) => {
+    const reveal: PhoneRevealState = JSON.parse((event as MessageEvent).data);
+    onUpdate(reveal);
+    if (['delivered', 'unavailable', 'expired'].includes(reveal.status)) {
+      source.close();
+    }
+  });
+  return () => source.close();
+}
 /**
  * Get decision maker phone numbers for a list of contacts
  * LAD Architecture: Phone reveal functionality
@@ -134,4 +340,40 @@ export async function revealSinglePhone(
     }
   }
   return null;
+}
+/**
+ * Start a background enrichment job (1 credit per lead, unused credits refunded)
+ */
+export async function startEnrichmentJob(leads: Array<{
+  leadId?: string;
+  personId?: string;
+  name?: string;
+}>) {
+  const response = await apiClient.post(`${BASE_PATH}/enrichment/batch`, { leads });
+  return response.data;
+}
+/**
+ * Get enrichment job progress
+ */
+export async function getEnrichmentJob(jobId: string) {
+  const response = await apiClient.get(`${BASE_PATH}/enrichment/jobs/${jobId}`);
+  return response.data;
+}
+/**
+ * Get per-lead enrichment job results
+ */
+export async function getEnrichmentJobResults(jobId: string, params: {
+  status?: 'pending' | 'succeeded' | 'failed' | 'cancelled';
+  limit?: number;
+  offset?: number;
+} = {}) {
+  const response = await apiClient.get(`${BASE_PATH}/enrichment/jobs/${jobId}/results`, { params });
+  return response.data;
+}
+/**
+ * Cancel an enrichment job
+ */
+export async function cancelEnrichmentJob(jobId: string) {
+  const response = await apiClient.post(`${BASE_PATH}/enrichment/jobs/${jobId}/cancel`);
+  return response.data;
 }
\ No newline at end of file
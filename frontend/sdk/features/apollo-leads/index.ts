@@ -18,16 +18,42 @@
 // ============================================================================
 export {
   searchCompanies,
+  listSavedCompanies,
   getCompanyDetails,
   searchEmployees,
   revealEmail,
   revealPhone,
   checkHealth,
+  getApolloQuota,
+  getApolloCredentials,
+  setApolloCredentials,
+  rotateApolloCredentials,
+  testApolloCredentials,
+  removeApolloCredentials,
+  listLinkedInAccounts,
+  createLinkedInAccountConnectLink,
+  registerLinkedInAccount,
+  updateLinkedInAccount,
+  removeLinkedInAccount,
+  getLinkedInAccountUsage,
+  searchLinkedInPeople,
+  searchLinkedInCompanies,
+  searchLinkedInParameters,
+  getUnipileCredentials,
+  setUnipileCredentials,
+  removeUnipileCredentials,
   searchEmployeesFromDb,
   revealEmailPost,
+  revealEmails,
   revealPhonePost,
   getDecisionMakerPhones,
-  revealSinglePhone
+  revealSinglePhone,
+  getPhoneReveal,
+  watchPhoneReveal,
+  startEnrichmentJob,
+  getEnrichmentJob,
+  getEnrichmentJobResults,
+  cancelEnrichmentJob
 } from './api';
 // ============================================================================
 // HOOKS
@@ -57,6 +83,7 @@ export type {
   // API Response Types
   ApolloApiResponse,
   ApolloHealthResponse,
+  ApolloQuotaState,
   // Feature Access
   ApolloFeatureAccess,
   // Hook Return Types
@@ -71,7 +98,33 @@ export type {
   ApolloEmployeeListProps,
   // Phone Service Types
   PhoneRevealRequest,
-  PhoneRevealResponse
+  PhoneRevealResponse,
+  BulkEmailRevealResponse,
+  EmailDeliverability,
+  EmailDeliverabilityChecks,
+  EmailDeliverabilityVerdict,
+  ApolloKeySource,
+  ApolloCredentialStatus,
+  ApolloCredentialTestResult,
+  LinkedInAccount,
+  LinkedInAccountConnectLink,
+  LinkedInAccountInput,
+  LinkedInAccountStatus,
+  LinkedInAccountType,
+  LinkedInQuotaUsage,
+  LinkedInAccountUsage,
+  Weekday,
+  SendingSchedule,
+  UnipileCredentialStatus,
+  UnipileSearchApi,
+  UnipileRange,
+  UnipileSearchParams,
+  LinkedInParameterType,
+  LinkedInParameterCandidate,
+  LinkedInParameterResults,
+  UnipileSearchPage,
+  PhoneRevealStatus,
+  PhoneRevealState
 } from './types';
 // ============================================================================
 // CONSTANTS
@@ -121,11 +121,175 @@ export interface ApolloApiResponse<T = any> {
   credits_used?: number;
   credits_remaining?: number;
 }
+export interface ApolloHealthCheck {
+  status: 'ok' | 'degraded' | 'error' | 'not_configured';
+  response_time_ms?: number;
+  message?: string;
+  [key: string]: unknown;
+}
 export interface ApolloHealthResponse {
-  status: 'healthy' | 'degraded' | 'down';
+  status: 'healthy' | 'degraded' | 'unhealthy';
   feature: string;
-  version: string;
-  client_id?: string;
+  checked_at: string;
+  cached: boolean;
+  checks: {
+    apollo_api: ApolloHealthCheck;
+    database: ApolloHealthCheck & { missing_tables?: string[] };
+    unipile: ApolloHealthCheck;
+    python_script: ApolloHealthCheck;
+  };
+}
+export interface ApolloQuotaWindow {
+  limit: number | null;
+  used: number | null;
+  remaining: number | null;
+}
+export interface ApolloQuotaState {
+  status: 'ok' | 'low' | 'exhausted' | 'unknown';
+  minute: ApolloQuotaWindow;
+  hourly: ApolloQuotaWindow;
+  daily: ApolloQuotaWindow;
+  throttled_until: string | null;
+  in_flight: number;
+  queued: number;
+  updated_at: string | null;
+  key_source: ApolloKeySource;
+}
+export type ApolloKeySource = 'tenant' | 'platform';
+export interface ApolloCredentialStatus {
+  configured: boolean;
+  source: ApolloKeySource;
+  key_last4?: string;
+  last_test_status?: 'valid' | 'invalid' | 'error' | null;
+  last_test_error?: string | null;
+  last_tested_at?: string | null;
+  rotated_at?: string | null;
+  created_at?: string;
+  updated_at?: string;
+}
+export interface ApolloCredentialTestResult {
+  status: 'valid' | 'invalid' | 'error';
+  error: string | null;
+  credential: ApolloCredentialStatus | null;
+}
+export type Weekday = 'sun' | 'mon' | 'tue' | 'wed' | 'thu' | 'fri' | 'sat';
+/** When outreach is sent; fields not set come from the defaults (UTC, mon-fri, 09:00-18:00) */
+export interface SendingSchedule {
+  /** IANA timezone, e.g. 'Asia/Dubai' */
+  timezone?: string;
+  working_days?: Weekday[];
+  /** Local times as HH:MM */
+  working_hours?: { start: string; end: string };
+  /** YYYY-MM-DD */
+  holidays?: string[];
+  blackout_dates?: Array<string | { from: string; to: string }>;
+}
+export type LinkedInAccountType = 'classic' | 'sales_navigator' | 'recruiter';
+export type LinkedInAccountStatus = 'active' | 'paused' | 'disconnected';
+export interface LinkedInAccount {
+  id: string;
+  account_id: string;
+  owner_user_id: string | null;
+  display_name: string | null;
+  account_type: LinkedInAccountType;
+  status: LinkedInAccountStatus;
+  sending_schedule: SendingSchedule | null;
+  created_at: string;
+  updated_at: string;
+}
+export interface LinkedInAccountConnectLink {
+  /** Unipile hosted auth page to open */
+  url: string;
+  expires_at: string;
+}
+export interface LinkedInAccountInput {
+  owner_user_id?: string;
+  display_name?: string;
+  account_type?: LinkedInAccountType;
+  status?: LinkedInAccountStatus;
+  /** null goes back to the default schedule */
+  sending_schedule?: SendingSchedule | null;
+}
+/** One quota of a LinkedIn account, counted across all its sequences */
+export interface LinkedInQuotaUsage {
+  last_24h: number;
+  last_7d: number;
+  daily_limit: number;
+  weekly_limit: number;
+  remaining: number;
+  /** When the quota frees up again, null while some remains */
+  available_at: string | null;
+}
+export interface LinkedInAccountUsage {
+  account_id: string;
+  invitation: LinkedInQuotaUsage;
+  /** Messages and InMails */
+  message: LinkedInQuotaUsage;
+}
+export type UnipileSearchApi = 'classic' | 'sales_navigator' | 'recruiter';
+export interface UnipileRange {
+  min?: number;
+  max?: number;
+}
+export interface UnipileSearchParams {
+  accountId: string;
+  api?: UnipileSearchApi;
+  url?: string;
+  keywords?: string;
+  industry?: string | string[];
+  location?: string | string[];
+  designation?: string;
+  company?: string | string[];
+  skills?: string | string[];
+  seniority?: string | string[];
+  function?: string | string[];
+  company_headcount?: string | UnipileRange | Array<string | UnipileRange>;
+  years_in_role?: UnipileRange;
+  changed_jobs?: boolean;
+  posted_on_linkedin?: boolean;
+  years_of_experience?: UnipileRange;
+  limit?: number;
+  cursor?: string;
+  collect?: boolean;
+}
+export type LinkedInParameterType = 'LOCATION' | 'INDUSTRY' | 'SKILL' | 'COMPANY' | 'SCHOOL';
+export interface LinkedInParameterCandidate {
+  id: string;
+  title: string;
+  match: 'exact' | 'prefix' | 'word' | 'partial' | 'related';
+}
+export interface LinkedInParameterResults {
+  success: boolean;
+  data: LinkedInParameterCandidate[];
+  count: number;
+  type: LinkedInParameterType;
+  query: string;
+  ambiguous: boolean;
+  cached: boolean;
+}
+export interface UnipileSearchPage<T = Record<string, unknown>> {
+  success: boolean;
+  data: T[];
+  count: number;
+  total?: number;
+  next_cursor: string | null;
+  pages_fetched?: number;
+  partial?: boolean;
+  /** Filter names with no LinkedIn id, by filter - left out of the search */
+  unresolved?: Partial<Record<'industry' | 'location' | 'company', string[]>>;
+  source: 'unipile';
+  error?: string;
+}
+export interface UnipileCredentialStatus {
+  configured: boolean;
+  source: ApolloKeySource;
+  dsn?: string;
+  token_last4?: string;
+  last_test_status?: 'valid' | 'invalid' | 'error' | null;
+  last_test_error?: string | null;
+  last_tested_at?: string | null;
+  created_at?: string;
+  updated_at?: string;
 }
 // ============================================================================
 // FEATURE FLAG TYPES
@@ -214,10 +378,57 @@ export interface PhoneRevealResponse {
   success: boolean;
   results: Array<{
     contact_id: string;
-    phone?: string;
+    person_id?: string | null;
+    reveal_id?: string | null;
+    phone?: string | null;
+    status?: 'revealed' | 'pending' | 'not_found' | 'failed' | 'unavailable';
+    from_cache?: boolean;
+    message?: string;
     error?: string;
     credits_used: number;
   }>;
   total_credits_used: number;
-  credits_remaining: number;
+  credits_refunded?: number;
+  credits_remaining?: number;
+}
+export type EmailDeliverabilityVerdict = 'verified' | 'likely_valid' | 'risky' | 'invalid' | 'unknown';
+export interface EmailDeliverabilityChecks {
+  syntax: boolean;
+  role_account: boolean;
+  disposable: boolean;
+  company_domain: boolean | null;
+}
+export interface EmailDeliverability {
+  email_status?: string | null;
+  email_deliverability?: EmailDeliverabilityVerdict | null;
+  email_checks?: EmailDeliverabilityChecks | null;
+}
+export interface BulkEmailRevealResponse {
+  success: boolean;
+  results: Array<EmailDeliverability & {
+    person_id: string;
+    email: string | null;
+    status: 'revealed' | 'not_found' | 'unavailable' | 'invalid' | 'failed';
+    from_cache?: boolean;
+    credits_used: number;
+    error?: string;
+    apollo_status?: number;
+  }>;
+  total_credits_used: number;
+  credits_refunded: number;
+}
+export type PhoneRevealStatus = 'requested' | 'pending' | 'delivered' | 'unavailable' | 'expired';
+export interface PhoneRevealState {
+  id: string;
+  person_id: string;
+  status: PhoneRevealStatus;
+  phone: string | null;
+  from_cache: boolean;
+  credits_charged: number;
+  credits_refunded: number;
+  error: string | null;
+  expires_at: string | null;
+  delivered_at: string | null;
+  created_at: string;
+  updated_at: string;
 }
\ No newline at end of file